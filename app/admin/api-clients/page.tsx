@@ -0,0 +1,201 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import SessionBar, { useSession } from '../../components/SessionBar';
+import { hasRole } from '@/lib/roles';
+
+interface ApiClient {
+  id: string;
+  name: string;
+  keyPreview: string;
+  webhookUrl: string | null;
+  createdBy: string | null;
+  createdAt: string;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+}
+
+interface IssuedCredentials {
+  name: string;
+  apiKey: string;
+  webhookSecret: string;
+}
+
+const emptyClient = { name: '', webhookUrl: '' };
+
+export default function ApiClientsAdmin() {
+  const session = useSession();
+  const [clients, setClients] = useState<ApiClient[] | null>(null);
+  const [newClient, setNewClient] = useState(emptyClient);
+  const [issued, setIssued] = useState<IssuedCredentials | null>(null);
+  const [errors, setErrors] = useState<string[]>([]);
+
+  // Every call goes through here, so failures show in one place
+  const request = useCallback(async (url: string, init?: RequestInit) => {
+    setErrors([]);
+    const response = await fetch(url, init);
+    const data = await response.json();
+    if (!response.ok) {
+      setErrors(data.errors || [data.details || data.error]);
+      return null;
+    }
+    return data;
+  }, []);
+
+  const load = useCallback(async () => {
+    const data = await request('/api/api-clients');
+    if (data) setClients(data.clients);
+  }, [request]);
+
+  useEffect(() => {
+    if (hasRole(session, 'admin')) load();
+  }, [session, load]);
+
+  const send = (method: string, url: string, body?: object) => request(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const create = async () => {
+    const data = await send('POST', '/api/api-clients', {
+      name: newClient.name,
+      webhookUrl: newClient.webhookUrl.trim() || null,
+    });
+    if (!data) return;
+    setNewClient(emptyClient);
+    setIssued({ name: data.client.name, apiKey: data.apiKey, webhookSecret: data.webhookSecret });
+    await load();
+  };
+
+  const changeWebhook = async (client: ApiClient) => {
+    const url = window.prompt(`Default webhook URL for ${client.name} (leave empty for none):`, client.webhookUrl || '');
+    if (url === null) return;
+    if (await send('PATCH', `/api/api-clients/${client.id}`, { webhookUrl: url.trim() || null })) load();
+  };
+
+  const revoke = async (client: ApiClient) => {
+    if (!window.confirm(`Revoke the key of ${client.name}? Its requests will be refused and its webhooks stop.`)) return;
+    if (await send('DELETE', `/api/api-clients/${client.id}`)) load();
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 to-purple-900 p-5">
+      <div className="max-w-5xl mx-auto">
+        {session && <SessionBar user={session} />}
+        <div className="text-center text-white mb-8">
+          <h1 className="text-4xl font-bold mb-3 drop-shadow-lg">🔑 API Clients</h1>
+          <p className="text-lg opacity-90">
+            Systems that call the <a href="/api/v1/openapi.json" className="underline">v1 API</a>
+          </p>
+        </div>
+
+        <div className="bg-white rounded-3xl shadow-2xl p-10">
+          {session && !hasRole(session, 'admin') ? (
+            <p className="text-gray-600">Only admins can manage API clients.</p>
+          ) : !clients ? (
+            <p className="text-gray-600">{errors[0] || 'Loading API clients...'}</p>
+          ) : (
+            <>
+              {issued && (
+                <section className="mb-8 p-6 bg-yellow-50 border-2 border-yellow-300 rounded-xl">
+                  <h2 className="text-lg font-bold text-gray-800 mb-2">Credentials for {issued.name}</h2>
+                  <p className="text-sm text-gray-700 mb-4">
+                    Copy these now and hand them over securely. They are not stored and cannot be shown again.
+                  </p>
+                  <dl className="text-sm space-y-2">
+                    <div>
+                      <dt className="font-semibold text-gray-700">API key</dt>
+                      <dd className="font-mono break-all select-all">{issued.apiKey}</dd>
+                    </div>
+                    <div>
+                      <dt className="font-semibold text-gray-700">Webhook signing secret</dt>
+                      <dd className="font-mono break-all select-all">{issued.webhookSecret}</dd>
+                    </div>
+                  </dl>
+                  <button onClick={() => setIssued(null)} className="mt-4 text-xs font-semibold text-purple-600 hover:text-purple-800">
+                    I have copied them
+                  </button>
+                </section>
+              )}
+
+              {clients.length === 0 ? (
+                <p className="text-gray-600 mb-10">No API clients yet.</p>
+              ) : (
+                <table className="w-full text-sm mb-10">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2">Name</th>
+                      <th className="py-2">Key</th>
+                      <th className="py-2">Default webhook</th>
+                      <th className="py-2">Last used</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {clients.map(client => (
+                      <tr key={client.id} className={`border-b ${client.revokedAt ? 'text-gray-400' : ''}`}>
+                        <td className="py-2">
+                          {client.name}
+                          <div className="text-xs text-gray-500">
+                            Added {new Date(client.createdAt).toLocaleDateString()}{client.createdBy ? ` by ${client.createdBy}` : ''}
+                          </div>
+                        </td>
+                        <td className="py-2 font-mono">{client.keyPreview}</td>
+                        <td className="py-2 break-all">{client.webhookUrl || '—'}</td>
+                        <td className="py-2 text-gray-600">{client.lastUsedAt ? new Date(client.lastUsedAt).toLocaleString() : 'Never'}</td>
+                        <td className="py-2 text-right space-x-3">
+                          {client.revokedAt ? (
+                            <span className="text-xs">Revoked {new Date(client.revokedAt).toLocaleDateString()}</span>
+                          ) : (
+                            <>
+                              <button onClick={() => changeWebhook(client)} className="text-xs font-semibold text-purple-600 hover:text-purple-800">
+                                Webhook
+                              </button>
+                              <button onClick={() => revoke(client)} className="text-xs font-semibold text-red-500 hover:text-red-700">
+                                Revoke
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <section className="p-6 bg-gray-50 rounded-xl">
+                <h2 className="text-xl font-bold text-gray-800 mb-3">Add API Client</h2>
+                <div className="flex gap-2">
+                  <input
+                    value={newClient.name}
+                    onChange={(e) => setNewClient({ ...newClient, name: e.target.value })}
+                    placeholder="Name, e.g. Loan origination system"
+                    className="w-64 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <input
+                    value={newClient.webhookUrl}
+                    onChange={(e) => setNewClient({ ...newClient, webhookUrl: e.target.value })}
+                    placeholder="Default webhook URL (optional)"
+                    className="flex-1 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <button
+                    onClick={create}
+                    className="bg-gradient-to-r from-purple-600 to-purple-800 text-white font-semibold px-6 py-2 rounded-lg"
+                  >
+                    Add
+                  </button>
+                </div>
+              </section>
+            </>
+          )}
+          {clients && errors.length > 0 && (
+            <ul className="mt-6 text-sm text-red-600 list-disc pl-5">
+              {errors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import SessionBar, { useSession } from '../../components/SessionBar';
+import { hasRole } from '@/lib/roles';
+import { CATEGORIES } from '@/lib/schema';
+
+interface PayerAlias {
+  match: string;
+  payer: string;
+  type: string;
+  note?: string;
+}
+
+interface Exclusion {
+  pattern: string;
+  reason: string;
+  label: string;
+}
+
+interface RuleSet {
+  version: number;
+  updatedAt: string;
+  updatedBy: string;
+  note: string;
+  payrollProcessors: string[];
+  incomeKeywords: string[];
+  payerAliases: PayerAlias[];
+  exclusions: Exclusion[];
+  [key: string]: any;
+}
+
+interface RuleVersion {
+  version: number;
+  updatedAt: string;
+  updatedBy: string;
+  note: string;
+}
+
+const emptyAlias: PayerAlias = { match: '', payer: '', type: 'ACH Deposit' };
+const emptyExclusion: Exclusion = { pattern: '', reason: '', label: '' };
+
+const splitList = (text: string) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+export default function RulesAdmin() {
+  const user = useSession();
+  const [rules, setRules] = useState<RuleSet | null>(null);
+  const [versions, setVersions] = useState<RuleVersion[]>([]);
+  const [activeVersion, setActiveVersion] = useState<number | null>(null);
+  const [newAlias, setNewAlias] = useState<PayerAlias>(emptyAlias);
+  const [newExclusion, setNewExclusion] = useState<Exclusion>(emptyExclusion);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [errors, setErrors] = useState<string[]>([]);
+
+  const load = async (version?: number) => {
+    const response = await fetch(version ? `/api/rules?version=${version}` : '/api/rules');
+    const data = await response.json();
+    if (!response.ok) {
+      setErrors([data.details || data.error]);
+      return;
+    }
+    setRules(data.rules);
+    setVersions(data.versions);
+    if (!version) setActiveVersion(data.rules.version);
+    setErrors([]);
+  };
+
+  useEffect(() => {
+    if (hasRole(user, 'admin')) load();
+  }, [user]);
+
+  const update = (changes: Partial<RuleSet>) => {
+    if (rules) setRules({ ...rules, ...changes });
+    setMessage(null);
+  };
+
+  const addAlias = () => {
+    if (!rules || !newAlias.match.trim()) return;
+    update({ payerAliases: [...rules.payerAliases, { ...newAlias, payer: newAlias.payer.trim() || newAlias.match.trim() }] });
+    setNewAlias(emptyAlias);
+  };
+
+  const addExclusion = () => {
+    if (!rules || !newExclusion.pattern.trim() || !newExclusion.reason.trim()) return;
+    update({ exclusions: [...rules.exclusions, { ...newExclusion, label: newExclusion.label.trim() || newExclusion.reason.trim() }] });
+    setNewExclusion(emptyExclusion);
+  };
+
+  const save = async () => {
+    if (!rules) return;
+    setSaving(true);
+    setMessage(null);
+    setErrors([]);
+
+    try {
+      const response = await fetch('/api/rules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules, note }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setErrors(data.errors || [data.details || data.error]);
+        return;
+      }
+
+      setRules(data.rules);
+      setVersions(data.versions);
+      setActiveVersion(data.rules.version);
+      setNote('');
+      setMessage(`Saved as version ${data.rules.version}. New analyses use it from now on.`);
+    } catch (err: any) {
+      setErrors([err.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 to-purple-900 p-5">
+      <div className="max-w-5xl mx-auto">
+        {user && <SessionBar user={user} />}
+        <div className="text-center text-white mb-8">
+          <h1 className="text-4xl font-bold mb-3 drop-shadow-lg">⚙️ Classification Rules</h1>
+          <p className="text-lg opacity-90">Payer aliases, exclusions and keywords used for every new analysis</p>
+        </div>
+
+        <div className="bg-white rounded-3xl shadow-2xl p-10">
+          {user && !hasRole(user, 'admin') ? (
+            <p className="text-gray-600">Only admins can change the classification rules.</p>
+          ) : !rules ? (
+            <p className="text-gray-600">{errors[0] || 'Loading rules...'}</p>
+          ) : (
+            <>
+              <div className="flex justify-between items-center mb-8">
+                <div className="text-gray-700">
+                  Editing version <span className="font-bold">{rules.version}</span>
+                  {rules.version !== activeVersion && (
+                    <span className="ml-2 text-sm text-yellow-700">(older version — saving makes a copy of it active)</span>
+                  )}
+                </div>
+                <a href="/" className="text-purple-600 font-semibold hover:underline">← Back to analysis</a>
+              </div>
+
+              <section className="mb-10">
+                <h2 className="text-xl font-bold text-gray-800 mb-3">Payer Aliases</h2>
+                <p className="text-sm text-gray-500 mb-3">
+                  When a deposit description contains the text, the payer is renamed and the deposit gets the category.
+                </p>
+                <table className="w-full text-sm mb-3">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2">Description contains</th>
+                      <th className="py-2">Payer</th>
+                      <th className="py-2">Category</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rules.payerAliases.map((alias, i) => (
+                      <tr key={i} className="border-b">
+                        <td className="py-2 font-mono">{alias.match}</td>
+                        <td className="py-2">{alias.payer}</td>
+                        <td className="py-2">{alias.type}</td>
+                        <td className="py-2 text-right">
+                          <button
+                            onClick={() => update({ payerAliases: rules.payerAliases.filter((_, j) => j !== i) })}
+                            className="text-xs font-semibold text-red-500 hover:text-red-700"
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="flex gap-2">
+                  <input
+                    value={newAlias.match}
+                    onChange={(e) => setNewAlias({ ...newAlias, match: e.target.value })}
+                    placeholder="e.g. ACME PAYROLL"
+                    className="flex-1 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <input
+                    value={newAlias.payer}
+                    onChange={(e) => setNewAlias({ ...newAlias, payer: e.target.value })}
+                    placeholder="Payer name"
+                    className="flex-1 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <select
+                    value={newAlias.type}
+                    onChange={(e) => setNewAlias({ ...newAlias, type: e.target.value })}
+                    className="border rounded-lg px-3 py-2 text-sm"
+                  >
+                    {CATEGORIES.map(category => <option key={category}>{category}</option>)}
+                  </select>
+                  <button onClick={addAlias} className="bg-purple-600 text-white text-sm font-semibold px-4 rounded-lg hover:bg-purple-700">
+                    Add
+                  </button>
+                </div>
+              </section>
+
+              <section className="mb-10">
+                <h2 className="text-xl font-bold text-gray-800 mb-3">Exclusions</h2>
+                <p className="text-sm text-gray-500 mb-3">
+                  Descriptions matching these patterns are never counted as income. Patterns are regular expressions, matched without case.
+                </p>
+                <table className="w-full text-sm mb-3">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2">Pattern</th>
+                      <th className="py-2">Reason</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rules.exclusions.map((exclusion, i) => (
+                      <tr key={i} className="border-b">
+                        <td className="py-2 font-mono break-all">{exclusion.pattern}</td>
+                        <td className="py-2">{exclusion.reason}</td>
+                        <td className="py-2 text-right">
+                          <button
+                            onClick={() => update({ exclusions: rules.exclusions.filter((_, j) => j !== i) })}
+                            className="text-xs font-semibold text-red-500 hover:text-red-700"
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="flex gap-2">
+                  <input
+                    value={newExclusion.pattern}
+                    onChange={(e) => setNewExclusion({ ...newExclusion, pattern: e.target.value })}
+                    placeholder="e.g. \bcrypto sale\b"
+                    className="flex-1 border rounded-lg px-3 py-2 text-sm font-mono"
+                  />
+                  <input
+                    value={newExclusion.reason}
+                    onChange={(e) => setNewExclusion({ ...newExclusion, reason: e.target.value })}
+                    placeholder="Reason shown to reviewers"
+                    className="flex-1 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <input
+                    value={newExclusion.label}
+                    onChange={(e) => setNewExclusion({ ...newExclusion, label: e.target.value })}
+                    placeholder="Wording for the model (optional)"
+                    className="flex-1 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <button onClick={addExclusion} className="bg-purple-600 text-white text-sm font-semibold px-4 rounded-lg hover:bg-purple-700">
+                    Add
+                  </button>
+                </div>
+              </section>
+
+              <section className="mb-10 grid grid-cols-2 gap-6">
+                <div>
+                  <h2 className="text-xl font-bold text-gray-800 mb-3">Payroll Processors</h2>
+                  <textarea
+                    value={rules.payrollProcessors.join(', ')}
+                    onChange={(e) => update({ payrollProcessors: splitList(e.target.value) })}
+                    rows={3}
+                    className="w-full border rounded-lg px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <h2 className="text-xl font-bold text-gray-800 mb-3">Income Keywords</h2>
+                  <textarea
+                    value={rules.incomeKeywords.join(', ')}
+                    onChange={(e) => update({ incomeKeywords: splitList(e.target.value) })}
+                    rows={3}
+                    className="w-full border rounded-lg px-3 py-2 text-sm"
+                  />
+                </div>
+              </section>
+
+              <section className="mb-10 p-6 bg-gray-50 rounded-xl">
+                <div className="flex gap-2 mb-3">
+                  <input
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="What changed and why"
+                    className="flex-1 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <button
+                    onClick={save}
+                    disabled={saving}
+                    className="bg-gradient-to-r from-purple-600 to-purple-800 text-white font-semibold px-6 py-2 rounded-lg disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : 'Save as new version'}
+                  </button>
+                </div>
+                {message && <p className="text-sm text-green-700">{message}</p>}
+                {errors.length > 0 && (
+                  <ul className="text-sm text-red-600 list-disc pl-5">
+                    {errors.map((error, i) => <li key={i}>{error}</li>)}
+                  </ul>
+                )}
+              </section>
+
+              <section>
+                <h2 className="text-xl font-bold text-gray-800 mb-3">Version History</h2>
+                <table className="w-full text-sm">
+                  <tbody>
+                    {versions.map(version => (
+                      <tr key={version.version} className="border-b">
+                        <td className="py-2 font-semibold">
+                          v{version.version}
+                          {version.version === activeVersion && <span className="ml-2 text-xs text-green-700">active</span>}
+                        </td>
+                        <td className="py-2 text-gray-600">{new Date(version.updatedAt).toLocaleString()}</td>
+                        <td className="py-2 text-gray-600">{version.updatedBy}</td>
+                        <td className="py-2 text-gray-800">{version.note}</td>
+                        <td className="py-2 text-right">
+                          {version.version !== rules.version && (
+                            <button
+                              onClick={() => load(version.version)}
+                              className="text-xs font-semibold text-purple-600 hover:text-purple-800"
+                            >
+                              Open
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
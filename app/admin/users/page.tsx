@@ -0,0 +1,181 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import SessionBar, { ROLE_LABELS, useSession } from '../../components/SessionBar';
+import { hasRole, ROLES } from '@/lib/roles';
+
+interface User {
+  username: string;
+  name: string;
+  role: string;
+  createdAt: string;
+  updatedAt: string;
+  lastLoginAt: string | null;
+}
+
+const emptyUser = { username: '', name: '', role: 'uploader', password: '' };
+
+export default function UsersAdmin() {
+  const session = useSession();
+  const [users, setUsers] = useState<User[] | null>(null);
+  const [newUser, setNewUser] = useState(emptyUser);
+  const [message, setMessage] = useState<string | null>(null);
+  const [errors, setErrors] = useState<string[]>([]);
+
+  // Every call goes through here, so failures show in one place
+  const request = useCallback(async (url: string, init?: RequestInit) => {
+    setMessage(null);
+    setErrors([]);
+    const response = await fetch(url, init);
+    const data = await response.json();
+    if (!response.ok) {
+      setErrors(data.errors || [data.details || data.error]);
+      return null;
+    }
+    return data;
+  }, []);
+
+  const load = useCallback(async () => {
+    const data = await request('/api/users');
+    if (data) setUsers(data.users);
+  }, [request]);
+
+  useEffect(() => {
+    if (hasRole(session, 'admin')) load();
+  }, [session, load]);
+
+  const send = (method: string, url: string, body?: object) => request(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const create = async () => {
+    const data = await send('POST', '/api/users', newUser);
+    if (!data) return;
+    setNewUser(emptyUser);
+    await load();
+    setMessage(`Created ${data.user.username}.`);
+  };
+
+  const changeRole = async (user: User, role: string) => {
+    if (await send('PATCH', `/api/users/${user.username}`, { role })) load();
+  };
+
+  const resetPassword = async (user: User) => {
+    const password = window.prompt(`New password for ${user.username}:`);
+    if (!password) return;
+    if (await send('PATCH', `/api/users/${user.username}`, { password })) setMessage(`Password changed for ${user.username}.`);
+  };
+
+  const remove = async (user: User) => {
+    if (!window.confirm(`Delete ${user.username}? They will be signed out.`)) return;
+    if (await send('DELETE', `/api/users/${user.username}`)) load();
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 to-purple-900 p-5">
+      <div className="max-w-5xl mx-auto">
+        {session && <SessionBar user={session} />}
+        <div className="text-center text-white mb-8">
+          <h1 className="text-4xl font-bold mb-3 drop-shadow-lg">👤 Users</h1>
+          <p className="text-lg opacity-90">Local accounts and their roles</p>
+        </div>
+
+        <div className="bg-white rounded-3xl shadow-2xl p-10">
+          {session && !hasRole(session, 'admin') ? (
+            <p className="text-gray-600">Only admins can manage users.</p>
+          ) : !users ? (
+            <p className="text-gray-600">{errors[0] || 'Loading users...'}</p>
+          ) : (
+            <>
+              <table className="w-full text-sm mb-10">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-2">Username</th>
+                    <th className="py-2">Name</th>
+                    <th className="py-2">Role</th>
+                    <th className="py-2">Last sign-in</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map(user => (
+                    <tr key={user.username} className="border-b">
+                      <td className="py-2 font-mono">{user.username}</td>
+                      <td className="py-2">{user.name}</td>
+                      <td className="py-2">
+                        <select
+                          value={user.role}
+                          onChange={(e) => changeRole(user, e.target.value)}
+                          className="border rounded px-2 py-1"
+                        >
+                          {ROLES.map(role => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-2 text-gray-600">{user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}</td>
+                      <td className="py-2 text-right space-x-3">
+                        <button onClick={() => resetPassword(user)} className="text-xs font-semibold text-purple-600 hover:text-purple-800">
+                          Reset password
+                        </button>
+                        <button onClick={() => remove(user)} className="text-xs font-semibold text-red-500 hover:text-red-700">
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <section className="p-6 bg-gray-50 rounded-xl">
+                <h2 className="text-xl font-bold text-gray-800 mb-3">Add User</h2>
+                <div className="flex gap-2 mb-3">
+                  <input
+                    value={newUser.username}
+                    onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+                    placeholder="Username"
+                    className="w-40 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <input
+                    value={newUser.name}
+                    onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+                    placeholder="Full name"
+                    className="flex-1 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <select
+                    value={newUser.role}
+                    onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+                    className="border rounded-lg px-3 py-2 text-sm"
+                  >
+                    {ROLES.map(role => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+                  </select>
+                  <input
+                    type="password"
+                    value={newUser.password}
+                    onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                    placeholder="Initial password"
+                    autoComplete="new-password"
+                    className="w-44 border rounded-lg px-3 py-2 text-sm"
+                  />
+                  <button
+                    onClick={create}
+                    className="bg-gradient-to-r from-purple-600 to-purple-800 text-white font-semibold px-6 py-2 rounded-lg"
+                  >
+                    Add
+                  </button>
+                </div>
+              </section>
+
+              {message && <p className="mt-6 text-sm text-green-700">{message}</p>}
+            </>
+          )}
+          {users && errors.length > 0 && (
+            <ul className="mt-6 text-sm text-red-600 list-disc pl-5">
+              {errors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
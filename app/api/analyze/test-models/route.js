@@ -1,15 +1,37 @@
-import { NextResponse } from 'next/server';
-
-export async function GET() {
-  try {
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models?key=${process.env.GEMINI_API_KEY}`
-    );
-    
-    const data = await response.json();
-    
-    return NextResponse.json(data);
-  } catch (error) {
-    return NextResponse.json({ error: error.message }, { status: 500 });
-  }
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { getProvider } from '@/lib/llm';
+import { log } from '@/lib/log';
+
+// Debug: the models the configured provider offers. Admins only, and only
+// their names - the provider's response is not passed through.
+export async function GET(request) {
+  try {
+    await authorize(request, 'admin');
+
+    const data = await getProvider().listModels();
+    if (data.error) throw new Error(data.error.message || 'The provider returned an error');
+    const models = (data.models || data.data || []).map(model => ({
+      name: model.name || model.id,
+      displayName: model.displayName || model.id || model.name
+    }));
+
+    return NextResponse.json({
+      success: true,
+      models
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+
+    log.error('Error listing models', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to list models',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
 }
\ No newline at end of file
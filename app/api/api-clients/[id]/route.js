@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import { ApiClientValidationError, revokeApiClient, updateApiClient } from '@/lib/api-clients';
+import { AuthError, authorize } from '@/lib/auth';
+import { log } from '@/lib/log';
+
+const notFound = () => NextResponse.json(
+  { error: 'API client not found' },
+  { status: 404 }
+);
+
+// Rename a client or change its default webhook URL
+export async function PATCH(request, { params }) {
+  try {
+    await authorize(request, 'admin');
+
+    const { name, webhookUrl } = await request.json();
+    const client = await updateApiClient(params.id, { name, webhookUrl });
+    if (!client) return notFound();
+
+    return NextResponse.json({
+      success: true,
+      client
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof ApiClientValidationError) {
+      return NextResponse.json(
+        { error: 'API client is invalid', details: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    log.error('Error updating API client', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to update API client',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Revoke the client's key; its analyses are kept
+export async function DELETE(request, { params }) {
+  try {
+    await authorize(request, 'admin');
+
+    const client = await revokeApiClient(params.id);
+    if (!client) return notFound();
+    log.info('API client revoked', { clientId: client.id });
+
+    return NextResponse.json({
+      success: true,
+      client
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+
+    log.error('Error revoking API client', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to revoke API client',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { ApiClientValidationError, createApiClient, listApiClients } from '@/lib/api-clients';
+import { AuthError, authorize } from '@/lib/auth';
+import { log } from '@/lib/log';
+
+// Systems allowed to call /api/v1; admins only
+export async function GET(request) {
+  try {
+    await authorize(request, 'admin');
+
+    return NextResponse.json({
+      success: true,
+      clients: await listApiClients()
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+
+    log.error('Error listing API clients', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to list API clients',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Register a client from { name, webhookUrl }. The response holds its API key
+// and webhook secret, which cannot be shown again.
+export async function POST(request) {
+  try {
+    const admin = await authorize(request, 'admin');
+
+    const { name, webhookUrl = null } = await request.json();
+    const { client, apiKey, webhookSecret } = await createApiClient({ name, webhookUrl, createdBy: admin.name });
+    log.info('API client created', { clientId: client.id, name: client.name });
+
+    return NextResponse.json(
+      { success: true, client, apiKey, webhookSecret },
+      { status: 201 }
+    );
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof ApiClientValidationError) {
+      return NextResponse.json(
+        { error: 'API client is invalid', details: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    log.error('Error creating API client', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to create API client',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
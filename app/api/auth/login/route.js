@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { cookieHeader, createSession, SESSION_COOKIE, sessionMaxAge, verifyLogin } from '@/lib/auth';
+import { log } from '@/lib/log';
+
+// Sign in with a local username and password
+export async function POST(request) {
+  try {
+    const { username, password } = await request.json();
+
+    if (!username || !password) {
+      return NextResponse.json(
+        { error: 'Username and password are required' },
+        { status: 400 }
+      );
+    }
+
+    const user = await verifyLogin(username, password);
+    if (!user) {
+      log.warn('Failed sign-in', { username });
+      return NextResponse.json(
+        { error: 'Wrong username or password' },
+        { status: 401 }
+      );
+    }
+
+    const session = await createSession({ id: user.username, name: user.name, role: user.role, via: 'local' });
+    log.info('Signed in', { username: user.username, role: user.role });
+
+    return NextResponse.json(
+      { success: true, user: { id: user.username, name: user.name, role: user.role, via: 'local' } },
+      { headers: { 'Set-Cookie': cookieHeader(request, SESSION_COOKIE, session, sessionMaxAge()) } }
+    );
+  } catch (error) {
+    log.error('Error signing in', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to sign in',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,9 @@
+import { NextResponse } from 'next/server';
+import { cookieHeader, SESSION_COOKIE } from '@/lib/auth';
+
+export async function POST(request) {
+  return NextResponse.json(
+    { success: true },
+    { headers: { 'Set-Cookie': cookieHeader(request, SESSION_COOKIE, '', 0) } }
+  );
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { AuthError, cookieHeader, createSession, readCookie, SESSION_COOKIE, sessionMaxAge } from '@/lib/auth';
+import { log } from '@/lib/log';
+import { appOrigin, completeLogin, localPath, OIDC_STATE_COOKIE } from '@/lib/oidc';
+
+// The identity provider sends the browser back here. Failures go to the
+// login page with the reason in ?error=
+export async function GET(request) {
+  const origin = appOrigin(request);
+  const params = new URL(request.url).searchParams;
+  const clearState = cookieHeader(request, OIDC_STATE_COOKIE, '', 0);
+
+  const fail = (message) => {
+    const response = NextResponse.redirect(`${origin}/login?error=${encodeURIComponent(message)}`);
+    response.headers.append('Set-Cookie', clearState);
+    return response;
+  };
+
+  if (params.get('error')) return fail(params.get('error_description') || params.get('error'));
+
+  try {
+    const { user, next } = await completeLogin({
+      origin,
+      code: params.get('code'),
+      state: params.get('state'),
+      stateCookie: readCookie(request, OIDC_STATE_COOKIE)
+    });
+    log.info('Signed in', { via: 'oidc', role: user.role });
+
+    const response = NextResponse.redirect(`${origin}${localPath(next)}`);
+    response.headers.append('Set-Cookie', clearState);
+    response.headers.append('Set-Cookie', cookieHeader(request, SESSION_COOKIE, await createSession(user), sessionMaxAge()));
+    return response;
+  } catch (error) {
+    if (error instanceof AuthError) {
+      log.warn('Failed single sign-on', { reason: error.message });
+      return fail(error.message);
+    }
+
+    log.error('Error completing single sign-on', { error });
+    return fail('Single sign-on failed');
+  }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { cookieHeader } from '@/lib/auth';
+import { log } from '@/lib/log';
+import { appOrigin, authorizationRequest, localPath, OIDC_STATE_COOKIE, OIDC_STATE_MAX_AGE, oidcEnabled } from '@/lib/oidc';
+
+// Start a sign-in with the identity provider; ?next= is the page to return to
+export async function GET(request) {
+  if (!oidcEnabled()) {
+    return NextResponse.json(
+      { error: 'Single sign-on is not configured' },
+      { status: 404 }
+    );
+  }
+
+  try {
+    const next = localPath(new URL(request.url).searchParams.get('next'));
+    const { url, stateCookie } = await authorizationRequest(appOrigin(request), next);
+
+    const response = NextResponse.redirect(url);
+    response.headers.append('Set-Cookie', cookieHeader(request, OIDC_STATE_COOKIE, stateCookie, OIDC_STATE_MAX_AGE));
+    return response;
+  } catch (error) {
+    log.error('Error starting single sign-on', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to start single sign-on',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { sessionUser } from '@/lib/auth';
+import { log } from '@/lib/log';
+import { oidcEnabled } from '@/lib/oidc';
+
+// Who is signed in (null when nobody is), and which sign-in methods the login
+// page should offer
+export async function GET(request) {
+  try {
+    return NextResponse.json({
+      success: true,
+      user: await sessionUser(request),
+      methods: { local: true, oidc: oidcEnabled() }
+    });
+  } catch (error) {
+    log.error('Error reading session', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to read session',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { invalidateCache } from '@/lib/cache';
+import { invalidateJobCache } from '@/lib/jobs';
+import { log } from '@/lib/log';
+
+// Invalidate cached analyses: the file and chunk results of ?jobId=, or the
+// whole cache without it
+export async function DELETE(request) {
+  try {
+    await authorize(request, 'admin');
+
+    const jobId = new URL(request.url).searchParams.get('jobId');
+    const removed = jobId ? await invalidateJobCache(jobId) : await invalidateCache();
+
+    if (removed === null) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      removed
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error invalidating cache', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to invalidate cache',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,104 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize, hasRole } from '@/lib/auth';
+import { caseResults, CaseValidationError, deleteCase, getCase, updateCase } from '@/lib/cases';
+import { log } from '@/lib/log';
+
+// Review decisions; uploaders can only change the case details and borrowers
+const REVIEW_FIELDS = ['status', 'edits', 'accountOwners', 'qualification'];
+
+const notFound = () => NextResponse.json(
+  { error: 'Case not found' },
+  { status: 404 }
+);
+
+// The case with every file's output, plus `results` in the shape the results
+// page consolidates
+export async function GET(request, { params }) {
+  try {
+    await authorize(request, 'uploader');
+
+    const record = await getCase(params.id);
+    if (!record) return notFound();
+
+    return NextResponse.json({
+      success: true,
+      case: record,
+      results: caseResults(record)
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error reading case', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to read case',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Change any of applicantName, referenceId, status, borrowers, accountOwners,
+// edits or qualification. New edits are recorded under the signed-in user.
+export async function PATCH(request, { params }) {
+  try {
+    const user = await authorize(request, 'uploader');
+    const changes = await request.json();
+
+    const review = REVIEW_FIELDS.filter(key => changes[key] !== undefined);
+    if (review.length > 0 && !hasRole(user, 'underwriter')) {
+      throw new AuthError(`Changing ${review.join(', ')} requires the underwriter role`, 403);
+    }
+
+    const record = await updateCase(params.id, changes, { user: user.name });
+    if (!record) return notFound();
+
+    return NextResponse.json({
+      success: true,
+      case: record
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof CaseValidationError) {
+      return NextResponse.json(
+        { error: 'Case is invalid', details: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    log.error('Error updating case', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to update case',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    await authorize(request, 'admin');
+
+    if (!(await deleteCase(params.id))) return notFound();
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error deleting case', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to delete case',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize, hasRole } from '@/lib/auth';
+import { CaseValidationError, createCase, listCases } from '@/lib/cases';
+import { log } from '@/lib/log';
+
+// Saved cases, most recently changed first; `?q=` searches borrower names,
+// reference IDs and file names
+export async function GET(request) {
+  try {
+    await authorize(request, 'uploader');
+
+    const query = new URL(request.url).searchParams.get('q') || '';
+
+    return NextResponse.json({
+      success: true,
+      cases: await listCases(query)
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error listing cases', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to list cases',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Open a case for an applicant; statements are added by passing its id to
+// /api/analyze-chunked
+export async function POST(request) {
+  try {
+    const user = await authorize(request, 'uploader');
+
+    const { applicantName, referenceId, status, coBorrowers } = await request.json();
+
+    if (status !== undefined && status !== 'open' && !hasRole(user, 'underwriter')) {
+      throw new AuthError('Setting the case status requires the underwriter role', 403);
+    }
+    const record = await createCase({ applicantName, referenceId, status, coBorrowers });
+
+    return NextResponse.json(
+      {
+        success: true,
+        case: record
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof CaseValidationError) {
+      return NextResponse.json(
+        { error: 'Case is invalid', details: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    log.error('Error creating case', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to create case',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { resultsForJobs } from '@/lib/jobs';
+import { log } from '@/lib/log';
+import { reviewTransactions } from '@/lib/report';
+import { findDuplicates } from '@/lib/duplicates';
+
+// Suspected duplicate deposits across every file in an analysis. Takes the
+// same input as /api/report; decisions already in `edits` are respected.
+export async function POST(request) {
+  try {
+    await authorize(request, 'uploader');
+
+    const { results, jobIds, edits = [] } = await request.json();
+
+    if (!Array.isArray(results) && !Array.isArray(jobIds)) {
+      return NextResponse.json(
+        { error: 'Provide either results or jobIds' },
+        { status: 400 }
+      );
+    }
+
+    const transactions = reviewTransactions(Array.isArray(results) ? results : await resultsForJobs(jobIds), edits);
+
+    return NextResponse.json({
+      success: true,
+      duplicates: findDuplicates(transactions, edits)
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error finding duplicates', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to find duplicates',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { cancelJob } from '@/lib/jobs';
+import { log } from '@/lib/log';
+
+export async function POST(request, { params }) {
+  try {
+    await authorize(request, 'uploader');
+
+    const job = await cancelJob(params.id);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error cancelling job', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to cancel job',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
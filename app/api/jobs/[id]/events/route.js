@@ -0,0 +1,95 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { getJob, startWorker, TERMINAL_STATUSES } from '@/lib/jobs';
+import { log } from '@/lib/log';
+
+export const dynamic = 'force-dynamic';
+
+const POLL_INTERVAL_MS = 1000;
+const KEEP_ALIVE_MS = 15000;
+
+// Server-Sent Events stream of a job's progress log. Each event carries its
+// index as the SSE id, so a reconnecting EventSource resumes via Last-Event-ID
+// instead of replaying the whole log.
+export async function GET(request, { params }) {
+  try {
+    await authorize(request, 'uploader');
+
+    const job = await getJob(params.id);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error reading job', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to read job',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+
+  startWorker();
+
+  const encoder = new TextEncoder();
+  const lastEventId = request.headers.get('last-event-id');
+  let sent = /^\d+$/.test(lastEventId || '') ? Number(lastEventId) + 1 : 0;
+
+  // Set once the client has gone; nothing may be written to the stream after that
+  let closed = false;
+  request.signal.addEventListener('abort', () => { closed = true; });
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      let lastWrite = Date.now();
+
+      try {
+        while (!closed) {
+          const current = await getJob(params.id);
+          const events = current?.events || [];
+
+          for (; sent < events.length && !closed; sent++) {
+            controller.enqueue(encoder.encode(`id: ${sent}\ndata: ${JSON.stringify(events[sent])}\n\n`));
+            lastWrite = Date.now();
+          }
+
+          if (closed || !current || TERMINAL_STATUSES.includes(current.status)) break;
+
+          if (Date.now() - lastWrite >= KEEP_ALIVE_MS) {
+            controller.enqueue(encoder.encode(': keep-alive\n\n'));
+            lastWrite = Date.now();
+          }
+
+          await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+        }
+      } catch (error) {
+        // The client reconnects and resumes from its last event id
+        if (!closed) log.error('Error streaming job events', { jobId: params.id, error });
+      }
+
+      if (!closed) {
+        closed = true;
+        controller.close();
+      }
+    },
+    cancel() {
+      closed = true;
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    },
+  });
+}
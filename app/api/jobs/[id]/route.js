@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { getJob, startWorker } from '@/lib/jobs';
+import { log } from '@/lib/log';
+
+export async function GET(request, { params }) {
+  try {
+    await authorize(request, 'uploader');
+
+    const job = await getJob(params.id);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    // Resume queued work if the server restarted since the job was created
+    startWorker();
+
+    return NextResponse.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error reading job', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to read job',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { resultsForJobs } from '@/lib/jobs';
+import { log } from '@/lib/log';
+import { buildReport, reportToCsv, REPORT_FORMATS } from '@/lib/report';
+import { RULE_SETS } from '@/lib/qualifying';
+import { reportToXlsx } from '@/lib/report-xlsx';
+import { reportToPdf } from '@/lib/report-pdf';
+
+export async function POST(request) {
+  try {
+    await authorize(request, 'underwriter');
+
+    const { format = 'pdf', results, jobIds, edits = [], qualification, borrowers, accountOwners } = await request.json();
+
+    if (!REPORT_FORMATS[format]) {
+      return NextResponse.json(
+        { error: `Unsupported format "${format}". Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+    if (qualification?.ruleSet && !RULE_SETS[qualification.ruleSet]) {
+      return NextResponse.json(
+        { error: `Unknown rule set "${qualification.ruleSet}". Use one of: ${Object.keys(RULE_SETS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+    if (!Array.isArray(results) && !Array.isArray(jobIds)) {
+      return NextResponse.json(
+        { error: 'Provide either results or jobIds' },
+        { status: 400 }
+      );
+    }
+
+    const report = buildReport({
+      results: Array.isArray(results) ? results : await resultsForJobs(jobIds),
+      edits,
+      qualification,
+      borrowers: Array.isArray(borrowers) ? borrowers : [],
+      accountOwners: accountOwners || {}
+    });
+
+    let body;
+    if (format === 'csv') body = reportToCsv(report);
+    else if (format === 'xlsx') body = await reportToXlsx(report);
+    else body = await reportToPdf(report);
+
+    const { contentType, extension } = REPORT_FORMATS[format];
+    const fileName = `income-verification-${report.generatedAt.slice(0, 10)}.${extension}`;
+
+    return new Response(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      }
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error generating report', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to generate report',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { log } from '@/lib/log';
+import { getActiveRules, getRules, listRuleVersions, RulesValidationError, saveRules } from '@/lib/rules-store';
+
+// The classification rule set: the active version (or ?version=N) plus the
+// version history
+export async function GET(request) {
+  try {
+    await authorize(request, 'underwriter');
+
+    const version = new URL(request.url).searchParams.get('version');
+    const rules = version ? await getRules(version) : await getActiveRules();
+
+    if (!rules) {
+      return NextResponse.json(
+        { error: `Rule set version ${version} not found` },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      rules,
+      versions: await listRuleVersions()
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error loading rules', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to load rules',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Save an edited rule set as a new version; it applies to jobs queued from now on
+export async function PUT(request) {
+  try {
+    const user = await authorize(request, 'admin');
+
+    const { rules, note } = await request.json();
+
+    if (!rules) {
+      return NextResponse.json(
+        { error: 'No rules provided' },
+        { status: 400 }
+      );
+    }
+
+    const saved = await saveRules(rules, { user: user.name, note });
+
+    return NextResponse.json({
+      success: true,
+      rules: saved,
+      versions: await listRuleVersions()
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof RulesValidationError) {
+      return NextResponse.json(
+        { error: 'Rule set is invalid', details: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    log.error('Error saving rules', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to save rules',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,103 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { log } from '@/lib/log';
+import { appendUpload, deleteUpload, getUpload, UploadError } from '@/lib/uploads';
+
+function uploadErrorResponse(error) {
+  return NextResponse.json(
+    { error: error.message, received: error.received },
+    { status: error.status }
+  );
+}
+
+// How far an upload got, so an interrupted client knows where to resume
+export async function GET(request, { params }) {
+  try {
+    await authorize(request, 'uploader');
+
+    const upload = await getUpload(params.id);
+
+    if (!upload) {
+      return NextResponse.json(
+        { error: 'Upload not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      upload
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error reading upload', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to read upload',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Raw bytes of the next chunk, starting at ?offset= (the upload's `received`).
+// The body is streamed to disk, never buffered whole.
+export async function PUT(request, { params }) {
+  try {
+    await authorize(request, 'uploader');
+
+    const offset = Number(new URL(request.url).searchParams.get('offset') ?? 0);
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return NextResponse.json(
+        { error: 'offset must be a byte position' },
+        { status: 400 }
+      );
+    }
+
+    const upload = await appendUpload(params.id, offset, request.body ?? []);
+
+    return NextResponse.json({
+      success: true,
+      upload
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof UploadError) return uploadErrorResponse(error);
+    log.error('Error storing upload chunk', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to store upload chunk',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    await authorize(request, 'uploader');
+
+    await deleteUpload(params.id);
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error deleting upload', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to delete upload',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize } from '@/lib/auth';
+import { log } from '@/lib/log';
+import { createUpload, MAX_UPLOAD_BYTES, UPLOAD_CHUNK_BYTES, UploadError } from '@/lib/uploads';
+
+// Start an upload; the bytes follow in PUTs to /api/uploads/:id
+export async function POST(request) {
+  try {
+    await authorize(request, 'uploader');
+
+    const { fileName, size } = await request.json();
+    const upload = await createUpload({ fileName, size });
+
+    return NextResponse.json(
+      {
+        success: true,
+        upload,
+        chunkSize: UPLOAD_CHUNK_BYTES,
+        maxSize: MAX_UPLOAD_BYTES
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof UploadError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error starting upload', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to start upload',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,85 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize, deleteUser, updateUser, UserValidationError } from '@/lib/auth';
+import { log } from '@/lib/log';
+
+const notFound = () => NextResponse.json(
+  { error: 'User not found' },
+  { status: 404 }
+);
+
+// Admins cannot demote or delete themselves, so there is always one left
+const isSelf = (admin, username) => admin.via === 'local' && admin.id === String(username).toLowerCase();
+
+// Change any of name, role or password
+export async function PATCH(request, { params }) {
+  try {
+    const admin = await authorize(request, 'admin');
+    const { name, role, password } = await request.json();
+
+    if (role !== undefined && role !== 'admin' && isSelf(admin, params.username)) {
+      return NextResponse.json(
+        { error: 'You cannot remove your own admin role' },
+        { status: 400 }
+      );
+    }
+
+    const user = await updateUser(params.username, { name, role, password });
+    if (!user) return notFound();
+    log.info('User updated', { username: user.username, role: user.role, passwordChanged: password !== undefined });
+
+    return NextResponse.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof UserValidationError) {
+      return NextResponse.json(
+        { error: 'User is invalid', details: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    log.error('Error updating user', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to update user',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const admin = await authorize(request, 'admin');
+
+    if (isSelf(admin, params.username)) {
+      return NextResponse.json(
+        { error: 'You cannot delete your own account' },
+        { status: 400 }
+      );
+    }
+
+    if (!(await deleteUser(params.username))) return notFound();
+    log.info('User deleted', { username: params.username });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+
+    log.error('Error deleting user', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to delete user',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
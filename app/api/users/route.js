@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authorize, createUser, listUsers, UserValidationError } from '@/lib/auth';
+import { log } from '@/lib/log';
+
+// Local user accounts; admins only
+export async function GET(request) {
+  try {
+    await authorize(request, 'admin');
+
+    return NextResponse.json({
+      success: true,
+      users: await listUsers()
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+
+    log.error('Error listing users', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to list users',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Create a user from { username, name, role, password }
+export async function POST(request) {
+  try {
+    await authorize(request, 'admin');
+
+    const user = await createUser(await request.json());
+    log.info('User created', { username: user.username, role: user.role });
+
+    return NextResponse.json(
+      { success: true, user },
+      { status: 201 }
+    );
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof UserValidationError) {
+      return NextResponse.json(
+        { error: 'User is invalid', details: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    log.error('Error creating user', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to create user',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
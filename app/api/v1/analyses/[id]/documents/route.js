@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server';
+import { detectMimeType } from '@/lib/analyze';
+import { authenticateClient } from '@/lib/api-clients';
+import { documentResource } from '@/lib/api-v1';
+import { AuthError } from '@/lib/auth';
+import { PRIMARY_BORROWER_ID } from '@/lib/borrowers';
+import { addCaseFile, getCase } from '@/lib/cases';
+import { fingerprint, IdempotencyError, withIdempotency } from '@/lib/idempotency';
+import { createJob } from '@/lib/jobs';
+import { log } from '@/lib/log';
+import { MAX_UPLOAD_BYTES } from '@/lib/uploads';
+import { startWebhookWorker, watchAnalysis } from '@/lib/webhooks';
+
+const respond = ({ status, body, replayed }) => NextResponse.json(body, {
+  status,
+  headers: replayed ? { 'Idempotent-Replayed': 'true' } : {}
+});
+
+const tooLarge = () => NextResponse.json(
+  { error: `Files can be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB` },
+  { status: 413 }
+);
+
+// The raw bytes of one statement, for ?borrowerId= (the applicant by
+// default). Analysis runs in the background; the completion webhook follows.
+export async function POST(request, { params }) {
+  try {
+    const client = await authenticateClient(request);
+    startWebhookWorker();
+
+    const query = new URL(request.url).searchParams;
+    const fileName = query.get('fileName')?.trim();
+    const borrowerId = query.get('borrowerId') || PRIMARY_BORROWER_ID;
+    const force = query.get('force') === 'true';
+
+    const record = await getCase(params.id);
+    if (!record || record.clientId !== client.id) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+    if (!fileName) {
+      return NextResponse.json(
+        { error: 'fileName is required' },
+        { status: 400 }
+      );
+    }
+    if (!record.borrowers.some(borrower => borrower.id === borrowerId)) {
+      return NextResponse.json(
+        { error: `Analysis has no borrower ${borrowerId}` },
+        { status: 400 }
+      );
+    }
+    if (Number(request.headers.get('content-length')) > MAX_UPLOAD_BYTES) return tooLarge();
+
+    const bytes = Buffer.from(await request.arrayBuffer());
+
+    if (bytes.length > MAX_UPLOAD_BYTES) return tooLarge();
+    if (bytes.length === 0) {
+      return NextResponse.json(
+        { error: 'The request body must be the file' },
+        { status: 400 }
+      );
+    }
+    if (!detectMimeType(bytes)) {
+      return NextResponse.json(
+        { error: `Unsupported file type for ${fileName}: upload a PDF, Word document, JPG or PNG` },
+        { status: 415 }
+      );
+    }
+
+    const response = await withIdempotency({
+      clientId: client.id,
+      key: request.headers.get('idempotency-key'),
+      fingerprint: fingerprint('upload-document', record.id, fileName, borrowerId, force, bytes)
+    }, async () => {
+      const job = await createJob({ fileName, bytes, force });
+      const updated = await addCaseFile(record.id, job, borrowerId);
+      await watchAnalysis(record.id);
+      log.info('Queued job', { jobId: job.id, caseId: record.id, clientId: client.id, cached: job.cached });
+
+      const file = updated.files.find(entry => entry.jobId === job.id);
+      return { status: 202, body: { success: true, document: documentResource(file) } };
+    });
+
+    return respond(response);
+  } catch (error) {
+    if (error instanceof AuthError || error instanceof IdempotencyError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error queueing document', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to queue document',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { authenticateClient } from '@/lib/api-clients';
+import { analysisResource } from '@/lib/api-v1';
+import { AuthError } from '@/lib/auth';
+import { getCase } from '@/lib/cases';
+import { log } from '@/lib/log';
+import { startWebhookWorker } from '@/lib/webhooks';
+
+// An analysis with its documents and, once completed, its result. Other
+// clients' analyses are reported as missing.
+export async function GET(request, { params }) {
+  try {
+    const client = await authenticateClient(request);
+    startWebhookWorker();
+
+    const record = await getCase(params.id);
+
+    if (!record || record.clientId !== client.id) {
+      return NextResponse.json(
+        { error: 'Analysis not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      analysis: analysisResource(record)
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error reading analysis', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to read analysis',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,123 @@
+import { NextResponse } from 'next/server';
+import { authenticateClient } from '@/lib/api-clients';
+import { ANALYSIS_STATUSES, analysisResource, pageOfAnalyses } from '@/lib/api-v1';
+import { AuthError } from '@/lib/auth';
+import { CaseValidationError, createCase, listClientCases } from '@/lib/cases';
+import { fingerprint, IdempotencyError, withIdempotency } from '@/lib/idempotency';
+import { log } from '@/lib/log';
+import { startWebhookWorker } from '@/lib/webhooks';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const respond = ({ status, body, replayed }) => NextResponse.json(body, {
+  status,
+  headers: replayed ? { 'Idempotent-Replayed': 'true' } : {}
+});
+
+// The client's analyses, newest first, without results:
+// ?status=&referenceId=&limit=&cursor=
+export async function GET(request) {
+  try {
+    const client = await authenticateClient(request);
+    startWebhookWorker();
+
+    const params = new URL(request.url).searchParams;
+    const status = params.get('status') || null;
+    const limit = Number(params.get('limit') ?? DEFAULT_LIMIT);
+
+    if (status && !ANALYSIS_STATUSES.includes(status)) {
+      return NextResponse.json(
+        { error: `status must be one of ${ANALYSIS_STATUSES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return NextResponse.json(
+        { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` },
+        { status: 400 }
+      );
+    }
+
+    const page = pageOfAnalyses(await listClientCases(client.id), {
+      status,
+      referenceId: params.get('referenceId') || null,
+      limit,
+      cursor: params.get('cursor')
+    });
+
+    return NextResponse.json({
+      success: true,
+      ...page
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    log.error('Error listing analyses', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to list analyses',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Open an analysis from { applicantName, coBorrowers, referenceId, ruleSet,
+// windowMonths, webhookUrl }; documents are uploaded to it separately
+export async function POST(request) {
+  try {
+    const client = await authenticateClient(request);
+    startWebhookWorker();
+
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return NextResponse.json(
+        { error: 'Request body must be a JSON object' },
+        { status: 400 }
+      );
+    }
+
+    const response = await withIdempotency({
+      clientId: client.id,
+      key: request.headers.get('idempotency-key'),
+      fingerprint: fingerprint('create-analysis', JSON.stringify(body))
+    }, async () => {
+      const { applicantName, coBorrowers, referenceId, ruleSet = 'conventional', windowMonths = null, webhookUrl = null } = body;
+      const record = await createCase({
+        applicantName,
+        coBorrowers,
+        referenceId,
+        qualification: { ruleSet, windowMonths },
+        clientId: client.id,
+        webhookUrl
+      });
+      log.info('Analysis created', { analysisId: record.id, clientId: client.id });
+
+      return { status: 201, body: { success: true, analysis: analysisResource(record) } };
+    });
+
+    return respond(response);
+  } catch (error) {
+    if (error instanceof AuthError || error instanceof IdempotencyError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    if (error instanceof CaseValidationError) {
+      return NextResponse.json(
+        { error: 'Analysis is invalid', details: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    log.error('Error creating analysis', { error });
+    return NextResponse.json(
+      {
+        error: 'Failed to create analysis',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
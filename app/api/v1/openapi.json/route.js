@@ -0,0 +1,7 @@
+import { NextResponse } from 'next/server';
+import { openApiSpec } from '@/lib/openapi';
+
+// The v1 contract; public so clients can generate code before they have a key
+export async function GET() {
+  return NextResponse.json(openApiSpec);
+}
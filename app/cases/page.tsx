@@ -0,0 +1,138 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import SessionBar, { useSession } from '../components/SessionBar';
+import { hasRole } from '@/lib/roles';
+
+interface CaseSummary {
+  id: string;
+  applicantName: string;
+  coBorrowers: string[];
+  referenceId: string | null;
+  status: string;
+  fileCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+const STATUS_CLASS: { [status: string]: string } = {
+  open: 'bg-blue-100 text-blue-800',
+  in_review: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  withdrawn: 'bg-gray-100 text-gray-600',
+};
+
+const SEARCH_DELAY_MS = 300;
+
+export default function Cases() {
+  const user = useSession();
+  const [cases, setCases] = useState<CaseSummary[] | null>(null);
+  const [query, setQuery] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const load = async (search: string) => {
+    try {
+      const response = await fetch(`/api/cases?q=${encodeURIComponent(search)}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error);
+      setCases(data.cases);
+      setError(null);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  // Search as the reviewer types, once they pause
+  useEffect(() => {
+    if (!user) return;
+    const timer = setTimeout(() => load(query), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, user]);
+
+  const remove = async (record: CaseSummary) => {
+    if (!window.confirm(`Delete the case for ${record.applicantName}? Its results and review edits cannot be recovered.`)) return;
+
+    const response = await fetch(`/api/cases/${record.id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      setError(data.details || data.error || `HTTP error! status: ${response.status}`);
+      return;
+    }
+    load(query);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 to-purple-900 p-5">
+      <div className="max-w-5xl mx-auto">
+        {user && <SessionBar user={user} />}
+        <div className="text-center text-white mb-8">
+          <h1 className="text-4xl font-bold mb-3 drop-shadow-lg">📁 Cases</h1>
+          <p className="text-lg opacity-90">Saved analyses by applicant</p>
+        </div>
+
+        <div className="bg-white rounded-3xl shadow-2xl p-10">
+          <div className="flex gap-4 items-center mb-8">
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search by borrower, reference ID or file name"
+              className="flex-1 border rounded-lg px-3 py-2"
+            />
+            <a href="/" className="text-purple-600 font-semibold hover:underline">+ New case</a>
+          </div>
+
+          {error && <p className="mb-6 text-sm text-red-600">{error}</p>}
+
+          {!cases ? (
+            <p className="text-gray-600">Loading cases...</p>
+          ) : cases.length === 0 ? (
+            <p className="text-gray-600">{query ? 'No cases match your search.' : 'No cases yet.'}</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2">Applicant</th>
+                  <th className="py-2">Reference</th>
+                  <th className="py-2">Statements</th>
+                  <th className="py-2">Status</th>
+                  <th className="py-2">Last changed</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {cases.map(record => (
+                  <tr key={record.id} className="border-b">
+                    <td className="py-2 font-semibold">
+                      <a href={`/?case=${record.id}`} className="text-purple-600 hover:underline">
+                        {[record.applicantName, ...record.coBorrowers].join(' & ')}
+                      </a>
+                    </td>
+                    <td className="py-2 text-gray-600">{record.referenceId || '—'}</td>
+                    <td className="py-2 text-gray-600">{record.fileCount}</td>
+                    <td className="py-2">
+                      <span className={`px-2 py-1 rounded text-xs font-semibold ${STATUS_CLASS[record.status] || ''}`}>
+                        {record.status.replace('_', ' ')}
+                      </span>
+                    </td>
+                    <td className="py-2 text-gray-600">{new Date(record.updatedAt).toLocaleString()}</td>
+                    <td className="py-2 text-right">
+                      {hasRole(user, 'admin') && (
+                        <button
+                          onClick={() => remove(record)}
+                          className="text-xs font-semibold text-red-500 hover:text-red-700"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
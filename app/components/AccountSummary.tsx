@@ -0,0 +1,90 @@
+'use client';
+
+import type { AccountSummary as Account } from '@/lib/transfers';
+
+const formatMoney = (value: number) =>
+  `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const accountLabel = (account: Account) =>
+  account.accountNumber === 'N/A' ? account.fileNames.join(', ') : `****${account.accountNumber}`;
+
+export default function AccountSummary({ accounts }: { accounts: Account[] }) {
+  if (accounts.length === 0) return null;
+  const months = accounts[0].months;
+
+  return (
+    <div className="mb-10">
+      <h3 className="text-2xl font-bold text-gray-800 mb-6">🏧 Accounts</h3>
+
+      <div className="bg-white rounded-lg overflow-hidden shadow-sm border mb-4">
+        <table className="w-full">
+          <thead className="bg-gradient-to-r from-purple-600 to-purple-800 text-white">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Account</th>
+              <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Files</th>
+              <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Coverage</th>
+              <th className="px-4 py-3 text-right text-xs uppercase tracking-wider">Deposits</th>
+              <th className="px-4 py-3 text-right text-xs uppercase tracking-wider">Internal Transfers Excluded</th>
+            </tr>
+          </thead>
+          <tbody>
+            {accounts.map(account => (
+              <tr key={account.key} className="border-b">
+                <td className="px-4 py-3 text-gray-800 text-sm font-mono">{accountLabel(account)}</td>
+                <td className="px-4 py-3 text-gray-600 text-sm">{account.fileNames.join(', ')}</td>
+                <td className="px-4 py-3 text-sm">
+                  {account.months.filter(month => month.covered > 0).length} months
+                  {account.missingMonths.length > 0 && (
+                    <span className="block text-xs text-red-600">Missing: {account.missingMonths.join(', ')}</span>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-right font-semibold text-green-600">
+                  {formatMoney(account.total)}
+                  <span className="block text-xs text-gray-500 font-normal">{account.transactionCount} deposits</span>
+                </td>
+                <td className="px-4 py-3 text-right text-sm text-gray-600">
+                  {account.internalTransfers.count > 0
+                    ? `${account.internalTransfers.count} · ${formatMoney(account.internalTransfers.amount)}`
+                    : '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="text-xs border-collapse">
+          <thead>
+            <tr>
+              <th className="px-2 py-1 text-left text-gray-600">Account</th>
+              {months.map(month => (
+                <th key={month.key} className="px-2 py-1 text-gray-600 whitespace-nowrap">{month.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {accounts.map(account => (
+              <tr key={account.key}>
+                <td className="px-2 py-1 font-mono text-gray-800 whitespace-nowrap">{accountLabel(account)}</td>
+                {account.months.map(month => (
+                  <td
+                    key={month.key}
+                    className={`px-2 py-1 border text-right whitespace-nowrap ${
+                      month.covered === 0 ? 'bg-gray-100 text-gray-400'
+                        : month.covered < 1 ? 'bg-yellow-50 text-gray-800'
+                        : 'bg-green-50 text-gray-800'
+                    }`}
+                    title={month.covered === 0 ? 'No statement for this month' : `${Math.round(month.covered * 100)}% of the month covered`}
+                  >
+                    {month.covered === 0 ? '—' : formatMoney(month.total)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+'use client';
+
+import { useState } from 'react';
+import { CATEGORIES } from '@/lib/schema';
+
+export interface ManualTransaction {
+  date: string;
+  type: string;
+  source: string;
+  amount: number;
+  accountNumber: string;
+  description: string;
+}
+
+export default function AddTransactionForm({
+  onAdd,
+  onCancel,
+}: {
+  onAdd: (tx: ManualTransaction) => void;
+  onCancel: () => void;
+}) {
+  const [form, setForm] = useState({
+    date: '',
+    type: CATEGORIES[0],
+    source: '',
+    amount: '',
+    accountNumber: '',
+    description: '',
+  });
+
+  const amount = Number(form.amount);
+  const isValid = /^\d{4}-\d{2}-\d{2}$/.test(form.date) && form.source.trim() && amount > 0;
+
+  const update = (field: keyof typeof form) =>
+    (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) =>
+      setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="bg-purple-50 border border-purple-200 rounded-lg p-4 mb-4">
+      <h5 className="text-sm font-semibold text-gray-800 mb-3">Add a missed deposit</h5>
+      <div className="grid grid-cols-1 md:grid-cols-6 gap-2">
+        <input type="date" value={form.date} onChange={update('date')} className="border rounded px-2 py-1 text-sm" />
+        <select value={form.type} onChange={update('type')} className="border rounded px-2 py-1 text-sm">
+          {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+        </select>
+        <input placeholder="Source" value={form.source} onChange={update('source')} className="border rounded px-2 py-1 text-sm" />
+        <input placeholder="Amount" type="number" min="0" step="0.01" value={form.amount} onChange={update('amount')} className="border rounded px-2 py-1 text-sm" />
+        <input placeholder="Account (last 4)" maxLength={4} value={form.accountNumber} onChange={update('accountNumber')} className="border rounded px-2 py-1 text-sm" />
+        <input placeholder="Description" value={form.description} onChange={update('description')} className="border rounded px-2 py-1 text-sm" />
+      </div>
+      <div className="mt-3 flex gap-3">
+        <button
+          disabled={!isValid}
+          onClick={() => onAdd({
+            date: form.date,
+            type: form.type,
+            source: form.source.trim(),
+            amount,
+            accountNumber: form.accountNumber || 'N/A',
+            description: form.description,
+          })}
+          className="bg-purple-600 text-white px-4 py-1 rounded font-semibold text-sm disabled:opacity-50"
+        >
+          Add
+        </button>
+        <button onClick={onCancel} className="text-gray-600 text-sm font-semibold">Cancel</button>
+      </div>
+    </div>
+  );
+}
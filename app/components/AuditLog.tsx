@@ -0,0 +1,43 @@
+'use client';
+
+import { describeEdit } from '@/lib/review';
+
+export default function AuditLog({ edits, onExport }: { edits: any[]; onExport: () => void }) {
+  if (edits.length === 0) return null;
+
+  return (
+    <div className="mb-10">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-2xl font-bold text-gray-800">📝 Review Audit Log</h3>
+        <button
+          onClick={onExport}
+          className="border-2 border-purple-600 text-purple-600 px-4 py-2 rounded-lg font-semibold text-sm hover:bg-purple-600 hover:text-white transition-all"
+        >
+          Export Audit Log (CSV)
+        </button>
+      </div>
+      <div className="bg-white rounded-lg overflow-hidden shadow-sm border">
+        <table className="w-full">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs uppercase tracking-wider text-gray-600">When</th>
+              <th className="px-4 py-2 text-left text-xs uppercase tracking-wider text-gray-600">Who</th>
+              <th className="px-4 py-2 text-left text-xs uppercase tracking-wider text-gray-600">Change</th>
+              <th className="px-4 py-2 text-left text-xs uppercase tracking-wider text-gray-600">Why</th>
+            </tr>
+          </thead>
+          <tbody>
+            {edits.map(edit => (
+              <tr key={edit.id} className="border-b text-sm">
+                <td className="px-4 py-2 text-gray-500 whitespace-nowrap">{new Date(edit.at).toLocaleString()}</td>
+                <td className="px-4 py-2 text-gray-800">{edit.user}</td>
+                <td className="px-4 py-2 text-gray-800">{describeEdit(edit)}</td>
+                <td className="px-4 py-2 text-gray-600 italic">{edit.reason}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
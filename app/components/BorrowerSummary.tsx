@@ -0,0 +1,110 @@
+'use client';
+
+import type { BorrowerSummary as Borrower, IncomeFigures } from '@/lib/borrowers';
+import type { AccountSummary as Account } from '@/lib/transfers';
+
+const formatMoney = (value: number) =>
+  `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const accountLabel = (account: Account) =>
+  account.accountNumber === 'N/A' ? account.fileNames.join(', ') : `****${account.accountNumber}`;
+
+function Figures({ figures }: { figures: IncomeFigures }) {
+  return (
+    <>
+      <div className="text-3xl font-bold mb-1">{formatMoney(figures.totalIncome)}</div>
+      <div className="text-sm opacity-80">
+        {formatMoney(figures.averageMonthlyIncome)}/mo across {figures.monthCount} month{figures.monthCount !== 1 ? 's' : ''}
+      </div>
+      <div className="text-sm opacity-80">Qualifying: {formatMoney(figures.qualifyingMonthlyIncome)}/mo</div>
+      {figures.jointIncome > 0 && (
+        <div className="text-xs opacity-70 mt-2">{formatMoney(figures.jointIncome)} from joint accounts</div>
+      )}
+    </>
+  );
+}
+
+/**
+ * Per-borrower income on a joint application, the combined figures, and who
+ * owns each account. Ticking more than one owner makes an account joint;
+ * without `onOwnersChange` the owners are shown read-only.
+ */
+export default function BorrowerSummary({
+  borrowers,
+  combined,
+  accounts,
+  onOwnersChange,
+}: {
+  borrowers: Borrower[];
+  combined: IncomeFigures;
+  accounts: Account[];
+  onOwnersChange?: (accountKey: string, borrowerIds: string[]) => void;
+}) {
+  if (borrowers.length < 2) return null;
+
+  const ownersOf = (key: string) => borrowers.filter(borrower => borrower.accounts.some(account => account.key === key)).map(borrower => borrower.id);
+
+  const toggleOwner = (key: string, borrowerId: string) => {
+    const owners = ownersOf(key);
+    const next = owners.includes(borrowerId) ? owners.filter(id => id !== borrowerId) : [...owners, borrowerId];
+    if (next.length > 0) onOwnersChange?.(key, next);
+  };
+
+  return (
+    <div className="mb-10">
+      <h3 className="text-2xl font-bold text-gray-800 mb-2">👥 Borrowers</h3>
+      <p className="text-sm text-gray-500 mb-6">
+        Joint accounts count toward each owner; the combined income counts them once.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        {borrowers.map(borrower => (
+          <div key={borrower.id} className="bg-gradient-to-br from-purple-500 to-purple-700 text-white p-6 rounded-2xl shadow-lg">
+            <h4 className="text-sm uppercase tracking-wider opacity-90 mb-3">{borrower.name}</h4>
+            <Figures figures={borrower} />
+          </div>
+        ))}
+        <div className="bg-gradient-to-br from-gray-700 to-gray-900 text-white p-6 rounded-2xl shadow-lg">
+          <h4 className="text-sm uppercase tracking-wider opacity-90 mb-3">Combined</h4>
+          <Figures figures={combined} />
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg overflow-hidden shadow-sm border">
+        <table className="w-full">
+          <thead className="bg-gradient-to-r from-purple-600 to-purple-800 text-white">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Account</th>
+              {borrowers.map(borrower => (
+                <th key={borrower.id} className="px-4 py-3 text-center text-xs uppercase tracking-wider">{borrower.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {accounts.map(account => {
+              const owners = ownersOf(account.key);
+              return (
+                <tr key={account.key} className="border-b">
+                  <td className="px-4 py-3 text-gray-800 text-sm font-mono">
+                    {accountLabel(account)}
+                    {owners.length > 1 && <span className="ml-2 text-xs text-purple-600 font-sans font-semibold">joint</span>}
+                  </td>
+                  {borrowers.map(borrower => (
+                    <td key={borrower.id} className="px-4 py-3 text-center">
+                      <input
+                        type="checkbox"
+                        checked={owners.includes(borrower.id)}
+                        disabled={!onOwnersChange}
+                        onChange={() => toggleOwner(account.key, borrower.id)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
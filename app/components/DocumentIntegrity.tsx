@@ -0,0 +1,69 @@
+'use client';
+
+export interface TamperFinding {
+  id: string;
+  severity: 'info' | 'low' | 'medium' | 'high';
+  title: string;
+  detail: string;
+  page?: number;
+}
+
+export interface TamperAnalysis {
+  score: number;
+  level: 'low' | 'medium' | 'high';
+  findings: TamperFinding[];
+}
+
+const levelClass: { [level: string]: string } = {
+  low: 'bg-green-100 text-green-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  high: 'bg-red-100 text-red-800',
+};
+
+const severityClass: { [severity: string]: string } = {
+  info: 'text-gray-500',
+  low: 'text-gray-700',
+  medium: 'text-yellow-700',
+  high: 'text-red-700 font-semibold',
+};
+
+export default function DocumentIntegrity({
+  files,
+}: {
+  files: Array<{ fileName: string; tamper: TamperAnalysis | null }>;
+}) {
+  const analyzed = files.filter(file => file.tamper);
+  if (analyzed.length === 0) return null;
+
+  return (
+    <div className="mb-10">
+      <h3 className="text-2xl font-bold text-gray-800 mb-6">🔍 Document Integrity</h3>
+      <div className="space-y-4">
+        {analyzed.map(({ fileName, tamper }) => (
+          <div key={fileName} className="bg-white rounded-lg shadow-sm border p-4">
+            <div className="flex justify-between items-center">
+              <span className="font-semibold text-gray-800">{fileName}</span>
+              <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold ${levelClass[tamper!.level]}`}>
+                {tamper!.level.toUpperCase()} RISK · {tamper!.score}/100
+              </span>
+            </div>
+            {tamper!.findings.length === 0 ? (
+              <p className="text-sm text-gray-500 mt-2">No signs of editing found.</p>
+            ) : (
+              <ul className="mt-3 space-y-1 text-sm">
+                {tamper!.findings.map((finding, i) => (
+                  <li key={i} className={severityClass[finding.severity]}>
+                    <span className="uppercase text-xs mr-2">{finding.severity}</span>
+                    {finding.title}
+                    {finding.page && <span className="text-gray-500"> (page {finding.page})</span>}
+                    <span className="text-gray-500"> — {finding.detail}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+'use client';
+
+import type { ReviewTransaction } from '@/lib/consolidate';
+import type { SuspectedDuplicate } from '@/lib/duplicates';
+
+const formatMoney = (value: number) =>
+  `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export default function DuplicateReview({
+  duplicates,
+  onConfirm,
+  onDismiss,
+}: {
+  duplicates: SuspectedDuplicate[];
+  onConfirm: (suspect: SuspectedDuplicate, exclude: ReviewTransaction) => void;
+  onDismiss: (suspect: SuspectedDuplicate) => void;
+}) {
+  if (duplicates.length === 0) return null;
+
+  return (
+    <div className="mb-10 p-6 bg-yellow-50 border-l-4 border-yellow-500 rounded-lg">
+      <h3 className="text-lg font-bold text-yellow-800 mb-2">⚠️ Possible Duplicate Deposits</h3>
+      <p className="text-sm text-yellow-800 mb-4">
+        These deposits have the same amount, dates within a couple of days and a similar payer.
+        Both are still counted until you exclude one copy or mark the pair as separate deposits.
+      </p>
+      <div className="space-y-3">
+        {duplicates.map(suspect => (
+          <div key={suspect.id} className="bg-white rounded-lg border p-3">
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-sm font-semibold text-gray-800">
+                {formatMoney(suspect.keep.amount)}
+                <span className="text-gray-500 font-normal">
+                  {' '}· {suspect.dateGapDays === 0 ? 'same day' : `${suspect.dateGapDays} day${suspect.dateGapDays > 1 ? 's' : ''} apart`}
+                  {' '}· payer match {Math.round(suspect.similarity * 100)}%
+                  {suspect.sameFile && ' · same file'}
+                </span>
+              </span>
+              <button
+                onClick={() => onDismiss(suspect)}
+                className="text-xs font-semibold text-gray-600 hover:text-gray-800"
+              >
+                Not a duplicate
+              </button>
+            </div>
+            {[suspect.keep, suspect.duplicate].map(tx => (
+              <div key={tx.id} className="flex justify-between items-center gap-4 text-sm border-t py-2">
+                <div>
+                  <span className="text-gray-800">{tx.date}</span>
+                  <span className="text-gray-800 font-semibold"> {tx.source}</span>
+                  {tx.description && <span className="text-gray-500"> — {tx.description}</span>}
+                  <div className="text-xs text-gray-500">{tx.fileName} · ****{tx.accountNumber}</div>
+                </div>
+                <button
+                  onClick={() => onConfirm(suspect, tx)}
+                  className="text-xs font-semibold text-red-500 hover:text-red-700 whitespace-nowrap"
+                >
+                  Exclude this copy
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+'use client';
+
+import { CADENCES, IncomeSource } from '@/lib/income-sources';
+
+const KIND_LABELS: { [kind: string]: string } = {
+  employer: 'Employer / payroll',
+  business: 'Business',
+  benefit: 'Benefit',
+  p2p: 'P2P',
+  cash: 'Cash / check',
+  transfer: 'Transfer',
+  other: 'Other',
+};
+
+const formatMoney = (value: number) =>
+  `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export default function IncomeSources({ sources }: { sources: IncomeSource[] }) {
+  if (sources.length === 0) return null;
+
+  const total = sources.reduce((sum, source) => sum + source.total, 0);
+  const recurringEmployer = sources
+    .filter(source => source.recurring && source.kind === 'employer')
+    .reduce((sum, source) => sum + source.total, 0);
+
+  return (
+    <div className="mb-10">
+      <h3 className="text-2xl font-bold text-gray-800 mb-2">💵 Income Sources</h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Recurring employer income: <span className="font-semibold">{formatMoney(recurringEmployer)}</span>
+        {total > 0 && ` (${Math.round((recurringEmployer / total) * 100)}% of deposits)`}
+      </p>
+
+      <div className="bg-white rounded-lg overflow-hidden shadow-sm border">
+        <table className="w-full">
+          <thead className="bg-gradient-to-r from-purple-600 to-purple-800 text-white">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Payer</th>
+              <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Kind</th>
+              <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Cadence</th>
+              <th className="px-4 py-3 text-right text-xs uppercase tracking-wider">Deposits</th>
+              <th className="px-4 py-3 text-right text-xs uppercase tracking-wider">Average</th>
+              <th className="px-4 py-3 text-right text-xs uppercase tracking-wider">Total</th>
+              <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Seen</th>
+              <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Missed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sources.map(source => (
+              <tr key={source.payer} className="border-b hover:bg-gray-50">
+                <td className="px-4 py-3 text-gray-800 text-sm">
+                  <div className="font-semibold">{source.name}</div>
+                  <div className="text-xs text-gray-500">{source.types.join(', ')}</div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">{KIND_LABELS[source.kind] || source.kind}</td>
+                <td className="px-4 py-3 text-sm">
+                  <span
+                    className={`inline-block px-2 py-1 rounded-full text-xs font-semibold ${
+                      source.recurring ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                    }`}
+                  >
+                    {source.recurring ? CADENCES[source.cadence as keyof typeof CADENCES].label : 'Irregular'}
+                  </span>
+                </td>
+                <td className="px-4 py-3 text-sm text-right text-gray-800">{source.count}</td>
+                <td className="px-4 py-3 text-sm text-right text-gray-800">
+                  {formatMoney(source.averageAmount)}
+                  {source.count > 1 && (
+                    <div className="text-xs text-gray-500">± {formatMoney(source.amountStdDev)}</div>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm text-right font-bold text-green-600">{formatMoney(source.total)}</td>
+                <td className="px-4 py-3 text-xs text-gray-600 whitespace-nowrap">
+                  {source.firstSeen === source.lastSeen ? source.firstSeen : `${source.firstSeen} → ${source.lastSeen}`}
+                </td>
+                <td className="px-4 py-3 text-xs">
+                  {source.missedDates.length > 0 ? (
+                    <span className="text-yellow-700" title={source.missedDates.join(', ')}>
+                      {source.missedDates.length} expected deposit{source.missedDates.length > 1 ? 's' : ''} missing
+                    </span>
+                  ) : (
+                    <span className="text-gray-400">—</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
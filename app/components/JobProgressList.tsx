@@ -0,0 +1,182 @@
+'use client';
+
+const DEFAULT_CHUNK_SECONDS = 30;
+
+export interface JobProgress {
+  fileName: string;
+  status: 'queued' | 'running' | 'waiting' | 'merging' | 'completed' | 'failed' | 'cancelled';
+  totalPages?: number;
+  textPages?: number;
+  chunks: Array<'pending' | 'running' | 'done' | 'failed'>;
+  waitingUntil?: string;
+  chunkStartedAt?: string;
+  chunkDurationsMs: number[];
+  error?: string;
+}
+
+export const emptyProgress = (fileName: string): JobProgress => ({
+  fileName,
+  status: 'queued',
+  chunks: [],
+  chunkDurationsMs: []
+});
+
+// Fold one event from /api/jobs/:id/events into the file's progress
+export const applyJobEvent = (progress: JobProgress, event: any): JobProgress => {
+  const setChunk = (status: JobProgress['chunks'][number]) =>
+    progress.chunks.map((c, i) => (i === event.chunk - 1 ? status : c));
+
+  switch (event.type) {
+    case 'pdf_loaded':
+      return {
+        ...progress,
+        status: 'running',
+        totalPages: event.totalPages,
+        textPages: event.textPages,
+        chunks: Array(event.totalChunks).fill('pending')
+      };
+    case 'chunk_started':
+      return { ...progress, status: 'running', chunks: setChunk('running'), chunkStartedAt: event.at, waitingUntil: undefined };
+    case 'chunk_done':
+    case 'chunk_failed':
+      return {
+        ...progress,
+        chunks: setChunk(event.type === 'chunk_done' ? 'done' : 'failed'),
+        chunkDurationsMs: progress.chunkStartedAt
+          ? [...progress.chunkDurationsMs, new Date(event.at).getTime() - new Date(progress.chunkStartedAt).getTime()]
+          : progress.chunkDurationsMs,
+        chunkStartedAt: undefined,
+        error: event.error
+      };
+    case 'rate_limit_wait':
+      return { ...progress, status: 'waiting', waitingUntil: event.until };
+    case 'merging':
+      return { ...progress, status: 'merging', waitingUntil: undefined };
+    case 'completed':
+    case 'failed':
+    case 'cancelled':
+      return { ...progress, status: event.type, waitingUntil: undefined, error: event.error };
+    default:
+      return progress;
+  }
+};
+
+// Remaining chunks x observed chunk time, spread over the chunks the server
+// is running side by side, plus whatever is left of a rate-limit pause
+export const estimateSecondsLeft = (progress: JobProgress, now: number): number | null => {
+  if (progress.chunks.length === 0) return null;
+
+  const remaining = progress.chunks.filter(c => c === 'pending' || c === 'running').length;
+  if (remaining === 0) return 0;
+
+  const avgChunkSeconds = progress.chunkDurationsMs.length > 0
+    ? progress.chunkDurationsMs.reduce((a, b) => a + b, 0) / progress.chunkDurationsMs.length / 1000
+    : DEFAULT_CHUNK_SECONDS;
+
+  const currentWait = progress.waitingUntil
+    ? Math.max(0, (new Date(progress.waitingUntil).getTime() - now) / 1000)
+    : 0;
+  const runningElapsed = progress.chunkStartedAt
+    ? (now - new Date(progress.chunkStartedAt).getTime()) / 1000
+    : 0;
+
+  const parallel = Math.max(1, progress.chunks.filter(c => c === 'running').length);
+
+  return Math.max(0, Math.ceil(remaining / parallel) * avgChunkSeconds - runningElapsed + currentWait);
+};
+
+const formatDuration = (seconds: number) => {
+  const s = Math.round(seconds);
+  return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+};
+
+const describeStatus = (progress: JobProgress, now: number) => {
+  switch (progress.status) {
+    case 'queued':
+      return 'Queued';
+    case 'waiting':
+    case 'running': {
+      // Other chunks keep running while one waits, so a pause that is over
+      // reads as running again
+      const waitLeft = progress.waitingUntil ? (new Date(progress.waitingUntil).getTime() - now) / 1000 : 0;
+      if (progress.status === 'waiting' && waitLeft > 0) return `Waiting for rate limit - ${formatDuration(waitLeft)}`;
+
+      const running = progress.chunks.flatMap((c, i) => (c === 'running' ? [i + 1] : []));
+      const readLocally = progress.textPages ? ` (${progress.textPages} read from text layer)` : '';
+      return running.length > 0
+        ? `Analyzing chunk${running.length > 1 ? 's' : ''} ${running.join(', ')} of ${progress.chunks.length}${readLocally}`
+        : `Loaded ${progress.totalPages ?? '?'} pages${readLocally}`;
+    }
+    case 'merging':
+      return 'Merging chunk results';
+    case 'completed':
+      return 'Done';
+    case 'failed':
+      return `Failed${progress.error ? `: ${progress.error}` : ''}`;
+    case 'cancelled':
+      return 'Cancelled';
+  }
+};
+
+const chunkClass = {
+  pending: 'bg-gray-200',
+  running: 'bg-purple-400 animate-pulse',
+  done: 'bg-green-500',
+  failed: 'bg-red-500',
+};
+
+export default function JobProgressList({ jobs, now }: { jobs: JobProgress[]; now: number }) {
+  const totalChunks = jobs.reduce((sum, job) => sum + job.chunks.length, 0);
+  const finishedChunks = jobs.reduce(
+    (sum, job) => sum + job.chunks.filter(c => c === 'done' || c === 'failed').length,
+    0
+  );
+  const etas = jobs.map(job => estimateSecondsLeft(job, now));
+  const overallEta = etas.every(eta => eta !== null)
+    ? etas.reduce((sum, eta) => sum! + eta!, 0)
+    : null;
+
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="max-w-2xl mx-auto mt-8 text-left">
+      <div className="flex justify-between text-sm text-gray-600 mb-1">
+        <span>{finishedChunks} of {totalChunks || '?'} chunks processed</span>
+        {overallEta !== null && <span>~{formatDuration(overallEta)} remaining</span>}
+      </div>
+      <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden mb-6">
+        <div
+          className="h-full bg-gradient-to-r from-purple-600 to-purple-800 transition-all"
+          style={{ width: `${totalChunks > 0 ? (finishedChunks / totalChunks) * 100 : 0}%` }}
+        />
+      </div>
+
+      <div className="space-y-3">
+        {jobs.map((job, idx) => (
+          <div key={idx} className="bg-gray-50 rounded-lg p-4">
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-gray-800 font-semibold truncate">{job.fileName}</span>
+              <span className="text-xs text-gray-500 ml-3 whitespace-nowrap">
+                {etas[idx] ? `~${formatDuration(etas[idx]!)}` : ''}
+              </span>
+            </div>
+            {job.chunks.length > 0 && (
+              <div className="flex gap-1 mb-2">
+                {job.chunks.map((status, i) => (
+                  <div
+                    key={i}
+                    title={`Chunk ${i + 1}: ${status}`}
+                    className={`h-2 flex-1 rounded ${chunkClass[status]}`}
+                  />
+                ))}
+              </div>
+            )}
+            <div className={`text-xs ${job.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+              {describeStatus(job, now)}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+'use client';
+
+import { RULE_SETS, WINDOW_OPTIONS } from '@/lib/qualifying';
+
+interface QualificationStep {
+  label: string;
+  detail?: string;
+  amount?: number;
+}
+
+export interface Qualification {
+  ruleSet: string;
+  ruleSetLabel: string;
+  windowMonths: number;
+  monthsUsed: string[];
+  qualifyingMonthlyIncome: number;
+  steps: QualificationStep[];
+  warnings: string[];
+}
+
+const formatMoney = (value: number) =>
+  `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export default function QualifyingIncome({
+  qualification,
+  onRuleSetChange,
+  onWindowChange,
+}: {
+  qualification: Qualification;
+  onRuleSetChange: (ruleSet: string) => void;
+  onWindowChange: (windowMonths: number) => void;
+}) {
+  const ruleSet = RULE_SETS[qualification.ruleSet as keyof typeof RULE_SETS];
+
+  return (
+    <div className="mb-10 bg-white rounded-xl p-6 shadow-lg border-2 border-purple-200">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-4 pb-3 border-b-2">
+        <div>
+          <h3 className="text-2xl font-bold text-gray-800">🏦 Qualifying Income</h3>
+          <p className="text-sm text-gray-600 mt-1">{ruleSet.description}</p>
+        </div>
+        <div className="flex gap-3 items-center">
+          <select
+            value={qualification.ruleSet}
+            onChange={(e) => onRuleSetChange(e.target.value)}
+            className="border rounded-lg px-3 py-2 text-sm"
+          >
+            {Object.entries(RULE_SETS).map(([id, rules]) => (
+              <option key={id} value={id}>{rules.label}</option>
+            ))}
+          </select>
+          <select
+            value={qualification.windowMonths}
+            onChange={(e) => onWindowChange(Number(e.target.value))}
+            className="border rounded-lg px-3 py-2 text-sm"
+          >
+            {WINDOW_OPTIONS.map(months => (
+              <option key={months} value={months}>{months}-month average</option>
+            ))}
+          </select>
+          <div className="bg-gradient-to-r from-purple-600 to-purple-800 text-white px-4 py-2 rounded-lg text-lg font-bold">
+            {formatMoney(qualification.qualifyingMonthlyIncome)}/mo
+          </div>
+        </div>
+      </div>
+
+      {qualification.warnings.map((warning, i) => (
+        <div key={i} className="mb-3 p-3 rounded text-sm border-l-4 bg-yellow-50 border-yellow-500 text-yellow-800">
+          {warning}
+        </div>
+      ))}
+
+      <h5 className="text-xs uppercase tracking-wider text-gray-600 mb-3">How it was derived</h5>
+      <ol className="space-y-2">
+        {qualification.steps.map((step, i) => (
+          <li key={i} className="flex justify-between gap-4 text-sm border-b border-gray-100 pb-2">
+            <div>
+              <span className="font-semibold text-gray-800">{i + 1}. {step.label}</span>
+              {step.detail && <span className="text-gray-500"> — {step.detail}</span>}
+            </div>
+            {step.amount !== undefined && (
+              <span className={`font-mono whitespace-nowrap ${step.amount < 0 ? 'text-red-600' : 'text-gray-800'}`}>
+                {formatMoney(step.amount)}
+              </span>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { hasRole } from '@/lib/roles';
+
+export interface SessionUser {
+  id: string;
+  name: string;
+  role: 'uploader' | 'underwriter' | 'admin';
+  via: 'local' | 'oidc';
+}
+
+export const ROLE_LABELS: { [role: string]: string } = {
+  uploader: 'Uploader',
+  underwriter: 'Underwriter',
+  admin: 'Admin',
+};
+
+/**
+ * The signed-in user; null until the session has loaded. Without a session
+ * the browser is sent to the login page, which brings it back here.
+ */
+export function useSession() {
+  const [user, setUser] = useState<SessionUser | null>(null);
+
+  useEffect(() => {
+    fetch('/api/auth/session')
+      .then(response => response.json())
+      .then(data => {
+        if (data.user) {
+          setUser(data.user);
+          return;
+        }
+        const next = `${window.location.pathname}${window.location.search}`;
+        window.location.href = `/login?next=${encodeURIComponent(next)}`;
+      })
+      .catch(() => {
+        window.location.href = '/login';
+      });
+  }, []);
+
+  return user;
+}
+
+export default function SessionBar({ user }: { user: SessionUser }) {
+  const signOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.href = '/login';
+  };
+
+  return (
+    <div className="flex flex-wrap justify-end items-center gap-4 mb-4 text-sm text-white">
+      <span className="opacity-90">
+        Signed in as <span className="font-semibold">{user.name}</span> · {ROLE_LABELS[user.role] || user.role}
+      </span>
+      {hasRole(user, 'admin') && (
+        <>
+          <a href="/admin/rules" className="font-semibold underline opacity-90 hover:opacity-100">Rules</a>
+          <a href="/admin/users" className="font-semibold underline opacity-90 hover:opacity-100">Users</a>
+          <a href="/admin/api-clients" className="font-semibold underline opacity-90 hover:opacity-100">API clients</a>
+        </>
+      )}
+      <button onClick={signOut} className="font-semibold underline opacity-90 hover:opacity-100">
+        Sign out
+      </button>
+    </div>
+  );
+}
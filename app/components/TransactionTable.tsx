@@ -0,0 +1,184 @@
+'use client';
+
+import { useState } from 'react';
+import { CATEGORIES } from '@/lib/schema';
+import type { ReviewTransaction } from '@/lib/consolidate';
+
+const getTransactionTypeClass = (type: string) => {
+  const typeMap: { [key: string]: string } = {
+    'ACH Deposit': 'type-ach',
+    'Wire Transfer': 'type-wire',
+    'Zelle Transfer': 'type-zelle',
+    'Venmo': 'type-transfer',
+    'Cash App': 'type-transfer',
+    'PayPal': 'type-transfer',
+    'Bank Deposit': 'type-deposit',
+    'Check Deposit': 'type-deposit',
+    'Mobile Deposit': 'type-deposit',
+    'Direct Deposit': 'type-ach',
+    'Transfer In': 'type-transfer',
+  };
+  return typeMap[type] || 'type-deposit';
+};
+
+interface TransactionTableProps {
+  transactions: ReviewTransaction[];
+  reviewMode: boolean;
+  selectedIds: string[];
+  onToggleSelected: (tx: ReviewTransaction) => void;
+  onToggleIncluded: (tx: ReviewTransaction) => void;
+  onUpdate: (tx: ReviewTransaction, changes: { type?: string; source?: string }) => void;
+  onSplit: (tx: ReviewTransaction) => void;
+}
+
+export default function TransactionTable({
+  transactions,
+  reviewMode,
+  selectedIds,
+  onToggleSelected,
+  onToggleIncluded,
+  onUpdate,
+  onSplit,
+}: TransactionTableProps) {
+  // Source edits are held locally until the field loses focus
+  const [draftSources, setDraftSources] = useState<{ [id: string]: string }>({});
+
+  const commitSource = (tx: ReviewTransaction) => {
+    const draft = draftSources[tx.id];
+    setDraftSources(prev => {
+      const next = { ...prev };
+      delete next[tx.id];
+      return next;
+    });
+    if (draft !== undefined && draft.trim() && draft !== tx.source) {
+      onUpdate(tx, { source: draft.trim() });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg overflow-hidden shadow-sm border">
+      <table className="w-full">
+        <thead className="bg-gradient-to-r from-purple-600 to-purple-800 text-white">
+          <tr>
+            {reviewMode && <th className="px-2 py-3"></th>}
+            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Date</th>
+            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Type</th>
+            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Source</th>
+            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Account</th>
+            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Amount</th>
+            {reviewMode && <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Review</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {transactions.map((tx) => (
+            <tr key={tx.id} className={`border-b hover:bg-gray-50 ${tx.included ? '' : 'opacity-50'}`}>
+              {reviewMode && (
+                <td className="px-2 py-3">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(tx.id)}
+                    onChange={() => onToggleSelected(tx)}
+                    title="Select to merge"
+                  />
+                </td>
+              )}
+              <td className={`px-4 py-3 text-gray-800 text-sm ${tx.included ? '' : 'line-through'}`}>{tx.date}</td>
+              <td className="px-4 py-3">
+                {reviewMode ? (
+                  <select
+                    value={tx.type}
+                    onChange={(e) => onUpdate(tx, { type: e.target.value })}
+                    className="text-xs border rounded px-1 py-1"
+                  >
+                    {!CATEGORIES.includes(tx.type) && <option value={tx.type}>{tx.type}</option>}
+                    {CATEGORIES.map(category => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className={`inline-block px-2 py-1 rounded-full text-xs font-semibold ${getTransactionTypeClass(tx.type)}`}>
+                    {tx.type}
+                  </span>
+                )}
+              </td>
+              <td className="px-4 py-3 text-gray-800 text-sm">
+                {reviewMode ? (
+                  <input
+                    value={draftSources[tx.id] ?? tx.source}
+                    onChange={(e) => setDraftSources(prev => ({ ...prev, [tx.id]: e.target.value }))}
+                    onBlur={() => commitSource(tx)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                    className="w-full border rounded px-2 py-1 text-sm"
+                  />
+                ) : (
+                  <>
+                    {tx.source}
+                    {tx.manual && <span className="ml-2 text-xs text-purple-600 font-semibold">manual</span>}
+                  </>
+                )}
+              </td>
+              <td className="px-4 py-3 text-gray-600 text-sm font-mono">
+                ****{tx.accountNumber}
+                {tx.internalTransfer && (
+                  <span
+                    className="block text-xs text-purple-600 font-sans font-semibold"
+                    title={`${tx.internalTransfer.description} (${tx.internalTransfer.date})`}
+                  >
+                    internal transfer from {tx.internalTransfer.fromAccount}
+                  </span>
+                )}
+                {tx.duplicateOf && (
+                  <span className="block text-xs text-red-500 font-sans font-semibold">duplicate</span>
+                )}
+                {tx.copyOf && (
+                  <span className="block text-xs text-red-500 font-sans font-semibold" title={`Same deposit as ${tx.copyOf}`}>
+                    copy from another upload
+                  </span>
+                )}
+              </td>
+              <td className={`px-4 py-3 font-bold text-sm ${tx.included ? 'text-green-600' : 'text-gray-500 line-through'}`}>
+                ${tx.amount.toLocaleString('en-US', { minimumFractionDigits: 2 })}
+              </td>
+              {reviewMode && (
+                <td className="px-4 py-3 text-sm whitespace-nowrap">
+                  <button
+                    onClick={() => onToggleIncluded(tx)}
+                    className={`font-semibold mr-3 ${tx.included ? 'text-red-500 hover:text-red-700' : 'text-green-600 hover:text-green-800'}`}
+                  >
+                    {tx.included ? 'Exclude' : 'Include'}
+                  </button>
+                  <button onClick={() => onSplit(tx)} className="text-purple-600 hover:text-purple-800 font-semibold">
+                    Split
+                  </button>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <style jsx>{`
+        .type-deposit {
+          background-color: #d1f4e0;
+          color: #0d9e4a;
+        }
+        .type-ach {
+          background-color: #cfe2ff;
+          color: #084298;
+        }
+        .type-zelle {
+          background-color: #f8d7da;
+          color: #842029;
+        }
+        .type-wire {
+          background-color: #fff3cd;
+          color: #856404;
+        }
+        .type-transfer {
+          background-color: #e7d4f8;
+          color: #6f42c1;
+        }
+      `}</style>
+    </div>
+  );
+}
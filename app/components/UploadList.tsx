@@ -0,0 +1,199 @@
+'use client';
+
+import Image from 'next/image';
+import { useEffect, useState } from 'react';
+
+// One logical statement to analyze: a single file, or photographed pages
+// that the server assembles into one PDF in the order given here.
+export interface Upload {
+  id: string;
+  files: File[];
+  borrowerId?: string;
+}
+
+export interface Borrower {
+  id: string;
+  name: string;
+}
+
+interface PagePosition {
+  uploadId: string;
+  index: number;
+}
+
+export const isImage = (file: File) => /\.(jpe?g|png)$/i.test(file.name) || /^image\/(jpeg|png)$/.test(file.type);
+
+const stem = (name: string) => name.replace(/\.[^.]+$/, '');
+
+let nextId = 0;
+const newUpload = (files: File[]): Upload => ({ id: `upload-${Date.now()}-${nextId++}`, files });
+
+/**
+ * Name the statement is analyzed under. Photo groups get a name of their own
+ * since the server turns them into one PDF.
+ */
+export function uploadName(upload: Upload) {
+  return upload.files.length === 1
+    ? upload.files[0].name
+    : `${stem(upload.files[0].name)} (${upload.files.length} photos).pdf`;
+}
+
+/**
+ * Add newly picked files. Photos picked together are taken as the pages of
+ * one statement, in file name order (phones number their photos); documents
+ * are one statement each. Files already in the list are skipped.
+ */
+export function addFiles(uploads: Upload[], files: File[]): Upload[] {
+  const existing = new Set(uploads.flatMap(upload => upload.files.map(file => file.name)));
+  const added = files.filter(file => !existing.has(file.name));
+  const photos = added
+    .filter(isImage)
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+  return [
+    ...uploads,
+    ...added.filter(file => !isImage(file)).map(file => newUpload([file])),
+    ...(photos.length > 1 ? [newUpload(photos)] : photos.map(file => newUpload([file]))),
+  ];
+}
+
+// Move a photo before `to` (or to the end of a statement when `to.index` is
+// its length); statements left without pages disappear
+function movePage(uploads: Upload[], from: PagePosition, to: PagePosition): Upload[] {
+  const file = uploads.find(upload => upload.id === from.uploadId)?.files[from.index];
+  if (!file || (from.uploadId === to.uploadId && (from.index === to.index || from.index + 1 === to.index))) return uploads;
+
+  return uploads
+    .map(upload => {
+      let files = upload.files;
+      if (upload.id === to.uploadId) files = [...files.slice(0, to.index), file, ...files.slice(to.index)];
+      if (upload.id === from.uploadId) {
+        const at = upload.id === to.uploadId && to.index <= from.index ? from.index + 1 : from.index;
+        files = files.filter((_, i) => i !== at);
+      }
+      return { ...upload, files };
+    })
+    .filter(upload => upload.files.length > 0);
+}
+
+function splitPage(uploads: Upload[], from: PagePosition): Upload[] {
+  const at = uploads.findIndex(upload => upload.id === from.uploadId);
+  const file = uploads[at].files[from.index];
+  const rest = { ...uploads[at], files: uploads[at].files.filter((_, i) => i !== from.index) };
+  return [...uploads.slice(0, at), rest, { ...newUpload([file]), borrowerId: rest.borrowerId }, ...uploads.slice(at + 1)];
+}
+
+function Thumbnail({ file }: { file: File }) {
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  // An object URL only this browser can read, so it is shown as it is
+  return url ? <Image src={url} alt={file.name} width={80} height={96} unoptimized className="w-20 h-24 object-cover rounded border" /> : null;
+}
+
+export default function UploadList({
+  uploads,
+  onChange,
+  borrowers = [],
+}: {
+  uploads: Upload[];
+  onChange: (uploads: Upload[]) => void;
+  borrowers?: Borrower[];
+}) {
+  const [dragging, setDragging] = useState<PagePosition | null>(null);
+
+  if (uploads.length === 0) return null;
+
+  const dropOn = (to: PagePosition) => (e: React.DragEvent) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dragging) onChange(movePage(uploads, dragging, to));
+    setDragging(null);
+  };
+  const allowDrop = (e: React.DragEvent) => {
+    if (dragging) e.preventDefault();
+  };
+
+  return (
+    <div className="mt-6 bg-gray-50 rounded-xl p-6">
+      <h4 className="font-semibold text-gray-800 mb-1">Selected Files:</h4>
+      <p className="text-sm text-gray-500 mb-4">
+        Photos of one statement are analyzed together as one document. Drag photos to put the pages in order or to move a page to another statement.
+      </p>
+      <div className="space-y-2">
+        {uploads.map(upload => {
+          const photos = upload.files.every(isImage);
+          return (
+            <div
+              key={upload.id}
+              onDragOver={allowDrop}
+              onDrop={photos ? dropOn({ uploadId: upload.id, index: upload.files.length }) : undefined}
+              className="bg-white p-3 rounded-lg shadow-sm"
+            >
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <span className="text-2xl">{photos ? '📷' : '📄'}</span>
+                  <span className="text-gray-700">{uploadName(upload)}</span>
+                  <span className="text-gray-400 text-sm">
+                    ({(upload.files.reduce((sum, file) => sum + file.size, 0) / 1024 / 1024).toFixed(2)} MB)
+                  </span>
+                </div>
+                <div className="flex items-center gap-4">
+                  {borrowers.length > 1 && (
+                    <select
+                      value={upload.borrowerId || borrowers[0].id}
+                      onChange={(e) => onChange(uploads.map(other => (other.id === upload.id ? { ...other, borrowerId: e.target.value } : other)))}
+                      className="border rounded px-2 py-1 text-sm text-gray-700"
+                      title="Borrower this statement belongs to"
+                    >
+                      {borrowers.map(borrower => <option key={borrower.id} value={borrower.id}>{borrower.name}</option>)}
+                    </select>
+                  )}
+                  <button
+                    onClick={() => onChange(uploads.filter(other => other.id !== upload.id))}
+                    className="text-red-500 hover:text-red-700 font-semibold"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+
+              {photos && (
+                <div className="flex flex-wrap gap-3 mt-3">
+                  {upload.files.map((file, index) => (
+                    <div
+                      key={file.name}
+                      draggable
+                      onDragStart={() => setDragging({ uploadId: upload.id, index })}
+                      onDragEnd={() => setDragging(null)}
+                      onDragOver={allowDrop}
+                      onDrop={dropOn({ uploadId: upload.id, index })}
+                      className={`relative cursor-move text-center ${dragging?.uploadId === upload.id && dragging.index === index ? 'opacity-40' : ''}`}
+                      title={file.name}
+                    >
+                      <Thumbnail file={file} />
+                      <div className="text-xs text-gray-600 mt-1">Page {index + 1}</div>
+                      {upload.files.length > 1 && (
+                        <button
+                          onClick={() => onChange(splitPage(uploads, { uploadId: upload.id, index }))}
+                          className="text-xs text-purple-600 hover:text-purple-800"
+                        >
+                          Separate
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
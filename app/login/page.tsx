@@ -0,0 +1,105 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+// Only paths on this site, so a crafted link cannot send the user elsewhere
+const localPath = (path: string | null) => (path && /^\/(?![/\\])/.test(path) ? path : '/');
+
+export default function Login() {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [next, setNext] = useState('/');
+  const [oidc, setOidc] = useState(false);
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    setNext(localPath(params.get('next')));
+    setError(params.get('error'));
+
+    fetch('/api/auth/session')
+      .then(response => response.json())
+      .then(data => {
+        if (data.user) window.location.href = localPath(params.get('next'));
+        else setOidc(Boolean(data.methods?.oidc));
+      })
+      .catch(() => {});
+  }, []);
+
+  const signIn = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error);
+      window.location.href = next;
+    } catch (err: any) {
+      setError(err.message);
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 to-purple-900 p-5">
+      <div className="max-w-md mx-auto">
+        <div className="text-center text-white mb-8 mt-16">
+          <h1 className="text-4xl font-bold mb-3 drop-shadow-lg">💼 Income Verification Tool</h1>
+          <p className="text-lg opacity-90">Sign in to continue</p>
+        </div>
+
+        <div className="bg-white rounded-3xl shadow-2xl p-10">
+          {error && <p className="mb-6 text-sm text-red-600">{error}</p>}
+
+          {oidc && (
+            <>
+              <a
+                href={`/api/auth/oidc/login?next=${encodeURIComponent(next)}`}
+                className="block w-full text-center bg-gradient-to-r from-purple-600 to-purple-800 text-white font-semibold px-6 py-3 rounded-lg"
+              >
+                Sign in with single sign-on
+              </a>
+              <p className="my-6 text-center text-sm text-gray-400">or with a local account</p>
+            </>
+          )}
+
+          <form onSubmit={signIn} className="space-y-4">
+            <label className="block text-sm font-semibold text-gray-700">
+              Username
+              <input
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                autoComplete="username"
+                className="mt-1 block w-full border rounded-lg px-3 py-2 font-normal"
+              />
+            </label>
+            <label className="block text-sm font-semibold text-gray-700">
+              Password
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                className="mt-1 block w-full border rounded-lg px-3 py-2 font-normal"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={signingIn || !username || !password}
+              className="w-full border-2 border-purple-600 text-purple-600 px-6 py-3 rounded-lg font-semibold hover:bg-purple-600 hover:text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {signingIn ? 'Signing in...' : 'Sign in'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,34 +1,177 @@
 'use client';
 
-import { useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import './globals.css';
+import JobProgressList, { applyJobEvent, emptyProgress, JobProgress } from './components/JobProgressList';
+import TransactionTable from './components/TransactionTable';
+import AddTransactionForm, { ManualTransaction } from './components/AddTransactionForm';
+import AuditLog from './components/AuditLog';
+import IncomeSources from './components/IncomeSources';
+import QualifyingIncome from './components/QualifyingIncome';
+import DocumentIntegrity from './components/DocumentIntegrity';
+import AccountSummary from './components/AccountSummary';
+import DuplicateReview from './components/DuplicateReview';
+import UploadList, { addFiles, Borrower, isImage, Upload, uploadName } from './components/UploadList';
+import BorrowerSummary from './components/BorrowerSummary';
+import SessionBar, { useSession } from './components/SessionBar';
+import { consolidateMonths, ReviewTransaction, summarizeMonths } from '@/lib/consolidate';
+import { auditLogToCsv, createEdit } from '@/lib/review';
+import { reviewTransactions } from '@/lib/report';
+import { summarizeAccounts } from '@/lib/transfers';
+import { uploadFile } from '@/lib/upload-client';
+import type { SuspectedDuplicate } from '@/lib/duplicates';
+import { analyzeIncomeSources } from '@/lib/income-sources';
+import { summarizeBorrowers } from '@/lib/borrowers';
+import { calculateQualifyingIncome, statementPeriodsOf } from '@/lib/qualifying';
+import { hasRole } from '@/lib/roles';
+
+const POLL_INTERVAL_MS = 3000;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+interface FailedChunk {
+  chunk: number;
+  startPage: number;
+  endPage: number;
+  error: string;
+  validationErrors: string[] | null;
+}
+
+interface Reconciliation {
+  periodStart: string | null;
+  periodEnd: string | null;
+  month: string | null;
+  beginningBalance: number | null;
+  endingBalance: number | null;
+  statementDeposits: number | null;
+  extractedDeposits: number | null;
+  difference: number | null;
+  status: 'ok' | 'under' | 'over' | 'unavailable';
+  message: string;
+}
 
 interface FileResult {
+  jobId?: string;
   fileName: string;
+  borrowerId?: string;
   data: any;
   error?: string;
   chunksProcessed?: number;
+  failedChunks?: FailedChunk[];
+}
+
+interface SubmittedJob {
+  fileName: string;
+  jobId?: string;
+  error?: string;
 }
 
-interface ConsolidatedMonth {
-  month: string;
-  total: number;
-  categories: { [key: string]: { amount: number; count: number } };
-  transactions: Array<{
-    date: string;
-    type: string;
-    source: string;
-    amount: number;
-    accountNumber: string;
-  }>;
+interface CaseFile {
+  jobId: string;
+  fileName: string;
+  status: string;
 }
 
+interface Case {
+  id: string;
+  applicantName: string;
+  referenceId: string | null;
+  status: string;
+  borrowers: Borrower[];
+  accountOwners: { [accountKey: string]: string[] };
+  files: CaseFile[];
+  edits: any[];
+  qualification: { ruleSet: string; windowMonths: number | null };
+}
+
+const CASE_STATUS_LABELS: { [status: string]: string } = {
+  open: 'Open',
+  in_review: 'In review',
+  approved: 'Approved',
+  declined: 'Declined',
+  withdrawn: 'Withdrawn',
+};
+
 export default function Home() {
-  const [selectedFiles, setSelectedFiles] = useState<File[]>([]);
+  const user = useSession();
+  // Uploaders see the results; review edits, case decisions and exports are
+  // for underwriters
+  const canReview = hasRole(user, 'underwriter');
+  const [uploads, setUploads] = useState<Upload[]>([]);
+  const [forceReanalysis, setForceReanalysis] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [results, setResults] = useState<FileResult[]>([]);
   const [error, setError] = useState<string | null>(null);
   const [processingStatus, setProcessingStatus] = useState<string>('');
+  const activeJobs = useRef<SubmittedJob[]>([]);
+  const eventSources = useRef<EventSource[]>([]);
+  const [jobProgress, setJobProgress] = useState<{ [jobId: string]: JobProgress }>({});
+  const [now, setNow] = useState(() => Date.now());
+  const [reviewMode, setReviewMode] = useState(false);
+  const [edits, setEdits] = useState<any[]>([]);
+  const [selectedTxIds, setSelectedTxIds] = useState<string[]>([]);
+  const [addingToMonth, setAddingToMonth] = useState<string | null>(null);
+  const [exportingFormat, setExportingFormat] = useState<string | null>(null);
+  const [ruleSet, setRuleSet] = useState('conventional');
+  const [windowMonths, setWindowMonths] = useState<number | undefined>(undefined);
+  const [duplicates, setDuplicates] = useState<SuspectedDuplicate[]>([]);
+  const [currentCase, setCurrentCase] = useState<Case | null>(null);
+  const [applicantName, setApplicantName] = useState('');
+  const [referenceId, setReferenceId] = useState('');
+  const [coBorrowerName, setCoBorrowerName] = useState('');
+  const [addingStatements, setAddingStatements] = useState(false);
+
+  // Tick once a second while processing so countdowns and ETAs stay live
+  useEffect(() => {
+    if (!isProcessing) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isProcessing]);
+
+  // Suspected duplicates come from the server and are refreshed whenever the
+  // results or the review log change
+  useEffect(() => {
+    if (results.length === 0) {
+      setDuplicates([]);
+      return;
+    }
+
+    let stale = false;
+    fetch('/api/duplicates', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ results, edits }),
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (!stale && data.success) setDuplicates(data.duplicates);
+      })
+      // The warning is advisory: without it the results are still complete
+      .catch(() => {});
+
+    return () => { stale = true; };
+  }, [results, edits]);
+
+  // Subscribe to each job's progress stream
+  const watchJobs = useCallback((jobs: SubmittedJob[]) => {
+    setJobProgress(Object.fromEntries(
+      jobs.filter(job => job.jobId).map(job => [job.jobId, emptyProgress(job.fileName)])
+    ));
+
+    eventSources.current = jobs
+      .filter(job => job.jobId)
+      .map(({ jobId, fileName }) => {
+        const source = new EventSource(`/api/jobs/${jobId}/events`);
+        source.onmessage = (message) => {
+          const event = JSON.parse(message.data);
+          setJobProgress(prev => ({
+            ...prev,
+            [jobId!]: applyJobEvent(prev[jobId!] || emptyProgress(fileName), event)
+          }));
+          if (TERMINAL_STATUSES.includes(event.type)) source.close();
+        };
+        return source;
+      });
+  }, []);
 
   const handleFileSelect = (files: FileList | null) => {
     if (!files || files.length === 0) return;
@@ -36,11 +179,7 @@ export default function Home() {
     const fileArray = Array.from(files);
     console.log(`Selected ${fileArray.length} files:`, fileArray.map(f => f.name));
     
-    setSelectedFiles(prev => {
-      const existingNames = prev.map(f => f.name);
-      const newFiles = fileArray.filter(f => !existingNames.includes(f.name));
-      return [...prev, ...newFiles];
-    });
+    setUploads(prev => addFiles(prev, fileArray));
     setError(null);
   };
   
@@ -61,77 +200,250 @@ export default function Home() {
     e.stopPropagation();
   };
 
+  // Poll queued jobs until every one has finished, failed or been cancelled.
+  // Results are kept by upload index, since two files can share a name.
+  const waitForJobs = useCallback(async (jobs: SubmittedJob[]) => {
+    const finished = new Map<number, FileResult>();
+
+    jobs.forEach((job, i) => {
+      if (!job.jobId) {
+        finished.set(i, { fileName: job.fileName, data: null, error: job.error });
+      }
+    });
+
+    while (finished.size < jobs.length) {
+      for (let i = 0; i < jobs.length; i++) {
+        const { fileName, jobId } = jobs[i];
+        if (!jobId || finished.has(i)) continue;
+
+        try {
+          const response = await fetch(`/api/jobs/${jobId}`);
+          const data = await response.json();
+
+          if (!response.ok) {
+            throw new Error(data.details || data.error || `HTTP error! status: ${response.status}`);
+          }
+
+          const job = data.job;
+          if (job.status === 'completed') {
+            finished.set(i, {
+              jobId,
+              fileName,
+              data: job.result,
+              chunksProcessed: job.chunksProcessed || 1,
+              failedChunks: job.failedChunks || []
+            });
+          } else if (TERMINAL_STATUSES.includes(job.status)) {
+            finished.set(i, {
+              jobId,
+              fileName,
+              data: null,
+              error: job.status === 'cancelled' ? 'Cancelled' : job.error || 'Failed to analyze document',
+              failedChunks: job.failedChunks || []
+            });
+          } else {
+            const chunksDone = job.chunks.filter((c: any) => c.status === 'done' || c.status === 'failed').length;
+            setProcessingStatus(
+              job.chunks.length > 0
+                ? `Processing file ${i + 1} of ${jobs.length}: ${fileName} (chunk ${Math.min(chunksDone + 1, job.chunks.length)} of ${job.chunks.length})`
+                : `Queued file ${i + 1} of ${jobs.length}: ${fileName}`
+            );
+          }
+        } catch (err) {
+          finished.set(i, {
+            fileName,
+            data: null,
+            error: (err as Error).message || 'An error occurred',
+          });
+        }
+      }
+
+      if (finished.size < jobs.length) {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      }
+    }
+
+    activeJobs.current = [];
+    eventSources.current.forEach(source => source.close());
+    eventSources.current = [];
+    return jobs.map((_, i) => finished.get(i)!);
+  }, []);
+
+  // ─── Cases ──────────────────────────────────────────────────────────────────
+  // Every analysis belongs to a case on the server. Opening one loads its
+  // review state, waits for any statements still being analyzed (also after a
+  // reload) and consolidates the results of all of its files.
+  const openCase = useCallback(async (id: string, notQueued: FileResult[] = []): Promise<void> => {
+    const response = await fetch(`/api/cases/${id}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.details || data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const record: Case = data.case;
+    setCurrentCase(record);
+    setEdits(record.edits);
+    setRuleSet(record.qualification.ruleSet);
+    setWindowMonths(record.qualification.windowMonths ?? undefined);
+
+    const pending = record.files
+      .filter(file => !TERMINAL_STATUSES.includes(file.status))
+      .map(file => ({ fileName: file.fileName, jobId: file.jobId }));
+
+    if (pending.length > 0) {
+      activeJobs.current = pending;
+      setIsProcessing(true);
+      setProcessingStatus('Resuming analysis...');
+      watchJobs(pending);
+      await waitForJobs(pending);
+      return openCase(id, notQueued);
+    }
+
+    setResults([...data.results, ...notQueued]);
+    setIsProcessing(false);
+    setProcessingStatus('');
+  }, [waitForJobs, watchJobs]);
+
+  const saveCase = async (changes: Partial<Case>) => {
+    if (!currentCase) return;
+
+    try {
+      const response = await fetch(`/api/cases/${currentCase.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details || data.error || `HTTP error! status: ${response.status}`);
+      }
+      setCurrentCase(data.case);
+    } catch (err) {
+      setError(`Could not save the case: ${(err as Error).message}`);
+    }
+  };
+
+  const addCoBorrower = () => {
+    const name = window.prompt('Co-borrower name:');
+    if (!name || !name.trim() || !currentCase) return;
+    saveCase({ borrowers: [...currentCase.borrowers, { name: name.trim() } as Borrower] });
+  };
+
+  // Who a new statement can be uploaded for; before the case exists these
+  // are the ids it will give the names typed in
+  const uploadBorrowers: Borrower[] = currentCase
+    ? currentCase.borrowers
+    : [
+      { id: 'b1', name: applicantName.trim() || 'Applicant' },
+      ...(coBorrowerName.trim() ? [{ id: 'b2', name: coBorrowerName.trim() }] : []),
+    ];
+
+  // The case in the address (?case=<id>) is reopened once signed in
+  useEffect(() => {
+    const id = new URLSearchParams(window.location.search).get('case');
+    if (!id || !user) return;
+
+    openCase(id).catch(err => {
+      setError(`Could not open the case: ${(err as Error).message}`);
+      setIsProcessing(false);
+      setProcessingStatus('');
+    });
+  }, [user, openCase]);
+
   const processFiles = async () => {
-    if (selectedFiles.length === 0) return;
+    if (uploads.length === 0) return;
 
     setIsProcessing(true);
     setError(null);
-    setResults([]);
 
-    const fileResults: FileResult[] = [];
+    const jobs: SubmittedJob[] = [];
 
     try {
-      for (let i = 0; i < selectedFiles.length; i++) {
-        const file = selectedFiles[i];
-        setProcessingStatus(`Processing file ${i + 1} of ${selectedFiles.length}: ${file.name}`);
+      let caseId = currentCase?.id;
+      if (!caseId) {
+        setProcessingStatus('Creating case...');
+        const response = await fetch('/api/cases', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ applicantName, referenceId, coBorrowers: coBorrowerName.trim() ? [coBorrowerName] : [] }),
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.details || data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        caseId = data.case.id as string;
+        setCurrentCase(data.case);
+        window.history.replaceState(null, '', `/?case=${caseId}`);
+      }
+
+      for (let i = 0; i < uploads.length; i++) {
+        const upload = uploads[i];
+        const fileName = uploadName(upload);
+        const totalBytes = upload.files.reduce((sum, file) => sum + file.size, 0);
+        let uploadedBytes = 0;
+        const showProgress = (sent: number) => setProcessingStatus(
+          `Uploading file ${i + 1} of ${uploads.length}: ${fileName} (${Math.floor(((uploadedBytes + sent) / totalBytes) * 100)}%)`
+        );
 
         try {
-          const reader = new FileReader();
-          const fileData = await new Promise<string>((resolve, reject) => {
-            reader.onload = () => resolve(reader.result as string);
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-          });
+          // Each file goes up in raw chunks first; the analysis request only
+          // names the finished uploads
+          const uploadIds: string[] = [];
+          for (const file of upload.files) {
+            uploadIds.push(await uploadFile(file, showProgress));
+            uploadedBytes += file.size;
+          }
+
+          // Photos go up as the pages of one statement; the server cleans
+          // them up and assembles one PDF
+          const body = upload.files.every(isImage)
+            ? {
+              fileName,
+              pages: upload.files.map((file, page) => ({ fileName: file.name, uploadId: uploadIds[page] })),
+              force: forceReanalysis,
+              caseId,
+              borrowerId: upload.borrowerId,
+            }
+            : { fileName, uploadId: uploadIds[0], force: forceReanalysis, caseId, borrowerId: upload.borrowerId };
 
           const response = await fetch('/api/analyze-chunked', {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
             },
-            body: JSON.stringify({
-              fileData: fileData,
-              fileName: file.name,
-            }),
+            body: JSON.stringify(body),
           });
 
-          if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.details || `HTTP error! status: ${response.status}`);
-          }
-
           const data = await response.json();
 
-          if (data.success) {
-            fileResults.push({
-              fileName: file.name,
-              data: data.data,
-              chunksProcessed: data.chunksProcessed || 1
-            });
-          } else {
-            fileResults.push({
-              fileName: file.name,
-              data: null,
-              error: data.error || 'Failed to analyze document',
-            });
+          if (!response.ok || !data.success) {
+            throw new Error(data.details || data.error || `HTTP error! status: ${response.status}`);
           }
+
+          jobs.push({ fileName, jobId: data.jobId });
         } catch (err) {
-          fileResults.push({
-            fileName: file.name,
-            data: null,
+          jobs.push({
+            fileName,
             error: (err as Error).message || 'An error occurred',
           });
         }
-
-        // Add small delay between files to avoid burst/concurrent limits
-        if (i < selectedFiles.length - 1) {
-          setProcessingStatus(`Waiting 3 seconds before processing next file...`);
-          await new Promise(resolve => setTimeout(resolve, 3000));
-        }
       }
 
-      setResults(fileResults);
-      setIsProcessing(false);
-      setProcessingStatus('');
+      activeJobs.current = jobs;
+      watchJobs(jobs);
+      await waitForJobs(jobs);
+
+      // Consolidate the new statements with the ones already in the case;
+      // files that could not be queued are only shown, not saved
+      setUploads([]);
+      setAddingStatements(false);
+      await openCase(caseId, jobs
+        .filter(job => !job.jobId)
+        .map(job => ({ fileName: job.fileName, data: null, error: job.error })));
     } catch (err) {
       setError((err as Error).message || 'An error occurred');
       setIsProcessing(false);
@@ -139,138 +451,332 @@ export default function Home() {
     }
   };
 
+  const cancelProcessing = async () => {
+    setProcessingStatus('Cancelling...');
+    await Promise.all(
+      activeJobs.current
+        .filter(job => job.jobId)
+        .map(job => fetch(`/api/jobs/${job.jobId}/cancel`, { method: 'POST' }))
+    );
+  };
+
   const resetApp = () => {
-    setSelectedFiles([]);
+    setUploads([]);
     setResults([]);
     setError(null);
+    setEdits([]);
+    setReviewMode(false);
+    setSelectedTxIds([]);
+    setAddingToMonth(null);
+    setCurrentCase(null);
+    setApplicantName('');
+    setReferenceId('');
+    setCoBorrowerName('');
+    setAddingStatements(false);
+    setRuleSet('conventional');
+    setWindowMonths(undefined);
+    window.history.replaceState(null, '', '/');
   };
 
-  const removeFile = (index: number) => {
-    const newFiles = selectedFiles.filter((_, i) => i !== index);
-    setSelectedFiles(newFiles);
+  // ─── Manual review ──────────────────────────────────────────────────────────
+  // Every change needs a reason; it is stored as an audit entry under the
+  // signed-in reviewer and the reviewed figures are recomputed from the full log.
+  const recordEdit = (action: string, details: any) => {
+    if (!user || !canReview) {
+      window.alert('Review changes need the underwriter role.');
+      return false;
+    }
+
+    const reason = window.prompt('Reason for this change (recorded in the audit log):');
+    if (reason === null) return false;
+    if (!reason.trim()) {
+      window.alert('A reason is required for every change.');
+      return false;
+    }
+
+    const next = [...edits, createEdit(action, { user: user.name, reason: reason.trim(), ...details })];
+    setEdits(next);
+    saveCase({ edits: next });
+    return true;
   };
 
-  const getTransactionTypeClass = (type: string) => {
-    const typeMap: { [key: string]: string } = {
-      'ACH Deposit': 'type-ach',
-      'Wire Transfer': 'type-wire',
-      'Zelle Transfer': 'type-zelle',
-      'Venmo': 'type-transfer',
-      'Cash App': 'type-transfer',
-      'PayPal': 'type-transfer',
-      'Bank Deposit': 'type-deposit',
-      'Check Deposit': 'type-deposit',
-      'Mobile Deposit': 'type-deposit',
-      'Direct Deposit': 'type-ach',
-      'Transfer In': 'type-transfer',
-    };
-    return typeMap[type] || 'type-deposit';
+  const snapshot = (tx: ReviewTransaction) => ({
+    date: tx.date,
+    type: tx.type,
+    source: tx.source,
+    amount: tx.amount,
+    accountNumber: tx.accountNumber,
+    fileName: tx.fileName,
+  });
+
+  const toggleIncluded = (tx: ReviewTransaction) => {
+    recordEdit(tx.included ? 'exclude' : 'include', { txId: tx.id, before: snapshot(tx) });
   };
 
-  // Consolidate months across all files
-  const consolidateMonths = (): ConsolidatedMonth[] => {
-    const monthMap = new Map<string, ConsolidatedMonth>();
-
-    results.forEach(result => {
-      if (result.data && result.data.months) {
-        const accountNumber = result.data.accountNumber || 'N/A';
-        
-        result.data.months.forEach((month: any) => {
-          const monthKey = month.month;
-          
-          if (!monthMap.has(monthKey)) {
-            monthMap.set(monthKey, {
-              month: monthKey,
-              total: 0,
-              categories: {},
-              transactions: []
-            });
-          }
-          
-          const consolidated = monthMap.get(monthKey)!;
-          
-          // Add transactions with account number
-          if (month.transactions) {
-            month.transactions.forEach((tx: any) => {
-              consolidated.transactions.push({
-                ...tx,
-                accountNumber: accountNumber
-              });
-            });
-          }
-        });
-      }
+  const confirmDuplicate = (suspect: SuspectedDuplicate, exclude: ReviewTransaction) => {
+    const other = exclude.id === suspect.duplicate.id ? suspect.keep : suspect.duplicate;
+    recordEdit('duplicate', { txId: exclude.id, duplicateOf: other.id, before: snapshot(exclude) });
+  };
+
+  const dismissDuplicate = (suspect: SuspectedDuplicate) => {
+    recordEdit('not-duplicate', {
+      txIds: [suspect.keep.id, suspect.duplicate.id],
+      before: [snapshot(suspect.keep), snapshot(suspect.duplicate)],
     });
+  };
 
-    // Recalculate totals and categories for each consolidated month
-    monthMap.forEach(consolidated => {
-      consolidated.total = 0;
-      consolidated.categories = {};
-      
-      consolidated.transactions.forEach(tx => {
-        consolidated.total += tx.amount;
-        
-        if (!consolidated.categories[tx.type]) {
-          consolidated.categories[tx.type] = { amount: 0, count: 0 };
-        }
-        consolidated.categories[tx.type].amount += tx.amount;
-        consolidated.categories[tx.type].count += 1;
-      });
+  const updateTransaction = (tx: ReviewTransaction, changes: { type?: string; source?: string }) => {
+    const before = Object.fromEntries(Object.keys(changes).map(field => [field, (tx as any)[field]]));
+    recordEdit('update', { txId: tx.id, before, changes });
+  };
 
-      // Sort transactions by date
-      consolidated.transactions.sort((a, b) => 
-        new Date(a.date).getTime() - new Date(b.date).getTime()
-      );
-    });
+  const splitTransaction = (tx: ReviewTransaction) => {
+    const input = window.prompt(
+      `Split $${tx.amount.toFixed(2)} into amounts (comma separated, must add up to the original):`
+    );
+    if (!input) return;
+
+    const amounts = input.split(',').map(a => Number(a.trim()));
+    const sum = amounts.reduce((a, b) => a + b, 0);
+    if (amounts.length < 2 || amounts.some(a => !(a > 0)) || Math.abs(sum - tx.amount) > 0.005) {
+      window.alert(`Enter at least two positive amounts that add up to $${tx.amount.toFixed(2)}.`);
+      return;
+    }
 
-    // Convert to array and sort by date (newest first)
-    return Array.from(monthMap.values()).sort((a, b) => {
-      const dateA = new Date(a.month);
-      const dateB = new Date(b.month);
-      return dateB.getTime() - dateA.getTime();
+    recordEdit('split', {
+      txId: tx.id,
+      before: snapshot(tx),
+      parts: amounts.map(amount => ({ amount, type: tx.type, source: tx.source })),
     });
   };
 
-  // Consolidate months first
-  const consolidatedMonths = results.length > 0 ? consolidateMonths() : [];
+  const mergeSelected = () => {
+    const selected = reviewedTransactions.filter(tx => selectedTxIds.includes(tx.id));
+    if (selected.length < 2) return;
+
+    const earliest = [...selected].sort((a, b) => a.date.localeCompare(b.date))[0];
+    const merged = {
+      date: earliest.date,
+      type: earliest.type,
+      source: earliest.source,
+      amount: Math.round(selected.reduce((sum, tx) => sum + tx.amount, 0) * 100) / 100,
+      description: selected.map(tx => tx.description || tx.source).join(' + '),
+    };
+
+    if (recordEdit('merge', { txIds: selected.map(tx => tx.id), before: selected.map(snapshot), merged })) {
+      setSelectedTxIds([]);
+    }
+  };
+
+  const addTransaction = (tx: ManualTransaction) => {
+    if (recordEdit('add', { transaction: tx })) {
+      setAddingToMonth(null);
+    }
+  };
+
+  const downloadFile = (content: string | Blob, fileName: string, type: string) => {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const exportAuditLog = () => {
+    downloadFile(auditLogToCsv(edits), `income-review-audit-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+  };
+
+  // Reports are rendered server-side from the same results and review edits
+  // shown on screen
+  const exportReport = async (format: 'csv' | 'xlsx' | 'pdf') => {
+    setExportingFormat(format);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/report', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          format,
+          results,
+          edits,
+          qualification: { ruleSet, windowMonths },
+          borrowers: currentCase?.borrowers,
+          accountOwners: currentCase?.accountOwners,
+        }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const fileName = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1]
+        || `income-verification.${format}`;
+      downloadFile(await response.blob(), fileName, response.headers.get('Content-Type') || '');
+    } catch (err) {
+      setError(`Export failed: ${(err as Error).message}`);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  const formatMoney = (value: number | null) =>
+    value === null ? '—' : `$${value.toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+
+  const reconciliationClass: { [key: string]: string } = {
+    ok: 'bg-green-100 text-green-800',
+    under: 'bg-yellow-100 text-yellow-800',
+    over: 'bg-red-100 text-red-800',
+    unavailable: 'bg-gray-100 text-gray-600',
+  };
+
+  const reconciliationLabel: { [key: string]: string } = {
+    ok: 'Reconciled',
+    under: 'Below statement',
+    over: 'Exceeds statement',
+    unavailable: 'No totals',
+  };
+
+  // Consolidate months across all files, with transfers between the uploaded
+  // accounts excluded and reviewer edits replayed on top
+  const reviewedTransactions = reviewTransactions(results, edits);
+  const consolidatedMonths = results.length > 0 ? consolidateMonths(reviewedTransactions) : [];
+  const accounts = summarizeAccounts(reviewedTransactions, results);
+  const borrowerSummary = currentCase && currentCase.borrowers.length > 1
+    ? summarizeBorrowers({
+      transactions: reviewedTransactions,
+      results,
+      borrowers: currentCase.borrowers,
+      assigned: currentCase.accountOwners,
+      qualification: { ruleSet, windowMonths },
+    })
+    : null;
+  const incomeSources = analyzeIncomeSources(reviewedTransactions);
+  const qualification = calculateQualifyingIncome({
+    transactions: reviewedTransactions,
+    statementPeriods: statementPeriodsOf(results),
+    ruleSet,
+    windowMonths,
+  });
   const totalConsolidatedMonths = consolidatedMonths.length;
 
+  // Statement reconciliation entries from every file, tagged with their source
+  const reconciliations = results.flatMap(result =>
+    ((result.data?.reconciliation || []) as Reconciliation[]).map(rec => ({
+      ...rec,
+      fileName: result.fileName,
+      accountNumber: result.data?.accountNumber || 'N/A'
+    }))
+  );
+  const flagsForMonth = (month: string) =>
+    reconciliations.filter(rec => rec.month === month && (rec.status === 'under' || rec.status === 'over'));
+
+  const fileCount = uploads.reduce((sum, upload) => sum + upload.files.length, 0);
+
   // Calculate combined totals from consolidated months (not from original files)
-  const combinedTotals = {
-    totalIncome: consolidatedMonths.reduce((sum, month) => sum + month.total, 0),
-    totalTransactions: consolidatedMonths.reduce((sum, month) => sum + month.transactions.length, 0)
-  };
+  const combinedTotals = summarizeMonths(consolidatedMonths);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-600 to-purple-900 p-5">
       <div className="max-w-7xl mx-auto">
+        {user && <SessionBar user={user} />}
         <div className="text-center text-white mb-8">
           <h1 className="text-5xl font-bold mb-3 drop-shadow-lg">💼 Income Verification Tool</h1>
           <p className="text-xl opacity-90">Upload multiple bank statements and get instant income analysis</p>
+          <a href="/cases" className="inline-block mt-3 text-sm font-semibold underline opacity-90 hover:opacity-100">
+            📁 Saved cases
+          </a>
         </div>
 
         <div className="bg-white rounded-3xl shadow-2xl p-10">
-          
-          {!isProcessing && results.length === 0 && (
+
+          {currentCase && (
+            <div className="flex flex-wrap items-center gap-4 mb-8 p-4 bg-gray-50 rounded-xl">
+              <div>
+                <div className="text-lg font-bold text-gray-800">
+                  {currentCase.borrowers.map(borrower => borrower.name).join(' & ')}
+                  <button
+                    onClick={addCoBorrower}
+                    className="ml-3 text-sm font-semibold text-purple-600 hover:text-purple-800"
+                  >
+                    + Co-borrower
+                  </button>
+                </div>
+                <div className="text-sm text-gray-500">
+                  {currentCase.referenceId ? `Ref. ${currentCase.referenceId} · ` : ''}
+                  {currentCase.files.length} statement{currentCase.files.length !== 1 ? 's' : ''} in this case
+                </div>
+              </div>
+              <label className="ml-auto text-sm font-semibold text-gray-700">
+                Status
+                <select
+                  value={currentCase.status}
+                  onChange={(e) => saveCase({ status: e.target.value })}
+                  disabled={!canReview}
+                  className="ml-2 border rounded px-2 py-1 font-normal"
+                >
+                  {Object.entries(CASE_STATUS_LABELS).map(([status, label]) => (
+                    <option key={status} value={status}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {!isProcessing && (results.length === 0 || addingStatements) && (
             <div>
+              {!currentCase && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                  <label className="text-sm font-semibold text-gray-700">
+                    Applicant name
+                    <input
+                      value={applicantName}
+                      onChange={(e) => setApplicantName(e.target.value)}
+                      placeholder="As it appears on the application"
+                      className="mt-1 block w-full border rounded-lg px-3 py-2 font-normal"
+                    />
+                  </label>
+                  <label className="text-sm font-semibold text-gray-700">
+                    Co-borrower name
+                    <input
+                      value={coBorrowerName}
+                      onChange={(e) => setCoBorrowerName(e.target.value)}
+                      placeholder="Joint applications only"
+                      className="mt-1 block w-full border rounded-lg px-3 py-2 font-normal"
+                    />
+                  </label>
+                  <label className="text-sm font-semibold text-gray-700">
+                    Loan or reference ID
+                    <input
+                      value={referenceId}
+                      onChange={(e) => setReferenceId(e.target.value)}
+                      placeholder="Optional"
+                      className="mt-1 block w-full border rounded-lg px-3 py-2 font-normal"
+                    />
+                  </label>
+                </div>
+              )}
+
               <div
                 onDrop={handleDrop}
                 onDragOver={handleDragOver}
                 onClick={() => document.getElementById('fileInput')?.click()}
                 className={`border-4 border-dashed rounded-2xl p-16 text-center cursor-pointer transition-all ${
-                  selectedFiles.length > 0
+                  uploads.length > 0
                     ? 'border-green-500 bg-green-50'
                     : 'border-purple-400 bg-gradient-to-br from-gray-50 to-purple-50 hover:border-purple-600 hover:bg-purple-100'
                 }`}
               >
                 <div className="text-6xl mb-5">📄</div>
                 <h3 className="text-2xl font-semibold text-gray-800 mb-3">
-                  {selectedFiles.length > 0 
-                    ? `✓ ${selectedFiles.length} file${selectedFiles.length > 1 ? 's' : ''} selected` 
+                  {uploads.length > 0 
+                    ? `✓ ${fileCount} file${fileCount > 1 ? 's' : ''} selected` 
                     : 'Drag & Drop Your Statements'}
                 </h3>
                 <p className="text-gray-600 text-lg">
-                  {selectedFiles.length > 0 
+                  {uploads.length > 0 
                     ? 'Click to add more files or process selected files' 
                     : 'or click to browse (Multiple files supported - PDF, Word, Images)'}
                 </p>
@@ -288,30 +794,7 @@ export default function Home() {
                 />
               </div>
 
-              {selectedFiles.length > 0 && (
-                <div className="mt-6 bg-gray-50 rounded-xl p-6">
-                  <h4 className="font-semibold text-gray-800 mb-4">Selected Files:</h4>
-                  <div className="space-y-2">
-                    {selectedFiles.map((file, index) => (
-                      <div key={index} className="flex items-center justify-between bg-white p-3 rounded-lg shadow-sm">
-                        <div className="flex items-center gap-3">
-                          <span className="text-2xl">📄</span>
-                          <span className="text-gray-700">{file.name}</span>
-                          <span className="text-gray-400 text-sm">
-                            ({(file.size / 1024 / 1024).toFixed(2)} MB)
-                          </span>
-                        </div>
-                        <button
-                          onClick={() => removeFile(index)}
-                          className="text-red-500 hover:text-red-700 font-semibold"
-                        >
-                          Remove
-                        </button>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              )}
+              <UploadList uploads={uploads} onChange={setUploads} borrowers={uploadBorrowers} />
 
               {error && (
                 <div className="mt-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded">
@@ -321,13 +804,33 @@ export default function Home() {
               )}
 
               <div className="text-center mt-6">
+                <label className="block text-sm text-gray-600 mb-4">
+                  <input
+                    type="checkbox"
+                    checked={forceReanalysis}
+                    onChange={(e) => setForceReanalysis(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Re-analyze files that were analyzed before instead of using the cached results
+                </label>
                 <button
                   onClick={processFiles}
-                  disabled={selectedFiles.length === 0}
+                  disabled={uploads.length === 0 || (!currentCase && !applicantName.trim())}
                   className="bg-gradient-to-r from-purple-600 to-purple-800 text-white px-12 py-4 rounded-xl text-xl font-semibold shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed transition-all hover:scale-105"
                 >
-                  Process {selectedFiles.length} Statement{selectedFiles.length !== 1 ? 's' : ''}
+                  {addingStatements ? 'Add' : 'Process'} {uploads.length} Statement{uploads.length !== 1 ? 's' : ''}
                 </button>
+                {!currentCase && !applicantName.trim() && (
+                  <p className="text-sm text-gray-500 mt-3">Enter the applicant name to start a case.</p>
+                )}
+                {addingStatements && (
+                  <button
+                    onClick={() => { setAddingStatements(false); setUploads([]); }}
+                    className="block mx-auto mt-4 text-purple-600 font-semibold hover:underline"
+                  >
+                    ← Back to results
+                  </button>
+                )}
               </div>
             </div>
           )}
@@ -337,24 +840,85 @@ export default function Home() {
               <div className="inline-block w-16 h-16 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin mb-6"></div>
               <p className="text-xl text-gray-700 font-semibold">{processingStatus}</p>
               <p className="text-gray-500 mt-3">Extracting transactions and categorizing income sources</p>
-              <p className="text-sm text-purple-600 mt-2">
-                💡 Large files (12+ pages) are automatically split into chunks. Each chunk takes ~90 seconds to process.
+              <JobProgressList jobs={Object.values(jobProgress)} now={now} />
+              <p className="text-sm text-purple-600 mt-6">
+                💡 Large files (12+ pages) are automatically split into chunks, processed side by side as far as the rate limit of the model allows.
               </p>
+              <p className="text-sm text-gray-500 mt-2">
+                Processing continues on the server - you can reload this page and it will pick up where it left off.
+              </p>
+              <button
+                onClick={cancelProcessing}
+                className="mt-6 border-2 border-red-500 text-red-500 px-6 py-2 rounded-lg font-semibold hover:bg-red-500 hover:text-white transition-all"
+              >
+                Cancel
+              </button>
             </div>
           )}
 
-          {results.length > 0 && (
+          {!isProcessing && !addingStatements && results.length > 0 && (
             <div>
               <div className="flex justify-between items-center mb-8 pb-6 border-b-2">
                 <h2 className="text-4xl font-bold text-gray-800">📊 Analysis Results</h2>
-                <button
-                  onClick={resetApp}
-                  className="border-2 border-purple-600 text-purple-600 px-6 py-3 rounded-lg font-semibold hover:bg-purple-600 hover:text-white transition-all"
-                >
-                  New Analysis
-                </button>
+                <div className="flex gap-3">
+                  {canReview && (['pdf', 'xlsx', 'csv'] as const).map(format => (
+                    <button
+                      key={format}
+                      onClick={() => exportReport(format)}
+                      disabled={exportingFormat !== null}
+                      className="border-2 border-purple-600 text-purple-600 px-4 py-3 rounded-lg font-semibold hover:bg-purple-600 hover:text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {exportingFormat === format ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+                    </button>
+                  ))}
+                  {canReview && (
+                    <button
+                      onClick={() => { setReviewMode(!reviewMode); setSelectedTxIds([]); setAddingToMonth(null); }}
+                      className={`border-2 border-purple-600 px-6 py-3 rounded-lg font-semibold transition-all ${
+                        reviewMode ? 'bg-purple-600 text-white' : 'text-purple-600 hover:bg-purple-600 hover:text-white'
+                      }`}
+                    >
+                      {reviewMode ? 'Done Reviewing' : 'Review Mode'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => { setAddingStatements(true); setReviewMode(false); setError(null); }}
+                    className="border-2 border-purple-600 text-purple-600 px-6 py-3 rounded-lg font-semibold hover:bg-purple-600 hover:text-white transition-all"
+                  >
+                    Add Statements
+                  </button>
+                  <button
+                    onClick={resetApp}
+                    className="border-2 border-purple-600 text-purple-600 px-6 py-3 rounded-lg font-semibold hover:bg-purple-600 hover:text-white transition-all"
+                  >
+                    New Analysis
+                  </button>
+                </div>
               </div>
 
+              {error && (
+                <div className="mb-8 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded">
+                  <p className="font-semibold">Error:</p>
+                  <p>{error}</p>
+                </div>
+              )}
+
+              {reviewMode && (
+                <div className="flex flex-wrap items-center gap-4 mb-8 p-4 bg-purple-50 border-l-4 border-purple-600 rounded">
+                  <span className="text-sm font-semibold text-gray-700">Reviewing as {user?.name}</span>
+                  <span className="text-sm text-gray-600">
+                    Every change asks for a reason and is recorded in the audit log.
+                  </span>
+                  <button
+                    onClick={mergeSelected}
+                    disabled={selectedTxIds.length < 2}
+                    className="ml-auto bg-purple-600 text-white px-4 py-2 rounded-lg text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Merge selected ({selectedTxIds.length})
+                  </button>
+                </div>
+              )}
+
               <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-10">
                 <div className="bg-gradient-to-br from-purple-600 to-purple-800 text-white p-8 rounded-2xl shadow-lg">
                   <h3 className="text-sm uppercase tracking-wider opacity-90 mb-3">Total Income (All Files)</h3>
@@ -367,9 +931,7 @@ export default function Home() {
                 <div className="bg-gradient-to-br from-purple-600 to-purple-800 text-white p-8 rounded-2xl shadow-lg">
                   <h3 className="text-sm uppercase tracking-wider opacity-90 mb-3">Average Monthly Income</h3>
                   <div className="text-4xl font-bold mb-2">
-                    ${totalConsolidatedMonths > 0 
-                      ? (combinedTotals.totalIncome / totalConsolidatedMonths).toLocaleString('en-US', { minimumFractionDigits: 2 })
-                      : '0.00'}
+                    ${combinedTotals.averageMonthlyIncome.toLocaleString('en-US', { minimumFractionDigits: 2 })}
                   </div>
                   <div className="text-sm opacity-80">
                     Across {totalConsolidatedMonths} month{totalConsolidatedMonths !== 1 ? 's' : ''}
@@ -391,12 +953,132 @@ export default function Home() {
                 </div>
               </div>
 
+              <QualifyingIncome
+                qualification={qualification}
+                onRuleSetChange={(id) => {
+                  setRuleSet(id);
+                  setWindowMonths(undefined);
+                  if (canReview) saveCase({ qualification: { ruleSet: id, windowMonths: null } });
+                }}
+                onWindowChange={(months) => {
+                  setWindowMonths(months);
+                  if (canReview) saveCase({ qualification: { ruleSet, windowMonths: months } });
+                }}
+              />
+
+              <AccountSummary accounts={accounts} />
+
+              {borrowerSummary && (
+                <BorrowerSummary
+                  borrowers={borrowerSummary.borrowers}
+                  combined={borrowerSummary.combined}
+                  accounts={accounts}
+                  onOwnersChange={canReview
+                    ? (key, borrowerIds) => saveCase({ accountOwners: { ...currentCase!.accountOwners, [key]: borrowerIds } })
+                    : undefined}
+                />
+              )}
+
+              <DocumentIntegrity files={results.map(r => ({ fileName: r.fileName, tamper: r.data?.tamper || null }))} />
+
+              {/* Files or chunks the model could not extract */}
+              {results.some(r => r.error || (r.failedChunks && r.failedChunks.length > 0)) && (
+                <div className="mb-10 p-6 bg-yellow-50 border-l-4 border-yellow-500 rounded-lg">
+                  <h3 className="text-lg font-bold text-yellow-800 mb-3">⚠️ Incomplete Extraction</h3>
+                  <p className="text-sm text-yellow-800 mb-4">
+                    The pages below were not included in the totals. Review them manually or re-run the analysis.
+                  </p>
+                  <ul className="space-y-3">
+                    {results.filter(r => r.error || (r.failedChunks && r.failedChunks.length > 0)).map(r => (
+                      <li key={r.fileName} className="text-sm text-gray-800">
+                        <span className="font-semibold">{r.fileName}</span>
+                        {r.error && <span className="text-red-600"> - {r.error}</span>}
+                        {r.failedChunks && r.failedChunks.length > 0 && (
+                          <ul className="ml-5 mt-1 list-disc">
+                            {r.failedChunks.map(fc => (
+                              <li key={fc.chunk}>
+                                Chunk {fc.chunk} (pages {fc.startPage}-{fc.endPage}): {fc.error}
+                                {fc.validationErrors && fc.validationErrors.length > 0 && (
+                                  <details className="mt-1">
+                                    <summary className="cursor-pointer text-xs text-gray-500">
+                                      {fc.validationErrors.length} validation error{fc.validationErrors.length > 1 ? 's' : ''}
+                                    </summary>
+                                    <ul className="ml-4 text-xs text-gray-600 font-mono">
+                                      {fc.validationErrors.map((ve, i) => <li key={i}>{ve}</li>)}
+                                    </ul>
+                                  </details>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Extracted deposits vs. the totals printed on each statement */}
+              {reconciliations.length > 0 && (
+                <div className="mb-10">
+                  <h3 className="text-2xl font-bold text-gray-800 mb-6">🧮 Statement Reconciliation</h3>
+                  <div className="bg-white rounded-lg overflow-hidden shadow-sm border">
+                    <table className="w-full">
+                      <thead className="bg-gradient-to-r from-purple-600 to-purple-800 text-white">
+                        <tr>
+                          <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Statement</th>
+                          <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Period</th>
+                          <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Begin / End Balance</th>
+                          <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Statement Deposits</th>
+                          <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Extracted</th>
+                          <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Difference</th>
+                          <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {reconciliations.map((rec, idx) => (
+                          <tr key={idx} className={`border-b ${rec.status === 'over' ? 'bg-red-50' : rec.status === 'under' ? 'bg-yellow-50' : ''}`}>
+                            <td className="px-4 py-3 text-gray-800 text-sm">
+                              {rec.fileName}
+                              <div className="text-gray-500 text-xs font-mono">****{rec.accountNumber}</div>
+                            </td>
+                            <td className="px-4 py-3 text-gray-800 text-sm">{rec.periodStart ?? '?'} - {rec.periodEnd ?? '?'}</td>
+                            <td className="px-4 py-3 text-gray-600 text-sm">
+                              {formatMoney(rec.beginningBalance)} / {formatMoney(rec.endingBalance)}
+                            </td>
+                            <td className="px-4 py-3 text-gray-800 text-sm">{formatMoney(rec.statementDeposits)}</td>
+                            <td className="px-4 py-3 text-gray-800 text-sm">{formatMoney(rec.extractedDeposits)}</td>
+                            <td className="px-4 py-3 text-gray-800 text-sm font-semibold">{formatMoney(rec.difference)}</td>
+                            <td className="px-4 py-3 text-sm" title={rec.message}>
+                              <span className={`inline-block px-2 py-1 rounded-full text-xs font-semibold ${reconciliationClass[rec.status]}`}>
+                                {reconciliationLabel[rec.status]}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              <DuplicateReview duplicates={duplicates} onConfirm={confirmDuplicate} onDismiss={dismissDuplicate} />
+
+              <IncomeSources sources={incomeSources} />
+
               {/* Consolidated Monthly Breakdown */}
               <div className="mb-10">
                 <h3 className="text-2xl font-bold text-gray-800 mb-6">📅 Consolidated by Month</h3>
                 
                 {consolidatedMonths.map((month, idx) => (
-                  <div key={idx} className="bg-white rounded-xl p-6 mb-4 shadow-lg border-2 border-gray-200">
+                  <div
+                    key={idx}
+                    className={`bg-white rounded-xl p-6 mb-4 shadow-lg border-2 ${
+                      flagsForMonth(month.month).some(f => f.status === 'over')
+                        ? 'border-red-400'
+                        : flagsForMonth(month.month).length > 0 ? 'border-yellow-400' : 'border-gray-200'
+                    }`}
+                  >
                     {/* Month Header */}
                     <div className="flex justify-between items-center mb-4 pb-3 border-b-2">
                       <h4 className="text-xl font-bold text-gray-800">📅 {month.month}</h4>
@@ -405,6 +1087,18 @@ export default function Home() {
                       </div>
                     </div>
 
+                    {flagsForMonth(month.month).map((flag, flagIdx) => (
+                      <div
+                        key={flagIdx}
+                        className={`mb-4 p-3 rounded text-sm border-l-4 ${
+                          flag.status === 'over' ? 'bg-red-50 border-red-500 text-red-800' : 'bg-yellow-50 border-yellow-500 text-yellow-800'
+                        }`}
+                      >
+                        <span className="font-semibold">{flag.fileName}:</span> {flag.message}
+                        {' '}(statement {formatMoney(flag.statementDeposits)}, extracted {formatMoney(flag.extractedDeposits)})
+                      </div>
+                    ))}
+
                     {/* Category Breakdown */}
                     <h5 className="text-xs uppercase tracking-wider text-gray-600 mb-3">Category Breakdown</h5>
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
@@ -422,67 +1116,41 @@ export default function Home() {
                     </div>
 
                     {/* Transaction Table with Account Number */}
-                    <h5 className="text-xs uppercase tracking-wider text-gray-600 mb-3">Transaction Details</h5>
-                    <div className="bg-white rounded-lg overflow-hidden shadow-sm border">
-                      <table className="w-full">
-                        <thead className="bg-gradient-to-r from-purple-600 to-purple-800 text-white">
-                          <tr>
-                            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Date</th>
-                            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Type</th>
-                            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Source</th>
-                            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Account</th>
-                            <th className="px-4 py-3 text-left text-xs uppercase tracking-wider">Amount</th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {month.transactions.map((tx: any, txIdx: number) => (
-                            <tr key={txIdx} className="border-b hover:bg-gray-50">
-                              <td className="px-4 py-3 text-gray-800 text-sm">{tx.date}</td>
-                              <td className="px-4 py-3">
-                                <span className={`inline-block px-2 py-1 rounded-full text-xs font-semibold ${getTransactionTypeClass(tx.type)}`}>
-                                  {tx.type}
-                                </span>
-                              </td>
-                              <td className="px-4 py-3 text-gray-800 text-sm">{tx.source}</td>
-                              <td className="px-4 py-3 text-gray-600 text-sm font-mono">****{tx.accountNumber}</td>
-                              <td className="px-4 py-3 text-green-600 font-bold text-sm">
-                                ${tx.amount.toLocaleString('en-US', { minimumFractionDigits: 2 })}
-                              </td>
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
+                    <div className="flex justify-between items-center mb-3">
+                      <h5 className="text-xs uppercase tracking-wider text-gray-600">Transaction Details</h5>
+                      {reviewMode && addingToMonth !== month.month && (
+                        <button
+                          onClick={() => setAddingToMonth(month.month)}
+                          className="text-sm text-purple-600 hover:text-purple-800 font-semibold"
+                        >
+                          + Add transaction
+                        </button>
+                      )}
                     </div>
+                    {reviewMode && addingToMonth === month.month && (
+                      <AddTransactionForm onAdd={addTransaction} onCancel={() => setAddingToMonth(null)} />
+                    )}
+                    <TransactionTable
+                      transactions={month.transactions}
+                      reviewMode={reviewMode}
+                      selectedIds={selectedTxIds}
+                      onToggleSelected={(tx) => setSelectedTxIds(prev =>
+                        prev.includes(tx.id) ? prev.filter(id => id !== tx.id) : [...prev, tx.id]
+                      )}
+                      onToggleIncluded={toggleIncluded}
+                      onUpdate={updateTransaction}
+                      onSplit={splitTransaction}
+                    />
                   </div>
                 ))}
               </div>
+
+              <AuditLog edits={edits} onExport={exportAuditLog} />
             </div>
           )}
         </div>
       </div>
 
-      <style jsx>{`
-        .type-deposit {
-          background-color: #d1f4e0;
-          color: #0d9e4a;
-        }
-        .type-ach {
-          background-color: #cfe2ff;
-          color: #084298;
-        }
-        .type-zelle {
-          background-color: #f8d7da;
-          color: #842029;
-        }
-        .type-wire {
-          background-color: #fff3cd;
-          color: #856404;
-        }
-        .type-transfer {
-          background-color: #e7d4f8;
-          color: #6f42c1;
-        }
-      `}</style>
     </div>
   );
 }
\ No newline at end of file
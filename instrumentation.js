@@ -0,0 +1,8 @@
+// Runs once when the server starts: resume queued analyses and pending
+// webhook deliveries without waiting for the first request
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { startWorker } = await import('./lib/jobs.js');
+    startWorker();
+  }
+}
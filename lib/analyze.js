@@ -0,0 +1,110 @@
+import { getProvider } from './llm/index.js';
+import { log } from './log.js';
+import { getLongPrompt, getShortPrompt, REDACTED_TEXT_NOTE } from './prompts.js';
+import { AnalysisValidationError, parseModelJson, repairAnalysis, validateAnalysis } from './schema.js';
+import { DOC_MIME_TYPE, DOCX_MIME_TYPE } from './word.js';
+
+export const CHUNK_SIZE = 12;
+const MAX_REPROMPTS = 2;
+
+const hasSignature = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+
+/**
+ * MIME type of an upload from its leading bytes, never from the file name,
+ * which is whatever the applicant called it. A .docx is a zip archive told
+ * apart from other zips by its word/document.xml part; a .doc is an OLE
+ * compound file. Null for anything we cannot read.
+ */
+export function detectMimeType(bytes) {
+  const data = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+
+  // PDF readers accept the header anywhere in the first kilobyte
+  if (data.subarray(0, 1024).includes('%PDF-')) return 'application/pdf';
+  if (hasSignature(data, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (hasSignature(data, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+  if (hasSignature(data, [0x50, 0x4B, 0x03, 0x04]) && data.includes('word/document.xml')) return DOCX_MIME_TYPE;
+  if (hasSignature(data, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return DOC_MIME_TYPE;
+  return null;
+}
+
+// Appended to the original prompt when the previous answer was unusable
+function getRepromptSuffix(errors, truncated) {
+  return `
+
+===================================================================
+YOUR PREVIOUS RESPONSE WAS REJECTED
+===================================================================
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+${truncated ? '\nYour response was cut off before the JSON was complete. Return compact JSON with no indentation and omit the "categories" objects.\n' : ''}
+Fix every problem listed above and return the COMPLETE corrected JSON for this document - no explanations, no markdown fences.`;
+}
+
+/**
+ * Prompt for one chunk of a document, or for a whole document when it is
+ * not split. Part of a chunk's cache key, so prompt changes miss the cache.
+ * `redactedText` chunks are the redacted text of the pages, not the PDF.
+ */
+export function chunkPrompt(isLargeFile, chunkNumber, totalChunks, rules, redactedText = false) {
+  const prompt = isLargeFile
+    ? getLongPrompt(chunkNumber, totalChunks, rules)
+    : getShortPrompt(rules);
+  return redactedText ? prompt + REDACTED_TEXT_NOTE : prompt;
+}
+
+/**
+ * Send one document (or one chunk of a document) to the model and return the
+ * parsed, schema-checked analysis JSON.
+ *
+ * Output that fails validation is repaired locally first; if it is still
+ * invalid the model is re-prompted with the validation errors, up to
+ * MAX_REPROMPTS times. Throws AnalysisValidationError if it never validates.
+ * `rules` is the classification rule set for the prompt and normalization;
+ * the built-in one when omitted. `options.mimeType` is needed for redacted
+ * text (lib/redact.js), which has no signature to detect; `onWait` and
+ * `signal` are passed to the provider's rate limiter.
+ */
+export async function analyzeChunk(fileData, fileName, isLargeFile = false, chunkNumber = 1, totalChunks = 1, rules, options = {}) {
+  const { mimeType: givenMimeType, ...schedule } = options;
+  const base64Data = fileData.split(',')[1] || fileData;
+  const mimeType = givenMimeType || detectMimeType(Buffer.from(base64Data, 'base64'));
+
+  const basePrompt = chunkPrompt(isLargeFile, chunkNumber, totalChunks, rules, mimeType === 'text/plain');
+
+  let prompt = basePrompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPROMPTS; attempt++) {
+    if (attempt > 0) {
+      log.info('Re-prompting model', { fileName, attempt: attempt + 1, validationErrors: errors.length });
+    }
+
+    const text = await getProvider().generate({
+      prompt,
+      file: { mimeType, data: base64Data, name: fileName },
+      generationConfig: {
+        temperature: 0.1,
+        topK: 1,
+        topP: 1,
+        maxOutputTokens: 16384
+      }
+    }, schedule);
+
+    const parsed = parseModelJson(text);
+    if (parsed.error) {
+      errors = [parsed.error];
+    } else {
+      const repaired = repairAnalysis(parsed.data, rules);
+      const validation = validateAnalysis(repaired);
+
+      errors = parsed.truncated
+        ? ['Response was truncated before the JSON was complete', ...validation.errors]
+        : validation.errors;
+
+      if (errors.length === 0) return repaired;
+    }
+
+    prompt = basePrompt + getRepromptSuffix(errors, parsed.truncated);
+  }
+
+  throw new AnalysisValidationError(errors);
+}
@@ -0,0 +1,166 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { AuthError } from './auth.js';
+import { isPublicHost } from './network.js';
+import { listRecords, readRecord, writeRecord } from './store.js';
+
+const CLIENTS = 'api-clients';
+
+// ─── API CLIENTS ──────────────────────────────────────────────────────────────
+//
+// Systems that call /api/v1, such as the loan origination system. Each has its
+// own key, sent as `Authorization: Bearer ivk_<id>_<secret>`, and its own
+// webhook secret for the callbacks it receives. Keys are shown once, when the
+// client is created; only their hash is kept.
+//
+// {
+//   id, name,
+//   keyHash,        sha256 of the whole key
+//   keyPreview,     the key's first characters, to tell keys apart
+//   webhookUrl,     default callback for this client's analyses, or null
+//   webhookSecret,  signs the callbacks (lib/webhooks.js)
+//   createdBy, createdAt, lastUsedAt, revokedAt
+// }
+
+const KEY_PREFIX = 'ivk';
+// lastUsedAt is written at most this often per client
+const USAGE_WRITE_INTERVAL_MS = 60 * 1000;
+
+export class ApiClientValidationError extends Error {
+  constructor(errors) {
+    super(`API client is invalid: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+    this.name = 'ApiClientValidationError';
+    this.errors = errors;
+  }
+}
+
+const hashKey = (key) => createHash('sha256').update(key).digest();
+
+/**
+ * True for an absolute http(s) URL outside the server's own network;
+ * webhooks are only sent to those.
+ */
+export function isWebhookUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol) && isPublicHost(url);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @returns {string[]} problems with new or changed client fields, empty when
+ *   they can be saved. Only the fields present are checked.
+ */
+export function validateApiClient(fields) {
+  const errors = [];
+  const has = (key) => fields[key] !== undefined;
+
+  if (has('name') && !(typeof fields.name === 'string' && fields.name.trim())) {
+    errors.push('name is required');
+  }
+  if (has('webhookUrl') && fields.webhookUrl !== null && !isWebhookUrl(fields.webhookUrl)) {
+    errors.push('webhookUrl must be a public http or https URL');
+  }
+
+  return errors;
+}
+
+// What the admin API shows of a client
+const publicClient = ({ id, name, keyPreview, webhookUrl, createdBy, createdAt, lastUsedAt, revokedAt }) => ({
+  id, name, keyPreview, webhookUrl, createdBy, createdAt, lastUsedAt, revokedAt
+});
+
+const readClient = (id) => (typeof id === 'string' && /^[a-f0-9]+$/.test(id) ? readRecord(CLIENTS, id) : null);
+
+export async function listApiClients() {
+  const clients = await listRecords(CLIENTS);
+  return clients.map(publicClient).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Register a client.
+ *
+ * @returns {Promise<{ client: object, apiKey: string, webhookSecret: string }>}
+ *   the key and webhook secret are not retrievable later
+ */
+export async function createApiClient({ name, webhookUrl = null, createdBy = null }) {
+  const errors = validateApiClient({ name: name ?? '', webhookUrl });
+  if (errors.length > 0) throw new ApiClientValidationError(errors);
+
+  const id = randomBytes(6).toString('hex');
+  const apiKey = `${KEY_PREFIX}_${id}_${randomBytes(24).toString('base64url')}`;
+  const webhookSecret = `whsec_${randomBytes(24).toString('base64url')}`;
+
+  const record = {
+    id,
+    name: name.trim(),
+    keyHash: hashKey(apiKey).toString('hex'),
+    keyPreview: `${apiKey.slice(0, KEY_PREFIX.length + id.length + 6)}…`,
+    webhookUrl,
+    webhookSecret,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  await writeRecord(CLIENTS, id, record);
+  return { client: publicClient(record), apiKey, webhookSecret };
+}
+
+/**
+ * Change a client's name or default webhook URL. Null when it does not exist.
+ */
+export async function updateApiClient(id, { name, webhookUrl }) {
+  const fields = Object.fromEntries(Object.entries({ name, webhookUrl }).filter(([, value]) => value !== undefined));
+  const errors = validateApiClient(fields);
+  if (errors.length > 0) throw new ApiClientValidationError(errors);
+
+  const record = await readClient(id);
+  if (!record) return null;
+
+  const updated = { ...record, ...fields, ...(fields.name ? { name: fields.name.trim() } : {}) };
+  await writeRecord(CLIENTS, id, updated);
+  return publicClient(updated);
+}
+
+/**
+ * Revoke a client's key. Its analyses stay; webhooks to it stop.
+ */
+export async function revokeApiClient(id) {
+  const record = await readClient(id);
+  if (!record) return null;
+  if (record.revokedAt) return publicClient(record);
+
+  const revoked = { ...record, revokedAt: new Date().toISOString() };
+  await writeRecord(CLIENTS, id, revoked);
+  return publicClient(revoked);
+}
+
+/**
+ * The client record, including its webhook secret, for sending webhooks.
+ */
+export async function getApiClient(id) {
+  return readClient(id);
+}
+
+/**
+ * The API client whose key the request carries.
+ *
+ * @returns {Promise<object>} the client record
+ * @throws {AuthError} 401 for a missing, unknown or revoked key
+ */
+export async function authenticateClient(request) {
+  const header = request.headers.get('authorization') || '';
+  const apiKey = /^Bearer\s+(\S+)$/i.exec(header)?.[1];
+  if (!apiKey) throw new AuthError('An API key is required: send "Authorization: Bearer <key>"', 401);
+
+  const [prefix, id] = apiKey.split('_');
+  const record = prefix === KEY_PREFIX ? await readClient(id) : null;
+  const valid = record && timingSafeEqual(hashKey(apiKey), Buffer.from(record.keyHash, 'hex'));
+  if (!valid || record.revokedAt) throw new AuthError('API key is invalid or revoked', 401);
+
+  if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > USAGE_WRITE_INTERVAL_MS) {
+    await writeRecord(CLIENTS, id, { ...record, lastUsedAt: new Date().toISOString() });
+  }
+  return record;
+}
@@ -0,0 +1,155 @@
+import { caseResults } from './cases.js';
+import { TERMINAL_STATUSES } from './jobs.js';
+import { buildReport } from './report.js';
+
+// ─── PUBLIC API v1 RESOURCES ──────────────────────────────────────────────────
+//
+// An analysis in /api/v1 is a case opened by an API client. This module maps
+// case records to the v1 shapes documented in lib/openapi.js: the internal
+// records can change, these must not. Add fields, never rename or remove them.
+//
+// Analysis status:
+//   awaiting_documents  no document uploaded yet
+//   processing          at least one document is still being analyzed
+//   completed           every document is done and at least one succeeded;
+//                       `result` is set
+//   failed              every document failed or was cancelled
+
+export const ANALYSIS_STATUSES = ['awaiting_documents', 'processing', 'completed', 'failed'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export function analysisStatus(record) {
+  if (record.files.length === 0) return 'awaiting_documents';
+  if (record.files.some(file => !TERMINAL_STATUSES.includes(file.status))) return 'processing';
+  return record.files.some(file => file.status === 'completed') ? 'completed' : 'failed';
+}
+
+const exclusionReason = (tx) => {
+  if (tx.included) return null;
+  if (tx.internalTransfer) return 'internal_transfer';
+  if (tx.copyOf) return 'statement_copy';
+  if (tx.duplicateOf) return 'duplicate';
+  return 'excluded';
+};
+
+// Income figures of a finished analysis, with reviewer edits applied
+function incomeResult(record) {
+  const report = buildReport({
+    results: caseResults(record),
+    edits: record.edits,
+    qualification: record.qualification,
+    borrowers: record.borrowers,
+    accountOwners: record.accountOwners
+  });
+  const { qualification } = report;
+
+  return {
+    totalIncome: round2(report.summary.totalIncome),
+    averageMonthlyIncome: round2(report.summary.averageMonthlyIncome),
+    monthCount: report.summary.monthCount,
+    depositCount: report.summary.totalTransactions,
+    qualifyingIncome: {
+      ruleSet: qualification.ruleSet,
+      windowMonths: qualification.windowMonths,
+      monthlyIncome: qualification.qualifyingMonthlyIncome,
+      grossDeposits: qualification.grossDeposits,
+      adjustedIncome: qualification.adjustedIncome,
+      monthsUsed: qualification.monthsUsed,
+      decliningIncome: Boolean(qualification.trend?.declining),
+      warnings: qualification.warnings
+    },
+    months: report.months.map(month => ({ month: month.month, total: round2(month.total) })),
+    accounts: report.accounts.map(account => ({
+      accountNumber: account.accountNumber,
+      total: round2(account.total),
+      depositCount: account.transactionCount,
+      missingMonths: account.missingMonths
+    })),
+    borrowers: report.borrowers
+      ? report.borrowers.map(borrower => ({
+        id: borrower.id,
+        name: borrower.name,
+        totalIncome: round2(borrower.totalIncome),
+        averageMonthlyIncome: round2(borrower.averageMonthlyIncome),
+        qualifyingMonthlyIncome: borrower.qualifyingMonthlyIncome,
+        jointIncome: round2(borrower.jointIncome),
+        accounts: borrower.accounts.map(account => ({ accountNumber: account.accountNumber, joint: account.joint }))
+      }))
+      : null,
+    transactions: report.transactions.map(tx => ({
+      id: tx.id,
+      documentId: tx.jobId || null,
+      accountNumber: tx.accountNumber,
+      date: tx.date,
+      month: tx.month,
+      type: tx.type,
+      source: tx.source,
+      description: tx.description || null,
+      amount: tx.amount,
+      included: tx.included,
+      exclusionReason: exclusionReason(tx),
+      manual: Boolean(tx.manual)
+    }))
+  };
+}
+
+export function documentResource(file) {
+  return {
+    id: file.jobId,
+    fileName: file.fileName,
+    borrowerId: file.borrowerId,
+    status: file.status,
+    pageCount: file.totalPages ?? null,
+    error: file.error || null,
+    failedPages: (file.failedChunks || []).map(chunk => ({ startPage: chunk.startPage, endPage: chunk.endPage, error: chunk.error })),
+    riskLevel: file.result?.tamper?.level || null,
+    riskScore: file.result?.tamper?.score ?? null,
+    addedAt: file.addedAt
+  };
+}
+
+/**
+ * The v1 Analysis for a case. `result` is included once the analysis has
+ * completed, unless `withResult` is false (as in lists).
+ */
+export function analysisResource(record, { withResult = true } = {}) {
+  const status = analysisStatus(record);
+  return {
+    id: record.id,
+    referenceId: record.referenceId,
+    applicantName: record.applicantName,
+    borrowers: record.borrowers.map(({ id, name }) => ({ id, name })),
+    status,
+    reviewStatus: record.status,
+    qualification: record.qualification,
+    webhookUrl: record.webhookUrl,
+    documents: record.files.map(documentResource),
+    ...(withResult ? { result: status === 'completed' ? incomeResult(record) : null } : {}),
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+/**
+ * One page of analyses, newest first. The cursor is opaque to clients: the
+ * creation time and id of the last analysis on the previous page.
+ *
+ * @returns {{ analyses: object[], nextCursor: string | null }}
+ */
+export function pageOfAnalyses(records, { status, referenceId, limit, cursor }) {
+  const after = cursor ? Buffer.from(cursor, 'base64url').toString('utf8') : null;
+  const sortKey = (record) => `${record.createdAt}|${record.id}`;
+
+  const matching = records
+    .filter(record => !status || analysisStatus(record) === status)
+    .filter(record => !referenceId || record.referenceId === referenceId)
+    .sort((a, b) => sortKey(b).localeCompare(sortKey(a)))
+    .filter(record => !after || sortKey(record) < after);
+
+  const page = matching.slice(0, limit);
+  return {
+    analyses: page.map(record => analysisResource(record, { withResult: false })),
+    nextCursor: matching.length > limit ? Buffer.from(sortKey(page[page.length - 1])).toString('base64url') : null
+  };
+}
@@ -0,0 +1,281 @@
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { log } from './log.js';
+import { hasRole, ROLES } from './roles.js';
+import { deleteRecord, listRecords, readRecord, writeRecord } from './store.js';
+
+const scryptAsync = promisify(scrypt);
+
+const USERS = 'users';
+
+export { hasRole, ROLES };
+
+export class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// ─── SIGNED TOKENS ────────────────────────────────────────────────────────────
+//
+// Sessions and the OIDC login state are `<base64url JSON>.<HMAC-SHA256>`
+// cookies signed with AUTH_SECRET. Without one, a random secret is kept in
+// the data folder, which is enough for a single server.
+
+async function secret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+
+  globalThis.__authSecret ??= (async () => {
+    const saved = await readRecord('auth', 'secret');
+    if (saved) return saved.value;
+    const value = randomBytes(32).toString('base64url');
+    await writeRecord('auth', 'secret', { value, createdAt: new Date().toISOString() });
+    log.warn('AUTH_SECRET is not set, signing sessions with a generated secret');
+    return value;
+  })();
+  return globalThis.__authSecret;
+}
+
+const hmac = (key, body) => createHmac('sha256', key).update(body).digest('base64url');
+
+function sameText(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Sign `payload`; it expires `maxAgeSeconds` from now.
+ */
+export async function signToken(payload, maxAgeSeconds) {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + maxAgeSeconds * 1000 })).toString('base64url');
+  return `${body}.${hmac(await secret(), body)}`;
+}
+
+/**
+ * @returns {Promise<object|null>} the payload, or null when the token is
+ *   missing, tampered with or expired
+ */
+export async function verifyToken(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature || !sameText(signature, hmac(await secret(), body))) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+export function readCookie(request, name) {
+  const cookie = (request.headers.get('cookie') || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+/**
+ * Set-Cookie header value. `Secure` is added when the app is served over
+ * https, so local http development still works.
+ */
+export function cookieHeader(request, name, value, maxAgeSeconds) {
+  const secure = new URL(request.url).protocol === 'https:' ? '; Secure' : '';
+  return `${name}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSeconds}${secure}`;
+}
+
+// ─── USERS ────────────────────────────────────────────────────────────────────
+//
+// Local accounts, one record per username:
+//
+// {
+//   username, name, role,
+//   passwordHash: 'scrypt$<salt>$<hash>',
+//   createdAt, updatedAt, lastLoginAt
+// }
+//
+// The first admin comes from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD: it is
+// created on the first sign-in while there are no users yet.
+
+export class UserValidationError extends Error {
+  constructor(errors) {
+    super(`User is invalid: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+    this.name = 'UserValidationError';
+    this.errors = errors;
+  }
+}
+
+const MIN_PASSWORD_LENGTH = 10;
+
+const isUsername = (username) => typeof username === 'string' && /^[\w-]{2,64}$/.test(username);
+
+/**
+ * @returns {string[]} problems with new or changed user fields, empty when
+ *   they can be saved. Only the fields present are checked.
+ */
+export function validateUser(fields) {
+  const errors = [];
+  const has = (key) => fields[key] !== undefined;
+
+  if (has('username') && !isUsername(fields.username)) {
+    errors.push('username must be 2-64 letters, digits, "_" or "-"');
+  }
+  if (has('name') && !(typeof fields.name === 'string' && fields.name.trim())) {
+    errors.push('name is required');
+  }
+  if (has('role') && !ROLES.includes(fields.role)) {
+    errors.push(`role must be one of ${ROLES.join(', ')} (got ${JSON.stringify(fields.role)})`);
+  }
+  if (has('password') && !(typeof fields.password === 'string' && fields.password.length >= MIN_PASSWORD_LENGTH)) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  return errors;
+}
+
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function checkPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// What the API shows of a user
+const publicUser = ({ username, name, role, createdAt, updatedAt, lastLoginAt }) => ({
+  username, name, role, createdAt, updatedAt, lastLoginAt
+});
+
+const readUser = (username) => (isUsername(username) ? readRecord(USERS, username.toLowerCase()) : null);
+
+export async function listUsers() {
+  const users = await listRecords(USERS);
+  return users.map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+export async function createUser({ username, name, role = 'uploader', password }) {
+  const errors = validateUser({ username: username ?? '', name: name ?? '', role, password: password ?? '' });
+  if (errors.length > 0) throw new UserValidationError(errors);
+  if (await readUser(username)) throw new UserValidationError([`username ${username} is taken`]);
+
+  const now = new Date().toISOString();
+  const record = {
+    username: username.toLowerCase(),
+    name: name.trim(),
+    role,
+    passwordHash: await hashPassword(password),
+    createdAt: now,
+    updatedAt: now,
+    lastLoginAt: null
+  };
+  await writeRecord(USERS, record.username, record);
+  return publicUser(record);
+}
+
+/**
+ * Change a user's name, role or password. Null when the user does not exist.
+ */
+export async function updateUser(username, { name, role, password }) {
+  const fields = Object.fromEntries(Object.entries({ name, role, password }).filter(([, value]) => value !== undefined));
+  const errors = validateUser(fields);
+  if (errors.length > 0) throw new UserValidationError(errors);
+
+  const record = await readUser(username);
+  if (!record) return null;
+
+  const updated = {
+    ...record,
+    ...(fields.name ? { name: fields.name.trim() } : {}),
+    ...(fields.role ? { role: fields.role } : {}),
+    ...(fields.password ? { passwordHash: await hashPassword(fields.password) } : {}),
+    updatedAt: new Date().toISOString()
+  };
+  await writeRecord(USERS, record.username, updated);
+  return publicUser(updated);
+}
+
+export async function deleteUser(username) {
+  const record = await readUser(username);
+  if (!record) return false;
+  await deleteRecord(USERS, record.username);
+  return true;
+}
+
+async function bootstrapAdmin() {
+  const { AUTH_ADMIN_USERNAME: username, AUTH_ADMIN_PASSWORD: password } = process.env;
+  if (!username || !password || (await listRecords(USERS)).length > 0) return;
+
+  await createUser({ username, name: username, role: 'admin', password });
+  log.info('Created the first admin from AUTH_ADMIN_USERNAME');
+}
+
+// Compared against when the username does not exist, so a wrong username
+// takes as long as a wrong password
+const DUMMY_HASH = hashPassword(randomBytes(16).toString('hex'));
+
+/**
+ * @returns {Promise<object|null>} the user, or null when the username or
+ *   password is wrong
+ */
+export async function verifyLogin(username, password) {
+  await bootstrapAdmin();
+
+  const record = await readUser(username);
+  const valid = await checkPassword(password, record?.passwordHash ?? (await DUMMY_HASH));
+  if (!record || !valid) return null;
+
+  await writeRecord(USERS, record.username, { ...record, lastLoginAt: new Date().toISOString() });
+  return publicUser(record);
+}
+
+// ─── SESSIONS ─────────────────────────────────────────────────────────────────
+//
+// The session cookie holds { sub, via, name, role, exp }. `via` is 'local' or
+// 'oidc'. Local users are looked up on every request, so a role change or a
+// deleted account applies at once; OIDC users keep the role their provider
+// gave them until the session ends (AUTH_SESSION_HOURS, 8 by default).
+
+export const SESSION_COOKIE = 'income_session';
+
+export const sessionMaxAge = () => (Number(process.env.AUTH_SESSION_HOURS) || 8) * 3600;
+
+/**
+ * @param {{ id: string, name: string, role: string, via: 'local' | 'oidc' }} user
+ * @returns {Promise<string>} the session cookie's value
+ */
+export function createSession({ id, name, role, via }) {
+  return signToken({ sub: id, via, name, role }, sessionMaxAge());
+}
+
+/**
+ * The signed-in user, as { id, name, role, via }, or null.
+ */
+export async function sessionUser(request) {
+  const session = await verifyToken(readCookie(request, SESSION_COOKIE));
+  if (!session) return null;
+  if (session.via !== 'local') return { id: session.sub, name: session.name, role: session.role, via: session.via };
+
+  const record = await readUser(session.sub);
+  return record ? { id: record.username, name: record.name, role: record.role, via: 'local' } : null;
+}
+
+/**
+ * The signed-in user, if they have at least `role`.
+ *
+ * @throws {AuthError} 401 without a session, 403 when the role is too low
+ */
+export async function authorize(request, role) {
+  const user = await sessionUser(request);
+  if (!user) throw new AuthError('Sign in required', 401);
+  if (!hasRole(user, role)) throw new AuthError(`Requires the ${role} role`, 403);
+  return user;
+}
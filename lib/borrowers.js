@@ -0,0 +1,159 @@
+import { consolidateMonths, summarizeMonths } from './consolidate.js';
+import { calculateQualifyingIncome, statementPeriodsOf } from './qualifying.js';
+import { accountKey } from './transfers.js';
+
+// ─── CO-BORROWERS ─────────────────────────────────────────────────────────────
+//
+// On a joint application each statement is uploaded for one borrower. An
+// account belongs to the borrowers whose statements it appears in, unless a
+// reviewer assigned it to someone else; an account with more than one owner
+// is joint. A borrower's income counts their own accounts and their joint
+// ones. The combined income counts every account once, so joint deposits
+// show under each owner but are never added up twice.
+//
+// Borrower ids are `b1`, `b2`, ... in the order they were added; `b1` is the
+// applicant. Files without a borrower belong to the applicant.
+
+export const PRIMARY_BORROWER_ID = 'b1';
+
+/**
+ * @typedef {{ id: string, name: string }} Borrower
+ */
+
+/**
+ * Exclude deposits that are a second copy of a statement another file already
+ * holds: the same account, date and amount in a different upload - typically
+ * a joint account whose statements both borrowers uploaded. Within each set
+ * of matching rows, the file with the most of them is kept (the first
+ * uploaded on a tie) and the rows of every other file are copies.
+ *
+ * @param {import('./consolidate.js').ReviewTransaction[]} transactions
+ * @returns {import('./consolidate.js').ReviewTransaction[]} copies carry
+ *   `included: false` and `copyOf`, the id of the row they repeat
+ */
+export function markStatementCopies(transactions) {
+  const rows = transactions.map(tx => ({ ...tx }));
+  const groups = new Map();
+
+  rows
+    .filter(tx => tx.included && !tx.replacedBy && tx.date && tx.accountNumber && tx.accountNumber !== 'N/A')
+    .forEach(tx => {
+      const key = `${tx.accountNumber}|${tx.date}|${tx.amount.toFixed(2)}`;
+      if (!groups.has(key)) groups.set(key, new Map());
+      const byFile = groups.get(key);
+      if (!byFile.has(tx.fileName)) byFile.set(tx.fileName, []);
+      byFile.get(tx.fileName).push(tx);
+    });
+
+  groups.forEach(byFile => {
+    if (byFile.size < 2) return;
+    const files = Array.from(byFile.values());
+    const kept = files.reduce((most, file) => (file.length > most.length ? file : most));
+
+    files
+      .filter(file => file !== kept)
+      .forEach(file => file.forEach((tx, i) => {
+        tx.included = false;
+        tx.copyOf = kept[Math.min(i, kept.length - 1)].id;
+      }));
+  });
+
+  return rows;
+}
+
+/**
+ * Who owns each account: the borrowers a reviewer assigned it to, otherwise
+ * every borrower whose statements contain it.
+ *
+ * @param {Array<{ fileName: string, data: any, borrowerId?: string }>} results
+ * @param {{ [accountKey: string]: string[] }} [assigned]
+ * @returns {Map<string, string[]>} account key to borrower ids
+ */
+export function accountOwners(results, assigned = {}) {
+  const owners = new Map();
+
+  results.forEach(result => {
+    if (!result.data) return;
+    const key = accountKey(result.data.accountNumber, result.fileName);
+    const borrowerId = result.borrowerId || PRIMARY_BORROWER_ID;
+    if (!owners.has(key)) owners.set(key, []);
+    if (!owners.get(key).includes(borrowerId)) owners.get(key).push(borrowerId);
+  });
+
+  Object.entries(assigned).forEach(([key, ids]) => {
+    if (owners.has(key) && ids.length > 0) owners.set(key, ids);
+  });
+
+  return owners;
+}
+
+/**
+ * @typedef {Object} IncomeFigures
+ * @property {number} totalIncome
+ * @property {number} averageMonthlyIncome
+ * @property {number} monthCount
+ * @property {number} totalTransactions
+ * @property {number} qualifyingMonthlyIncome  under the case's rule set
+ * @property {number} jointIncome              part of totalIncome from joint accounts
+ */
+
+/**
+ * @typedef {IncomeFigures & {
+ *   id: string,
+ *   name: string,
+ *   accounts: Array<{ key: string, accountNumber: string, owners: string[], joint: boolean }>
+ * }} BorrowerSummary
+ */
+
+/**
+ * Income per borrower and for all borrowers together, from the reviewed rows.
+ *
+ * @param {{
+ *   transactions: import('./consolidate.js').ReviewTransaction[],
+ *   results: Array<{ fileName: string, data: any, borrowerId?: string }>,
+ *   borrowers: Borrower[],
+ *   assigned?: { [accountKey: string]: string[] },
+ *   qualification?: { ruleSet?: string, windowMonths?: number }
+ * }} input
+ * @returns {{ borrowers: BorrowerSummary[], combined: IncomeFigures }}
+ */
+export function summarizeBorrowers({ transactions, results, borrowers, assigned = {}, qualification = {} }) {
+  const owners = accountOwners(results, assigned);
+  const ownersOf = (key) => owners.get(key) || [PRIMARY_BORROWER_ID];
+  const txKey = (tx) => accountKey(tx.accountNumber, tx.fileName);
+  const resultKey = (result) => accountKey(result.data.accountNumber, result.fileName);
+
+  const figures = (rows, files) => {
+    const included = rows.filter(tx => tx.included && !tx.replacedBy);
+    return {
+      ...summarizeMonths(consolidateMonths(rows)),
+      qualifyingMonthlyIncome: calculateQualifyingIncome({
+        transactions: rows,
+        statementPeriods: statementPeriodsOf(files),
+        ruleSet: qualification.ruleSet,
+        windowMonths: qualification.windowMonths
+      }).qualifyingMonthlyIncome,
+      jointIncome: included
+        .filter(tx => ownersOf(txKey(tx)).length > 1)
+        .reduce((sum, tx) => sum + tx.amount, 0)
+    };
+  };
+
+  const withData = results.filter(result => result.data);
+  const accountNumbers = new Map(withData.map(result => [resultKey(result), result.data.accountNumber || 'N/A']));
+
+  return {
+    borrowers: borrowers.map(borrower => {
+      const owns = (key) => ownersOf(key).includes(borrower.id);
+      return {
+        id: borrower.id,
+        name: borrower.name,
+        accounts: Array.from(accountNumbers.entries())
+          .filter(([key]) => owns(key))
+          .map(([key, accountNumber]) => ({ key, accountNumber, owners: ownersOf(key), joint: ownersOf(key).length > 1 })),
+        ...figures(transactions.filter(tx => owns(txKey(tx))), withData.filter(result => owns(resultKey(result))))
+      };
+    }),
+    combined: figures(transactions, withData)
+  };
+}
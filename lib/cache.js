@@ -0,0 +1,53 @@
+import { createHash } from 'crypto';
+import { clearCollection, deleteRecord, readRecord, writeRecord } from './store.js';
+
+const CACHE = 'cache';
+
+// ─── RESULT CACHE ─────────────────────────────────────────────────────────────
+//
+// Analysis results keyed by a SHA-256 of everything that decides them, so a
+// statement sent again is not sent to the model again:
+//
+//   file   the file's bytes + rule set version + model: the finished job
+//          (pages, text layer, integrity findings, chunks and merged result),
+//          written only when every chunk succeeded
+//   chunk  one model chunk's bytes + its prompt + rule set version + model:
+//          the chunk's validated analysis
+//
+// A batch re-run after one chunk failed therefore only sends that chunk.
+// Entries live in the store as `{ key, kind, createdAt, value }`; nothing
+// expires them, DELETE /api/cache does.
+
+export const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+/**
+ * Cache key for a list of parts (strings or bytes). Parts are hashed
+ * separately first so no two lists can run together into the same input.
+ */
+export function cacheKey(kind, ...parts) {
+  return sha256([kind, ...parts.map(part => sha256(typeof part === 'string' ? part : Buffer.from(part)))].join('\0'));
+}
+
+export async function readCache(key) {
+  const entry = await readRecord(CACHE, key);
+  return entry ? entry.value : null;
+}
+
+export async function writeCache(key, kind, value) {
+  await writeRecord(CACHE, key, { key, kind, createdAt: new Date().toISOString(), value });
+}
+
+/**
+ * Remove the given entries, or every entry when `keys` is omitted.
+ * @returns {Promise<number>} how many entries were removed
+ */
+export async function invalidateCache(keys) {
+  if (!keys) return clearCollection(CACHE);
+
+  const removed = await Promise.all(keys.map(async key => {
+    const existed = Boolean(await readRecord(CACHE, key));
+    await deleteRecord(CACHE, key);
+    return existed;
+  }));
+  return removed.filter(Boolean).length;
+}
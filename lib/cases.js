@@ -0,0 +1,356 @@
+import { randomUUID } from 'crypto';
+import { isWebhookUrl } from './api-clients.js';
+import { PRIMARY_BORROWER_ID } from './borrowers.js';
+import { getJob, TERMINAL_STATUSES } from './jobs.js';
+import { RULE_SETS, WINDOW_OPTIONS } from './qualifying.js';
+import { deleteRecord, listRecords, readRecord, writeRecord } from './store.js';
+
+const CASES = 'cases';
+
+export const CASE_STATUSES = ['open', 'in_review', 'approved', 'declined', 'withdrawn'];
+
+// ─── CASE RECORDS ─────────────────────────────────────────────────────────────
+//
+// A case is one applicant's analysis: every statement uploaded for them, the
+// reviewer's edits and where the file stands. Statements can be added at any
+// time; the results page consolidates across all of them.
+//
+// {
+//   id, applicantName, referenceId,   loan or other reference number
+//   status: 'open' | 'in_review' | 'approved' | 'declined' | 'withdrawn',
+//   borrowers: [{ id, name }],        the applicant (b1) and any co-borrowers
+//   accountOwners: { [accountKey]: [borrowerId] },
+//                    reviewer's account assignments (lib/borrowers.js)
+//   files: [{ jobId, fileName, sourceFiles, borrowerId, addedAt, status,
+//             mimeType, totalPages, chunksProcessed, failedChunks, error,
+//             result,   merged model output for the file
+//             chunks: [{ index, method, startPage, endPage, status, result, error }]
+//                       raw output of each chunk }],
+//   edits,           the review audit log (lib/review.js)
+//   qualification: { ruleSet, windowMonths },
+//   clientId,        API client that opened the case through /api/v1
+//                    (lib/api-clients.js); null for cases opened in the app
+//   webhookUrl,      where that client wants this case's completion webhook,
+//                    instead of its default
+//   createdAt, updatedAt
+// }
+//
+// A file's output is copied from its job once the job has finished, so the
+// case still reads the same if the job record is cleaned up later.
+
+export class CaseValidationError extends Error {
+  constructor(errors) {
+    super(`Case is invalid: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+    this.name = 'CaseValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @returns {string[]} problems with new or changed case fields, empty when
+ *   they can be saved. Only the fields present are checked.
+ */
+export function validateCase(fields) {
+  const errors = [];
+  const has = (key) => fields[key] !== undefined;
+
+  if (has('applicantName') && !(typeof fields.applicantName === 'string' && fields.applicantName.trim())) {
+    errors.push('applicantName is required');
+  }
+  if (has('referenceId') && fields.referenceId !== null && typeof fields.referenceId !== 'string') {
+    errors.push('referenceId must be text');
+  }
+  if (has('status') && !CASE_STATUSES.includes(fields.status)) {
+    errors.push(`status must be one of ${CASE_STATUSES.join(', ')} (got ${JSON.stringify(fields.status)})`);
+  }
+  if (has('borrowers')) {
+    if (!Array.isArray(fields.borrowers) || fields.borrowers.length === 0) {
+      errors.push('borrowers must be a list with the applicant first');
+    } else {
+      fields.borrowers.forEach((borrower, i) => {
+        if (!(typeof borrower?.name === 'string' && borrower.name.trim())) errors.push(`borrowers[${i}].name is required`);
+        if (borrower?.id !== undefined && !/^b\d+$/.test(borrower.id)) errors.push(`borrowers[${i}].id is not a borrower id`);
+      });
+    }
+  }
+  if (has('accountOwners')) {
+    const owners = fields.accountOwners;
+    if (!owners || typeof owners !== 'object' || Array.isArray(owners)
+      || !Object.values(owners).every(ids => Array.isArray(ids) && ids.length > 0 && ids.every(id => typeof id === 'string'))) {
+      errors.push('accountOwners must map account keys to lists of borrower ids');
+    }
+  }
+  if (has('edits') && !Array.isArray(fields.edits)) {
+    errors.push('edits must be an array');
+  }
+  if (has('qualification')) {
+    const { ruleSet, windowMonths } = fields.qualification || {};
+    if (!RULE_SETS[ruleSet]) errors.push(`qualification.ruleSet must be one of ${Object.keys(RULE_SETS).join(', ')}`);
+    if (windowMonths !== undefined && windowMonths !== null && !WINDOW_OPTIONS.includes(windowMonths)) {
+      errors.push(`qualification.windowMonths must be one of ${WINDOW_OPTIONS.join(', ')}`);
+    }
+  }
+  if (has('webhookUrl') && fields.webhookUrl !== null && !isWebhookUrl(fields.webhookUrl)) {
+    errors.push('webhookUrl must be a public http or https URL');
+  }
+
+  return errors;
+}
+
+const isCaseId = (id) => typeof id === 'string' && /^[\w-]+$/.test(id);
+
+// Cases saved before co-borrowers and API clients were supported have only
+// the applicant and no client
+async function readCase(id) {
+  const record = isCaseId(id) ? await readRecord(CASES, id) : null;
+  if (!record) return null;
+  return {
+    borrowers: [{ id: PRIMARY_BORROWER_ID, name: record.applicantName }],
+    accountOwners: {},
+    clientId: null,
+    webhookUrl: null,
+    ...record
+  };
+}
+
+const coBorrowerNames = (record) => (record.borrowers || []).slice(1).map(borrower => borrower.name);
+
+function summarize(record) {
+  const { id, applicantName, referenceId, status, files, createdAt, updatedAt } = record;
+  return { id, applicantName, coBorrowers: coBorrowerNames(record), referenceId, status, fileCount: files.length, createdAt, updatedAt };
+}
+
+/**
+ * Cases whose borrower names, reference or file names contain `query`, most
+ * recently changed first.
+ */
+export async function listCases(query = '') {
+  const needle = query.trim().toLowerCase();
+  const cases = await listRecords(CASES);
+
+  return cases
+    .filter(record => !needle || [record.applicantName, ...coBorrowerNames(record), record.referenceId, ...record.files.map(file => file.fileName)]
+      .some(text => text && text.toLowerCase().includes(needle)))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(summarize);
+}
+
+/**
+ * Open a case. `coBorrowers` are the names of anyone applying jointly with
+ * the applicant.
+ */
+export async function createCase({
+  applicantName = '',
+  referenceId = null,
+  status = 'open',
+  coBorrowers = [],
+  qualification = { ruleSet: 'conventional', windowMonths: null },
+  clientId = null,
+  webhookUrl = null
+}) {
+  const errors = validateCase({ applicantName, referenceId, status, qualification, webhookUrl });
+  if (!Array.isArray(coBorrowers) || !coBorrowers.every(name => typeof name === 'string' && name.trim())) {
+    errors.push('coBorrowers must be a list of names');
+  }
+  if (errors.length > 0) throw new CaseValidationError(errors);
+
+  const now = new Date().toISOString();
+  const record = {
+    id: randomUUID(),
+    applicantName: applicantName.trim(),
+    referenceId: referenceId?.trim() || null,
+    status,
+    borrowers: [applicantName, ...coBorrowers].map((name, i) => ({ id: `b${i + 1}`, name: name.trim() })),
+    accountOwners: {},
+    files: [],
+    edits: [],
+    qualification: { ruleSet: qualification.ruleSet, windowMonths: qualification.windowMonths ?? null },
+    clientId,
+    webhookUrl,
+    createdAt: now,
+    updatedAt: now
+  };
+  return writeRecord(CASES, record.id, record);
+}
+
+// Changes to one case are applied one at a time, against the latest record:
+// statements can be added while the page saves edits and syncs finished jobs
+const pendingUpdates = new Map();
+
+function changeCase(id, update) {
+  const previous = pendingUpdates.get(id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const record = await readCase(id);
+    if (!record) return null;
+    return writeRecord(CASES, id, { ...record, ...update(record), updatedAt: new Date().toISOString() });
+  });
+  const settle = () => {
+    if (pendingUpdates.get(id) === next) pendingUpdates.delete(id);
+  };
+
+  pendingUpdates.set(id, next);
+  next.then(settle, settle);
+  return next;
+}
+
+// What a case keeps of a finished job
+function jobOutput(job) {
+  if (!job) return { status: 'failed', error: 'Job not found' };
+
+  return {
+    status: job.status,
+    mimeType: job.mimeType,
+    totalPages: job.totalPages,
+    chunksProcessed: job.chunksProcessed,
+    failedChunks: job.failedChunks || [],
+    error: job.error,
+    result: job.result,
+    chunks: job.chunks.map(({ index, method, startPage, endPage, status, result, error }) => ({
+      index, method, startPage, endPage, status, result, error
+    }))
+  };
+}
+
+/**
+ * A case, with the output of any of its jobs that have finished since it was
+ * last read copied in. Null when the case does not exist.
+ */
+export async function getCase(id) {
+  const record = await readCase(id);
+  if (!record) return null;
+
+  const finished = new Map();
+  for (const file of record.files) {
+    if (TERMINAL_STATUSES.includes(file.status)) continue;
+    const job = await getJob(file.jobId);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) finished.set(file.jobId, jobOutput(job));
+  }
+  if (finished.size === 0) return record;
+
+  return changeCase(id, latest => ({
+    files: latest.files.map(file => (finished.has(file.jobId) ? { ...file, ...finished.get(file.jobId) } : file))
+  }));
+}
+
+/**
+ * Every case an API client opened, with finished jobs copied in as by getCase.
+ */
+export async function listClientCases(clientId) {
+  const records = (await listRecords(CASES)).filter(record => record.clientId === clientId);
+  return (await Promise.all(records.map(record => getCase(record.id)))).filter(Boolean);
+}
+
+// Borrowers without an id are new and get the next one; the first borrower
+// is the applicant, so their name and applicantName always agree
+function applyBorrowers(record, fields) {
+  const borrowers = fields.borrowers || record.borrowers.map((borrower, i) =>
+    (i === 0 && fields.applicantName ? { ...borrower, name: fields.applicantName } : borrower));
+  let last = Math.max(...record.borrowers.map(borrower => Number(borrower.id.slice(1))));
+  const named = borrowers.map(borrower => ({ id: borrower.id || `b${++last}`, name: borrower.name.trim() }));
+  const known = new Set(named.map(borrower => borrower.id));
+
+  const errors = [];
+  borrowers
+    .filter(borrower => borrower.id && !record.borrowers.some(existing => existing.id === borrower.id))
+    .forEach(borrower => errors.push(`Unknown borrower ${borrower.id}`));
+  if (known.size < named.length) errors.push('Each borrower can only be listed once');
+  if (named[0].id !== PRIMARY_BORROWER_ID) errors.push('The applicant must stay the first borrower');
+  record.files
+    .filter(file => !known.has(file.borrowerId || PRIMARY_BORROWER_ID))
+    .forEach(file => errors.push(`${file.fileName} belongs to borrower ${file.borrowerId}, who cannot be removed`));
+  Object.entries(fields.accountOwners || record.accountOwners).forEach(([key, ids]) => {
+    ids.filter(id => !known.has(id)).forEach(id => errors.push(`accountOwners[${key}] names unknown borrower ${id}`));
+  });
+  if (errors.length > 0) throw new CaseValidationError(errors);
+
+  return { borrowers: named, applicantName: named[0].name };
+}
+
+// The audit log only grows: entries already saved stay as they are, and new
+// ones are attributed to the signed-in user whatever name the client sent
+function appendEdits(record, edits, user) {
+  const saved = record.edits || [];
+  if (edits.length < saved.length || saved.some((edit, i) => edits[i]?.id !== edit.id)) {
+    throw new CaseValidationError(['edits can only be added to; saved entries cannot be changed or removed']);
+  }
+  return [...saved, ...edits.slice(saved.length).map(edit => ({ ...edit, user: user ?? edit.user }))];
+}
+
+/**
+ * Change a case's details, status, borrowers, account owners, review edits or
+ * qualification settings; new edits are recorded under `user`. Null when the
+ * case does not exist; throws CaseValidationError for bad values.
+ */
+export async function updateCase(id, changes, { user } = {}) {
+  const allowed = ['applicantName', 'referenceId', 'status', 'borrowers', 'accountOwners', 'edits', 'qualification'];
+  const fields = Object.fromEntries(Object.entries(changes).filter(([key, value]) => allowed.includes(key) && value !== undefined));
+
+  const errors = validateCase(fields);
+  if (errors.length > 0) throw new CaseValidationError(errors);
+
+  if (fields.applicantName) fields.applicantName = fields.applicantName.trim();
+  if (fields.referenceId !== undefined) fields.referenceId = fields.referenceId?.trim() || null;
+  if (fields.qualification) {
+    fields.qualification = { ruleSet: fields.qualification.ruleSet, windowMonths: fields.qualification.windowMonths ?? null };
+  }
+
+  return changeCase(id, record => ({
+    ...fields,
+    ...applyBorrowers(record, fields),
+    ...(fields.edits ? { edits: appendEdits(record, fields.edits, user) } : {})
+  }));
+}
+
+/**
+ * @returns {Promise<boolean>} false when the case did not exist
+ */
+export async function deleteCase(id) {
+  if (!(await readCase(id))) return false;
+  await deleteRecord(CASES, id);
+  return true;
+}
+
+/**
+ * Add a queued job's file to a case, for one of its borrowers. A job
+ * completed from the cache has its output copied straight away.
+ */
+export async function addCaseFile(id, job, borrowerId = PRIMARY_BORROWER_ID) {
+  const file = {
+    jobId: job.id,
+    fileName: job.fileName,
+    sourceFiles: job.sourceFiles,
+    borrowerId,
+    addedAt: new Date().toISOString(),
+    status: job.status,
+    ...(TERMINAL_STATUSES.includes(job.status) ? jobOutput(job) : {})
+  };
+  return changeCase(id, record => ({ files: [...record.files, file] }));
+}
+
+/**
+ * The case's files in the shape the results page holds, like resultsForJobs.
+ */
+export function caseResults(record) {
+  return record.files.map(file => {
+    if (file.status === 'completed') {
+      return {
+        jobId: file.jobId,
+        fileName: file.fileName,
+        borrowerId: file.borrowerId || PRIMARY_BORROWER_ID,
+        data: file.result,
+        chunksProcessed: file.chunksProcessed,
+        failedChunks: file.failedChunks
+      };
+    }
+    return {
+      jobId: file.jobId,
+      fileName: file.fileName,
+      borrowerId: file.borrowerId || PRIMARY_BORROWER_ID,
+      data: null,
+      error: file.status === 'failed'
+        ? file.error || 'Failed to analyze document'
+        : file.status === 'cancelled' ? 'Cancelled' : `Job is ${file.status}`,
+      failedChunks: file.failedChunks || []
+    };
+  });
+}
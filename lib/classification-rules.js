@@ -0,0 +1,99 @@
+// ─── CLASSIFICATION RULE SET (built-in default) ───────────────────────────────
+//
+// The single source for what counts as income and how it is categorized. The
+// model prompts are generated from it, the text-layer parser classifies rows
+// with it, and extracted transactions are normalized with it. Versions saved
+// from the admin screen are stored alongside this one (lib/rules-store.js) and
+// take precedence; this file is version 1 and the fallback.
+//
+// Everything here is plain JSON so edited versions can be stored and diffed.
+// Patterns are regular expression sources, always matched case-insensitively.
+//
+//   payrollProcessors  names that always mean payroll ACH
+//   incomeKeywords     descriptor words that confirm an employer deposit
+//   payerAliases       known payers: `match` is text found in the description
+//                      or source, `payer` the clean name, `type` the category
+//   reportCategories   TurboPass / BRAVO / Plaid category labels; the model may
+//                      use `alternateType` where it fits better (gig payouts)
+//   categoryRules      description patterns -> category, first match wins;
+//                      `source` captures the payer name, `label` is the
+//                      wording used in the prompts
+//   exclusions         never income, checked before anything else
+//   categoryAliases    the model's free-text types -> canonical categories
+
+export const DEFAULT_RULES = {
+  version: 1,
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  updatedBy: 'system',
+  note: 'Built-in rule set',
+
+  payrollProcessors: [
+    'ADP', 'PAYCHEX', 'GUSTO', 'CERIDIAN', 'KRONOS', 'PAYLOCITY', 'HEARTLAND',
+    'BAMBOOHR', 'RIPPLING', 'TRINET', 'JUSTWORKS'
+  ],
+
+  incomeKeywords: ['PPD', 'CCD', 'PAYROLL', 'DIRECT DEP', 'DIRECT DEPOSIT'],
+
+  payerAliases: [
+    { match: 'UNITED MAINTENAN', payer: 'UNITED MAINTENAN', type: 'ACH Deposit', note: 'employer payroll ACH' },
+    { match: 'DANDELION PAYMEN', payer: 'DANDELION PAYMEN', type: 'ACH Deposit', note: 'employer payroll ACH' },
+    { match: 'HYCITE', payer: 'HYCITE', type: 'ACH Deposit', note: 'employer payroll ACH, never "Other"' }
+  ],
+
+  reportCategories: [
+    { label: 'P2PCredits', type: 'Zelle Transfer', note: 'Zelle/Venmo/peer payments received' },
+    { label: 'General Deposit', type: 'ACH Deposit', alternateType: 'Business Deposit', note: 'payroll, gig platforms, misc ACH' },
+    { label: 'ATMDeposits', type: 'Bank Deposit', note: 'ATM deposits, mobile, branch' },
+    { label: 'Internal Transfers', exclude: true },
+    { label: 'Refunds', exclude: true },
+    { label: 'Loan Advances', exclude: true }
+  ],
+
+  categoryRules: [
+    {
+      pattern: '\\bzelle (payment )?from\\b',
+      type: 'Zelle Transfer',
+      source: 'zelle (?:payment )?from\\s+(.+?)(?:\\s+(?:conf|id)#?.*)?$',
+      label: 'Zelle payment from [name]'
+    },
+    { pattern: '\\bvenmo\\b', type: 'Venmo', label: 'Venmo received from someone' },
+    { pattern: '\\bcash app\\b', type: 'Cash App', label: 'Cash App received from someone' },
+    { pattern: '\\bpaypal\\b', type: 'PayPal', label: 'PayPal received' },
+    { pattern: '\\b(wire in|wire credit|incoming wire|fedwire credit)\\b', type: 'Wire Transfer', label: 'Wire transfer received (WIRE IN, WIRE CREDIT, INCOMING WIRE, FEDWIRE CREDIT)' },
+    { pattern: '\\b(ssa|ssdi|ssi|va benefit|unemployment|edd|state ui|irs treas)\\b', type: 'Government Benefit', label: 'SSA, SSDI, SSI, VA BENEFIT, EDD, STATE UI, unemployment, IRS tax refund' },
+    { pattern: '\\b(lyft|doordash|uber driver|payfare|instacart|amazon flex)\\b', type: 'Business Deposit', label: 'Lyft, DoorDash, Payfare, Uber Driver, Instacart, Amazon Flex payouts (PMNT RCVD, DES:Deposit)' },
+    { pattern: '\\bmobile\\b.*\\bdeposit\\b', type: 'Mobile Deposit', label: 'BKOFAMERICA MOBILE DEPOSIT, mobile check deposit' },
+    { pattern: '\\batm\\b.*\\bdeposit\\b|\\bbranch deposit\\b|\\batm deposit\\b', type: 'Bank Deposit', label: 'ATM deposit, branch deposit, BKOFAMERICA ATM DEPOSIT' },
+    { pattern: '\\bcheck deposit\\b|\\bdeposited check\\b', type: 'Check Deposit', label: 'Check deposit' },
+    { pattern: '\\btransfer from\\b|\\bonline transfer from\\b|\\bexternal transfer\\b', type: 'Transfer In', label: 'Transfer IN from an external bank' }
+  ],
+
+  exclusions: [
+    { pattern: '\\bzelle (payment )?to\\b', reason: 'Outgoing Zelle payment', label: '"Zelle payment to [name]" - the word TO confirms outgoing' },
+    { pattern: '\\b(venmo|cash app|paypal)\\b.*\\bto\\b', reason: 'Outgoing P2P payment', label: 'Venmo / Cash App / PayPal TO someone (outgoing)' },
+    { pattern: 'temporary credit adjustment', reason: 'Bank dispute credit', label: 'Temporary Credit Adjustment (bank dispute credit, not income)' },
+    { pattern: '\\b(purchase refund|refund|reversal|chargeback)\\b', reason: 'Refund or reversal', label: 'PURCHASE REFUND, REFUND, REVERSAL, CHARGEBACK' },
+    { pattern: '\\bcheckcard\\b', reason: 'Card transaction (credits are subscription reversals)', label: 'CHECKCARD entries, even with a positive amount for a merchant (subscription reversals, not income)' },
+    { pattern: '\\b(purchase|mobile purchase|pos debit)\\b', reason: 'Purchase', label: 'PURCHASE, MOBILE PURCHASE, POS DEBIT' },
+    { pattern: '\\b(loan proceeds|personal loan|cash advance|credit line|overdraft (transfer|advance))\\b', reason: 'Loan proceeds or advance', label: 'LOAN PROCEEDS, PERSONAL LOAN, CASH ADVANCE, CREDIT LINE, OVERDRAFT TRANSFER / ADVANCE' },
+    { pattern: '\\bdraw\\b', reason: 'Loan draw', label: 'Loan DRAW' },
+    { pattern: '\\b(service charge|monthly fee|overdraft fee|nsf fee|return fee|retry pymt)\\b', reason: 'Bank fee', label: 'SERVICE CHARGE, MONTHLY FEE, OVERDRAFT FEE, NSF FEE, RETURN FEE, RETRY PYMT' },
+    { pattern: '\\b(withdrwl|withdrawal|pmnt sent|bill pay|auto ?pay)\\b', reason: 'Outgoing payment', label: 'Any outgoing payment: PMT, PAYMENT, BILL PAY, AUTO PAY, WITHDRWL, WITHDRAWAL, PMNT SENT, DEBIT, TO [name]' }
+  ],
+
+  categoryAliases: [
+    { contains: ['transfer in'], type: 'Transfer In' },
+    { contains: ['zelle'], type: 'Zelle Transfer' },
+    { contains: ['ach'], type: 'ACH Deposit' },
+    { contains: ['wire'], type: 'Wire Transfer' },
+    { contains: ['venmo'], type: 'Venmo' },
+    { contains: ['cash app'], type: 'Cash App' },
+    { contains: ['paypal'], type: 'PayPal' },
+    { contains: ['government'], type: 'Government Benefit' },
+    { contains: ['business'], type: 'Business Deposit' },
+    { contains: ['bank deposit', 'atm'], type: 'Bank Deposit' },
+    { contains: ['mobile'], type: 'Mobile Deposit' },
+    { contains: ['check'], type: 'Check Deposit' },
+    { contains: ['direct deposit'], type: 'Direct Deposit' }
+  ]
+};
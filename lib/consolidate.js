@@ -0,0 +1,174 @@
+// ─── CONSOLIDATION ────────────────────────────────────────────────────────────
+//
+// Flattens every file's analysis into one transaction list and regroups it by
+// month. Shared by the results page and the report exports so both always
+// show the same numbers.
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * @typedef {Object} ReviewTransaction
+ * @property {string} id           stable id: `<jobId>#<row hash>` or a manual/split/merge id
+ * @property {string} [jobId]      the analysis job the row came from
+ * @property {string} fileName
+ * @property {string} accountNumber
+ * @property {string} month        month bucket, e.g. "January 2026"
+ * @property {string} date
+ * @property {string} type
+ * @property {string} source
+ * @property {number} amount
+ * @property {string} [description]
+ * @property {boolean} included    counted in totals
+ * @property {boolean} [manual]    added by a reviewer
+ * @property {string[]} [replacedBy] ids of the rows a split/merge replaced it with
+ * @property {{ fromAccount: string, date: string, description: string }} [internalTransfer]
+ *   matched to an outgoing transfer from another uploaded account
+ * @property {string} [duplicateOf]  id of the row a reviewer confirmed this one duplicates
+ * @property {string} [copyOf]   id of the same deposit in another upload of the same account
+ */
+
+/**
+ * @typedef {Object} ConsolidatedMonth
+ * @property {string} month
+ * @property {number} total
+ * @property {{ [type: string]: { amount: number, count: number } }} categories
+ * @property {ReviewTransaction[]} transactions  included and excluded rows, oldest first
+ */
+
+export function monthOf(isoDate) {
+  const [year, month] = isoDate.split('-');
+  return `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+}
+
+// FNV-1a, as 8 hex digits; this module also runs in the browser
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+const rowKey = (tx) => [
+  tx.date,
+  Number(tx.amount).toFixed(2),
+  (tx.description || tx.source || '').toLowerCase().replace(/\s+/g, ' ').trim()
+].join('|');
+
+/**
+ * Ids are the job plus a hash of the row's date, amount and description, so
+ * review edits keep pointing at the same deposit when files share a name or
+ * the rows come back in another order. Identical rows of one file are told
+ * apart by a counter.
+ *
+ * @param {Array<{ fileName: string, jobId?: string, data: any }>} results
+ * @returns {ReviewTransaction[]}
+ */
+export function collectTransactions(results) {
+  /** @type {ReviewTransaction[]} */
+  const transactions = [];
+
+  results.forEach(result => {
+    if (!result.data || !result.data.months) return;
+
+    const accountNumber = result.data.accountNumber || 'N/A';
+    const prefix = result.jobId || result.fileName;
+    const seen = new Map();
+
+    result.data.months.forEach(month => {
+      (month.transactions || []).forEach(tx => {
+        const hash = hashText(rowKey(tx));
+        const n = (seen.get(hash) || 0) + 1;
+        seen.set(hash, n);
+        transactions.push({
+          ...tx,
+          id: n === 1 ? `${prefix}#${hash}` : `${prefix}#${hash}-${n}`,
+          ...(result.jobId && { jobId: result.jobId }),
+          fileName: result.fileName,
+          accountNumber,
+          month: month.month,
+          amount: Number(tx.amount),
+          included: true
+        });
+      });
+    });
+  });
+
+  return transactions;
+}
+
+/**
+ * Group transactions by month. Totals and category breakdowns count included
+ * rows only; rows replaced by a split or merge are dropped entirely.
+ *
+ * @param {ReviewTransaction[]} transactions
+ * @returns {ConsolidatedMonth[]} newest month first
+ */
+export function consolidateMonths(transactions) {
+  /** @type {Map<string, ConsolidatedMonth>} */
+  const monthMap = new Map();
+
+  transactions
+    .filter(tx => !tx.replacedBy)
+    .forEach(tx => {
+      const monthKey = tx.month || monthOf(tx.date);
+
+      if (!monthMap.has(monthKey)) {
+        monthMap.set(monthKey, {
+          month: monthKey,
+          total: 0,
+          categories: {},
+          transactions: []
+        });
+      }
+
+      monthMap.get(monthKey).transactions.push(tx);
+    });
+
+  // Recalculate totals and categories for each consolidated month
+  monthMap.forEach(consolidated => {
+    consolidated.transactions.forEach(tx => {
+      if (!tx.included) return;
+
+      consolidated.total += tx.amount;
+
+      if (!consolidated.categories[tx.type]) {
+        consolidated.categories[tx.type] = { amount: 0, count: 0 };
+      }
+      consolidated.categories[tx.type].amount += tx.amount;
+      consolidated.categories[tx.type].count += 1;
+    });
+
+    // Sort transactions by date
+    consolidated.transactions.sort((a, b) =>
+      new Date(a.date).getTime() - new Date(b.date).getTime()
+    );
+  });
+
+  // Convert to array and sort by date (newest first)
+  return Array.from(monthMap.values()).sort((a, b) => {
+    const dateA = new Date(a.month);
+    const dateB = new Date(b.month);
+    return dateB.getTime() - dateA.getTime();
+  });
+}
+
+/**
+ * Figures for the summary cards, from consolidated months.
+ *
+ * @param {ConsolidatedMonth[]} months
+ */
+export function summarizeMonths(months) {
+  const totalIncome = months.reduce((sum, month) => sum + month.total, 0);
+
+  return {
+    totalIncome,
+    monthCount: months.length,
+    averageMonthlyIncome: months.length > 0 ? totalIncome / months.length : 0,
+    totalTransactions: months.reduce((sum, month) => sum + month.transactions.filter(tx => tx.included).length, 0)
+  };
+}
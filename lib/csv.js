@@ -0,0 +1,16 @@
+// Text a spreadsheet would run as a formula. Payer names and descriptions
+// come from the statements, so such cells get a leading ' to stay text.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows (the first one being the header) as RFC 4180 CSV.
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
@@ -0,0 +1,105 @@
+import { normalizePayer } from './income-sources.js';
+
+// ─── DUPLICATE DETECTION ──────────────────────────────────────────────────────
+//
+// The same deposit can reach the results more than once: a monthly statement
+// and a TurboPass/BRAVO report covering the same period, two statements whose
+// periods overlap, or a row the model read slightly differently in two
+// chunks. Exact repeats within a file are already dropped by mergeResults;
+// this looks across every file for deposits that are probably the same one
+// and lists them for a reviewer to confirm. Nothing is removed here.
+
+export const DUPLICATE_WINDOW_DAYS = 2;
+// Share of the shorter payer name that must match the other
+const MIN_PAYER_SIMILARITY = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+const pairKey = (a, b) => [a, b].sort().join('~');
+
+function payerTokens(text) {
+  const key = normalizePayer(text);
+  return key === 'UNKNOWN' ? [] : key.split(' ');
+}
+
+// Bank descriptors truncate names ("MAINTENAN"), so a token matches another
+// that starts with it
+const tokensMatch = (a, b) => a === b || (Math.min(a.length, b.length) >= 4 && (a.startsWith(b) || b.startsWith(a)));
+
+function tokenSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const matched = shorter.filter(token => longer.some(other => tokensMatch(token, other))).length;
+  return matched / shorter.length;
+}
+
+/**
+ * 0-1 similarity of two deposits' payers, comparing sources and descriptions
+ * and taking the best match - one file may only carry a payer name where the
+ * other has the full bank descriptor.
+ */
+export function payerSimilarity(a, b) {
+  const texts = (tx) => [tx.source, tx.description].filter(Boolean).map(payerTokens);
+  return Math.max(0, ...texts(a).flatMap(left => texts(b).map(right => tokenSimilarity(left, right))));
+}
+
+/**
+ * Reviewer decisions on suspected duplicates, from the audit log: pairs marked
+ * "not a duplicate" are not suggested again.
+ */
+function dismissedPairs(edits) {
+  return new Set(edits
+    .filter(edit => edit.action === 'not-duplicate')
+    .map(edit => pairKey(edit.txIds[0], edit.txIds[1])));
+}
+
+/**
+ * @typedef {Object} SuspectedDuplicate
+ * @property {string} id              stable id for the pair
+ * @property {import('./consolidate.js').ReviewTransaction} keep       the row seen first (upload order)
+ * @property {import('./consolidate.js').ReviewTransaction} duplicate  the row to exclude if confirmed
+ * @property {number} dateGapDays
+ * @property {number} similarity      payer similarity, 0-1
+ * @property {boolean} sameFile       both rows come from one file (overlapping chunks)
+ */
+
+/**
+ * Pairs of included deposits with the same amount, dates within `windowDays`
+ * and similar payers.
+ *
+ * @param {import('./consolidate.js').ReviewTransaction[]} transactions  reviewed rows
+ * @param {any[]} [edits]  the review audit log
+ * @returns {SuspectedDuplicate[]} oldest first
+ */
+export function findDuplicates(transactions, edits = [], { windowDays = DUPLICATE_WINDOW_DAYS } = {}) {
+  const dismissed = dismissedPairs(edits);
+  const order = new Map(transactions.map((tx, i) => [tx.id, i]));
+  const rows = transactions
+    .filter(tx => tx.included && !tx.replacedBy && tx.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  /** @type {SuspectedDuplicate[]} */
+  const suspects = [];
+  rows.forEach((a, i) => {
+    for (let j = i + 1; j < rows.length && daysBetween(a.date, rows[j].date) <= windowDays; j++) {
+      const b = rows[j];
+      if (Math.abs(a.amount - b.amount) >= 0.005 || dismissed.has(pairKey(a.id, b.id))) continue;
+
+      const similarity = payerSimilarity(a, b);
+      if (similarity < MIN_PAYER_SIMILARITY) continue;
+
+      const [keep, duplicate] = order.get(a.id) <= order.get(b.id) ? [a, b] : [b, a];
+      suspects.push({
+        id: pairKey(a.id, b.id),
+        keep,
+        duplicate,
+        dateGapDays: Math.round(daysBetween(a.date, b.date)),
+        similarity: Math.round(similarity * 100) / 100,
+        sameFile: a.fileName === b.fileName
+      });
+    }
+  });
+
+  return suspects;
+}
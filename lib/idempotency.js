@@ -0,0 +1,95 @@
+import { createHash } from 'crypto';
+import { deleteRecord, listRecords, readRecord, writeRecord } from './store.js';
+
+const IDEMPOTENCY = 'idempotency';
+
+// ─── IDEMPOTENCY KEYS ─────────────────────────────────────────────────────────
+//
+// A client that retries a POST with the same `Idempotency-Key` header gets the
+// response of the first attempt instead of a second analysis (and a second
+// model bill). Keys are scoped to the API client and kept for 24 hours:
+//
+// {
+//   id,            sha256 of client id and key
+//   fingerprint,   sha256 of the request; the same key with another request is refused
+//   status, body,  the response that was sent
+//   createdAt
+// }
+//
+// Only responses below 500 are kept, so a request that failed on our side
+// can be retried with the same key. Requests with one key are handled one at
+// a time: a retry that arrives while the first attempt runs waits for it.
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+export class IdempotencyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.status = status;
+  }
+}
+
+/**
+ * sha256 over the given request parts (strings or buffers).
+ */
+export function fingerprint(...parts) {
+  const hash = createHash('sha256');
+  parts.forEach(part => hash.update(Buffer.isBuffer(part) ? part : String(part ?? '')).update('\0'));
+  return hash.digest('hex');
+}
+
+async function removeExpiredKeys() {
+  const cutoff = Date.now() - KEY_TTL_MS;
+  const records = await listRecords(IDEMPOTENCY);
+  await Promise.all(
+    records
+      .filter(record => Date.parse(record.createdAt) < cutoff)
+      .map(record => deleteRecord(IDEMPOTENCY, record.id))
+  );
+}
+
+const pending = new Map();
+
+/**
+ * Run `handle` once per idempotency key. Without a key it simply runs.
+ *
+ * @param {{ clientId: string, key: string | null, fingerprint: string }} request
+ * @param {() => Promise<{ status: number, body: any }>} handle
+ * @returns {Promise<{ status: number, body: any, replayed: boolean }>}
+ * @throws {IdempotencyError} 400 for a malformed key, 422 when the key was
+ *   used for a different request
+ */
+export async function withIdempotency({ clientId, key, fingerprint: requestFingerprint }, handle) {
+  if (key === null || key === undefined) return { ...(await handle()), replayed: false };
+  if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    throw new IdempotencyError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters without spaces`, 400);
+  }
+
+  const id = fingerprint(clientId, key);
+  const previous = pending.get(id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const saved = await readRecord(IDEMPOTENCY, id);
+    if (saved && Date.parse(saved.createdAt) > Date.now() - KEY_TTL_MS) {
+      if (saved.fingerprint !== requestFingerprint) {
+        throw new IdempotencyError('This Idempotency-Key was already used for a different request', 422);
+      }
+      return { status: saved.status, body: saved.body, replayed: true };
+    }
+
+    const response = await handle();
+    if (response.status < 500) {
+      await writeRecord(IDEMPOTENCY, id, { id, fingerprint: requestFingerprint, ...response, createdAt: new Date().toISOString() });
+      removeExpiredKeys().catch(() => {});
+    }
+    return { ...response, replayed: false };
+  });
+  const settle = () => {
+    if (pending.get(id) === next) pending.delete(id);
+  };
+
+  pending.set(id, next);
+  next.then(settle, settle);
+  return next;
+}
@@ -0,0 +1,186 @@
+import { PDFDocument } from 'pdf-lib';
+import sharp from 'sharp';
+
+// ─── PHOTOGRAPHED STATEMENTS ──────────────────────────────────────────────────
+//
+// Phone photos arrive one page per JPG/PNG. The pages of one statement are
+// cleaned up and assembled into a single PDF so the statement is analyzed as
+// one document - one account number, one set of statement periods - by the
+// normal chunked pipeline. Each photo is:
+//
+//   1. rotated upright from its EXIF orientation
+//   2. cropped to the bright paper area when it stands out from the background
+//   3. deskewed: turned by the angle that lines the text rows up horizontally
+//   4. converted to grayscale with its contrast stretched
+
+const ANALYSIS_WIDTH = 800;
+const OUTPUT_MAX_WIDTH = 2000;
+const JPEG_QUALITY = 85;
+const MAX_SKEW_DEGREES = 8;
+const SKEW_STEP_DEGREES = 0.25;
+const EDGE_DISTANCE = 2;
+// Crops that keep almost everything or almost nothing are not worth trusting
+const MIN_CROP_AREA = 0.3;
+const MAX_CROP_AREA = 0.95;
+const CROP_MARGIN = 0.01;
+const PAGE_WIDTH = 612; // US Letter width in points
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Small grayscale copy for measuring; same orientation as `image`
+async function analysisPixels(image) {
+  const { data, info } = await image
+    .clone()
+    .grayscale()
+    .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// Otsu's threshold: the gray level that best separates dark from light
+function otsuThreshold(data) {
+  const histogram = new Array(256).fill(0);
+  data.forEach(value => { histogram[value] += 1; });
+
+  const total = data.length;
+  const sum = histogram.reduce((acc, count, level) => acc + count * level, 0);
+  let backgroundSum = 0;
+  let backgroundCount = 0;
+  let best = { threshold: 128, variance: -1 };
+
+  histogram.forEach((count, level) => {
+    backgroundCount += count;
+    backgroundSum += count * level;
+    const foregroundCount = total - backgroundCount;
+    if (backgroundCount === 0 || foregroundCount === 0) return;
+
+    const meanBackground = backgroundSum / backgroundCount;
+    const meanForeground = (sum - backgroundSum) / foregroundCount;
+    const variance = backgroundCount * foregroundCount * (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) best = { threshold: level, variance };
+  });
+
+  return best.threshold;
+}
+
+/**
+ * Skew of the text in degrees (positive = rows run downhill to the right).
+ * Projects the top edges of dark marks onto rows at each candidate angle;
+ * text lines produce the sharpest row profile when the angle matches. Using
+ * edges rather than all dark pixels keeps a dark desk around the page from
+ * outweighing the text.
+ */
+export function estimateSkew({ data, width, height }) {
+  const threshold = otsuThreshold(data);
+  const dark = [];
+  for (let y = EDGE_DISTANCE; y < height; y++) {
+    for (let x = 0; x < width; x += 2) {
+      if (data[y * width + x] < threshold && data[(y - EDGE_DISTANCE) * width + x] >= threshold) dark.push(x, y);
+    }
+  }
+  if (dark.length < 200) return 0;
+
+  let best = { angle: 0, score: -1 };
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES; angle += SKEW_STEP_DEGREES) {
+    const sin = Math.sin(toRadians(angle));
+    const cos = Math.cos(toRadians(angle));
+    const rows = new Map();
+    for (let i = 0; i < dark.length; i += 2) {
+      const row = Math.round(dark[i + 1] * cos - dark[i] * sin);
+      rows.set(row, (rows.get(row) || 0) + 1);
+    }
+    let score = 0;
+    rows.forEach(count => { score += count * count; });
+    if (score > best.score) best = { angle, score };
+  }
+
+  return best.angle;
+}
+
+/**
+ * Bounding box of the paper, as fractions of the image, or null when the
+ * page does not stand out from its background.
+ */
+export function findPageBox({ data, width, height }) {
+  const threshold = otsuThreshold(data);
+  const brightShare = (count, at) => {
+    let bright = 0;
+    for (let i = 0; i < count; i++) if (data[at(i)] > threshold) bright += 1;
+    return bright / count;
+  };
+
+  const rows = Array.from({ length: height }, (_, y) => brightShare(width, x => y * width + x) > 0.5);
+  const cols = Array.from({ length: width }, (_, x) => brightShare(height, y => y * width + x) > 0.5);
+  const top = rows.indexOf(true);
+  const left = cols.indexOf(true);
+  if (top === -1 || left === -1) return null;
+  const bottom = rows.lastIndexOf(true) + 1;
+  const right = cols.lastIndexOf(true) + 1;
+
+  const box = {
+    left: Math.max(0, left / width - CROP_MARGIN),
+    top: Math.max(0, top / height - CROP_MARGIN),
+    right: Math.min(1, right / width + CROP_MARGIN),
+    bottom: Math.min(1, bottom / height + CROP_MARGIN)
+  };
+  const area = (box.right - box.left) * (box.bottom - box.top);
+  return area >= MIN_CROP_AREA && area <= MAX_CROP_AREA ? box : null;
+}
+
+/**
+ * Clean up one photographed page.
+ *
+ * @param {Buffer} bytes  JPG or PNG
+ * @returns {Promise<{ jpeg: Buffer, width: number, height: number, skew: number, cropped: boolean }>}
+ */
+export async function preprocessImage(bytes) {
+  // rotate() with no angle applies the EXIF orientation
+  const upright = sharp(await sharp(bytes).rotate().toBuffer());
+
+  const { width, height } = await upright.metadata();
+  const box = findPageBox(await analysisPixels(upright));
+  const page = box
+    ? sharp(await upright.clone().extract({
+      left: Math.round(box.left * width),
+      top: Math.round(box.top * height),
+      width: Math.round((box.right - box.left) * width),
+      height: Math.round((box.bottom - box.top) * height)
+    }).toBuffer())
+    : upright;
+
+  // Corners uncovered by the rotation are filled with paper white
+  const skew = estimateSkew(await analysisPixels(page));
+  const straightened = skew === 0 ? page : page.clone().rotate(-skew, { background: '#ffffff' });
+
+  const { data, info } = await straightened
+    .grayscale()
+    .normalise()
+    .resize({ width: OUTPUT_MAX_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: JPEG_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return { jpeg: data, width: info.width, height: info.height, skew, cropped: Boolean(box) };
+}
+
+/**
+ * Preprocess photographed pages and assemble them, in order, into one PDF
+ * with a page per photo.
+ *
+ * @param {Buffer[]} images
+ * @returns {Promise<Uint8Array>}
+ */
+export async function assembleImages(images) {
+  // No creation/modification dates, so the same photos always assemble into
+  // the same bytes and a re-upload hits the file cache
+  const doc = await PDFDocument.create({ updateMetadata: false });
+
+  for (const bytes of images) {
+    const page = await preprocessImage(bytes);
+    const embedded = await doc.embedJpg(page.jpeg);
+    const height = PAGE_WIDTH * (page.height / page.width);
+    doc.addPage([PAGE_WIDTH, height]).drawImage(embedded, { x: 0, y: 0, width: PAGE_WIDTH, height });
+  }
+
+  return doc.save();
+}
@@ -0,0 +1,221 @@
+// ─── INCOME SOURCES ───────────────────────────────────────────────────────────
+//
+// Groups deposits by payer and works out how regularly each payer pays.
+// Underwriters treat recurring employer income very differently from one-off
+// P2P or cash deposits, so every source gets a cadence and a kind.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Nominal spacing between deposits, in days
+export const CADENCES = {
+  weekly: { label: 'Weekly', days: 7, min: 6, max: 8 },
+  biweekly: { label: 'Biweekly', days: 14, min: 12, max: 16 },
+  'semi-monthly': { label: 'Semi-monthly', days: 365.25 / 24, min: 12, max: 19 },
+  monthly: { label: 'Monthly', days: 365.25 / 12, min: 26, max: 35 },
+};
+
+// Minimum deposits before a cadence is trusted
+const MIN_OCCURRENCES = 3;
+// Share of gaps that must match the cadence (a missed deposit counts as a match)
+const MIN_REGULARITY = 0.75;
+
+const KIND_BY_TYPE = {
+  'Direct Deposit': 'employer',
+  'ACH Deposit': 'employer',
+  'Business Deposit': 'business',
+  'Government Benefit': 'benefit',
+  'Zelle Transfer': 'p2p',
+  'Venmo': 'p2p',
+  'Cash App': 'p2p',
+  'PayPal': 'p2p',
+  'Bank Deposit': 'cash',
+  'Mobile Deposit': 'cash',
+  'Check Deposit': 'cash',
+  'Wire Transfer': 'transfer',
+  'Transfer In': 'transfer',
+};
+
+// Bank descriptor noise that varies between deposits from the same payer
+const DESCRIPTOR_FIELDS = /\b(DES|ID|INDN|CO ID|CONF|REF|TRN|PPD|CCD|WEB)\s*[:#].*$/;
+const NOISE_WORDS = /\b(PAYROLL|PAYRLL|DIR DEP|DIRECT DEP(OSIT)?|DIRDEP|PPD|ACH|CREDIT|DEPOSIT|FROM|PAYMENT|INC|LLC|CORP|CO|LTD)\b/g;
+
+/**
+ * Payer key for grouping: "United Maintenan DES:PAYROLL ID:12345" and
+ * "UNITED MAINTENAN PAYROLL" both become "UNITED MAINTENAN".
+ */
+export function normalizePayer(source) {
+  const key = String(source || '')
+    .toUpperCase()
+    .replace(DESCRIPTOR_FIELDS, '')
+    .replace(/[^A-Z0-9 ]+/g, ' ')
+    .replace(/\b\d{3,}\b/g, ' ')
+    .replace(NOISE_WORDS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return key || 'UNKNOWN';
+}
+
+const toTime = (isoDate) => new Date(`${isoDate}T00:00:00Z`).getTime();
+const toIso = (time) => new Date(time).toISOString().slice(0, 10);
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Semi-monthly payroll lands on two fixed days of the month (1st/15th,
+// 15th/last); biweekly payroll lands on the same weekday and drifts.
+function looksSemiMonthly(times, gaps) {
+  const sameWeekday = gaps.every(gap => Math.abs(gap - Math.round(gap / 7) * 7) <= 1);
+  if (sameWeekday) return false;
+
+  // Cluster the days of the month; a schedule shifted around weekends stays
+  // within a few days, and the 30th and the 2nd are neighbours
+  const days = [...new Set(times.map(time => new Date(time).getUTCDate()))].sort((a, b) => a - b);
+  const clusters = [[days[0]]];
+  days.slice(1).forEach(day => {
+    const current = clusters[clusters.length - 1];
+    if (day - current[current.length - 1] <= 5) current.push(day);
+    else clusters.push([day]);
+  });
+  if (clusters.length > 1 && clusters[0][0] + 31 - clusters[clusters.length - 1].slice(-1)[0] <= 5) {
+    clusters[0].push(...clusters.pop());
+  }
+  return clusters.length === 2;
+}
+
+/**
+ * Work out the cadence of a set of deposit dates.
+ *
+ * @param {string[]} dates  ISO dates, any order; same-day deposits count once
+ * @returns {{ cadence: string, medianGapDays: number | null, regularity: number }}
+ */
+export function detectCadence(dates) {
+  const times = [...new Set(dates.map(toTime))].sort((a, b) => a - b);
+  if (times.length < 2) return { cadence: 'irregular', medianGapDays: null, regularity: 0 };
+
+  const gaps = times.slice(1).map((time, i) => (time - times[i]) / DAY_MS);
+  const medianGapDays = median(gaps);
+
+  if (times.length < MIN_OCCURRENCES) return { cadence: 'irregular', medianGapDays, regularity: 0 };
+
+  const candidates = Object.entries(CADENCES).filter(([, c]) => medianGapDays >= c.min && medianGapDays <= c.max);
+  for (const [cadence, c] of candidates) {
+    if (cadence === 'semi-monthly' && !looksSemiMonthly(times, gaps)) continue;
+    if (cadence === 'biweekly' && looksSemiMonthly(times, gaps)) continue;
+
+    // A gap of two or three periods is a regular schedule with missed deposits
+    const matching = gaps.filter(gap => {
+      const periods = Math.max(1, Math.round(gap / c.days));
+      return periods <= 3 && Math.abs(gap - periods * c.days) <= (c.max - c.min) / 2 + (periods - 1);
+    });
+    const regularity = matching.length / gaps.length;
+    if (regularity >= MIN_REGULARITY) return { cadence, medianGapDays, regularity };
+  }
+
+  return { cadence: 'irregular', medianGapDays, regularity: 0 };
+}
+
+/**
+ * Expected deposit dates with nothing on or near them, between the first
+ * deposit and `coverageEnd` (the last date the statements cover).
+ */
+export function findMissedDeposits(dates, cadence, coverageEnd) {
+  const c = CADENCES[cadence];
+  if (!c) return [];
+
+  const times = [...new Set(dates.map(toTime))].sort((a, b) => a - b);
+  const tolerance = (c.max - c.min) / 2 + 1;
+  const missed = [];
+
+  const fillGap = (from, to) => {
+    const periods = Math.round((to - from) / DAY_MS / c.days);
+    for (let k = 1; k < periods; k++) {
+      missed.push(toIso(from + k * c.days * DAY_MS));
+    }
+  };
+
+  times.slice(1).forEach((time, i) => fillGap(times[i], time));
+
+  // Deposits that stopped before the statements end
+  const last = times[times.length - 1];
+  const end = coverageEnd ? toTime(coverageEnd) : last;
+  for (let expected = last + c.days * DAY_MS; expected + tolerance * DAY_MS <= end; expected += c.days * DAY_MS) {
+    missed.push(toIso(expected));
+  }
+
+  return missed;
+}
+
+/**
+ * @typedef {Object} IncomeSource
+ * @property {string} payer            normalized payer key
+ * @property {string} name             payer as it first appeared
+ * @property {string} kind             employer | business | benefit | p2p | cash | transfer | other
+ * @property {string[]} types
+ * @property {string} cadence          weekly | biweekly | semi-monthly | monthly | irregular
+ * @property {boolean} recurring
+ * @property {number} count
+ * @property {number} total
+ * @property {number} averageAmount
+ * @property {number} amountVariance
+ * @property {number} amountStdDev
+ * @property {string} firstSeen
+ * @property {string} lastSeen
+ * @property {number | null} medianGapDays
+ * @property {string[]} missedDates
+ * @property {string[]} transactionIds
+ */
+
+/**
+ * Group included transactions by payer and describe each source.
+ *
+ * @param {import('./consolidate.js').ReviewTransaction[]} transactions
+ * @returns {IncomeSource[]} recurring sources first, then by total
+ */
+export function analyzeIncomeSources(transactions) {
+  const rows = transactions.filter(tx => tx.included && !tx.replacedBy && tx.date);
+  if (rows.length === 0) return [];
+
+  const coverageEnd = rows.reduce((latest, tx) => (tx.date > latest ? tx.date : latest), rows[0].date);
+  const groups = new Map();
+
+  rows.forEach(tx => {
+    const payer = normalizePayer(tx.source || tx.description);
+    if (!groups.has(payer)) groups.set(payer, []);
+    groups.get(payer).push(tx);
+  });
+
+  const sources = Array.from(groups.entries()).map(([payer, group]) => {
+    const dates = group.map(tx => tx.date).sort();
+    const amounts = group.map(tx => tx.amount);
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    const averageAmount = total / amounts.length;
+    const amountVariance = amounts.reduce((sum, amount) => sum + (amount - averageAmount) ** 2, 0) / amounts.length;
+    const types = [...new Set(group.map(tx => tx.type))];
+    const { cadence, medianGapDays } = detectCadence(dates);
+
+    return {
+      payer,
+      name: group[0].source || payer,
+      kind: KIND_BY_TYPE[types[0]] || 'other',
+      types,
+      cadence,
+      recurring: cadence !== 'irregular',
+      count: group.length,
+      total,
+      averageAmount,
+      amountVariance,
+      amountStdDev: Math.sqrt(amountVariance),
+      firstSeen: dates[0],
+      lastSeen: dates[dates.length - 1],
+      medianGapDays,
+      missedDates: findMissedDeposits(dates, cadence, coverageEnd),
+      transactionIds: group.map(tx => tx.id),
+    };
+  });
+
+  return sources.sort((a, b) => Number(b.recurring) - Number(a.recurring) || b.total - a.total);
+}
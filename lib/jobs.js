@@ -0,0 +1,529 @@
+import { randomUUID } from 'crypto';
+import { PDFDocument } from 'pdf-lib';
+import { analyzeChunk, CHUNK_SIZE, chunkPrompt, detectMimeType } from './analyze.js';
+import { cacheKey, invalidateCache, readCache, writeCache } from './cache.js';
+import { getProvider } from './llm/index.js';
+import { log } from './log.js';
+import { mergeResults } from './merge.js';
+import { reconcileStatement } from './reconcile.js';
+import { getActiveRules, getRules } from './rules-store.js';
+import { listRecords, readBlob, readRecord, writeBlob, writeRecord } from './store.js';
+import { analyzeDeposits, analyzeDocument, analyzeWordDocument, scoreFindings } from './tamper.js';
+import { modelInput } from './redact.js';
+import { analyzeTextLayer, extractTextPages, hasTextLayer } from './textlayer.js';
+import { startWebhookWorker } from './webhooks.js';
+import { isWordMimeType, wordToPdf } from './word.js';
+
+const JOBS = 'jobs';
+const CANCEL_POLL_MS = 2000;
+
+export const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// ─── JOB RECORDS ──────────────────────────────────────────────────────────────
+//
+// A job is one uploaded file. Its record lives in the store and is the single
+// source of truth: the worker, the status route and the cancel route may run
+// in different route bundles, so nothing is kept only in memory.
+//
+// {
+//   id, fileName, status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled',
+//   mimeType,      detected from the file's bytes when queued
+//   sourceFiles,   the photos a statement PDF was assembled from, in page order
+//   rulesVersion,  classification rule set the job runs with, fixed when queued
+//   force,         ignore cached results and send every chunk to the model again
+//   cached,        the whole result came from the cache when queued
+//   cacheKey,      the job's entry in the result cache, once it has one
+//   totalPages, textLayer: [{ pageNumber, confident, reason, rows, transactions }],
+//   document: { metadata, revisions, balanceRowsChecked, findings } | null,
+//   chunks: [{ index, method: 'text' | 'llm', pages, startPage, endPage,
+//              status, result, error, validationErrors, cacheKey, cached,
+//              redacted: sent to the model as redacted text }],
+//   events: [{ type, at, ...details }],
+//   chunksProcessed: chunks that succeeded, failedChunks,
+//   result, error, createdAt, updatedAt
+// }
+//
+// `events` is an append-only progress log (queued, pdf_loaded, chunk_started,
+// chunk_done, chunk_failed, rate_limit_wait, merging, completed, failed,
+// cancelled) that the events route streams to the upload page.
+
+// The parts of a finished job that the file cache keeps
+const CACHED_FIELDS = ['totalPages', 'textLayer', 'document', 'chunks', 'chunksProcessed', 'failedChunks', 'result'];
+
+// Bump when extraction, merging or scoring change what a finished job holds,
+// so results from the old code are not handed out again
+const ANALYSIS_VERSION = '1';
+
+// Same bytes, rule set, prompts, model and analysis code: same analysis
+function fileCacheKey(bytes, rules) {
+  const provider = getProvider();
+  const prompts = [chunkPrompt(false, 1, 1, rules, true), chunkPrompt(true, 1, 2, rules, true)].join('\0');
+  return cacheKey('file', bytes, String(rules.version), prompts, ANALYSIS_VERSION, `${provider.name}/${provider.model}`);
+}
+
+/**
+ * Queue a file for analysis. A file analyzed before with the same rule set,
+ * prompts and model is completed straight from the cache unless `force` is set.
+ */
+export async function createJob({ fileName, bytes, sourceFiles = null, force = false }) {
+  const now = new Date().toISOString();
+  const rules = await getActiveRules();
+  const key = fileCacheKey(bytes, rules);
+  const cached = force ? null : await readCache(key);
+
+  const job = {
+    id: randomUUID(),
+    fileName,
+    status: 'queued',
+    mimeType: detectMimeType(bytes),
+    sourceFiles,
+    rulesVersion: rules.version,
+    force: Boolean(force),
+    cached: false,
+    cacheKey: null,
+    totalPages: null,
+    chunks: [],
+    chunksProcessed: 0,
+    failedChunks: [],
+    result: null,
+    error: null,
+    events: [{ type: 'queued', at: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  if (cached) {
+    Object.assign(job, cached, { status: 'completed', cached: true, cacheKey: key });
+    job.events.push({ type: 'completed', at: now, cached: true, chunksProcessed: job.chunksProcessed, chunksFailed: 0 });
+  }
+
+  await writeBlob(JOBS, job.id, bytes);
+  await writeRecord(JOBS, job.id, job);
+  if (!cached) startWorker();
+  return job;
+}
+
+export async function getJob(id) {
+  return readRecord(JOBS, id);
+}
+
+/**
+ * Results for finished jobs, in the shape the results page holds. Jobs that
+ * are missing or did not complete come back with `data: null` and an error.
+ */
+export async function resultsForJobs(jobIds) {
+  const jobs = await Promise.all(jobIds.map(id => getJob(id)));
+
+  return jobs.map((job, i) => {
+    if (!job) return { fileName: jobIds[i], data: null, error: 'Job not found' };
+    if (job.status === 'completed') {
+      return {
+        jobId: job.id,
+        fileName: job.fileName,
+        data: job.result,
+        chunksProcessed: job.chunksProcessed,
+        failedChunks: job.failedChunks
+      };
+    }
+    return {
+      jobId: job.id,
+      fileName: job.fileName,
+      data: null,
+      error: job.status === 'failed' ? job.error || 'Failed to analyze document' : `Job is ${job.status}`,
+      failedChunks: job.failedChunks || []
+    };
+  });
+}
+
+/**
+ * Drop a job's file and chunk results from the cache, so the same file is
+ * analyzed afresh next time. Null when the job does not exist.
+ */
+export async function invalidateJobCache(id) {
+  const job = await readRecord(JOBS, id);
+  if (!job) return null;
+
+  return invalidateCache([job.cacheKey, ...job.chunks.map(chunk => chunk.cacheKey)].filter(Boolean));
+}
+
+export async function cancelJob(id) {
+  const job = await readRecord(JOBS, id);
+  if (!job || TERMINAL_STATUSES.includes(job.status)) return job;
+
+  const now = new Date().toISOString();
+  return writeRecord(JOBS, id, {
+    ...job,
+    status: 'cancelled',
+    events: [...(job.events || []), { type: 'cancelled', at: now }],
+    updatedAt: now
+  });
+}
+
+// Read-modify-write against the latest record so a cancellation written by
+// another request is never overwritten by the worker. `event` (or a function
+// of the updated record returning one) is appended to the progress log in the
+// same write. Updates to one job are applied one at a time, since its chunks
+// run in parallel.
+const pendingUpdates = new Map();
+
+function updateJob(id, update, event) {
+  const previous = pendingUpdates.get(id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() => applyUpdate(id, update, event));
+  const settle = () => {
+    if (pendingUpdates.get(id) === next) pendingUpdates.delete(id);
+  };
+
+  pendingUpdates.set(id, next);
+  next.then(settle, settle);
+  return next;
+}
+
+async function applyUpdate(id, update, event) {
+  const job = await readRecord(JOBS, id);
+  const now = new Date().toISOString();
+  const next = { ...job, ...update(job), updatedAt: now };
+
+  if (job.status === 'cancelled') next.status = 'cancelled';
+
+  const entry = typeof event === 'function' ? event(next) : event;
+  if (entry) next.events = [...(job.events || []), { ...entry, at: now }];
+
+  return writeRecord(JOBS, id, next);
+}
+
+function updateChunk(id, index, changes, event) {
+  return updateJob(id, job => ({
+    chunks: job.chunks.map(chunk => (chunk.index === index ? { ...chunk, ...changes } : chunk))
+  }), event);
+}
+
+async function isCancelled(id) {
+  const job = await readRecord(JOBS, id);
+  return !job || job.status === 'cancelled';
+}
+
+// Run `task` over `items` with at most `limit` of them in flight
+async function runPool(items, limit, task) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) await task(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+// ─── WORKER ───────────────────────────────────────────────────────────────────
+
+/**
+ * Make sure the background worker is draining the queue. Safe to call from
+ * any route; jobs left `running` by a restarted server are picked up again
+ * and resume from their first unfinished chunk. Webhook deliveries left by a
+ * restart resume along with it.
+ */
+export function startWorker() {
+  startWebhookWorker();
+  const worker = (globalThis.__incomeJobWorker ??= { running: false, rerun: false });
+
+  if (worker.running) {
+    worker.rerun = true;
+    return;
+  }
+
+  worker.running = true;
+  worker.rerun = false;
+
+  drainQueue()
+    .catch(error => log.error('Job worker crashed', { error }))
+    .finally(() => {
+      worker.running = false;
+      if (worker.rerun) startWorker();
+    });
+}
+
+async function drainQueue() {
+  for (;;) {
+    const pending = (await listRecords(JOBS))
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    if (pending.length === 0) return;
+
+    try {
+      await runJob(pending[0]);
+    } catch (error) {
+      log.error('Error in job', { jobId: pending[0].id, error });
+      await updateJob(
+        pending[0].id,
+        () => ({ status: 'failed', error: error.message }),
+        { type: 'failed', error: error.message }
+      );
+    }
+  }
+}
+
+function newChunk(index, method, pages) {
+  return {
+    index,
+    method,
+    pages,
+    startPage: pages[0],
+    endPage: pages[pages.length - 1],
+    status: 'pending',
+    result: null,
+    error: null
+  };
+}
+
+// Pages with a usable text layer are read locally as one 'text' chunk; the
+// scanned or low-confidence rest go to the model in chunks of CHUNK_SIZE.
+async function planChunks(pdfDoc, bytes, rules) {
+  if (!pdfDoc) {
+    return { chunks: [newChunk(0, 'llm', [1])], textLayer: [] };
+  }
+
+  const totalPages = pdfDoc.getPageCount();
+  const textLayer = await analyzeTextLayer(bytes, totalPages, rules);
+  const chunks = [];
+
+  if (textLayer.result) {
+    chunks.push({ ...newChunk(0, 'text', textLayer.textPages), status: 'done', result: textLayer.result });
+  }
+
+  for (let i = 0; i < textLayer.llmPages.length; i += CHUNK_SIZE) {
+    chunks.push(newChunk(chunks.length, 'llm', textLayer.llmPages.slice(i, i + CHUNK_SIZE)));
+  }
+
+  return { chunks, textLayer: textLayer.pages };
+}
+
+async function renderChunk(pdfDoc, bytes, chunk) {
+  if (!pdfDoc || chunk.pages.length === pdfDoc.getPageCount()) {
+    return Buffer.from(bytes).toString('base64');
+  }
+
+  // No creation/modification dates, so the same pages always render to the
+  // same bytes and hit the chunk cache
+  const chunkDoc = await PDFDocument.create({ updateMetadata: false });
+  const copiedPages = await chunkDoc.copyPages(pdfDoc, chunk.pages.map(page => page - 1));
+  copiedPages.forEach(page => chunkDoc.addPage(page));
+
+  const chunkBytes = await chunkDoc.save();
+  return Buffer.from(chunkBytes).toString('base64');
+}
+
+async function runJob(job) {
+  const upload = await readBlob(JOBS, job.id);
+  const mimeType = job.mimeType || detectMimeType(upload);
+  if (!mimeType) throw new Error('Unsupported file type');
+  const rules = (job.rulesVersion && await getRules(job.rulesVersion)) || await getActiveRules();
+
+  // Word documents are laid out as a PDF and handled as one from here on
+  const isWord = isWordMimeType(mimeType);
+  const bytes = isWord ? await wordToPdf(upload, mimeType) : upload;
+
+  // updateMetadata: false keeps the original dates for the tamper checks
+  const pdfDoc = mimeType === 'application/pdf' || isWord
+    ? await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false })
+    : null;
+
+  if (job.chunks.length === 0) {
+    const { chunks, textLayer } = await planChunks(pdfDoc, bytes, rules);
+    const totalPages = pdfDoc ? pdfDoc.getPageCount() : 1;
+    const textChunk = chunks.find(chunk => chunk.method === 'text');
+    // A PDF assembled from photos is our own output; there is nothing to inspect
+    const document = isWord
+      ? await analyzeWordDocument(bytes)
+      : pdfDoc && !job.sourceFiles ? await analyzeDocument(bytes, pdfDoc) : null;
+    log.info('Planned job', { jobId: job.id, fileName: job.fileName, textPages: textChunk ? textChunk.pages.length : 0, modelChunks: chunks.length - (textChunk ? 1 : 0) });
+
+    job = await updateJob(job.id, () => ({
+      status: 'running',
+      totalPages,
+      textLayer,
+      document,
+      chunks
+    }), {
+      type: 'pdf_loaded',
+      totalPages,
+      totalChunks: chunks.length,
+      textPages: textChunk ? textChunk.pages.length : 0
+    });
+
+    if (textChunk) {
+      job = await updateJob(job.id, () => ({}), {
+        type: 'chunk_done',
+        chunk: textChunk.index + 1,
+        totalChunks: chunks.length,
+        method: 'text',
+        transactions: textChunk.result.months.reduce((sum, month) => sum + month.transactions.length, 0)
+      });
+    }
+  } else {
+    job = await updateJob(job.id, current => ({
+      status: 'running',
+      chunks: current.chunks.map(chunk => (chunk.status === 'running' ? { ...chunk, status: 'pending' } : chunk))
+    }));
+  }
+
+  const totalChunks = job.chunks.length;
+  const llmChunks = job.chunks.filter(chunk => chunk.method === 'llm');
+  const isLargeFile = llmChunks.length > 1;
+  const provider = getProvider();
+  const model = `${provider.name}/${provider.model}`;
+
+  // Chunks whose pages all have a text layer can be sent as redacted text
+  const textPages = pdfDoc && llmChunks.some(chunk => chunk.status !== 'done')
+    ? await extractTextPages(bytes).catch(error => {
+      log.warn('Text extraction for redaction failed', { jobId: job.id, error });
+      return [];
+    })
+    : [];
+  const chunkText = (chunk) => {
+    const pages = chunk.pages.map(pageNumber => textPages.find(page => page.pageNumber === pageNumber));
+    return pages.every(page => page && hasTextLayer(page)) ? pages : null;
+  };
+
+  // Model chunks run in parallel as far as the model's quota allows; the
+  // provider's scheduler spaces the calls out and retries throttled ones.
+  // Cancelling the job aborts any chunk still waiting for its turn.
+  const cancelled = new AbortController();
+  const cancelWatch = setInterval(() => {
+    isCancelled(job.id)
+      .then(stop => stop && cancelled.abort(new Error('Job cancelled')))
+      .catch(error => log.error('Error checking job for cancellation', { jobId: job.id, error }));
+  }, CANCEL_POLL_MS);
+
+  const runChunk = async (chunk) => {
+    if (cancelled.signal.aborted || await isCancelled(job.id)) return;
+
+    const chunkNumber = chunk.index + 1;
+    log.info('Processing chunk', { jobId: job.id, chunk: chunkNumber, totalChunks });
+    await updateChunk(job.id, chunk.index, { status: 'running', error: null }, {
+      type: 'chunk_started',
+      chunk: chunkNumber,
+      totalChunks,
+      startPage: chunk.startPage,
+      endPage: chunk.endPage
+    });
+
+    try {
+      const llmChunkNumber = llmChunks.findIndex(c => c.index === chunk.index) + 1;
+      const input = modelInput({
+        provider: provider.name,
+        data: await renderChunk(pdfDoc, bytes, chunk),
+        mimeType: pdfDoc ? 'application/pdf' : mimeType,
+        textPages: chunkText(chunk)
+      });
+      const prompt = chunkPrompt(isLargeFile, llmChunkNumber, llmChunks.length, rules, input.redacted);
+      const key = cacheKey('chunk', input.data, prompt, String(rules.version), model);
+      const cached = job.force ? null : await readCache(key);
+
+      if (cached) {
+        await updateChunk(job.id, chunk.index, { status: 'done', result: cached, cacheKey: key, cached: true, redacted: input.redacted }, {
+          type: 'chunk_done',
+          chunk: chunkNumber,
+          totalChunks,
+          cached: true,
+          transactions: (cached.months || []).reduce((sum, month) => sum + (month.transactions || []).length, 0)
+        });
+        return;
+      }
+
+      const result = await analyzeChunk(
+        input.data,
+        isLargeFile ? `${job.fileName}_chunk_${llmChunkNumber}` : job.fileName,
+        isLargeFile,
+        llmChunkNumber,
+        llmChunks.length,
+        rules,
+        {
+          mimeType: input.mimeType,
+          signal: cancelled.signal,
+          onWait: ({ ms, until, reason }) => updateJob(job.id, () => ({}), {
+            type: 'rate_limit_wait',
+            chunk: chunkNumber,
+            reason,
+            seconds: Math.round(ms / 1000),
+            until
+          })
+        }
+      );
+      await writeCache(key, 'chunk', result);
+      const transactions = (result.months || [])
+        .reduce((sum, month) => sum + (month.transactions || []).length, 0);
+      await updateChunk(job.id, chunk.index, { status: 'done', result, cacheKey: key, cached: false, redacted: input.redacted }, {
+        type: 'chunk_done',
+        chunk: chunkNumber,
+        totalChunks,
+        transactions
+      });
+    } catch (error) {
+      if (cancelled.signal.aborted) return;
+      log.error('Error processing chunk', { jobId: job.id, chunk: chunkNumber, error });
+      await updateChunk(job.id, chunk.index, {
+        status: 'failed',
+        error: error.message,
+        validationErrors: error.errors || null
+      }, {
+        type: 'chunk_failed',
+        chunk: chunkNumber,
+        totalChunks,
+        error: error.message
+      });
+    }
+  };
+
+  try {
+    await runPool(
+      job.chunks.filter(chunk => chunk.status !== 'done'),
+      provider.limits.concurrency,
+      runChunk
+    );
+  } finally {
+    clearInterval(cancelWatch);
+  }
+
+  if (await isCancelled(job.id)) return;
+
+  await updateJob(job.id, () => ({}), { type: 'merging' });
+
+  const finished = await updateJob(job.id, current => {
+    const results = current.chunks
+      .filter(chunk => chunk.status === 'done' && chunk.result)
+      .map(chunk => chunk.result);
+
+    // Failed chunks are reported alongside the result, never silently dropped
+    const failedChunks = current.chunks
+      .filter(chunk => chunk.status === 'failed')
+      .map(chunk => ({
+        chunk: chunk.index + 1,
+        startPage: chunk.startPage,
+        endPage: chunk.endPage,
+        error: chunk.error,
+        validationErrors: chunk.validationErrors || null
+      }));
+
+    if (results.length === 0) {
+      return { status: 'failed', error: 'No chunks processed successfully', failedChunks };
+    }
+
+    const merged = mergeResults(results, rules);
+    const tamper = scoreFindings([
+      ...(current.document?.findings || []),
+      ...analyzeDeposits(merged, current.document?.metadata)
+    ]);
+    return {
+      status: 'completed',
+      result: { ...merged, reconciliation: reconcileStatement(merged), tamper },
+      chunksProcessed: current.chunks.filter(chunk => chunk.status === 'done').length,
+      failedChunks,
+      // Only complete analyses are worth handing out again
+      cacheKey: failedChunks.length === 0 ? fileCacheKey(upload, rules) : null
+    };
+  }, next => (next.status === 'completed'
+    ? { type: 'completed', chunksProcessed: next.chunksProcessed, chunksFailed: next.failedChunks.length }
+    : { type: next.status, error: next.error }));
+
+  if (finished.status === 'completed' && finished.cacheKey) {
+    await writeCache(finished.cacheKey, 'file', Object.fromEntries(CACHED_FIELDS.map(field => [field, finished[field]])));
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * A model API answered with an error status. `status` and `retryAfterMs`
+ * tell the scheduler whether and when the call is worth repeating.
+ */
+export class ProviderError extends Error {
+  constructor(message, { status, retryAfterMs = null }) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Milliseconds from a Retry-After header, which is either a number of seconds
+ * or an HTTP date. Null when absent or unreadable.
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+  if (/^\d+(\.\d+)?$/.test(header.trim())) return Math.round(Number(header) * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Google APIs put the wait in the body instead: a RetryInfo detail with
+// `retryDelay: "37s"`
+function retryDelayFromBody(errorData) {
+  const details = errorData?.error?.details;
+  const retryInfo = Array.isArray(details) && details.find(detail => typeof detail?.retryDelay === 'string');
+  const match = retryInfo && /^(\d+(?:\.\d+)?)s$/.exec(retryInfo.retryDelay);
+  return match ? Math.round(Number(match[1]) * 1000) : null;
+}
+
+/**
+ * Build the ProviderError for a failed response. The body is kept in the
+ * message as before; it may not be JSON when a gateway answers for the API.
+ */
+export async function providerError(label, response) {
+  const body = await response.text();
+  let errorData = null;
+  try {
+    errorData = JSON.parse(body);
+  } catch {
+    // plain text or HTML error page
+  }
+
+  return new ProviderError(`${label} API error: ${errorData ? JSON.stringify(errorData) : body}`, {
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) ?? retryDelayFromBody(errorData)
+  });
+}
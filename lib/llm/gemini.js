@@ -0,0 +1,54 @@
+import { providerError } from './errors.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * Gemini provider - talks to the generativelanguage REST API directly.
+ */
+export function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = 'gemini-2.0-flash',
+} = {}) {
+  return {
+    name: 'gemini',
+    model,
+
+    async generate({ prompt, file, generationConfig = {} }) {
+      const parts = [{ text: prompt }];
+      if (file) {
+        parts.push({
+          inline_data: {
+            mime_type: file.mimeType,
+            data: file.data
+          }
+        });
+      }
+
+      const response = await fetch(`${GEMINI_BASE_URL}/models/${model}:generateContent?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contents: [{ parts }],
+          generationConfig: {
+            temperature: generationConfig.temperature,
+            topK: generationConfig.topK,
+            topP: generationConfig.topP,
+            maxOutputTokens: generationConfig.maxOutputTokens
+          }
+        })
+      });
+
+      if (!response.ok) {
+        throw await providerError('Gemini', response);
+      }
+
+      const data = await response.json();
+      return data.candidates[0].content.parts[0].text;
+    },
+
+    async listModels() {
+      const response = await fetch(`${GEMINI_BASE_URL}/models?key=${apiKey}`);
+      return response.json();
+    }
+  };
+}
@@ -0,0 +1,41 @@
+import { createGeminiProvider } from './gemini.js';
+import { createMockProvider, withRecording } from './mock.js';
+import { createOpenAIProvider } from './openai.js';
+import { withScheduler } from './scheduler.js';
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * Resolve the configured LLM provider.
+ *
+ *   LLM_PROVIDER   gemini (default) | openai | mock
+ *   LLM_MODEL      model name, overrides the provider default
+ *   LLM_RECORD_DIR save every live response there for later mock replay
+ *   LLM_RATE_LIMITS per-model request rate and concurrency (lib/llm/scheduler.js)
+ *
+ * Every provider exposes the same surface:
+ *   generate({ prompt, file: { mimeType, data, name }, generationConfig }, { onWait, signal }) -> text
+ *   listModels() -> provider-specific model listing
+ *   limits -> { requestsPerMinute, concurrency } its calls are scheduled with
+ */
+export function getProvider({
+  name = process.env.LLM_PROVIDER || 'gemini',
+  model = process.env.LLM_MODEL,
+} = {}) {
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const provider = create(model ? { model } : {});
+
+  return withScheduler(
+    process.env.LLM_RECORD_DIR && name !== 'mock'
+      ? withRecording(provider, process.env.LLM_RECORD_DIR)
+      : provider
+  );
+}
@@ -0,0 +1,86 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+
+const EMPTY_RESULT = JSON.stringify({
+  accountNumber: 'N/A',
+  totalIncome: 0,
+  totalTransactions: 0,
+  months: []
+});
+
+/**
+ * Key a model request by its prompt and attached file, so the same chunk
+ * sent with the same prompt always maps to the same recording.
+ */
+export function requestKey({ prompt, file }) {
+  return createHash('sha256')
+    .update(prompt)
+    .update('\0')
+    .update(file ? `${file.mimeType}\0${file.data}` : '')
+    .digest('hex');
+}
+
+export class MissingRecordingError extends Error {
+  constructor(key, dir) {
+    super(`No recorded response ${key}.txt in ${dir}; the prompt or document changed since it was recorded`);
+    this.name = 'MissingRecordingError';
+    this.key = key;
+  }
+}
+
+/**
+ * Mock provider - replays responses recorded under `dir` as `<key>.txt`.
+ * Falls back to `default.txt`, then to an empty analysis, so it never needs
+ * the network. With `strict` (MOCK_LLM_STRICT=1) a request without its own
+ * recording fails instead, as regression runs need.
+ */
+export function createMockProvider({
+  dir = process.env.MOCK_LLM_DIR || 'fixtures/llm-responses',
+  model = 'mock',
+  strict = process.env.MOCK_LLM_STRICT === '1',
+} = {}) {
+  const readRecording = async (name) => {
+    try {
+      return await readFile(path.join(dir, name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'mock',
+    model,
+
+    async generate(request) {
+      const key = requestKey(request);
+      const recording = await readRecording(`${key}.txt`);
+      if (recording !== null) return recording;
+      if (strict) throw new MissingRecordingError(key, dir);
+
+      return (await readRecording('default.txt')) ?? EMPTY_RESULT;
+    },
+
+    async listModels() {
+      return { models: [{ name: `models/${model}`, displayName: 'Mock (recorded responses)' }] };
+    }
+  };
+}
+
+/**
+ * Wrap a live provider so every response is saved in the mock provider's
+ * format - record once against the real model, replay offline afterwards.
+ */
+export function withRecording(provider, dir) {
+  return {
+    ...provider,
+
+    async generate(request) {
+      const text = await provider.generate(request);
+      await mkdir(dir, { recursive: true });
+      await writeFile(path.join(dir, `${requestKey(request)}.txt`), text);
+      return text;
+    }
+  };
+}
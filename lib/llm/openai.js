@@ -0,0 +1,60 @@
+import { providerError } from './errors.js';
+
+/**
+ * OpenAI-compatible provider - any server that implements
+ * POST /chat/completions (OpenAI, Azure gateways, vLLM, Ollama, ...).
+ */
+export function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  model = 'gpt-4o-mini',
+} = {}) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate({ prompt, file, generationConfig = {} }) {
+      const content = [{ type: 'text', text: prompt }];
+      if (file) {
+        const dataUrl = `data:${file.mimeType};base64,${file.data}`;
+        if (file.mimeType === 'text/plain') {
+          // Redacted statement text goes in as a message part of its own
+          content.push({ type: 'text', text: Buffer.from(file.data, 'base64').toString('utf8') });
+        } else if (file.mimeType.startsWith('image/')) {
+          content.push({ type: 'image_url', image_url: { url: dataUrl } });
+        } else {
+          content.push({ type: 'file', file: { filename: file.name || 'document.pdf', file_data: dataUrl } });
+        }
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content }],
+          temperature: generationConfig.temperature,
+          top_p: generationConfig.topP,
+          max_tokens: generationConfig.maxOutputTokens
+        })
+      });
+
+      if (!response.ok) {
+        throw await providerError('OpenAI', response);
+      }
+
+      const data = await response.json();
+      return data.choices[0].message.content;
+    },
+
+    async listModels() {
+      const response = await fetch(`${baseUrl}/models`, { headers });
+      return response.json();
+    }
+  };
+}
@@ -0,0 +1,208 @@
+import { log } from '../log.js';
+
+// ─── MODEL CALL SCHEDULER ─────────────────────────────────────────────────────
+//
+// Every generate() call goes through one queue per model, shared by the job
+// worker and the routes in this process. A queue limits:
+//
+//   concurrency        calls in flight at once
+//   requestsPerMinute  a token bucket; up to `concurrency` calls may start
+//                      back to back, after that they are spaced out
+//
+// A 429 halves the queue's request rate and pauses the whole queue for the
+// Retry-After time (or a backoff when the API gives none); every success
+// after that earns one request per minute back, up to the configured rate.
+// Calls that fail with a 429 or 5xx are repeated with exponential backoff and
+// jitter, up to MAX_ATTEMPTS times.
+
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 120000;
+const MIN_REQUESTS_PER_MINUTE = 1;
+// Shorter pauses are not worth reporting to the caller
+const MIN_REPORTED_WAIT_MS = 1000;
+
+const DEFAULT_LIMITS = { requestsPerMinute: 10, concurrency: 2 };
+
+// Free-tier quotas; raise them with LLM_RATE_LIMITS on paid plans, e.g.
+// LLM_RATE_LIMITS='{"gemini-2.0-flash":{"requestsPerMinute":1000,"concurrency":8}}'
+const MODEL_LIMITS = {
+  'gemini-2.0-flash': { requestsPerMinute: 15, concurrency: 3 },
+  'gemini-1.5-flash': { requestsPerMinute: 15, concurrency: 3 },
+  'gemini-1.5-pro': { requestsPerMinute: 2, concurrency: 1 },
+  'gpt-4o-mini': { requestsPerMinute: 60, concurrency: 4 },
+  'gpt-4o': { requestsPerMinute: 30, concurrency: 4 },
+  mock: { requestsPerMinute: Infinity, concurrency: 4 }
+};
+
+/**
+ * Limits for a model: built-in defaults, overridden per model name by the
+ * LLM_RATE_LIMITS JSON.
+ */
+export function modelLimits(model) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.LLM_RATE_LIMITS || '{}');
+  } catch (error) {
+    log.error('Ignoring LLM_RATE_LIMITS, it is not valid JSON', { error });
+  }
+  return { ...DEFAULT_LIMITS, ...MODEL_LIMITS[model], ...overrides[model] };
+}
+
+export const isRetryable = (error) => error?.status === 429 || error?.status >= 500;
+
+// Exponential backoff with equal jitter: half the delay fixed, half random,
+// so calls that failed together do not all come back together
+export function backoffMs(attempt) {
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+class ModelQueue {
+  constructor(limits) {
+    this.limits = limits;
+    this.rate = limits.requestsPerMinute;
+    this.tokens = limits.concurrency;
+    this.refilledAt = Date.now();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  // Wait for one of the `concurrency` slots
+  async acquire(signal) {
+    if (this.active < this.limits.concurrency) {
+      this.active += 1;
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      this.waiting.push(waiter);
+      signal?.addEventListener('abort', () => {
+        this.waiting = this.waiting.filter(other => other !== waiter);
+        reject(signal.reason);
+      }, { once: true });
+    });
+  }
+
+  // Hand the slot straight to the next caller, if any
+  release() {
+    const next = this.waiting.shift();
+    if (next) next.resolve();
+    else this.active -= 1;
+  }
+
+  // Milliseconds until a call may start
+  delayMs() {
+    const now = Date.now();
+    const paused = Math.max(0, this.pausedUntil - now);
+    if (!Number.isFinite(this.rate)) return paused;
+
+    this.tokens = Math.min(this.limits.concurrency, this.tokens + ((now - this.refilledAt) * this.rate) / 60000);
+    this.refilledAt = now;
+    return Math.max(paused, this.tokens >= 1 ? 0 : ((1 - this.tokens) * 60000) / this.rate);
+  }
+
+  take() {
+    if (Number.isFinite(this.rate)) this.tokens -= 1;
+  }
+
+  succeeded() {
+    this.rate = Math.min(this.limits.requestsPerMinute, this.rate + 1);
+  }
+
+  throttled(pauseMs) {
+    this.rate = Math.max(MIN_REQUESTS_PER_MINUTE, Math.min(this.rate, this.limits.requestsPerMinute) / 2);
+    this.pause(pauseMs);
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+function queueFor(provider) {
+  const queues = (globalThis.__modelQueues ??= new Map());
+  const key = `${provider.name}/${provider.model}`;
+  if (!queues.has(key)) queues.set(key, new ModelQueue(modelLimits(provider.model)));
+  return queues.get(key);
+}
+
+/**
+ * Wrap a provider so its generate() calls are rate limited and retried.
+ * generate() takes a second argument:
+ *
+ *   onWait({ ms, until, reason })  called before a pause of a second or more;
+ *                                  reason is 'rate_limit' or 'retry'
+ *   signal                         AbortSignal that ends waiting early
+ */
+export function withScheduler(provider) {
+  const queue = queueFor(provider);
+
+  const wait = async (ms, reason, { onWait, signal }) => {
+    if (ms >= MIN_REPORTED_WAIT_MS) {
+      await onWait?.({ ms, until: new Date(Date.now() + ms).toISOString(), reason });
+    }
+    await sleep(ms, signal);
+  };
+
+  return {
+    ...provider,
+    limits: queue.limits,
+
+    async generate(request, options = {}) {
+      await queue.acquire(options.signal);
+      try {
+        for (let attempt = 1; ; attempt++) {
+          for (let delay = queue.delayMs(); delay > 0; delay = queue.delayMs()) {
+            await wait(delay, 'rate_limit', options);
+          }
+          queue.take();
+
+          try {
+            const text = await provider.generate(request);
+            queue.succeeded();
+            return text;
+          } catch (error) {
+            if (!isRetryable(error) || attempt >= MAX_ATTEMPTS) throw error;
+
+            const delay = error.retryAfterMs ?? backoffMs(attempt);
+            log.warn('Model call failed, retrying', {
+              provider: provider.name,
+              status: error.status,
+              retryInSeconds: Math.round(delay / 1000),
+              attempt: attempt + 1,
+              maxAttempts: MAX_ATTEMPTS
+            });
+
+            // Throttling and explicit Retry-After apply to every caller of
+            // the model; a plain server error only to this call
+            if (error.status === 429) queue.throttled(delay);
+            else if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) queue.pause(delay);
+            else await wait(delay, 'retry', options);
+          }
+        }
+      } finally {
+        queue.release();
+      }
+    }
+  };
+}
@@ -0,0 +1,83 @@
+import { createHash } from 'crypto';
+import { redactText } from './redact.js';
+
+// ─── SERVER LOGS ──────────────────────────────────────────────────────────────
+//
+// One JSON line per entry: `{ level, message, time, ...fields }`. Messages
+// are fixed text; anything about a document goes in `fields`, which are
+// scrubbed before they are written:
+//
+//   - file names become `file-<hash>.<ext>`: stable enough to follow one file
+//     through the logs, without the applicant's name that is often in it
+//   - document content (file data, prompts, model output, results) is dropped
+//   - every other string has personal details masked (lib/redact.js) and is
+//     cut to MAX_STRING_LENGTH, since errors can carry raw model output
+//   - errors keep their name, status and scrubbed message, and their stack
+//     frames without the message line
+//
+// LOG_LEVEL (info, warn or error; default info) drops entries below it.
+
+const MAX_STRING_LENGTH = 500;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 4;
+const FILE_NAME_KEYS = ['fileName', 'sourceFiles'];
+const CONTENT_KEYS = ['fileData', 'data', 'bytes', 'prompt', 'text', 'output', 'result', 'months', 'transactions'];
+
+export function maskFileName(fileName) {
+  const name = String(fileName);
+  const extension = /\.(\w{1,5})$/.exec(name)?.[1]?.toLowerCase();
+  const hash = createHash('sha256').update(name).digest('hex').slice(0, 8);
+  return `file-${hash}${extension ? `.${extension}` : ''}`;
+}
+
+function scrubString(value) {
+  const text = redactText(value);
+  return text.length > MAX_STRING_LENGTH ? `${text.slice(0, MAX_STRING_LENGTH)}… (${text.length} chars)` : text;
+}
+
+function scrubError(error, depth) {
+  return {
+    name: error.name,
+    message: scrubString(error.message),
+    ...(error.status ? { status: error.status } : {}),
+    ...(error.errors ? { errors: scrub(error.errors, depth + 1) } : {}),
+    ...(error.stack ? { stack: error.stack.split('\n').filter(line => /^\s+at /.test(line)).slice(0, 8).join('\n') } : {})
+  };
+}
+
+/**
+ * Copy of `value` that is safe to log.
+ */
+export function scrub(value, depth = 0, key = null) {
+  if (value === null || value === undefined) return value;
+  if (key && CONTENT_KEYS.includes(key)) return '[redacted]';
+  if (key && FILE_NAME_KEYS.includes(key)) {
+    return Array.isArray(value) ? value.map(maskFileName) : maskFileName(value);
+  }
+  if (value instanceof Error) return scrubError(value, depth);
+  if (typeof value === 'string') return scrubString(value);
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[nested]';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => scrub(item, depth + 1));
+    return value.length > MAX_ARRAY_ITEMS ? [...items, `… (${value.length} items)`] : items;
+  }
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, scrub(v, depth + 1, k)]));
+}
+
+const LEVELS = ['info', 'warn', 'error'];
+
+function write(level, message, fields = {}) {
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(process.env.LOG_LEVEL || 'info')) return;
+  const entry = JSON.stringify({ level, message, time: new Date().toISOString(), ...scrub(fields) });
+  if (level === 'error') console.error(entry);
+  else if (level === 'warn') console.warn(entry);
+  else console.log(entry);
+}
+
+export const log = {
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
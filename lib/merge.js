@@ -0,0 +1,136 @@
+import { normalizeCategory } from './rules.js';
+
+// ─── MERGE LOGIC ──────────────────────────────────────────────────────────────
+export function mergeResults(results, rules) {
+  if (results.length === 0) return null;
+  if (results.length === 1) return results[0];
+  
+  const merged = {
+    accountNumber: results[0].accountNumber || 'N/A',
+    totalIncome: 0,
+    totalTransactions: 0,
+    months: []
+  };
+  
+  const monthMap = new Map();
+  
+  const normalizeDescription = (desc) => {
+    return desc
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/[^\w\s]/g, '');
+  };
+  
+  results.forEach(result => {
+    if (result.months && Array.isArray(result.months)) {
+      result.months.forEach(month => {
+        const monthKey = month.month;
+        
+        if (monthMap.has(monthKey)) {
+          const existing = monthMap.get(monthKey);
+          
+          const existingTxSet = new Set(
+            existing.transactions.map(tx => {
+              const normalizedDesc = normalizeDescription(tx.description || '');
+              const amount = Number(tx.amount).toFixed(2);
+              const date = tx.date;
+              return `${date}|${amount}|${normalizedDesc}`;
+            })
+          );
+          
+          if (month.transactions) {
+            month.transactions.forEach(tx => {
+              const normalizedDesc = normalizeDescription(tx.description || '');
+              const amount = Number(tx.amount).toFixed(2);
+              const date = tx.date;
+              const txKey = `${date}|${amount}|${normalizedDesc}`;
+              
+              if (!existingTxSet.has(txKey)) {
+                const normalizedTx = {
+                  ...tx,
+                  type: normalizeCategory(tx.type, rules),
+                  amount: Number(tx.amount)
+                };
+                existing.transactions.push(normalizedTx);
+                existingTxSet.add(txKey);
+              }
+            });
+          }
+          
+          existing.total = existing.transactions.reduce((sum, tx) => sum + Number(tx.amount), 0);
+          
+          existing.categories = {};
+          existing.transactions.forEach(tx => {
+            const catType = tx.type;
+            if (!existing.categories[catType]) {
+              existing.categories[catType] = { amount: 0, count: 0 };
+            }
+            existing.categories[catType].amount += Number(tx.amount);
+            existing.categories[catType].count += 1;
+          });
+          
+        } else {
+          const normalizedTransactions = (month.transactions || []).map(tx => ({
+            ...tx,
+            type: normalizeCategory(tx.type, rules),
+            amount: Number(tx.amount)
+          }));
+          
+          const normalizedCategories = {};
+          normalizedTransactions.forEach(tx => {
+            if (!normalizedCategories[tx.type]) {
+              normalizedCategories[tx.type] = { amount: 0, count: 0 };
+            }
+            normalizedCategories[tx.type].amount += Number(tx.amount);
+            normalizedCategories[tx.type].count += 1;
+          });
+          
+          monthMap.set(monthKey, {
+            month: month.month,
+            total: normalizedTransactions.reduce((sum, tx) => sum + Number(tx.amount), 0),
+            categories: normalizedCategories,
+            transactions: normalizedTransactions
+          });
+        }
+      });
+    }
+  });
+  
+  merged.months = Array.from(monthMap.values()).sort((a, b) => {
+    const dateA = new Date(a.month);
+    const dateB = new Date(b.month);
+    return dateB - dateA;
+  });
+  
+  merged.months.forEach(month => {
+    merged.totalIncome += month.total;
+    merged.totalTransactions += month.transactions.length;
+  });
+  
+  // A statement summary can appear in more than one chunk - keep each period once
+  const periodMap = new Map();
+  results.forEach(result => {
+    (result.statementPeriods || []).forEach(period => {
+      const periodKey = `${period.periodStart}|${period.periodEnd}`;
+      if (!periodMap.has(periodKey)) {
+        periodMap.set(periodKey, period);
+      }
+    });
+  });
+  merged.statementPeriods = Array.from(periodMap.values());
+
+  // Chunk boundaries can repeat a ledger row, so transfers are keyed too
+  const transferMap = new Map();
+  results.forEach(result => {
+    (result.outgoingTransfers || []).forEach(transfer => {
+      const transferKey = `${transfer.date}|${Number(transfer.amount).toFixed(2)}|${normalizeDescription(transfer.description || '')}`;
+      if (!transferMap.has(transferKey)) {
+        transferMap.set(transferKey, { ...transfer, amount: Number(transfer.amount) });
+      }
+    });
+  });
+  merged.outgoingTransfers = Array.from(transferMap.values());
+  
+  return merged;
+}
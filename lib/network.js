@@ -0,0 +1,70 @@
+import dns from 'dns';
+import net from 'net';
+
+// ─── OUTBOUND REQUEST TARGETS ─────────────────────────────────────────────────
+//
+// URLs that API clients register (webhooks) must not reach into the server's
+// own network: loopback, private ranges, link-local (which includes cloud
+// metadata at 169.254.169.254) and other non-routable addresses are refused.
+// Host names are checked when the URL is saved, and again at connect time
+// against every address they resolve to, so DNS cannot point them inside
+// later. WEBHOOK_ALLOW_PRIVATE_NETWORKS=1 lifts this for local development.
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === '1';
+
+export class BlockedAddressError extends Error {
+  constructor(host) {
+    super(`${host} is a private, loopback or link-local address`);
+    this.name = 'BlockedAddressError';
+  }
+}
+
+/**
+ * True for an IP address outside the public internet.
+ */
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * True when a URL's host may be called: not `localhost` and not a private
+ * IP literal. Names that resolve inside are caught by `publicLookup`.
+ */
+export function isPublicHost(url) {
+  if (allowPrivate()) return true;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return false;
+  return !isPrivateAddress(host);
+}
+
+/**
+ * `dns.lookup` for http(s).request that fails instead of connecting to a
+ * private address.
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!allowPrivate() && addresses.some(isPrivateAddress)) {
+      return callback(new BlockedAddressError(hostname));
+    }
+    callback(null, address, family);
+  });
+}
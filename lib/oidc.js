@@ -0,0 +1,191 @@
+import { createHash, createPublicKey, randomBytes, verify } from 'crypto';
+import { AuthError, ROLES, signToken, verifyToken } from './auth.js';
+import { log } from './log.js';
+
+// ─── OPENID CONNECT ───────────────────────────────────────────────────────────
+//
+// Sign-in through the organisation's identity provider, with the
+// authorization code flow and PKCE. Enabled when OIDC_ISSUER and
+// OIDC_CLIENT_ID are set:
+//
+//   OIDC_ISSUER           issuer URL; endpoints come from its discovery document
+//   OIDC_CLIENT_ID        this app's client
+//   OIDC_CLIENT_SECRET    for confidential clients
+//   OIDC_SCOPES           'openid profile email' by default
+//   OIDC_ROLE_CLAIM       ID token claim with the user's roles or groups ('roles')
+//   OIDC_ROLE_MAP         JSON from claim values to app roles, e.g.
+//                         '{"loan-ops":"uploader","credit":"underwriter"}';
+//                         claim values that are already role names need no entry
+//   OIDC_DEFAULT_ROLE     role for users with no matching claim value; without
+//                         it they cannot sign in
+//
+// The login state (state, nonce, PKCE verifier and where to go afterwards)
+// travels in a short-lived signed cookie.
+
+export const OIDC_STATE_COOKIE = 'income_oidc';
+export const OIDC_STATE_MAX_AGE = 600;
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_MS = 60 * 1000;
+
+export const oidcEnabled = () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+
+// APP_URL when the app is behind a proxy; it must match the redirect URI
+// registered with the provider
+export const appOrigin = (request) => (process.env.APP_URL || new URL(request.url).origin).replace(/\/$/, '');
+
+// Only paths on this site, so the login cannot be used as an open redirect
+export const localPath = (path) => (typeof path === 'string' && /^\/(?![/\\])/.test(path) ? path : '/');
+
+const issuer = () => process.env.OIDC_ISSUER.replace(/\/$/, '');
+const redirectUri = (origin) => `${origin}/api/auth/oidc/callback`;
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data) {
+    throw new AuthError(`Identity provider request failed: ${data?.error_description || data?.error || `HTTP ${response.status}`}`, 502);
+  }
+  return data;
+}
+
+// Discovery document and signing keys, cached per issuer
+async function provider() {
+  const cache = (globalThis.__oidcProviders ??= new Map());
+  const cached = cache.get(issuer());
+  if (cached && cached.expiresAt > Date.now()) return cached;
+
+  const config = await fetchJson(`${issuer()}/.well-known/openid-configuration`);
+  const { keys } = await fetchJson(config.jwks_uri);
+  const entry = { config, keys, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+  cache.set(issuer(), entry);
+  return entry;
+}
+
+/**
+ * Where to send the browser to sign in, and the state cookie to set.
+ *
+ * @param {string} origin  this app's origin
+ * @param {string} next    path to return to afterwards
+ */
+export async function authorizationRequest(origin, next = '/') {
+  const { config } = await provider();
+  const state = randomBytes(16).toString('base64url');
+  const nonce = randomBytes(16).toString('base64url');
+  const verifier = randomBytes(32).toString('base64url');
+
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: process.env.OIDC_CLIENT_ID,
+    redirect_uri: redirectUri(origin),
+    scope: process.env.OIDC_SCOPES || 'openid profile email',
+    state,
+    nonce,
+    code_challenge: createHash('sha256').update(verifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return {
+    url: url.toString(),
+    stateCookie: await signToken({ state, nonce, verifier, next }, OIDC_STATE_MAX_AGE)
+  };
+}
+
+const decodePart = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+/**
+ * Check an RS256 ID token's signature against the provider's keys, and its
+ * issuer, audience, expiry and nonce.
+ *
+ * @returns {Promise<object>} the token's claims
+ */
+export async function verifyIdToken(idToken, { nonce }) {
+  const parts = String(idToken || '').split('.');
+  if (parts.length !== 3) throw new AuthError('The identity provider returned no valid ID token', 401);
+
+  const header = decodePart(parts[0]);
+  if (header.alg !== 'RS256') throw new AuthError(`Unsupported ID token algorithm ${header.alg}`, 401);
+
+  let { keys } = await provider();
+  if (!keys.some(key => key.kid === header.kid)) {
+    // The provider may have rotated its keys since they were cached
+    globalThis.__oidcProviders.delete(issuer());
+    ({ keys } = await provider());
+  }
+  const jwk = keys.find(key => key.kid === header.kid) || (keys.length === 1 ? keys[0] : null);
+  if (!jwk) throw new AuthError('ID token is signed with an unknown key', 401);
+
+  const signed = verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`), createPublicKey({ key: jwk, format: 'jwk' }), Buffer.from(parts[2], 'base64url'));
+  if (!signed) throw new AuthError('ID token signature is invalid', 401);
+
+  const claims = decodePart(parts[1]);
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  const problems = [
+    claims.iss !== issuer() && 'issuer',
+    !audience.includes(process.env.OIDC_CLIENT_ID) && 'audience',
+    !(claims.exp * 1000 > Date.now() - CLOCK_SKEW_MS) && 'expiry',
+    claims.nonce !== nonce && 'nonce'
+  ].filter(Boolean);
+  if (problems.length > 0) throw new AuthError(`ID token failed checks: ${problems.join(', ')}`, 401);
+
+  return claims;
+}
+
+/**
+ * The highest app role the user's claims map to.
+ */
+export function roleFromClaims(claims) {
+  let roleMap = {};
+  try {
+    roleMap = JSON.parse(process.env.OIDC_ROLE_MAP || '{}');
+  } catch (error) {
+    log.error('Ignoring OIDC_ROLE_MAP, it is not valid JSON', { error });
+  }
+
+  const value = claims[process.env.OIDC_ROLE_CLAIM || 'roles'];
+  const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\s,]+/) : [];
+  const roles = values.map(item => roleMap[item] || item).filter(role => ROLES.includes(role));
+  if (roles.length > 0) return roles.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best));
+
+  const fallback = process.env.OIDC_DEFAULT_ROLE;
+  if (ROLES.includes(fallback)) return fallback;
+  throw new AuthError('Your account has no role in this application', 403);
+}
+
+/**
+ * Finish a sign-in: check the returned state, exchange the code and read the
+ * user from the ID token.
+ *
+ * @returns {Promise<{ user: { id: string, name: string, role: string, via: 'oidc' }, next: string }>}
+ */
+export async function completeLogin({ origin, code, state, stateCookie }) {
+  const saved = await verifyToken(stateCookie);
+  if (!saved || !state || saved.state !== state) throw new AuthError('Sign-in expired or was started elsewhere, please try again', 401);
+  if (!code) throw new AuthError('The identity provider returned no authorization code', 401);
+
+  const { config } = await provider();
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri(origin),
+      client_id: process.env.OIDC_CLIENT_ID,
+      ...(process.env.OIDC_CLIENT_SECRET ? { client_secret: process.env.OIDC_CLIENT_SECRET } : {}),
+      code_verifier: saved.verifier
+    })
+  });
+
+  const claims = await verifyIdToken(tokens.id_token, { nonce: saved.nonce });
+  return {
+    user: {
+      id: claims.sub,
+      name: claims.name || claims.preferred_username || claims.email || claims.sub,
+      role: roleFromClaims(claims),
+      via: 'oidc'
+    },
+    next: saved.next
+  };
+}
@@ -0,0 +1,360 @@
+import { ANALYSIS_STATUSES } from './api-v1.js';
+import { CASE_STATUSES } from './cases.js';
+import { TERMINAL_STATUSES } from './jobs.js';
+import { RULE_SETS, WINDOW_OPTIONS } from './qualifying.js';
+import { CATEGORIES } from './schema.js';
+import { MAX_UPLOAD_BYTES } from './uploads.js';
+
+// ─── OPENAPI SPEC ─────────────────────────────────────────────────────────────
+//
+// The contract of /api/v1, served at /api/v1/openapi.json. The schemas follow
+// lib/api-v1.js field for field; change both together. Enums come from the
+// modules that own them so the spec cannot drift from what is accepted.
+
+// OpenAPI 3.1 spells nullable as a JSON Schema type list
+const nullable = (schema) => ({
+  ...schema,
+  type: [schema.type, 'null'],
+  ...(schema.enum ? { enum: [...schema.enum, null] } : {})
+});
+const money = (description) => ({ type: 'number', description });
+const timestamp = { type: 'string', format: 'date-time' };
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const jsonResponse = (description, schema, headers) => ({
+  description,
+  ...(headers ? { headers } : {}),
+  content: { 'application/json': { schema } }
+});
+
+const replayedHeader = {
+  'Idempotent-Replayed': {
+    description: 'Present and "true" when this is the saved response of an earlier request with the same Idempotency-Key',
+    schema: { type: 'string', enum: ['true'] }
+  }
+};
+
+const idempotencyKey = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Any unique string (a UUID works). Retrying with the same key within 24 hours returns the first response '
+    + 'instead of creating a second analysis or analyzing the document again. Reusing a key for a different request is refused with 422.',
+  schema: { type: 'string', maxLength: 255 }
+};
+
+const analysisId = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', format: 'uuid' }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      details: { type: 'string' },
+      errors: { type: 'array', items: { type: 'string' }, description: 'Every problem found, for validation failures' }
+    }
+  },
+  Borrower: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: 'b1', description: 'b1 is the applicant; co-borrowers are b2, b3, ...' },
+      name: { type: 'string' }
+    }
+  },
+  Qualification: {
+    type: 'object',
+    properties: {
+      ruleSet: { type: 'string', enum: Object.keys(RULE_SETS) },
+      windowMonths: nullable({ type: 'integer', enum: WINDOW_OPTIONS, description: 'Null uses the rule set default' })
+    }
+  },
+  Document: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      fileName: { type: 'string' },
+      borrowerId: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', ...TERMINAL_STATUSES] },
+      pageCount: nullable({ type: 'integer' }),
+      error: nullable({ type: 'string' }),
+      failedPages: {
+        type: 'array',
+        description: 'Page ranges that could not be read; the rest of the document still counts',
+        items: {
+          type: 'object',
+          properties: { startPage: { type: 'integer' }, endPage: { type: 'integer' }, error: { type: 'string' } }
+        }
+      },
+      riskLevel: nullable({ type: 'string', enum: ['low', 'medium', 'high'], description: 'Signs of an edited statement' }),
+      riskScore: nullable({ type: 'number' }),
+      addedAt: timestamp
+    }
+  },
+  Transaction: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      documentId: nullable({ type: 'string', format: 'uuid', description: 'Null for deposits a reviewer added by hand' }),
+      accountNumber: { type: 'string', description: 'Last digits only' },
+      date: { type: 'string', format: 'date' },
+      month: { type: 'string', example: 'January 2026' },
+      type: { type: 'string', enum: CATEGORIES },
+      source: { type: 'string', description: 'Payer, as printed on the statement' },
+      description: nullable({ type: 'string' }),
+      amount: { type: 'number' },
+      included: { type: 'boolean', description: 'Counted in the totals' },
+      exclusionReason: nullable({
+        type: 'string',
+        enum: ['internal_transfer', 'statement_copy', 'duplicate', 'excluded'],
+        description: 'Why an excluded deposit is not counted; `excluded` is a reviewer decision'
+      }),
+      manual: { type: 'boolean', description: 'Added by a reviewer' }
+    }
+  },
+  Result: {
+    type: 'object',
+    description: 'Income found across every completed document, with reviewer changes applied',
+    properties: {
+      totalIncome: money('Sum of included deposits'),
+      averageMonthlyIncome: money('totalIncome over the months with statements'),
+      monthCount: { type: 'integer' },
+      depositCount: { type: 'integer', description: 'Included deposits' },
+      qualifyingIncome: {
+        type: 'object',
+        properties: {
+          ruleSet: { type: 'string', enum: Object.keys(RULE_SETS) },
+          windowMonths: { type: 'integer' },
+          monthlyIncome: money('Qualifying monthly income under the rule set'),
+          grossDeposits: money('Deposits inside the window'),
+          adjustedIncome: money('Deposits inside the window after the rule set adjustments'),
+          monthsUsed: { type: 'array', items: { type: 'string' } },
+          decliningIncome: { type: 'boolean' },
+          warnings: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      months: {
+        type: 'array',
+        items: { type: 'object', properties: { month: { type: 'string' }, total: { type: 'number' } } }
+      },
+      accounts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            accountNumber: { type: 'string' },
+            total: { type: 'number' },
+            depositCount: { type: 'integer' },
+            missingMonths: { type: 'array', items: { type: 'string' }, description: 'Gaps in the statements for this account' }
+          }
+        }
+      },
+      borrowers: nullable({
+        type: 'array',
+        description: 'Per-borrower income; null when the applicant applies alone',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            totalIncome: { type: 'number' },
+            averageMonthlyIncome: { type: 'number' },
+            qualifyingMonthlyIncome: { type: 'number' },
+            jointIncome: money('Income from joint accounts, counted once in the combined figures'),
+            accounts: {
+              type: 'array',
+              items: { type: 'object', properties: { accountNumber: { type: 'string' }, joint: { type: 'boolean' } } }
+            }
+          }
+        }
+      }),
+      transactions: { type: 'array', items: { $ref: '#/components/schemas/Transaction' } }
+    }
+  },
+  Analysis: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      referenceId: nullable({ type: 'string', description: 'Your loan or application number' }),
+      applicantName: { type: 'string' },
+      borrowers: { type: 'array', items: { $ref: '#/components/schemas/Borrower' } },
+      status: {
+        type: 'string',
+        enum: ANALYSIS_STATUSES,
+        description: 'awaiting_documents until the first upload; processing while any document is being analyzed; '
+          + 'completed once every document is done and at least one succeeded; failed when none did'
+      },
+      reviewStatus: { type: 'string', enum: CASE_STATUSES, description: 'Where the file stands with our underwriters' },
+      qualification: { $ref: '#/components/schemas/Qualification' },
+      webhookUrl: nullable({ type: 'string', format: 'uri' }),
+      documents: { type: 'array', items: { $ref: '#/components/schemas/Document' } },
+      result: {
+        anyOf: [{ $ref: '#/components/schemas/Result' }, { type: 'null' }],
+        description: 'Set while status is completed; left out of lists'
+      },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  WebhookEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid', description: 'Same on every retry of one delivery; use it to drop repeats' },
+      event: { type: 'string', enum: ['analysis.completed', 'analysis.failed'] },
+      createdAt: timestamp,
+      data: {
+        type: 'object',
+        properties: { analysis: { $ref: '#/components/schemas/Analysis' } }
+      }
+    }
+  }
+};
+
+export const openApiSpec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Income Verification API',
+    version: '1.0.0',
+    description: 'Open an analysis for an applicant, upload their bank statements and read back the verified income. '
+      + 'Every request needs the API key you were issued, as `Authorization: Bearer <key>`.'
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ apiKey: [] }],
+  paths: {
+    '/analyses': {
+      get: {
+        summary: 'List analyses',
+        description: 'Your analyses, newest first, without their results. Pass nextCursor back as cursor for the next page.',
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ANALYSIS_STATUSES } },
+          { name: 'referenceId', in: 'query', schema: { type: 'string' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+          { name: 'cursor', in: 'query', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: jsonResponse('A page of analyses', {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              analyses: { type: 'array', items: { $ref: '#/components/schemas/Analysis' } },
+              nextCursor: nullable({ type: 'string' })
+            }
+          }),
+          400: errorResponse('Bad query parameter'),
+          401: errorResponse('Missing, invalid or revoked API key')
+        }
+      },
+      post: {
+        summary: 'Create an analysis',
+        parameters: [idempotencyKey],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['applicantName'],
+                properties: {
+                  applicantName: { type: 'string' },
+                  coBorrowers: { type: 'array', items: { type: 'string' }, description: 'Names of anyone applying jointly' },
+                  referenceId: nullable({ type: 'string' }),
+                  ruleSet: { type: 'string', enum: Object.keys(RULE_SETS), default: 'conventional' },
+                  windowMonths: nullable({ type: 'integer', enum: WINDOW_OPTIONS }),
+                  webhookUrl: nullable({ type: 'string', format: 'uri', description: 'Overrides your default webhook URL for this analysis' })
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: jsonResponse('Created', {
+            type: 'object',
+            properties: { success: { type: 'boolean' }, analysis: { $ref: '#/components/schemas/Analysis' } }
+          }, replayedHeader),
+          400: errorResponse('Invalid fields or Idempotency-Key'),
+          401: errorResponse('Missing, invalid or revoked API key'),
+          422: errorResponse('Idempotency-Key already used for a different request')
+        }
+      }
+    },
+    '/analyses/{id}': {
+      get: {
+        summary: 'Get an analysis and its result',
+        parameters: [analysisId],
+        responses: {
+          200: jsonResponse('The analysis', {
+            type: 'object',
+            properties: { success: { type: 'boolean' }, analysis: { $ref: '#/components/schemas/Analysis' } }
+          }),
+          401: errorResponse('Missing, invalid or revoked API key'),
+          404: errorResponse('No analysis of yours has this id')
+        }
+      }
+    },
+    '/analyses/{id}/documents': {
+      post: {
+        summary: 'Upload a statement',
+        description: 'The body is the file itself: a PDF, Word document, JPG or PNG of at most '
+          + `${MAX_UPLOAD_BYTES / (1024 * 1024)} MB. Analysis runs in the background; poll the analysis or wait for the webhook.`,
+        parameters: [
+          analysisId,
+          idempotencyKey,
+          { name: 'fileName', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'borrowerId', in: 'query', schema: { type: 'string', default: 'b1' }, description: 'Whose statement this is' },
+          { name: 'force', in: 'query', schema: { type: 'boolean', default: false }, description: 'Analyze again even if this exact file was analyzed before' }
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+        },
+        responses: {
+          202: jsonResponse('Queued', {
+            type: 'object',
+            properties: { success: { type: 'boolean' }, document: { $ref: '#/components/schemas/Document' } }
+          }, replayedHeader),
+          400: errorResponse('Missing fileName, unknown borrower or invalid Idempotency-Key'),
+          401: errorResponse('Missing, invalid or revoked API key'),
+          404: errorResponse('No analysis of yours has this id'),
+          413: errorResponse('File too large'),
+          415: errorResponse('Not a PDF, Word document, JPG or PNG'),
+          422: errorResponse('Idempotency-Key already used for a different request')
+        }
+      }
+    }
+  },
+  webhooks: {
+    analysisFinished: {
+      post: {
+        summary: 'An analysis completed or failed',
+        description: 'Sent to the analysis webhookUrl, or your default, once every document has finished. '
+          + 'Each request carries `X-Webhook-Signature: t=<unix seconds>,v1=<signature>`, where the signature is the hex '
+          + 'HMAC-SHA256 of `<t>.<raw body>` keyed with your webhook secret; check it and reject old timestamps. '
+          + 'Answer with any 2xx status. Anything else is retried with exponential backoff, from 30 seconds up to an hour apart, 8 attempts in all.',
+        parameters: [
+          { name: 'X-Webhook-Id', in: 'header', schema: { type: 'string' } },
+          { name: 'X-Webhook-Event', in: 'header', schema: { type: 'string' } },
+          { name: 'X-Webhook-Signature', in: 'header', schema: { type: 'string' } }
+        ],
+        requestBody: {
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/WebhookEvent' } } }
+        },
+        responses: { 200: { description: 'Received' } }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'http', scheme: 'bearer', description: 'API key issued by an administrator' }
+    },
+    schemas
+  }
+};
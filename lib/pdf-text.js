@@ -0,0 +1,17 @@
+// ─── PDF STANDARD FONT TEXT ───────────────────────────────────────────────────
+//
+// pdf-lib's standard fonts only cover WinAnsi and throw on anything else.
+// Text headed for them goes through `winAnsiText` first: typographic dashes
+// and quotes become their ASCII forms, and any other unsupported character
+// (emoji, CJK) becomes `?`, so the export still succeeds and the reader can
+// see that something was left out.
+
+/**
+ * `text` reduced to characters the standard PDF fonts can draw.
+ */
+export const winAnsiText = (text) =>
+  String(text ?? '')
+    .replace(/[–—]/g, '-')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
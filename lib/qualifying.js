@@ -0,0 +1,319 @@
+// ─── QUALIFYING INCOME ────────────────────────────────────────────────────────
+//
+// Turns reviewed deposits into a qualifying monthly income under a named
+// lender rule set. Every adjustment is recorded as a step so the underwriter
+// can see exactly how the figure was derived.
+
+const P2P_TYPES = ['Zelle Transfer', 'Venmo', 'Cash App', 'PayPal'];
+
+/**
+ * Adjustment kinds:
+ *   exclude   drop matching deposits
+ *   haircut   count matching deposits at (1 - factor)
+ *   grossUp   count matching deposits at factor (non-taxable income)
+ * `maxAmount` limits a rule to deposits below that amount.
+ *
+ * partialMonths: 'exclude' drops months the statements only partly cover,
+ *                'prorate' counts them as the covered fraction of a month.
+ * decliningTrend: compare the recent half of the window to the older half;
+ *                 when income fell by more than `threshold`, 'use-recent'
+ *                 qualifies on the recent average, 'flag' only warns.
+ */
+export const RULE_SETS = {
+  conventional: {
+    label: 'Conventional',
+    description: 'Documented, recurring income only. P2P and internal transfers are excluded.',
+    defaultWindow: 24,
+    adjustments: [
+      { types: ['Transfer In'], action: 'exclude', label: 'Internal transfers' },
+      { types: P2P_TYPES, action: 'exclude', label: 'P2P deposits' },
+      { types: ['Government Benefit'], action: 'grossUp', factor: 1.25, label: 'Non-taxable benefits' },
+    ],
+    partialMonths: 'exclude',
+    decliningTrend: { threshold: 0.1, action: 'use-recent' },
+  },
+  'bank-statement': {
+    label: 'Bank-statement program',
+    description: 'All business deposits after a 50% expense factor; small P2P deposits are excluded.',
+    defaultWindow: 12,
+    adjustments: [
+      { types: ['Transfer In'], action: 'exclude', label: 'Internal transfers' },
+      { types: P2P_TYPES, maxAmount: 100, action: 'exclude', label: 'P2P deposits under $100' },
+      { types: ['Business Deposit'], action: 'haircut', factor: 0.5, label: 'Business expense factor' },
+      { types: ['Government Benefit'], action: 'grossUp', factor: 1.25, label: 'Non-taxable benefits' },
+    ],
+    partialMonths: 'prorate',
+    decliningTrend: { threshold: 0.2, action: 'flag' },
+  },
+  'gig-worker': {
+    label: 'Gig worker',
+    description: 'Platform and P2P income after a 25% expense factor; tips under $25 are excluded.',
+    defaultWindow: 24,
+    adjustments: [
+      { types: ['Transfer In'], action: 'exclude', label: 'Internal transfers' },
+      { types: P2P_TYPES, maxAmount: 25, action: 'exclude', label: 'P2P deposits under $25' },
+      { types: [...P2P_TYPES, 'Business Deposit'], action: 'haircut', factor: 0.25, label: 'Gig expense factor' },
+    ],
+    partialMonths: 'prorate',
+    decliningTrend: { threshold: 0.15, action: 'use-recent' },
+  },
+};
+
+export const WINDOW_OPTIONS = [12, 24];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const monthKey = (isoDate) => isoDate.slice(0, 7);
+const monthLabel = (key) => `${MONTH_NAMES[Number(key.slice(5, 7)) - 1]} ${key.slice(0, 4)}`;
+const daysInMonth = (key) => new Date(Date.UTC(Number(key.slice(0, 4)), Number(key.slice(5, 7)), 0)).getUTCDate();
+
+function nextMonth(key) {
+  const [year, month] = key.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const formatMoney = (value) =>
+  `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Which file a transaction or tagged statement period came from
+const fileOf = (item) => item.jobId || item.fileName;
+
+/**
+ * Every file's statement periods, each tagged with the file it came from so
+ * coverage can tell which files printed none.
+ *
+ * @param {Array<{ fileName: string, jobId?: string, data: any }>} results
+ */
+export function statementPeriodsOf(results) {
+  return results.flatMap(result => (result.data?.statementPeriods || [])
+    .map(period => ({ ...period, jobId: result.jobId, fileName: result.fileName })));
+}
+
+/**
+ * Days of each month covered by the statement periods. A file without
+ * periods counts every month between its first and last deposit as fully
+ * covered. Periods not tagged with a file (see statementPeriodsOf) stand for
+ * every file.
+ *
+ * @returns {Map<string, { covered: number, days: number }>} keyed by YYYY-MM, oldest first
+ */
+export function monthCoverage(statementPeriods, transactions) {
+  const periods = (statementPeriods || []).filter(p => p && p.periodStart && p.periodEnd);
+  const coverage = new Map();
+
+  const filesWithPeriods = new Set(periods.map(fileOf));
+  const spans = new Map();
+  transactions.forEach(tx => {
+    const file = periods.length > 0 ? fileOf(tx) : '';
+    if (periods.length > 0 && (!file || filesWithPeriods.has(file) || filesWithPeriods.has(undefined))) return;
+
+    const key = monthKey(tx.date);
+    const span = spans.get(file);
+    spans.set(file, span
+      ? { first: key < span.first ? key : span.first, last: key > span.last ? key : span.last }
+      : { first: key, last: key });
+  });
+
+  const fullMonths = new Set();
+  spans.forEach(({ first, last }) => {
+    for (let key = first; key <= last; key = nextMonth(key)) fullMonths.add(key);
+  });
+
+  const keys = [...periods.flatMap(p => [monthKey(p.periodStart), monthKey(p.periodEnd)]), ...fullMonths];
+  if (keys.length === 0) return coverage;
+
+  const first = keys.reduce((a, b) => (a < b ? a : b));
+  const last = keys.reduce((a, b) => (a > b ? a : b));
+
+  for (let key = first; key <= last; key = nextMonth(key)) {
+    const days = daysInMonth(key);
+    if (fullMonths.has(key)) {
+      coverage.set(key, { covered: days, days });
+      continue;
+    }
+
+    let covered = 0;
+    for (let day = 1; day <= days; day++) {
+      const date = `${key}-${String(day).padStart(2, '0')}`;
+      if (periods.some(p => p.periodStart <= date && date <= p.periodEnd)) covered += 1;
+    }
+    coverage.set(key, { covered, days });
+  }
+
+  return coverage;
+}
+
+function matchesAdjustment(adjustment, tx) {
+  return adjustment.types.includes(tx.type)
+    && (adjustment.maxAmount === undefined || tx.amount < adjustment.maxAmount);
+}
+
+/**
+ * @typedef {Object} QualificationStep
+ * @property {string} label
+ * @property {string} [detail]
+ * @property {number} [amount]   signed change to the running total, or the result of the step
+ */
+
+/**
+ * @param {{
+ *   transactions: import('./consolidate.js').ReviewTransaction[],
+ *   statementPeriods?: any[],
+ *   ruleSet?: string,
+ *   windowMonths?: number
+ * }} input  `statementPeriods` as statementPeriodsOf returns them
+ */
+export function calculateQualifyingIncome({ transactions, statementPeriods = [], ruleSet = 'conventional', windowMonths }) {
+  const rules = RULE_SETS[ruleSet];
+  if (!rules) throw new Error(`Unknown rule set "${ruleSet}"`);
+
+  const window = windowMonths || rules.defaultWindow;
+  const rows = transactions.filter(tx => tx.included && !tx.replacedBy && tx.date);
+  /** @type {QualificationStep[]} */
+  const steps = [];
+  const warnings = [];
+
+  // ── Window ──
+  const coverage = monthCoverage(statementPeriods, rows);
+  const filesWithPeriods = new Set((statementPeriods || []).map(fileOf));
+  const filesWithout = Array.from(new Set(rows
+    .filter(tx => fileOf(tx) && !filesWithPeriods.has(fileOf(tx)))
+    .map(tx => tx.fileName)));
+  if ((statementPeriods || []).length === 0) {
+    warnings.push('Statement periods were not captured, so partial first and last months could not be detected.');
+  } else if (!filesWithPeriods.has(undefined) && filesWithout.length > 0) {
+    warnings.push(`Statement periods were not captured for ${filesWithout.join(', ')}, so partial months of ${filesWithout.length > 1 ? 'those files' : 'that file'} could not be detected.`);
+  }
+
+  let months = Array.from(coverage.entries()).map(([key, c]) => ({
+    key,
+    fraction: c.covered / c.days,
+    partial: c.covered < c.days,
+  })).filter(month => month.fraction > 0);
+
+  if (rules.partialMonths === 'exclude') {
+    const partial = months.filter(month => month.partial);
+    months = months.filter(month => !month.partial).slice(-window);
+    // Only mention the ones that would otherwise have fallen in the window
+    partial
+      .filter(month => months.length < window || month.key > months[0].key)
+      .forEach(month => steps.push({
+        label: `Excluded partial month ${monthLabel(month.key)}`,
+        detail: `statements cover ${Math.round(month.fraction * 100)}% of the month`,
+      }));
+  } else {
+    months = months.slice(-window);
+  }
+
+  if (months.length < window) {
+    warnings.push(`Only ${months.length} month${months.length !== 1 ? 's' : ''} of statements available; the ${window}-month window is not fully covered.`);
+  }
+
+  const inWindow = new Set(months.map(month => month.key));
+  const windowRows = rows.filter(tx => inWindow.has(monthKey(tx.date)));
+  const grossDeposits = windowRows.reduce((sum, tx) => sum + tx.amount, 0);
+
+  steps.push({
+    label: months.length > 0
+      ? `Deposits ${monthLabel(months[0].key)} – ${monthLabel(months[months.length - 1].key)}`
+      : 'Deposits in window',
+    detail: `${windowRows.length} deposit${windowRows.length !== 1 ? 's' : ''}, ${window}-month window`,
+    amount: round2(grossDeposits),
+  });
+
+  // ── Category adjustments ──
+  // Each deposit is adjusted by the first rule that matches it
+  const counted = new Map(windowRows.map(tx => [tx, tx.amount]));
+  const adjusted = new Set();
+  rules.adjustments.forEach(adjustment => {
+    const matched = windowRows.filter(tx => !adjusted.has(tx) && matchesAdjustment(adjustment, tx));
+    if (matched.length === 0) return;
+
+    const base = matched.reduce((sum, tx) => sum + tx.amount, 0);
+    let change = 0;
+    matched.forEach(tx => {
+      const amount = adjustment.action === 'exclude' ? 0
+        : adjustment.action === 'haircut' ? tx.amount * (1 - adjustment.factor)
+        : tx.amount * adjustment.factor;
+      change += amount - tx.amount;
+      counted.set(tx, amount);
+      adjusted.add(tx);
+    });
+
+    const how = adjustment.action === 'exclude' ? 'excluded'
+      : adjustment.action === 'haircut' ? `reduced by ${Math.round(adjustment.factor * 100)}%`
+      : `grossed up ×${adjustment.factor}`;
+    steps.push({
+      label: adjustment.label,
+      detail: `${matched.length} deposit${matched.length !== 1 ? 's' : ''} totalling ${formatMoney(base)} ${how}`,
+      amount: round2(change),
+    });
+  });
+
+  const adjustedIncome = Array.from(counted.values()).reduce((sum, amount) => sum + amount, 0);
+
+  // ── Monthly average ──
+  const monthDivisor = months.reduce((sum, month) => sum + month.fraction, 0);
+  months
+    .filter(month => month.partial)
+    .forEach(month => steps.push({
+      label: `Prorated partial month ${monthLabel(month.key)}`,
+      detail: `counted as ${month.fraction.toFixed(2)} of a month`,
+    }));
+
+  const averageMonthly = monthDivisor > 0 ? adjustedIncome / monthDivisor : 0;
+  steps.push({
+    label: 'Average monthly income',
+    detail: `${formatMoney(adjustedIncome)} ÷ ${round2(monthDivisor)} month${monthDivisor !== 1 ? 's' : ''}`,
+    amount: round2(averageMonthly),
+  });
+
+  // ── Declining income ──
+  let trend = null;
+  let qualifyingMonthlyIncome = averageMonthly;
+
+  if (months.length >= 4) {
+    const half = Math.floor(months.length / 2);
+    const average = (list) => {
+      const keys = new Set(list.map(month => month.key));
+      const income = windowRows
+        .filter(tx => keys.has(monthKey(tx.date)))
+        .reduce((sum, tx) => sum + counted.get(tx), 0);
+      const divisor = list.reduce((sum, month) => sum + month.fraction, 0);
+      return divisor > 0 ? income / divisor : 0;
+    };
+    const earlier = average(months.slice(0, months.length - half));
+    const recent = average(months.slice(-half));
+    const change = earlier > 0 ? (recent - earlier) / earlier : 0;
+    const declining = change < -rules.decliningTrend.threshold;
+
+    trend = { earlierAverage: round2(earlier), recentAverage: round2(recent), change, declining };
+
+    if (declining) {
+      const summary = `Recent ${half}-month average ${formatMoney(recent)} is ${Math.round(-change * 100)}% below the earlier ${formatMoney(earlier)}`;
+      if (rules.decliningTrend.action === 'use-recent') {
+        qualifyingMonthlyIncome = recent;
+        steps.push({ label: 'Declining income: using recent average', detail: summary, amount: round2(recent) });
+      } else {
+        warnings.push(`Declining income. ${summary}.`);
+      }
+    }
+  }
+
+  return {
+    ruleSet,
+    ruleSetLabel: rules.label,
+    windowMonths: window,
+    monthsUsed: months.map(month => monthLabel(month.key)),
+    grossDeposits: round2(grossDeposits),
+    adjustedIncome: round2(adjustedIncome),
+    qualifyingMonthlyIncome: round2(qualifyingMonthlyIncome),
+    trend,
+    steps,
+    warnings,
+  };
+}
@@ -0,0 +1,76 @@
+// ─── STATEMENT RECONCILIATION ─────────────────────────────────────────────────
+//
+// Checks the extracted deposits against the totals printed on the statement.
+// Extracted income should never exceed the printed deposit total (that means
+// a duplicated or invented row), and should not fall short of it by more than
+// the credits we deliberately exclude - refunds, internal transfers, loan
+// proceeds. Both directions are flagged for a human to look at.
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+export const DEFAULT_TOLERANCE = {
+  absolute: Number(process.env.RECONCILE_TOLERANCE_ABSOLUTE || 1),
+  percent: Number(process.env.RECONCILE_TOLERANCE_PERCENT || 0.01),
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function monthLabel(isoDate) {
+  const [year, month] = isoDate.split('-');
+  return `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+}
+
+/**
+ * Reconcile one analysis result (single file) against its statementPeriods.
+ *
+ * Returns one entry per period:
+ *   { periodStart, periodEnd, month, beginningBalance, endingBalance,
+ *     statementDeposits, extractedDeposits, difference,
+ *     status: 'ok' | 'under' | 'over' | 'unavailable', message }
+ */
+export function reconcileStatement(result, tolerance = DEFAULT_TOLERANCE) {
+  const periods = result?.statementPeriods || [];
+  const transactions = (result?.months || []).flatMap(month => month.transactions || []);
+
+  return periods.map(period => {
+    const base = {
+      periodStart: period.periodStart,
+      periodEnd: period.periodEnd,
+      month: period.periodEnd ? monthLabel(period.periodEnd) : null,
+      beginningBalance: period.beginningBalance ?? null,
+      endingBalance: period.endingBalance ?? null,
+      statementDeposits: period.totalDeposits ?? null,
+    };
+
+    if (!period.periodStart || !period.periodEnd || typeof period.totalDeposits !== 'number') {
+      return {
+        ...base,
+        extractedDeposits: null,
+        difference: null,
+        status: 'unavailable',
+        message: 'Statement does not show a period and deposit total to reconcile against'
+      };
+    }
+
+    const extracted = round2(transactions
+      .filter(tx => tx.date >= period.periodStart && tx.date <= period.periodEnd)
+      .reduce((sum, tx) => sum + Number(tx.amount), 0));
+    const difference = round2(period.totalDeposits - extracted);
+    const allowed = Math.max(tolerance.absolute, period.totalDeposits * tolerance.percent);
+
+    let status = 'ok';
+    let message = 'Extracted deposits match the statement total';
+    if (difference < -allowed) {
+      status = 'over';
+      message = `Extracted deposits exceed the statement total by $${Math.abs(difference).toFixed(2)} - check for duplicated or misread rows`;
+    } else if (difference > allowed) {
+      status = 'under';
+      message = `Statement shows $${difference.toFixed(2)} more in deposits than was extracted - confirm the gap is excluded credits (refunds, transfers, loans) and not missed income`;
+    }
+
+    return { ...base, extractedDeposits: extracted, difference, status, message };
+  });
+}
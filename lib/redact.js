@@ -0,0 +1,112 @@
+import { log } from './log.js';
+
+// ─── PII REDACTION ────────────────────────────────────────────────────────────
+//
+// Personal details are masked before a document goes to an external model
+// and before anything reaches the server logs. Masking works on text, so it
+// covers pages with a text layer: those are sent to the model as redacted
+// text instead of as the PDF itself. Scanned pages and photos have nothing to
+// mask; the provider's policy decides whether they may be sent at all.
+//
+// Full account numbers keep their last 4 digits, which is all the results
+// and the UI use.
+
+export const PII_KINDS = ['account', 'routing', 'ssn', 'address', 'phone', 'email'];
+
+const MASK = '••••';
+const STREET_TYPES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Way|Place|Pl|Terrace|Ter|Parkway|Pkwy|Highway|Hwy|Circle|Cir|Trail|Trl';
+
+// Applied in this order: the labelled and more specific patterns first, so an
+// SSN or routing number is not taken for an account number
+const PATTERNS = [
+  { kind: 'ssn', pattern: /\b\d{3}[- ]\d{2}[- ]\d{4}\b/g, replace: () => '[ssn]' },
+  { kind: 'ssn', pattern: /\b(SSN|social security(?: number| no\.?)?)(\s*[:#]?\s*)\d{9}\b/gi, replace: (_, label, gap) => `${label}${gap}[ssn]` },
+  {
+    kind: 'routing',
+    pattern: /\b(routing|ABA|RTN|R\/T|transit)(\s*(?:number|no\.?|#)?\s*[:#]?\s*)\d{9}\b/gi,
+    replace: (_, label, gap) => `${label}${gap}[routing number]`
+  },
+  // 8-17 digits in a row, or card-style groups of 4; never part of an amount
+  // and never a compact YYYYMMDD date
+  {
+    kind: 'account',
+    pattern: /(?<![\d.,])(?!(?:19|20)\d\d(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])(?!\d))(?:\d{8,17}|\d{4}(?:[ -]\d{4}){2,3})(?![\d]|[.,]\d)/g,
+    replace: (digits) => `${MASK}${digits.replace(/\D/g, '').slice(-4)}`
+  },
+  { kind: 'phone', pattern: /(?<![\d])(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\d{3}[-.\s])\d{3}[-.\s]\d{4}(?!\d)/g, replace: () => '[phone]' },
+  { kind: 'email', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, replace: () => '[email]' },
+  {
+    kind: 'address',
+    pattern: new RegExp(String.raw`(?<![\d•/-])\b\d{1,6}(?:\s+[A-Za-z0-9.'-]+){1,4}?\s+(?:${STREET_TYPES})\b\.?(?:,?\s+(?:Apt|Apartment|Unit|Suite|Ste|#)\.?\s*#?\s*[\w-]+)?`, 'gi'),
+    replace: () => '[address]'
+  },
+  { kind: 'address', pattern: /\bP\.?\s?O\.?\s+Box\s+\d+\b/gi, replace: () => '[address]' },
+  { kind: 'address', pattern: /\b[A-Z][A-Za-z.' -]{1,30},\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/g, replace: () => '[city, state zip]' }
+];
+
+/**
+ * Mask the given kinds of personal details in free text.
+ */
+export function redactText(text, kinds = PII_KINDS) {
+  return PATTERNS
+    .filter(({ kind }) => kinds.includes(kind))
+    .reduce((result, { pattern, replace }) => result.replace(pattern, replace), String(text));
+}
+
+// ─── POLICY ───────────────────────────────────────────────────────────────────
+//
+// Per provider:
+//   mask          PII kinds masked before sending; [] sends documents as they are
+//   unredactable  'send' or 'refuse' pages that cannot be masked (scanned
+//                 pages, photos) - 'refuse' fails those chunks instead
+//
+// LLM_REDACTION_POLICY overrides the default for every provider ("*") or by
+// provider name, e.g. '{"gemini":{"unredactable":"refuse"},"openai":{"mask":[]}}'
+
+const DEFAULT_POLICY = { mask: PII_KINDS, unredactable: 'send' };
+
+export class RedactionPolicyError extends Error {
+  constructor(provider) {
+    super(`The redaction policy for ${provider} does not allow sending pages that cannot be redacted (scanned pages and photos)`);
+    this.name = 'RedactionPolicyError';
+  }
+}
+
+export function redactionPolicy(provider) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.LLM_REDACTION_POLICY || '{}');
+  } catch (error) {
+    log.error('Ignoring LLM_REDACTION_POLICY, it is not valid JSON', { error });
+  }
+
+  const policy = { ...DEFAULT_POLICY, ...overrides['*'], ...overrides[provider] };
+  return {
+    mask: (Array.isArray(policy.mask) ? policy.mask : []).filter(kind => PII_KINDS.includes(kind)),
+    unredactable: policy.unredactable === 'refuse' ? 'refuse' : 'send'
+  };
+}
+
+/**
+ * What one chunk may send to `provider`. `textPages` are the chunk's pages as
+ * text lines ([{ pageNumber, lines }]) when every page has a text layer,
+ * otherwise null.
+ *
+ * @returns {{ data: string, mimeType: string, redacted: boolean }} base64 data
+ * @throws {RedactionPolicyError} when the chunk cannot be masked and the
+ *   policy refuses to send it as is
+ */
+export function modelInput({ provider, data, mimeType, textPages }) {
+  const policy = redactionPolicy(provider);
+  if (policy.mask.length === 0) return { data, mimeType, redacted: false };
+
+  if (textPages) {
+    const text = textPages
+      .map(page => `--- Page ${page.pageNumber} ---\n${page.lines.join('\n')}`)
+      .join('\n\n');
+    return { data: Buffer.from(redactText(text, policy.mask)).toString('base64'), mimeType: 'text/plain', redacted: true };
+  }
+
+  if (policy.unredactable === 'refuse') throw new RedactionPolicyError(provider);
+  return { data, mimeType, redacted: false };
+}
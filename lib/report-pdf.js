@@ -0,0 +1,378 @@
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { describeEdit } from './review.js';
+import { CADENCES } from './income-sources.js';
+import { winAnsiText } from './pdf-text.js';
+
+// ─── PDF REPORT ───────────────────────────────────────────────────────────────
+//
+// Printable summary for the loan file: summary cards, processing metadata,
+// qualifying income, source files and their tamper findings, income sources,
+// category breakdown per month and the review audit log. Individual
+// transactions are left to the CSV/XLSX exports.
+
+const PAGE_WIDTH = 612; // US Letter
+const PAGE_HEIGHT = 792;
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const PURPLE = rgb(0.42, 0.13, 0.66);
+const PURPLE_LIGHT = rgb(0.95, 0.92, 0.98);
+const GRAY = rgb(0.4, 0.4, 0.45);
+const DARK = rgb(0.13, 0.13, 0.16);
+const RED = rgb(0.75, 0.15, 0.15);
+const WHITE = rgb(1, 1, 1);
+
+const formatMoney = (value) =>
+  `$${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+function truncate(text, font, size, maxWidth) {
+  let value = winAnsiText(text);
+  if (font.widthOfTextAtSize(value, size) <= maxWidth) return value;
+  while (value.length > 0 && font.widthOfTextAtSize(`${value}...`, size) > maxWidth) {
+    value = value.slice(0, -1);
+  }
+  return `${value}...`;
+}
+
+/**
+ * Minimal flowing layout on top of pdf-lib: a cursor that moves down the
+ * page and starts a new one when the next block would not fit.
+ */
+class ReportWriter {
+  constructor(doc, fonts) {
+    this.doc = doc;
+    this.fonts = fonts;
+    this.page = null;
+    this.y = 0;
+  }
+
+  newPage() {
+    this.page = this.doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  ensureSpace(height) {
+    if (!this.page || this.y - height < MARGIN + 20) this.newPage();
+  }
+
+  text(value, { x = MARGIN, size = 10, bold = false, color = DARK, maxWidth = CONTENT_WIDTH } = {}) {
+    const font = bold ? this.fonts.bold : this.fonts.regular;
+    this.page.drawText(truncate(value, font, size, maxWidth), { x, y: this.y - size, size, font, color });
+  }
+
+  heading(value) {
+    this.ensureSpace(40);
+    this.y -= 12;
+    this.text(value, { size: 14, bold: true, color: PURPLE });
+    this.y -= 20;
+    this.page.drawLine({
+      start: { x: MARGIN, y: this.y },
+      end: { x: PAGE_WIDTH - MARGIN, y: this.y },
+      thickness: 1,
+      color: PURPLE_LIGHT
+    });
+    this.y -= 8;
+  }
+
+  /**
+   * @param {Array<{ header: string, width: number, align?: 'right' }>} columns  widths as fractions of the content width
+   * @param {Array<Array<string>>} rows
+   */
+  table(columns, rows, { rowColor } = {}) {
+    const size = 9;
+    const rowHeight = 16;
+    const drawHeader = () => {
+      this.ensureSpace(rowHeight * 2);
+      this.page.drawRectangle({ x: MARGIN, y: this.y - rowHeight, width: CONTENT_WIDTH, height: rowHeight, color: PURPLE });
+      this.drawRow(columns, columns.map(column => column.header), { size, bold: true, color: WHITE, rowHeight });
+    };
+
+    drawHeader();
+    rows.forEach((row, index) => {
+      if (this.y - rowHeight < MARGIN + 20) {
+        this.newPage();
+        drawHeader();
+      }
+      if (index % 2 === 1) {
+        this.page.drawRectangle({ x: MARGIN, y: this.y - rowHeight, width: CONTENT_WIDTH, height: rowHeight, color: PURPLE_LIGHT });
+      }
+      this.drawRow(columns, row, { size, color: rowColor ? rowColor(index) : DARK, rowHeight });
+    });
+    this.y -= 6;
+  }
+
+  drawRow(columns, cells, { size, bold = false, color, rowHeight }) {
+    const font = bold ? this.fonts.bold : this.fonts.regular;
+    let x = MARGIN;
+    columns.forEach((column, i) => {
+      const width = column.width * CONTENT_WIDTH;
+      const value = truncate(cells[i], font, size, width - 8);
+      const textX = column.align === 'right' ? x + width - 4 - font.widthOfTextAtSize(value, size) : x + 4;
+      this.page.drawText(value, { x: textX, y: this.y - rowHeight + 5, size, font, color });
+      x += width;
+    });
+    this.y -= rowHeight;
+  }
+}
+
+function drawSummaryCards(writer, summary) {
+  const cards = [
+    { label: 'TOTAL INCOME', value: formatMoney(summary.totalIncome), note: `${summary.filesProcessed} statement${summary.filesProcessed !== 1 ? 's' : ''} analyzed` },
+    { label: 'AVERAGE MONTHLY', value: formatMoney(summary.averageMonthlyIncome), note: `Across ${summary.monthCount} month${summary.monthCount !== 1 ? 's' : ''}` },
+    { label: 'TRANSACTIONS', value: String(summary.totalTransactions), note: 'Income sources identified' },
+    { label: 'FILES PROCESSED', value: String(summary.filesProcessed), note: `${summary.filesSucceeded} successful, ${summary.filesFailed} failed` }
+  ];
+  const gap = 10;
+  const width = (CONTENT_WIDTH - gap * (cards.length - 1)) / cards.length;
+  const height = 70;
+
+  writer.ensureSpace(height + 10);
+  cards.forEach((card, i) => {
+    const x = MARGIN + i * (width + gap);
+    writer.page.drawRectangle({ x, y: writer.y - height, width, height, color: PURPLE });
+    writer.page.drawText(card.label, { x: x + 8, y: writer.y - 16, size: 7, font: writer.fonts.bold, color: WHITE });
+    writer.page.drawText(truncate(card.value, writer.fonts.bold, 15, width - 16), { x: x + 8, y: writer.y - 40, size: 15, font: writer.fonts.bold, color: WHITE });
+    writer.page.drawText(truncate(card.note, writer.fonts.regular, 7, width - 16), { x: x + 8, y: writer.y - 58, size: 7, font: writer.fonts.regular, color: WHITE });
+  });
+  writer.y -= height + 10;
+}
+
+/**
+ * @param {ReturnType<import('./report.js').buildReport>} report
+ * @returns {Promise<Uint8Array>}
+ */
+export async function reportToPdf(report) {
+  const doc = await PDFDocument.create();
+  doc.setTitle('Income Verification Report');
+  doc.setCreator('Income Verification Tool');
+  doc.setCreationDate(new Date(report.generatedAt));
+
+  const writer = new ReportWriter(doc, {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  });
+
+  // Title band
+  writer.newPage();
+  writer.page.drawRectangle({ x: 0, y: PAGE_HEIGHT - 90, width: PAGE_WIDTH, height: 90, color: PURPLE });
+  writer.page.drawText('Income Verification Report', { x: MARGIN, y: PAGE_HEIGHT - 50, size: 22, font: writer.fonts.bold, color: WHITE });
+  writer.page.drawText(`Generated ${new Date(report.generatedAt).toLocaleString('en-US', { timeZone: 'UTC' })} UTC`, {
+    x: MARGIN, y: PAGE_HEIGHT - 70, size: 10, font: writer.fonts.regular, color: WHITE
+  });
+  writer.y = PAGE_HEIGHT - 110;
+
+  drawSummaryCards(writer, report.summary);
+
+  const { qualification } = report;
+  writer.heading(`Qualifying Income: ${formatMoney(qualification.qualifyingMonthlyIncome)}/mo`);
+  writer.text(`${qualification.ruleSetLabel} rules, ${qualification.windowMonths}-month window`, { size: 9, color: GRAY });
+  writer.y -= 14;
+  qualification.warnings.forEach(warning => {
+    writer.ensureSpace(14);
+    writer.text(warning, { size: 9, color: RED });
+    writer.y -= 14;
+  });
+  writer.table(
+    [
+      { header: 'Step', width: 0.38 },
+      { header: 'Detail', width: 0.44 },
+      { header: 'Amount', width: 0.18, align: 'right' }
+    ],
+    qualification.steps.map((step, i) => [
+      `${i + 1}. ${step.label}`,
+      step.detail || '',
+      step.amount === undefined ? '' : `${step.amount < 0 ? '-' : ''}${formatMoney(Math.abs(step.amount))}`
+    ])
+  );
+
+  writer.heading('Processing');
+  writer.table(
+    [
+      { header: 'Files processed', width: 0.2, align: 'right' },
+      { header: 'Files failed', width: 0.2, align: 'right' },
+      { header: 'Chunks processed', width: 0.2, align: 'right' },
+      { header: 'Chunks failed', width: 0.2, align: 'right' },
+      { header: 'Reviewer changes', width: 0.2, align: 'right' }
+    ],
+    [[
+      String(report.summary.filesProcessed),
+      String(report.summary.filesFailed),
+      String(report.summary.chunksProcessed),
+      String(report.summary.chunksFailed),
+      String(report.edits.length)
+    ]]
+  );
+
+  writer.heading('Source Files');
+  writer.table(
+    [
+      { header: 'File', width: 0.3 },
+      { header: 'Account', width: 0.11 },
+      { header: 'Status', width: 0.11 },
+      { header: 'Chunks', width: 0.08, align: 'right' },
+      { header: 'Tamper risk', width: 0.14 },
+      { header: 'Notes', width: 0.26 }
+    ],
+    report.files.map(file => [
+      file.fileName,
+      file.accountNumber === 'N/A' ? 'N/A' : `****${file.accountNumber}`,
+      file.status,
+      `${file.chunksProcessed}/${file.chunksProcessed + file.failedChunks.length}`,
+      file.tamper ? `${file.tamper.level} (${file.tamper.score})` : '-',
+      file.error || (file.failedChunks.length > 0
+        ? `Pages not extracted: ${file.failedChunks.map(fc => `${fc.startPage}-${fc.endPage}`).join(', ')}`
+        : '')
+    ]),
+    { rowColor: (index) => (report.files[index].status === 'failed' || report.files[index].failedChunks.length > 0 ? RED : DARK) }
+  );
+
+  writer.heading('Accounts');
+  writer.table(
+    [
+      { header: 'Account', width: 0.14 },
+      { header: 'Months covered', width: 0.16, align: 'right' },
+      { header: 'Missing months', width: 0.28 },
+      { header: 'Deposits', width: 0.16, align: 'right' },
+      { header: 'Internal transfers excluded', width: 0.26, align: 'right' }
+    ],
+    report.accounts.map(account => [
+      account.accountNumber === 'N/A' ? account.fileNames.join(', ') : `****${account.accountNumber}`,
+      String(account.months.filter(month => month.covered > 0).length),
+      account.missingMonths.join(', ') || '-',
+      formatMoney(account.total),
+      account.internalTransfers.count > 0
+        ? `${account.internalTransfers.count} (${formatMoney(account.internalTransfers.amount)})`
+        : '-'
+    ]),
+    { rowColor: (index) => (report.accounts[index].missingMonths.length > 0 ? RED : DARK) }
+  );
+
+  if (report.borrowers) {
+    writer.heading('Borrowers');
+    writer.text('Joint accounts count toward each owner; the combined figures above count them once.', { size: 9, color: GRAY });
+    writer.table(
+      [
+        { header: 'Borrower', width: 0.22 },
+        { header: 'Accounts', width: 0.26 },
+        { header: 'Total income', width: 0.18, align: 'right' },
+        { header: 'From joint', width: 0.16, align: 'right' },
+        { header: 'Qualifying/mo', width: 0.18, align: 'right' }
+      ],
+      report.borrowers.map(borrower => [
+        borrower.name,
+        borrower.accounts.map(account => `${account.accountNumber === 'N/A' ? account.key.replace(/^file:/, '') : `****${account.accountNumber}`}${account.joint ? ' (joint)' : ''}`).join(', ') || '-',
+        formatMoney(borrower.totalIncome),
+        formatMoney(borrower.jointIncome),
+        formatMoney(borrower.qualifyingMonthlyIncome)
+      ])
+    );
+  }
+
+  if (report.incomeSources.length > 0) {
+    writer.heading('Income Sources');
+    writer.table(
+      [
+        { header: 'Payer', width: 0.3 },
+        { header: 'Kind', width: 0.12 },
+        { header: 'Cadence', width: 0.13 },
+        { header: 'Deposits', width: 0.1, align: 'right' },
+        { header: 'Average', width: 0.12, align: 'right' },
+        { header: 'Total', width: 0.13, align: 'right' },
+        { header: 'Missed', width: 0.1, align: 'right' }
+      ],
+      report.incomeSources.map(source => [
+        source.name,
+        source.kind,
+        CADENCES[source.cadence]?.label || 'Irregular',
+        String(source.count),
+        formatMoney(source.averageAmount),
+        formatMoney(source.total),
+        String(source.missedDates.length)
+      ])
+    );
+  }
+
+  const flagged = report.files.filter(file => file.tamper && file.tamper.findings.some(finding => finding.severity !== 'info'));
+  if (flagged.length > 0) {
+    writer.heading('Document Integrity Findings');
+    writer.table(
+      [
+        { header: 'File', width: 0.26 },
+        { header: 'Severity', width: 0.1 },
+        { header: 'Finding', width: 0.64 }
+      ],
+      flagged.flatMap(file => file.tamper.findings
+        .filter(finding => finding.severity !== 'info')
+        .map(finding => [file.fileName, finding.severity, `${finding.title}${finding.page ? ` (page ${finding.page})` : ''}: ${finding.detail}`]))
+    );
+  }
+
+  if (report.duplicates.length > 0) {
+    writer.heading('Unresolved Possible Duplicates');
+    writer.table(
+      [
+        { header: 'Amount', width: 0.12, align: 'right' },
+        { header: 'First copy', width: 0.44 },
+        { header: 'Second copy', width: 0.44 }
+      ],
+      report.duplicates.map(suspect => [
+        formatMoney(suspect.keep.amount),
+        `${suspect.keep.date} ${suspect.keep.source} (${suspect.keep.fileName})`,
+        `${suspect.duplicate.date} ${suspect.duplicate.source} (${suspect.duplicate.fileName})`
+      ]),
+      { rowColor: () => RED }
+    );
+  }
+
+  writer.heading('Monthly Breakdown');
+  report.months.forEach(month => {
+    const categories = Object.entries(month.categories);
+    writer.ensureSpace(16 * (categories.length + 3));
+    writer.text(month.month, { size: 11, bold: true });
+    writer.text(formatMoney(month.total), {
+      x: PAGE_WIDTH - MARGIN - writer.fonts.bold.widthOfTextAtSize(formatMoney(month.total), 11),
+      size: 11,
+      bold: true,
+      color: PURPLE
+    });
+    writer.y -= 16;
+    writer.table(
+      [
+        { header: 'Category', width: 0.6 },
+        { header: 'Transactions', width: 0.2, align: 'right' },
+        { header: 'Amount', width: 0.2, align: 'right' }
+      ],
+      categories.map(([category, data]) => [category, String(data.count), formatMoney(data.amount)])
+    );
+    writer.y -= 4;
+  });
+
+  if (report.edits.length > 0) {
+    writer.heading('Review Audit Log');
+    writer.table(
+      [
+        { header: 'When (UTC)', width: 0.18 },
+        { header: 'User', width: 0.14 },
+        { header: 'Change', width: 0.42 },
+        { header: 'Reason', width: 0.26 }
+      ],
+      report.edits.map(edit => [edit.at.replace('T', ' ').slice(0, 16), edit.user, describeEdit(edit), edit.reason])
+    );
+  }
+
+  // Footer on every page
+  const pages = doc.getPages();
+  pages.forEach((page, i) => {
+    const label = `Page ${i + 1} of ${pages.length}`;
+    page.drawText(label, {
+      x: PAGE_WIDTH - MARGIN - writer.fonts.regular.widthOfTextAtSize(label, 8),
+      y: MARGIN / 2,
+      size: 8,
+      font: writer.fonts.regular,
+      color: GRAY
+    });
+    page.drawText('Income Verification Tool', { x: MARGIN, y: MARGIN / 2, size: 8, font: writer.fonts.regular, color: GRAY });
+  });
+
+  return doc.save();
+}
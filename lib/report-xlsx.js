@@ -0,0 +1,217 @@
+import ExcelJS from 'exceljs';
+import { TRANSACTION_COLUMNS } from './report.js';
+import { describeEdit } from './review.js';
+import { CADENCES } from './income-sources.js';
+
+// ─── XLSX REPORT ──────────────────────────────────────────────────────────────
+//
+// Workbook layout: "Summary", "Qualifying Income", "Income Sources", then one
+// sheet per month (newest first), then "Accounts", "Borrowers" on a joint
+// application, "Possible Duplicates" when any are unresolved, one sheet per
+// account, then "Files" and - when there were reviewer changes - "Audit Log".
+
+const BRAND_PURPLE = 'FF6B21A8';
+const MONEY_FORMAT = '"$"#,##0.00';
+
+const HEADER_STYLE = {
+  font: { bold: true, color: { argb: 'FFFFFFFF' } },
+  fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: BRAND_PURPLE } }
+};
+
+// Sheet names: at most 31 characters, none of : \ / ? * [ ], unique per book
+function sheetName(workbook, name) {
+  const base = name.replace(/[:\\/?*[\]]/g, '-').slice(0, 31);
+  let candidate = base;
+  for (let n = 2; workbook.getWorksheet(candidate); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  return candidate;
+}
+
+function addTable(sheet, header, rows, { moneyColumns = [] } = {}) {
+  const headerRow = sheet.addRow(header);
+  headerRow.eachCell(cell => Object.assign(cell, HEADER_STYLE));
+  rows.forEach(row => sheet.addRow(row));
+
+  moneyColumns.forEach(index => { sheet.getColumn(index).numFmt = MONEY_FORMAT; });
+  sheet.columns.forEach(column => {
+    let width = 10;
+    column.eachCell({ includeEmpty: false }, cell => {
+      width = Math.max(width, Math.min(60, String(cell.value ?? '').length + 2));
+    });
+    column.width = width;
+  });
+}
+
+function addTransactionSheet(workbook, name, transactions) {
+  const sheet = workbook.addWorksheet(sheetName(workbook, name));
+  const amountColumn = TRANSACTION_COLUMNS.findIndex(column => column.header === 'Amount') + 1;
+  addTable(
+    sheet,
+    TRANSACTION_COLUMNS.map(column => column.header),
+    transactions.map(tx => TRANSACTION_COLUMNS.map(column => column.value(tx))),
+    { moneyColumns: [amountColumn] }
+  );
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+/**
+ * @param {ReturnType<import('./report.js').buildReport>} report
+ * @returns {Promise<Buffer>}
+ */
+export async function reportToXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Income Verification Tool';
+  workbook.created = new Date(report.generatedAt);
+
+  const { summary } = report;
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.addRow(['Income Verification Report']).font = { bold: true, size: 16, color: { argb: BRAND_PURPLE } };
+  summarySheet.addRow(['Generated', report.generatedAt]);
+  summarySheet.addRow([]);
+  addTable(summarySheet, ['Metric', 'Value'], [
+    ['Total Income', summary.totalIncome],
+    ['Average Monthly Income', summary.averageMonthlyIncome],
+    ['Months', summary.monthCount],
+    ['Total Transactions', summary.totalTransactions],
+    ['Files Processed', summary.filesProcessed],
+    ['Files Failed', summary.filesFailed],
+    ['Chunks Processed', summary.chunksProcessed],
+    ['Chunks Failed', summary.chunksFailed]
+  ]);
+  ['B5', 'B6'].forEach(ref => { summarySheet.getCell(ref).numFmt = MONEY_FORMAT; });
+
+  summarySheet.addRow([]);
+  summarySheet.addRow(['Month', 'Category', 'Transactions', 'Amount']).eachCell(cell => Object.assign(cell, HEADER_STYLE));
+  report.months.forEach(month => {
+    Object.entries(month.categories).forEach(([category, data]) => {
+      summarySheet.addRow([month.month, category, data.count, data.amount]);
+    });
+    summarySheet.addRow([month.month, 'Total', month.transactions.filter(tx => tx.included).length, month.total]).font = { bold: true };
+  });
+  summarySheet.getColumn(4).numFmt = MONEY_FORMAT;
+  summarySheet.getColumn(1).width = 26;
+  summarySheet.getColumn(2).width = 22;
+  summarySheet.getColumn(3).width = 14;
+  summarySheet.getColumn(4).width = 16;
+
+  const { qualification } = report;
+  const qualifyingSheet = workbook.addWorksheet(sheetName(workbook, 'Qualifying Income'));
+  qualifyingSheet.addRow([`${qualification.ruleSetLabel}, ${qualification.windowMonths}-month window`]).font = { bold: true };
+  qualifyingSheet.addRow(['Qualifying Monthly Income', qualification.qualifyingMonthlyIncome]).font = { bold: true };
+  qualifyingSheet.getCell('B2').numFmt = MONEY_FORMAT;
+  qualification.warnings.forEach(warning => { qualifyingSheet.addRow([warning]).font = { color: { argb: 'FF856404' } }; });
+  qualifyingSheet.addRow([]);
+  addTable(
+    qualifyingSheet,
+    ['Step', 'Detail', 'Amount'],
+    qualification.steps.map((step, i) => [`${i + 1}. ${step.label}`, step.detail || '', step.amount ?? null]),
+    { moneyColumns: [3] }
+  );
+
+  const sourcesSheet = workbook.addWorksheet(sheetName(workbook, 'Income Sources'));
+  addTable(
+    sourcesSheet,
+    ['Payer', 'Kind', 'Cadence', 'Deposits', 'Average', 'Std Dev', 'Total', 'First Seen', 'Last Seen', 'Missed Deposits'],
+    report.incomeSources.map(source => [
+      source.name,
+      source.kind,
+      CADENCES[source.cadence]?.label || 'Irregular',
+      source.count,
+      source.averageAmount,
+      source.amountStdDev,
+      source.total,
+      source.firstSeen,
+      source.lastSeen,
+      source.missedDates.join(', ')
+    ]),
+    { moneyColumns: [5, 6, 7] }
+  );
+
+  report.months.forEach(month => addTransactionSheet(workbook, month.month, month.transactions));
+
+  // Accounts x months: deposits where the statements cover the month, blank where they do not
+  const accountsSheet = workbook.addWorksheet(sheetName(workbook, 'Accounts'));
+  const coverageMonths = report.accounts[0]?.months || [];
+  addTable(
+    accountsSheet,
+    ['Account', 'Files', 'Deposits', 'Internal Transfers Excluded', 'Transfer Amount', 'Missing Months', ...coverageMonths.map(month => month.label)],
+    report.accounts.map(account => [
+      account.accountNumber,
+      account.fileNames.join(', '),
+      account.total,
+      account.internalTransfers.count,
+      account.internalTransfers.amount,
+      account.missingMonths.join(', '),
+      ...account.months.map(month => (month.covered > 0 ? month.total : null))
+    ]),
+    { moneyColumns: [3, 5, ...coverageMonths.map((_, i) => 7 + i)] }
+  );
+
+  // Joint accounts count under each owner, so these rows do not add up to the summary
+  if (report.borrowers) {
+    const borrowersSheet = workbook.addWorksheet(sheetName(workbook, 'Borrowers'));
+    addTable(
+      borrowersSheet,
+      ['Borrower', 'Accounts', 'Total Income', 'From Joint Accounts', 'Average Monthly', 'Qualifying Monthly'],
+      report.borrowers.map(borrower => [
+        borrower.name,
+        borrower.accounts.map(account => `${account.accountNumber === 'N/A' ? account.key.replace(/^file:/, '') : account.accountNumber}${account.joint ? ' (joint)' : ''}`).join(', '),
+        borrower.totalIncome,
+        borrower.jointIncome,
+        borrower.averageMonthlyIncome,
+        borrower.qualifyingMonthlyIncome
+      ]),
+      { moneyColumns: [3, 4, 5, 6] }
+    );
+  }
+
+  if (report.duplicates.length > 0) {
+    const duplicatesSheet = workbook.addWorksheet(sheetName(workbook, 'Possible Duplicates'));
+    addTable(
+      duplicatesSheet,
+      ['Amount', 'Date', 'Source', 'File', 'Duplicate Date', 'Duplicate Source', 'Duplicate File', 'Payer Match'],
+      report.duplicates.map(suspect => [
+        suspect.keep.amount,
+        suspect.keep.date,
+        suspect.keep.source,
+        suspect.keep.fileName,
+        suspect.duplicate.date,
+        suspect.duplicate.source,
+        suspect.duplicate.fileName,
+        suspect.similarity
+      ]),
+      { moneyColumns: [1] }
+    );
+  }
+
+  report.accounts.forEach(account => addTransactionSheet(workbook, `Account ${account.accountNumber}`, account.transactions));
+
+  const filesSheet = workbook.addWorksheet(sheetName(workbook, 'Files'));
+  addTable(
+    filesSheet,
+    ['File', 'Account', 'Status', 'Chunks Processed', 'Chunks Failed', 'Error', 'Tamper Risk', 'Tamper Findings'],
+    report.files.map(file => [
+      file.fileName,
+      file.accountNumber,
+      file.status,
+      file.chunksProcessed,
+      file.failedChunks.length,
+      file.error || file.failedChunks.map(fc => `Pages ${fc.startPage}-${fc.endPage}: ${fc.error}`).join('; '),
+      file.tamper ? `${file.tamper.level} (${file.tamper.score}/100)` : '',
+      file.tamper ? file.tamper.findings.map(finding => `${finding.severity}: ${finding.title}`).join('; ') : ''
+    ])
+  );
+
+  if (report.edits.length > 0) {
+    const auditSheet = workbook.addWorksheet(sheetName(workbook, 'Audit Log'));
+    addTable(
+      auditSheet,
+      ['Timestamp', 'User', 'Action', 'Change', 'Reason'],
+      report.edits.map(edit => [edit.at, edit.user, edit.action, describeEdit(edit), edit.reason])
+    );
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -0,0 +1,122 @@
+import { markStatementCopies, summarizeBorrowers } from './borrowers.js';
+import { collectTransactions, consolidateMonths, summarizeMonths } from './consolidate.js';
+import { applyReviewEdits } from './review.js';
+import { analyzeIncomeSources } from './income-sources.js';
+import { calculateQualifyingIncome, statementPeriodsOf } from './qualifying.js';
+import { findDuplicates } from './duplicates.js';
+import { accountKey, markInternalTransfers, summarizeAccounts } from './transfers.js';
+import { toCsv } from './csv.js';
+
+// ─── INCOME VERIFICATION REPORT ───────────────────────────────────────────────
+//
+// One report model feeds every export format (CSV here, XLSX in
+// report-xlsx.js, PDF in report-pdf.js), so the files in the loan folder always
+// agree with each other and with the results screen.
+
+/**
+ * The transaction list every view works from: the extraction, with second
+ * copies of the same account's statements and deposits matched to transfers
+ * between uploaded accounts excluded, then reviewer edits replayed - so a
+ * reviewer can put back a wrongly matched transfer.
+ *
+ * @param {Array<{ fileName: string, jobId?: string, data: any }>} results
+ * @param {any[]} edits
+ */
+export function reviewTransactions(results, edits = []) {
+  return applyReviewEdits(markInternalTransfers(markStatementCopies(collectTransactions(results)), results), edits);
+}
+
+/**
+ * @param {{
+ *   results: Array<{ fileName: string, jobId?: string, data: any, error?: string, chunksProcessed?: number, failedChunks?: any[] }>,
+ *   edits?: any[],
+ *   qualification?: { ruleSet?: string, windowMonths?: number },
+ *   borrowers?: Array<{ id: string, name: string }>,
+ *   accountOwners?: { [accountKey: string]: string[] },
+ *   generatedAt?: Date
+ * }} input  `borrowers` and `accountOwners` add the per-borrower figures of a
+ *   joint application
+ */
+export function buildReport({ results, edits = [], qualification = {}, borrowers = [], accountOwners = {}, generatedAt = new Date() }) {
+  const transactions = reviewTransactions(results, edits);
+  const months = consolidateMonths(transactions);
+  const rows = months.flatMap(month => month.transactions);
+
+  // Per-account view of the same rows
+  const accounts = summarizeAccounts(transactions, results).map(account => ({
+    ...account,
+    transactions: rows.filter(tx => accountKey(tx.accountNumber, tx.fileName) === account.key)
+  }));
+
+  const files = results.map(result => ({
+    fileName: result.fileName,
+    accountNumber: result.data?.accountNumber || 'N/A',
+    status: result.error ? 'failed' : 'completed',
+    error: result.error || null,
+    chunksProcessed: result.chunksProcessed || 0,
+    failedChunks: result.failedChunks || [],
+    reconciliation: result.data?.reconciliation || [],
+    tamper: result.data?.tamper || null
+  }));
+
+  return {
+    generatedAt: generatedAt.toISOString(),
+    summary: {
+      ...summarizeMonths(months),
+      filesProcessed: files.length,
+      filesSucceeded: files.filter(file => file.status === 'completed').length,
+      filesFailed: files.filter(file => file.status === 'failed').length,
+      chunksProcessed: files.reduce((sum, file) => sum + file.chunksProcessed, 0),
+      chunksFailed: files.reduce((sum, file) => sum + file.failedChunks.length, 0)
+    },
+    months,
+    incomeSources: analyzeIncomeSources(transactions),
+    qualification: calculateQualifyingIncome({
+      transactions,
+      statementPeriods: statementPeriodsOf(results),
+      ruleSet: qualification.ruleSet,
+      windowMonths: qualification.windowMonths
+    }),
+    accounts,
+    borrowers: borrowers.length > 1
+      ? summarizeBorrowers({ transactions, results, borrowers, assigned: accountOwners, qualification }).borrowers
+      : null,
+    duplicates: findDuplicates(transactions, edits),
+    transactions: rows,
+    files,
+    edits
+  };
+}
+
+export const TRANSACTION_COLUMNS = [
+  { header: 'Month', value: tx => tx.month },
+  { header: 'Date', value: tx => tx.date },
+  { header: 'Type', value: tx => tx.type },
+  { header: 'Source', value: tx => tx.source },
+  { header: 'Description', value: tx => tx.description || '' },
+  { header: 'Account', value: tx => tx.accountNumber },
+  { header: 'Amount', value: tx => tx.amount },
+  { header: 'Included', value: tx => (tx.included ? 'Yes' : 'No') },
+  { header: 'Internal Transfer', value: tx => (tx.internalTransfer ? `From ${tx.internalTransfer.fromAccount} on ${tx.internalTransfer.date}` : '') },
+  { header: 'Duplicate Of', value: tx => tx.duplicateOf || '' },
+  { header: 'Copy Of', value: tx => tx.copyOf || '' },
+  { header: 'Manual', value: tx => (tx.manual ? 'Yes' : 'No') },
+  { header: 'File', value: tx => tx.fileName }
+];
+
+/**
+ * Transaction-level CSV: every reviewed row, newest month first. Excluded rows
+ * are kept and marked so the file shows what was left out.
+ */
+export function reportToCsv(report) {
+  const header = TRANSACTION_COLUMNS.map(column => column.header);
+  const rows = report.transactions.map(tx => TRANSACTION_COLUMNS.map(column => column.value(tx)));
+
+  return toCsv([header, ...rows]);
+}
+
+export const REPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
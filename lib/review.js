@@ -0,0 +1,177 @@
+import { monthOf } from './consolidate.js';
+import { toCsv } from './csv.js';
+
+// ─── MANUAL REVIEW ────────────────────────────────────────────────────────────
+//
+// Reviewer changes are never applied to the extracted data directly. Each one
+// is an audit entry, and the reviewed transaction list is the extraction with
+// every entry replayed in order - so the log is always the complete story of
+// how the numbers on screen were reached.
+//
+// Entry: { id, at, user, reason, action, ...details }
+//   exclude / include  { txId, before }
+//   update             { txId, before: { type?, source? }, changes: { type?, source? } }
+//   add                { transaction }
+//   split              { txId, before, parts: [{ id, amount, type, source }] }
+//   merge              { txIds, before, merged: { id, date, type, source, amount, description } }
+//   duplicate          { txId, duplicateOf, before }  confirmed duplicate, excluded
+//   not-duplicate      { txIds, before }              suspected pair kept as two deposits
+
+const newId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Build an audit entry. `details` carries the action-specific fields listed
+ * above; ids for new rows are assigned here so replays are deterministic.
+ */
+export function createEdit(action, { user, reason, ...details }) {
+  const edit = {
+    id: newId('edit'),
+    at: new Date().toISOString(),
+    user: user || 'unknown',
+    reason: reason || '',
+    action,
+    ...details
+  };
+
+  if (action === 'add') {
+    edit.transaction = { ...details.transaction, id: details.transaction.id || newId('manual') };
+  }
+  if (action === 'split') {
+    edit.parts = details.parts.map((part, i) => ({ ...part, id: part.id || `${details.txId}/${i + 1}` }));
+  }
+  if (action === 'merge') {
+    edit.merged = { ...details.merged, id: details.merged.id || newId('merged') };
+  }
+
+  return edit;
+}
+
+/**
+ * Replay audit entries over the extracted transactions.
+ *
+ * @param {import('./consolidate.js').ReviewTransaction[]} transactions
+ * @param {any[]} edits
+ * @returns {import('./consolidate.js').ReviewTransaction[]}
+ */
+export function applyReviewEdits(transactions, edits) {
+  const rows = transactions.map(tx => ({ ...tx }));
+  const find = (id) => rows.find(tx => tx.id === id);
+
+  edits.forEach(edit => {
+    switch (edit.action) {
+      case 'exclude':
+      case 'include': {
+        const tx = find(edit.txId);
+        if (tx) tx.included = edit.action === 'include';
+        break;
+      }
+      case 'duplicate': {
+        const tx = find(edit.txId);
+        if (tx) {
+          tx.included = false;
+          tx.duplicateOf = edit.duplicateOf;
+        }
+        break;
+      }
+      case 'update': {
+        const tx = find(edit.txId);
+        if (tx) Object.assign(tx, edit.changes);
+        break;
+      }
+      case 'add': {
+        rows.push({
+          fileName: 'Manual entry',
+          accountNumber: 'N/A',
+          description: '',
+          ...edit.transaction,
+          month: monthOf(edit.transaction.date),
+          amount: Number(edit.transaction.amount),
+          included: true,
+          manual: true
+        });
+        break;
+      }
+      case 'split': {
+        const tx = find(edit.txId);
+        if (!tx) break;
+        tx.replacedBy = edit.parts.map(part => part.id);
+        edit.parts.forEach(part => {
+          rows.push({
+            ...tx,
+            ...part,
+            amount: Number(part.amount),
+            replacedBy: undefined,
+            included: true,
+            splitFrom: tx.id
+          });
+        });
+        break;
+      }
+      case 'merge': {
+        const originals = edit.txIds.map(find).filter(Boolean);
+        if (originals.length === 0) break;
+        originals.forEach(tx => { tx.replacedBy = [edit.merged.id]; });
+        rows.push({
+          ...originals[0],
+          ...edit.merged,
+          month: monthOf(edit.merged.date),
+          amount: Number(edit.merged.amount),
+          replacedBy: undefined,
+          included: true,
+          mergedFrom: edit.txIds
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * One-line, human-readable summary of an audit entry.
+ */
+export function describeEdit(edit) {
+  switch (edit.action) {
+    case 'exclude':
+      return `Excluded ${edit.before?.source ?? ''} $${edit.before?.amount ?? ''} on ${edit.before?.date ?? ''}`;
+    case 'include':
+      return `Included ${edit.before?.source ?? ''} $${edit.before?.amount ?? ''} on ${edit.before?.date ?? ''}`;
+    case 'duplicate':
+      return `Excluded ${edit.before?.source ?? ''} $${edit.before?.amount ?? ''} on ${edit.before?.date ?? ''} as a duplicate`;
+    case 'not-duplicate':
+      return `Kept ${edit.txIds.length} similar deposits of $${edit.before?.[0]?.amount ?? ''} as separate`;
+    case 'update':
+      return Object.keys(edit.changes)
+        .map(field => `${field}: "${edit.before?.[field] ?? ''}" -> "${edit.changes[field]}"`)
+        .join(', ');
+    case 'add':
+      return `Added ${edit.transaction.type} from ${edit.transaction.source} $${edit.transaction.amount} on ${edit.transaction.date}`;
+    case 'split':
+      return `Split $${edit.before?.amount ?? ''} into ${edit.parts.map(p => `$${p.amount}`).join(' + ')}`;
+    case 'merge':
+      return `Merged ${edit.txIds.length} transactions into $${edit.merged.amount} on ${edit.merged.date}`;
+    default:
+      return edit.action;
+  }
+}
+
+/**
+ * Audit log as CSV: one row per edit, oldest first.
+ */
+export function auditLogToCsv(edits) {
+  const header = ['Timestamp', 'User', 'Action', 'Transaction', 'Change', 'Reason'];
+  const rows = edits.map(edit => [
+    edit.at,
+    edit.user,
+    edit.action,
+    edit.txId || (edit.txIds || []).join(' ') || edit.transaction?.id || '',
+    describeEdit(edit),
+    edit.reason
+  ]);
+
+  return toCsv([header, ...rows]);
+}
@@ -0,0 +1,20 @@
+// ─── ROLES ────────────────────────────────────────────────────────────────────
+//
+// Each role can do everything the ones before it can:
+//
+//   uploader     create cases, upload statements, follow jobs, view results
+//   underwriter  review: edit transactions, assign accounts, set the case
+//                status and qualification rules, export reports
+//   admin        classification rules, the analysis cache, deleting cases,
+//                user accounts and the debug routes
+//
+// Shared by the API (lib/auth.js) and the pages, which hide what a role
+// cannot use.
+
+export const ROLES = ['uploader', 'underwriter', 'admin'];
+
+/**
+ * @param {{ role: string } | null | undefined} user
+ * @param {string} role
+ */
+export const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
@@ -0,0 +1,159 @@
+import { DEFAULT_RULES } from './classification-rules.js';
+import { compileRules } from './rules.js';
+import { CATEGORIES } from './schema.js';
+import { createRecord, listRecords, readRecord } from './store.js';
+
+// ─── RULE SET VERSIONS ────────────────────────────────────────────────────────
+//
+// Every save from the admin screen is a new numbered version in the store; the
+// highest number is the active rule set. Versions are never edited in place,
+// so a job can always be traced back to the exact rules it ran with.
+
+const RULES = 'rules';
+
+const recordId = (version) => `v${version}`;
+// Admins saving at the same moment each take the next free number
+const MAX_SAVE_ATTEMPTS = 10;
+
+export class RulesValidationError extends Error {
+  constructor(errors) {
+    super(`Rule set is invalid: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+    this.name = 'RulesValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @returns {string[]} problems with an edited rule set, empty when it is usable
+ */
+export function validateRules(rules) {
+  const errors = [];
+  const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+  const checkPattern = (value, at) => {
+    if (!isText(value)) {
+      errors.push(`${at} is required`);
+      return;
+    }
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      errors.push(`${at} is not a valid pattern: ${error.message}`);
+    }
+  };
+  const checkType = (value, at) => {
+    if (!CATEGORIES.includes(value)) errors.push(`${at} must be one of ${CATEGORIES.join(', ')} (got ${JSON.stringify(value)})`);
+  };
+  const list = (key) => {
+    if (!Array.isArray(rules?.[key])) {
+      errors.push(`${key} must be an array`);
+      return [];
+    }
+    return rules[key];
+  };
+
+  list('payrollProcessors').forEach((name, i) => { if (!isText(name)) errors.push(`payrollProcessors[${i}] must be text`); });
+  list('incomeKeywords').forEach((word, i) => { if (!isText(word)) errors.push(`incomeKeywords[${i}] must be text`); });
+
+  list('payerAliases').forEach((alias, i) => {
+    if (!isText(alias?.match)) errors.push(`payerAliases[${i}].match is required`);
+    if (alias?.type !== undefined && alias?.type !== null && alias?.type !== '') checkType(alias.type, `payerAliases[${i}].type`);
+  });
+
+  list('reportCategories').forEach((category, i) => {
+    if (!isText(category?.label)) errors.push(`reportCategories[${i}].label is required`);
+    if (!category?.exclude) checkType(category?.type, `reportCategories[${i}].type`);
+    if (category?.alternateType) checkType(category.alternateType, `reportCategories[${i}].alternateType`);
+  });
+
+  list('categoryRules').forEach((rule, i) => {
+    checkPattern(rule?.pattern, `categoryRules[${i}].pattern`);
+    checkType(rule?.type, `categoryRules[${i}].type`);
+    if (rule?.source) checkPattern(rule.source, `categoryRules[${i}].source`);
+  });
+
+  list('exclusions').forEach((rule, i) => {
+    checkPattern(rule?.pattern, `exclusions[${i}].pattern`);
+    if (!isText(rule?.reason)) errors.push(`exclusions[${i}].reason is required`);
+  });
+
+  list('categoryAliases').forEach((alias, i) => {
+    if (!Array.isArray(alias?.contains) || !alias.contains.every(isText)) {
+      errors.push(`categoryAliases[${i}].contains must be a list of text`);
+    }
+    checkType(alias?.type, `categoryAliases[${i}].type`);
+  });
+
+  return errors;
+}
+
+/**
+ * Saved versions, newest first. The built-in rule set is always version 1.
+ *
+ * @returns {Promise<Array<{ version: number, updatedAt: string, updatedBy: string, note: string }>>}
+ */
+export async function listRuleVersions() {
+  const saved = await listRecords(RULES);
+  return [DEFAULT_RULES, ...saved]
+    .map(({ version, updatedAt, updatedBy, note }) => ({ version, updatedAt, updatedBy, note }))
+    .sort((a, b) => b.version - a.version);
+}
+
+// Versions come straight from query strings; anything but a whole number is
+// simply not found
+const isVersion = (version) => /^[1-9]\d*$/.test(String(version));
+
+/**
+ * A saved rule set, or null when there is no such version.
+ */
+export async function getRules(version) {
+  if (!isVersion(version)) return null;
+  if (Number(version) === DEFAULT_RULES.version) return DEFAULT_RULES;
+  return readRecord(RULES, recordId(Number(version)));
+}
+
+// Saved versions are read back as new objects each time; keep one per version
+// so compiled patterns are reused across calls
+const loaded = new Map();
+
+/**
+ * The rule set new jobs run with: the newest saved version, or the built-in one.
+ */
+export async function getActiveRules() {
+  const [latest] = await listRuleVersions();
+  if (latest.version === DEFAULT_RULES.version) return DEFAULT_RULES;
+  if (!loaded.has(latest.version)) loaded.set(latest.version, await getRules(latest.version));
+  return loaded.get(latest.version);
+}
+
+/**
+ * Store an edited rule set as the next version and make it active. Throws
+ * RulesValidationError when it would not compile or uses unknown categories.
+ */
+export async function saveRules(rules, { user, note } = {}) {
+  const errors = validateRules(rules);
+  if (errors.length > 0) throw new RulesValidationError(errors);
+
+  const record = {
+    version: null,
+    updatedAt: new Date().toISOString(),
+    updatedBy: user || 'unknown',
+    note: note || '',
+    payrollProcessors: rules.payrollProcessors,
+    incomeKeywords: rules.incomeKeywords,
+    payerAliases: rules.payerAliases,
+    reportCategories: rules.reportCategories,
+    categoryRules: rules.categoryRules,
+    exclusions: rules.exclusions,
+    categoryAliases: rules.categoryAliases
+  };
+
+  // Compile once so a save can never activate rules the classifier rejects
+  compileRules(record);
+
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+    const [latest] = await listRuleVersions();
+    const saved = await createRecord(RULES, recordId(latest.version + 1), { ...record, version: latest.version + 1 });
+    if (saved) return saved;
+  }
+  throw new Error('Could not save the rule set: other saves kept taking the next version, try again');
+}
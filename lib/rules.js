@@ -0,0 +1,148 @@
+import { DEFAULT_RULES } from './classification-rules.js';
+
+// ─── INCOME CLASSIFICATION RULES ──────────────────────────────────────────────
+//
+// The same include/exclude rules the prompts spell out for the model, applied
+// locally: text-layer statements are classified without a model call, and
+// model output is normalized to the canonical categories and payer names.
+// The rules themselves are data (lib/classification-rules.js, or a version
+// saved from the admin screen). Order matters: exclusions are checked first
+// ("when in doubt, EXCLUDE"), then the first matching category wins.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const wordList = (words) => new RegExp(`\\b(${words.map(escapeRegExp).join('|')})\\b`, 'i');
+
+// Report labels match with or without a trailing "s" and with any spacing
+const labelPattern = (label, { anchored = false } = {}) => new RegExp(
+  `${anchored ? '^' : '\\b'}${escapeRegExp(label.replace(/s$/i, '')).split(/\s+/).join('\\s*')}s?\\b`,
+  'i'
+);
+
+// Compiled patterns, once per rule set object
+const compiled = new WeakMap();
+
+/**
+ * Turn a rule set into the ordered matchers the classifier uses. Throws on a
+ * pattern that is not a valid regular expression.
+ */
+export function compileRules(rules = DEFAULT_RULES) {
+  if (compiled.has(rules)) return compiled.get(rules);
+
+  const result = {
+    exclusions: [
+      ...rules.exclusions.map(rule => ({ pattern: new RegExp(rule.pattern, 'i'), reason: rule.reason })),
+      ...rules.reportCategories
+        .filter(category => category.exclude)
+        .map(category => ({ pattern: labelPattern(category.label, { anchored: true }), reason: 'Excluded report category' }))
+    ],
+    // Known payers first, so an alias always decides its own category
+    categories: [
+      ...rules.payerAliases
+        .filter(alias => alias.type)
+        .map(alias => ({ pattern: wordList([alias.match]), type: alias.type, payer: alias.payer || null })),
+      ...rules.reportCategories
+        .filter(category => !category.exclude)
+        .map(category => ({ pattern: labelPattern(category.label), type: category.type })),
+      ...rules.categoryRules.map(rule => ({
+        pattern: new RegExp(rule.pattern, 'i'),
+        type: rule.type,
+        source: rule.source ? new RegExp(rule.source, 'i') : null
+      })),
+      ...(rules.payrollProcessors.length > 0 ? [{ pattern: wordList(rules.payrollProcessors), type: 'ACH Deposit' }] : []),
+      ...(rules.incomeKeywords.length > 0 ? [{ pattern: wordList(rules.incomeKeywords), type: 'ACH Deposit' }] : [])
+    ],
+    aliases: rules.payerAliases.map(alias => ({ ...alias, pattern: wordList([alias.match]) })),
+    categoryAliases: rules.categoryAliases.map(alias => ({ contains: alias.contains.map(text => text.toLowerCase()), type: alias.type }))
+  };
+
+  compiled.set(rules, result);
+  return result;
+}
+
+/**
+ * Best-effort payer name from a raw transaction description.
+ */
+export function extractSource(description, rule) {
+  const text = description.replace(/\s+/g, ' ').trim();
+
+  if (rule?.source) {
+    const match = text.match(rule.source);
+    if (match) return match[1].trim();
+  }
+
+  const des = text.match(/^(.+?)\s+DES:/i);
+  if (des) return des[1].trim();
+
+  return text
+    .replace(/\b(ID|CONF|INDN|CO ID|TRACE)[:#].*$/i, '')
+    .replace(/\s+\d[\d\s/-]*$/, '')
+    .trim()
+    .slice(0, 60);
+}
+
+/**
+ * Classify one incoming (credit) transaction.
+ *
+ * Returns `{ include: true, type, source }` for income,
+ * `{ include: false, reason }` for known non-income, or
+ * `{ include: false, unknown: true }` when no rule applies - callers that
+ * want certainty should hand those to the model instead of guessing.
+ */
+export function classifyTransaction(description, rules = DEFAULT_RULES) {
+  const { exclusions, categories } = compileRules(rules);
+  const text = description.replace(/\s+/g, ' ').trim();
+
+  const exclusion = exclusions.find(rule => rule.pattern.test(text));
+  if (exclusion) return { include: false, reason: exclusion.reason };
+
+  const rule = categories.find(r => r.pattern.test(text));
+  if (rule) return { include: true, type: rule.type, source: rule.payer || extractSource(text, rule) };
+
+  return { include: false, unknown: true, reason: 'No rule matched' };
+}
+
+/**
+ * Map a free-text category from the model onto the canonical list; unknown
+ * types are returned unchanged for validation to reject.
+ */
+export function normalizeCategory(type, rules = DEFAULT_RULES) {
+  const normalized = type.toLowerCase().trim();
+  const alias = compileRules(rules).categoryAliases
+    .find(candidate => candidate.contains.some(text => normalized.includes(text)));
+
+  return alias ? alias.type : type;
+}
+
+/**
+ * Apply the payer aliases to an extracted transaction: a known payer gets its
+ * clean name and, when the alias sets one, its category.
+ */
+export function applyPayerAlias(tx, rules = DEFAULT_RULES) {
+  const text = `${tx.source || ''} ${tx.description || ''}`;
+  const alias = compileRules(rules).aliases.find(candidate => candidate.pattern.test(text));
+  if (!alias) return tx;
+
+  return {
+    ...tx,
+    ...(alias.payer && { source: alias.payer }),
+    ...(alias.type && { type: alias.type })
+  };
+}
+
+// Debits that move money to another bank account rather than spending it
+const TRANSFER_OUT_PATTERN = /\b(online|mobile|internal|funds)?\s*(transfer|xfer|trnsfr)\b.*\bto\b|\bto (sav|savings|chk|checking|share)\b/i;
+const DESTINATION_ACCOUNT = /\bto\b.*?(?<!\d)(\d{4})\b(?!.*\bto\b)/i;
+
+/**
+ * Recognize an outgoing transfer to another account in a debit description.
+ * Returns `{ toAccount }` (last 4 digits or null), or null if it is not one.
+ */
+export function matchOutgoingTransfer(description, rules = DEFAULT_RULES) {
+  const text = description.replace(/\s+/g, ' ').trim();
+  // P2P payments to people are spending, even when worded as a transfer
+  const p2p = compileRules(rules).exclusions.some(rule => /outgoing/i.test(rule.reason) && rule.pattern.test(text));
+  if (p2p || !TRANSFER_OUT_PATTERN.test(text)) return null;
+
+  const destination = text.match(DESTINATION_ACCOUNT);
+  return { toAccount: destination ? destination[1] : null };
+}
@@ -0,0 +1,312 @@
+import { applyPayerAlias, normalizeCategory } from './rules.js';
+
+// ─── ANALYSIS RESULT SCHEMA ───────────────────────────────────────────────────
+//
+// {
+//   accountNumber: "5475" | "N/A",
+//   statementPeriods?: [{ periodStart, periodEnd, beginningBalance, endingBalance, totalDeposits }],
+//   outgoingTransfers?: [{ date, amount > 0, description, toAccount: "1234" | null }],
+//   months: [{
+//     month: "January 2026",
+//     transactions: [{ date: "2026-01-09", type: <CATEGORY>, source, amount > 0, description }]
+//   }]
+// }
+//
+// totalIncome / total / categories are optional: they are recomputed on merge.
+
+export const CATEGORIES = [
+  'ACH Deposit',
+  'Direct Deposit',
+  'Wire Transfer',
+  'Zelle Transfer',
+  'Venmo',
+  'Cash App',
+  'PayPal',
+  'Government Benefit',
+  'Bank Deposit',
+  'Mobile Deposit',
+  'Check Deposit',
+  'Business Deposit',
+  'Transfer In',
+];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+export class AnalysisValidationError extends Error {
+  constructor(errors) {
+    super(`Model output failed validation: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+    this.name = 'AnalysisValidationError';
+    this.errors = errors;
+  }
+}
+
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Check a parsed model response against the schema. Returns every problem
+ * found, phrased so it can be fed back to the model in a re-prompt.
+ */
+export function validateAnalysis(result) {
+  const errors = [];
+
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return { valid: false, errors: ['Response must be a JSON object'] };
+  }
+
+  if (typeof result.accountNumber !== 'string' || !/^(\d{4}|N\/A)$/.test(result.accountNumber)) {
+    errors.push(`accountNumber must be exactly 4 digits or "N/A" (got ${JSON.stringify(result.accountNumber)})`);
+  }
+
+  if (result.statementPeriods !== undefined) {
+    if (!Array.isArray(result.statementPeriods)) {
+      errors.push('statementPeriods must be an array');
+    } else {
+      result.statementPeriods.forEach((period, p) => {
+        const at = `statementPeriods[${p}]`;
+        ['periodStart', 'periodEnd'].forEach(field => {
+          if (period?.[field] !== null && !isIsoDate(period?.[field])) {
+            errors.push(`${at}.${field} must be YYYY-MM-DD or null (got ${JSON.stringify(period?.[field])})`);
+          }
+        });
+        ['beginningBalance', 'endingBalance', 'totalDeposits'].forEach(field => {
+          const value = period?.[field];
+          if (value !== null && value !== undefined && (typeof value !== 'number' || !Number.isFinite(value))) {
+            errors.push(`${at}.${field} must be a number or null (got ${JSON.stringify(value)})`);
+          }
+        });
+      });
+    }
+  }
+
+  if (result.outgoingTransfers !== undefined) {
+    if (!Array.isArray(result.outgoingTransfers)) {
+      errors.push('outgoingTransfers must be an array');
+    } else {
+      result.outgoingTransfers.forEach((transfer, t) => {
+        const at = `outgoingTransfers[${t}]`;
+        if (!isIsoDate(transfer?.date)) {
+          errors.push(`${at}.date must be YYYY-MM-DD (got ${JSON.stringify(transfer?.date)})`);
+        }
+        if (typeof transfer?.amount !== 'number' || !Number.isFinite(transfer.amount) || transfer.amount <= 0) {
+          errors.push(`${at}.amount must be a positive number (got ${JSON.stringify(transfer?.amount)})`);
+        }
+        if (transfer?.toAccount !== null && transfer?.toAccount !== undefined && !/^\d{4}$/.test(transfer.toAccount)) {
+          errors.push(`${at}.toAccount must be 4 digits or null (got ${JSON.stringify(transfer.toAccount)})`);
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(result.months)) {
+    errors.push('months is missing or not an array');
+    return { valid: false, errors };
+  }
+
+  result.months.forEach((month, m) => {
+    const at = `months[${m}]`;
+
+    if (!month || typeof month !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (typeof month.month !== 'string' || !month.month.trim()) {
+      errors.push(`${at}.month must be a name like "January 2026"`);
+    }
+    if (!Array.isArray(month.transactions)) {
+      errors.push(`${at}.transactions is missing or not an array`);
+      return;
+    }
+
+    month.transactions.forEach((tx, t) => {
+      const txAt = `${at}.transactions[${t}]`;
+
+      if (!tx || typeof tx !== 'object') {
+        errors.push(`${txAt} must be an object`);
+        return;
+      }
+      if (!isIsoDate(tx.date)) {
+        errors.push(`${txAt}.date must be YYYY-MM-DD (got ${JSON.stringify(tx.date)})`);
+      }
+      if (typeof tx.amount !== 'number' || !Number.isFinite(tx.amount) || tx.amount <= 0) {
+        errors.push(`${txAt}.amount must be a positive number (got ${JSON.stringify(tx.amount)})`);
+      }
+      if (!CATEGORIES.includes(tx.type)) {
+        errors.push(`${txAt}.type must be one of ${CATEGORIES.join(', ')} (got ${JSON.stringify(tx.type)})`);
+      }
+      if (typeof tx.source !== 'string') {
+        errors.push(`${txAt}.source must be a string`);
+      }
+      if (tx.description !== undefined && typeof tx.description !== 'string') {
+        errors.push(`${txAt}.description must be a string`);
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ─── REPAIR ───────────────────────────────────────────────────────────────────
+
+function repairAmount(amount) {
+  if (typeof amount === 'string') {
+    const cleaned = amount.replace(/[$,\s]/g, '');
+    return /^-?\d+(\.\d+)?$/.test(cleaned) ? Number(cleaned) : amount;
+  }
+  return amount;
+}
+
+function repairDate(date) {
+  if (typeof date !== 'string' || isIsoDate(date)) return date;
+
+  const us = date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+    return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  }
+
+  const iso = date.match(/^(\d{4}-\d{2}-\d{2})T/);
+  return iso ? iso[1] : date;
+}
+
+function repairAccountNumber(accountNumber) {
+  if (accountNumber === undefined || accountNumber === null || accountNumber === '') return 'N/A';
+  const digits = String(accountNumber).replace(/\D/g, '');
+  return digits.length >= 4 ? digits.slice(-4) : accountNumber;
+}
+
+function monthName(isoDate) {
+  const [year, month] = isoDate.split('-');
+  return `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+}
+
+/**
+ * Fix the mistakes models make most often without another round trip:
+ * "$1,234.50" amounts, MM/DD/YYYY dates, masked account numbers, category
+ * spelling, and months missing their name. Categories and known payers are
+ * normalized with the classification rule set.
+ */
+export function repairAnalysis(result, rules) {
+  if (!result || typeof result !== 'object' || !Array.isArray(result.months)) return result;
+
+  return {
+    ...result,
+    accountNumber: repairAccountNumber(result.accountNumber),
+    ...(Array.isArray(result.statementPeriods) && {
+      statementPeriods: result.statementPeriods.map(period => (period && typeof period === 'object'
+        ? {
+            ...period,
+            periodStart: repairDate(period.periodStart) ?? null,
+            periodEnd: repairDate(period.periodEnd) ?? null,
+            beginningBalance: repairAmount(period.beginningBalance) ?? null,
+            endingBalance: repairAmount(period.endingBalance) ?? null,
+            totalDeposits: repairAmount(period.totalDeposits) ?? null,
+          }
+        : period))
+    }),
+    ...(Array.isArray(result.outgoingTransfers) && {
+      outgoingTransfers: result.outgoingTransfers.map(transfer => (transfer && typeof transfer === 'object'
+        ? {
+            ...transfer,
+            date: repairDate(transfer.date),
+            amount: typeof repairAmount(transfer.amount) === 'number' ? Math.abs(repairAmount(transfer.amount)) : transfer.amount,
+            description: transfer.description ?? '',
+            toAccount: /^\d{4}$/.test(repairAccountNumber(transfer.toAccount)) ? repairAccountNumber(transfer.toAccount) : null,
+          }
+        : transfer))
+    }),
+    months: result.months.map(month => {
+      if (!month || !Array.isArray(month.transactions)) return month;
+
+      const transactions = month.transactions.map(tx => {
+        if (!tx || typeof tx !== 'object') return tx;
+        return applyPayerAlias({
+          ...tx,
+          date: repairDate(tx.date),
+          amount: repairAmount(tx.amount),
+          type: typeof tx.type === 'string' ? normalizeCategory(tx.type, rules) : tx.type,
+          source: tx.source ?? '',
+        }, rules);
+      });
+
+      const firstDated = transactions.find(tx => tx && isIsoDate(tx.date));
+      return {
+        ...month,
+        month: month.month || (firstDated ? monthName(firstDated.date) : month.month),
+        transactions
+      };
+    })
+  };
+}
+
+// ─── PARSING ──────────────────────────────────────────────────────────────────
+
+function stripFences(text) {
+  let jsonText = text.trim();
+
+  if (jsonText.startsWith('```json')) {
+    jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+  } else if (jsonText.startsWith('```')) {
+    jsonText = jsonText.replace(/```\n?/g, '');
+  }
+
+  return jsonText.trim();
+}
+
+// Cut a truncated JSON document back to the last fully closed object or array
+// and close whatever is still open. Loses the half-written tail only.
+function closeTruncatedJson(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let lastSafe = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') {
+      stack.pop();
+      lastSafe = { end: i + 1, open: [...stack] };
+    }
+  }
+
+  if (!lastSafe) return null;
+  return text.slice(0, lastSafe.end) + lastSafe.open.reverse().join('');
+}
+
+/**
+ * Parse model output into JSON. Returns `{ data, truncated }`, or
+ * `{ error }` when nothing usable could be recovered.
+ */
+export function parseModelJson(text) {
+  const jsonText = stripFences(text || '');
+
+  try {
+    return { data: JSON.parse(jsonText), truncated: false };
+  } catch (error) {
+    const closed = closeTruncatedJson(jsonText);
+    if (closed) {
+      try {
+        return { data: JSON.parse(closed), truncated: true };
+      } catch {
+        // fall through
+      }
+    }
+    return { error: `Response is not valid JSON (${error.message})` };
+  }
+}
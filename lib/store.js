@@ -0,0 +1,139 @@
+import { link, mkdir, open, readdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import path from 'path';
+
+// Local file-backed persistence. Each collection is a folder under DATA_DIR;
+// records are `<id>.json`, binary payloads are `<id>.bin`.
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), '.data');
+
+function recordPath(collection, id, ext) {
+  if (!/^[\w-]+$/.test(collection) || !/^[\w-]+$/.test(id)) {
+    throw new Error(`Invalid store key: ${collection}/${id}`);
+  }
+  return path.join(DATA_DIR, collection, `${id}.${ext}`);
+}
+
+// A temp file next to `filePath` that no other write, even one in the same
+// millisecond, will also pick
+const tmpPathFor = (filePath) =>
+  `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+
+async function writeAtomic(filePath, contents) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = tmpPathFor(filePath);
+  await writeFile(tmpPath, contents);
+  await rename(tmpPath, filePath);
+}
+
+async function readOrNull(filePath, encoding) {
+  try {
+    return await readFile(filePath, encoding);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function readRecord(collection, id) {
+  const text = await readOrNull(recordPath(collection, id, 'json'), 'utf8');
+  return text === null ? null : JSON.parse(text);
+}
+
+export async function writeRecord(collection, id, record) {
+  await writeAtomic(recordPath(collection, id, 'json'), JSON.stringify(record, null, 2));
+  return record;
+}
+
+/**
+ * Write a record only if none has that id yet. The file is linked into place
+ * complete, so readers never see it half written, and two writers racing for
+ * the same id cannot both win.
+ *
+ * @returns {Promise<object | null>} the record, or null when the id was taken
+ */
+export async function createRecord(collection, id, record) {
+  const filePath = recordPath(collection, id, 'json');
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = tmpPathFor(filePath);
+  await writeFile(tmpPath, JSON.stringify(record, null, 2));
+
+  try {
+    await link(tmpPath, filePath);
+    return record;
+  } catch (error) {
+    if (error.code === 'EEXIST') return null;
+    throw error;
+  } finally {
+    await rm(tmpPath, { force: true });
+  }
+}
+
+export async function deleteRecord(collection, id) {
+  await rm(recordPath(collection, id, 'json'), { force: true });
+  await rm(recordPath(collection, id, 'bin'), { force: true });
+}
+
+// Drop a whole collection, records and blobs
+export async function clearCollection(collection) {
+  if (!/^[\w-]+$/.test(collection)) throw new Error(`Invalid store collection: ${collection}`);
+  const entries = await readdir(path.join(DATA_DIR, collection)).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+  await rm(path.join(DATA_DIR, collection), { recursive: true, force: true });
+  return entries.filter(name => name.endsWith('.json')).length;
+}
+
+export async function listRecords(collection) {
+  let entries;
+  try {
+    entries = await readdir(path.join(DATA_DIR, collection));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = await Promise.all(
+    entries
+      .filter(name => name.endsWith('.json'))
+      .map(name => readRecord(collection, name.slice(0, -'.json'.length)))
+  );
+  return records.filter(Boolean);
+}
+
+export async function writeBlob(collection, id, bytes) {
+  await writeAtomic(recordPath(collection, id, 'bin'), bytes);
+}
+
+export async function readBlob(collection, id) {
+  return readOrNull(recordPath(collection, id, 'bin'));
+}
+
+/**
+ * Write a stream of byte chunks into a blob starting at `offset`, for
+ * payloads that arrive in pieces. Unlike writeBlob this is not atomic: if the
+ * stream fails part way, what was written stays, so callers track how far
+ * the blob got. Offset 0 starts the blob over.
+ *
+ * @param {AsyncIterable<Uint8Array>} chunks
+ * @returns {Promise<number>} bytes written, also when the stream throws
+ *   (as `error.bytesWritten`)
+ */
+export async function writeBlobAt(collection, id, offset, chunks) {
+  const filePath = recordPath(collection, id, 'bin');
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const file = await open(filePath, offset === 0 ? 'w' : 'r+');
+  let written = 0;
+
+  try {
+    for await (const chunk of chunks) {
+      await file.write(chunk, 0, chunk.length, offset + written);
+      written += chunk.length;
+    }
+    return written;
+  } catch (error) {
+    error.bytesWritten = written;
+    throw error;
+  } finally {
+    await file.close();
+  }
+}
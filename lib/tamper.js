@@ -0,0 +1,314 @@
+import { groupLines, parseLedgerLine, readTextItems } from './textlayer.js';
+
+// ─── TAMPER ANALYSIS ──────────────────────────────────────────────────────────
+//
+// Looks for signs that a statement was edited after the bank produced it.
+// Document checks (metadata, revisions, fonts, overlaid text, running
+// balances) run once when the PDF is loaded; deposit-pattern checks run on
+// the merged result. Each check adds named findings, and the findings add up
+// to a 0-100 risk score.
+//
+// Finding: { id, severity: 'info' | 'low' | 'medium' | 'high', title, detail, page? }
+
+const SEVERITY_POINTS = { info: 0, low: 5, medium: 15, high: 35 };
+
+// Tools that edit existing PDFs, or produce documents a bank never would
+const EDITOR_PATTERNS = [
+  { pattern: /photoshop|illustrator|gimp|canva|inkscape/i, severity: 'high', label: 'an image or design editor' },
+  { pattern: /sejda|ilovepdf|smallpdf|pdfescape|pdffiller|dochub|pdf2go|sodapdf|pdfsimpli|formswift/i, severity: 'high', label: 'an online PDF editor' },
+  { pattern: /pdf-xchange editor|foxit phantompdf|foxit pdf editor|nitro|pdfelement|wondershare|acrobat pro|master pdf editor/i, severity: 'medium', label: 'a desktop PDF editor' },
+  { pattern: /microsoft.*word|libreoffice|openoffice|google docs|^pages\b/i, severity: 'medium', label: 'a word processor' },
+];
+
+// Modification this long after creation suggests a later edit
+const MODIFIED_AFTER_MS = 60 * 60 * 1000;
+const MONEY_TEXT = /^\(?-?\$?\s?\d{1,3}(,\d{3})*\.\d{2}\)?$/;
+
+const isoDate = (date) => (date ? date.toISOString() : null);
+
+function checkMetadata(pdfDoc) {
+  const findings = [];
+  const producer = pdfDoc.getProducer() || '';
+  const creator = pdfDoc.getCreator() || '';
+  const created = pdfDoc.getCreationDate() || null;
+  const modified = pdfDoc.getModificationDate() || null;
+
+  [['Producer', producer], ['Creator', creator]].forEach(([field, value]) => {
+    const editor = value && EDITOR_PATTERNS.find(e => e.pattern.test(value));
+    if (editor) {
+      findings.push({
+        id: `metadata-${field.toLowerCase()}`,
+        severity: editor.severity,
+        title: `${field} is ${editor.label}`,
+        detail: `${field}: "${value}"`
+      });
+    }
+  });
+
+  if (!created) {
+    findings.push({ id: 'metadata-no-creation-date', severity: 'low', title: 'No creation date', detail: 'Bank-generated PDFs normally record when they were created.' });
+  } else if (modified && modified.getTime() - created.getTime() > MODIFIED_AFTER_MS) {
+    findings.push({
+      id: 'metadata-modified',
+      severity: 'medium',
+      title: 'Modified after creation',
+      detail: `Created ${isoDate(created)}, modified ${isoDate(modified)}`
+    });
+  }
+
+  return {
+    metadata: { producer, creator, created: isoDate(created), modified: isoDate(modified), encrypted: pdfDoc.isEncrypted },
+    findings
+  };
+}
+
+// Each incremental update appends a new body, xref and trailer ending in
+// %%EOF. Linearized files legitimately carry one extra; signed files carry
+// one per signature.
+function checkRevisions(bytes) {
+  const text = Buffer.from(bytes).toString('latin1');
+  const eofCount = (text.match(/%%EOF/g) || []).length;
+  const linearized = /\/Linearized\b/.test(text.slice(0, 2048));
+  const signatures = (text.match(/\/ByteRange\s*\[/g) || []).length;
+  const revisions = Math.max(1, eofCount - (linearized ? 1 : 0));
+  const updates = revisions - 1;
+
+  if (updates === 0) return { revisions, findings: [] };
+
+  const unsigned = updates - signatures;
+  return {
+    revisions,
+    findings: [unsigned > 0
+      ? {
+          id: 'incremental-updates',
+          severity: unsigned > 1 ? 'high' : 'medium',
+          title: `Edited after it was first saved (${updates} incremental update${updates > 1 ? 's' : ''})`,
+          detail: 'Content was appended to the original file. Statements straight from the bank are saved once.'
+        }
+      : {
+          id: 'signed-revisions',
+          severity: 'info',
+          title: `${updates} signature revision${updates > 1 ? 's' : ''}`,
+          detail: 'Incremental updates match the digital signatures in the file.'
+        }]
+  };
+}
+
+// Amounts set in a font used nowhere else on the page, and text runs drawn
+// on top of other text, are the usual traces of a pasted-over figure.
+function checkTextObjects(pages) {
+  const findings = [];
+
+  pages.forEach(({ pageNumber, items }) => {
+    const fontUse = new Map();
+    items.forEach(item => fontUse.set(item.fontName, (fontUse.get(item.fontName) || 0) + 1));
+
+    const amounts = items.filter(item => MONEY_TEXT.test(item.str.trim()));
+    if (amounts.length >= 4) {
+      amounts
+        .filter(item => fontUse.get(item.fontName) <= 2)
+        .forEach(item => findings.push({
+          id: 'font-mismatch',
+          severity: 'medium',
+          title: 'Amount in a font used nowhere else on the page',
+          detail: `"${item.str.trim()}" uses a font that appears ${fontUse.get(item.fontName)} time(s) on the page`,
+          page: pageNumber
+        }));
+    }
+
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const a = items[i];
+        const b = items[j];
+        if (a.str.trim() === b.str.trim()) continue;
+
+        const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const sameLine = Math.abs(a.y - b.y) < Math.min(a.height, b.height) * 0.5;
+        if (!sameLine || overlapX <= Math.min(a.width, b.width) * 0.5) continue;
+
+        const money = MONEY_TEXT.test(a.str.trim()) || MONEY_TEXT.test(b.str.trim());
+        findings.push({
+          id: 'overlapping-text',
+          severity: money ? 'high' : 'medium',
+          title: money ? 'Amount drawn over other text' : 'Overlapping text',
+          detail: `"${a.str.trim()}" and "${b.str.trim()}" occupy the same position`,
+          page: pageNumber
+        });
+      }
+    }
+  });
+
+  return findings;
+}
+
+// Ledger rows that carry a running balance must step by exactly the row amount
+function checkRunningBalances(pages) {
+  let checked = 0;
+  const mismatches = [];
+
+  pages.forEach(({ pageNumber, items }) => {
+    let previous = null;
+
+    groupLines(items).forEach(line => {
+      const row = parseLedgerLine(line);
+      if (!row) return;
+      // A row without a balance column breaks the chain
+      if (row.amounts.length < 2) {
+        previous = null;
+        return;
+      }
+
+      const amount = row.amounts[row.amounts.length - 2].value;
+      const balance = row.amounts[row.amounts.length - 1];
+      const signedBalance = balance.negative ? -balance.value : balance.value;
+
+      if (previous !== null) {
+        checked += 1;
+        const step = Math.abs(signedBalance - previous);
+        if (Math.abs(step - amount) > 0.01) {
+          mismatches.push({ pageNumber, line, expected: amount, actual: step });
+        }
+      }
+      previous = signedBalance;
+    });
+  });
+
+  if (checked < 3 || mismatches.length === 0) return { checked, findings: [] };
+
+  return {
+    checked,
+    findings: mismatches.slice(0, 5).map(mismatch => ({
+      id: 'running-balance',
+      severity: mismatches.length > 1 ? 'high' : 'medium',
+      title: 'Running balance does not add up',
+      detail: `Balance moved by $${mismatch.actual.toFixed(2)} on a $${mismatch.expected.toFixed(2)} row: ${mismatch.line.slice(0, 80)}`,
+      page: mismatch.pageNumber
+    }))
+  };
+}
+
+/**
+ * Document-level checks for a PDF. Never throws: a check that cannot run is
+ * reported as an info finding instead.
+ *
+ * @param {Uint8Array | Buffer} bytes
+ * @param {import('pdf-lib').PDFDocument} pdfDoc  loaded with `updateMetadata: false`,
+ *   otherwise pdf-lib stamps the modification date with the current time
+ */
+export async function analyzeDocument(bytes, pdfDoc) {
+  const { metadata, findings } = checkMetadata(pdfDoc);
+  const { revisions, findings: revisionFindings } = checkRevisions(bytes);
+  findings.push(...revisionFindings);
+
+  let balanceRowsChecked = 0;
+  try {
+    const pages = await readTextItems(bytes);
+    findings.push(...checkTextObjects(pages));
+    const balances = checkRunningBalances(pages);
+    balanceRowsChecked = balances.checked;
+    findings.push(...balances.findings);
+  } catch (error) {
+    findings.push({ id: 'text-unreadable', severity: 'info', title: 'Text layer could not be inspected', detail: error.message });
+  }
+
+  return { metadata, revisions, balanceRowsChecked, findings };
+}
+
+/**
+ * Document-level checks for a Word upload, run on the PDF it was laid out
+ * as. The file itself is the finding: banks issue statements as PDFs, and a
+ * Word file carries no PDF history or fonts to inspect. Running balances are
+ * still checked.
+ *
+ * @param {Uint8Array | Buffer} pdfBytes  output of wordToPdf
+ */
+export async function analyzeWordDocument(pdfBytes) {
+  const findings = [{
+    id: 'word-document',
+    severity: 'medium',
+    title: 'Uploaded as a Word document',
+    detail: 'Statements are issued as PDFs; a Word file can be edited freely, so only the running balances could be checked'
+  }];
+
+  let balanceRowsChecked = 0;
+  try {
+    const balances = checkRunningBalances(await readTextItems(pdfBytes));
+    balanceRowsChecked = balances.checked;
+    findings.push(...balances.findings);
+  } catch (error) {
+    findings.push({ id: 'text-unreadable', severity: 'info', title: 'Text layer could not be inspected', detail: error.message });
+  }
+
+  return { metadata: null, revisions: 0, balanceRowsChecked, findings };
+}
+
+/**
+ * Checks on the extracted deposits: a high share of round amounts, the same
+ * deposit recorded twice, and a file created before its statement period
+ * ended.
+ */
+export function analyzeDeposits(result, metadata = null) {
+  const findings = [];
+  const deposits = (result?.months || []).flatMap(month => month.transactions || []);
+
+  if (deposits.length >= 5) {
+    const round = deposits.filter(tx => tx.amount >= 100 && tx.amount % 100 === 0);
+    if (round.length / deposits.length >= 0.5) {
+      findings.push({
+        id: 'round-deposits',
+        severity: 'medium',
+        title: 'Mostly round-number deposits',
+        detail: `${round.length} of ${deposits.length} deposits are whole hundreds`
+      });
+    }
+  }
+
+  const seen = new Map();
+  deposits.forEach(tx => {
+    const key = `${tx.date}|${tx.amount}|${String(tx.source).toUpperCase()}`;
+    seen.set(key, (seen.get(key) || 0) + 1);
+  });
+  seen.forEach((count, key) => {
+    if (count < 2) return;
+    const [date, amount, source] = key.split('|');
+    findings.push({
+      id: 'duplicate-deposit',
+      severity: 'low',
+      title: 'Same deposit listed more than once',
+      detail: `${count}× $${Number(amount).toFixed(2)} from ${source} on ${date}`
+    });
+  });
+
+  const periodEnd = (result?.statementPeriods || [])
+    .map(period => period.periodEnd)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  if (metadata?.created && periodEnd && metadata.created.slice(0, 10) < periodEnd) {
+    findings.push({
+      id: 'created-before-period-end',
+      severity: 'high',
+      title: 'File created before the statement period ended',
+      detail: `Created ${metadata.created.slice(0, 10)}, period ends ${periodEnd}`
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * @returns {{ score: number, level: 'low' | 'medium' | 'high', findings: any[] }}
+ */
+export function scoreFindings(findings) {
+  // Repeats of one check count twice at most, so a single edited table
+  // cannot saturate the score on its own
+  const byCheck = new Map();
+  findings.forEach(finding => {
+    byCheck.set(finding.id, [...(byCheck.get(finding.id) || []), SEVERITY_POINTS[finding.severity]]);
+  });
+  const points = Array.from(byCheck.values())
+    .reduce((sum, list) => sum + list.sort((a, b) => b - a).slice(0, 2).reduce((a, b) => a + b, 0), 0);
+  const score = Math.min(100, points);
+  const level = score >= 60 ? 'high' : score >= 25 ? 'medium' : 'low';
+  return { score, level, findings };
+}
@@ -0,0 +1,438 @@
+import { log } from './log.js';
+import { classifyTransaction, matchOutgoingTransfer } from './rules.js';
+import { repairAnalysis, validateAnalysis } from './schema.js';
+
+// ─── TEXT-LAYER EXTRACTION ────────────────────────────────────────────────────
+//
+// Digital statements carry a real text layer, so their deposits can be read
+// locally with the same include/exclude rules the prompts give the model.
+// Every page gets a confidence verdict; only scanned or low-confidence pages
+// are sent to the model.
+
+const MIN_TEXT_CHARS = 100;
+const LINE_TOLERANCE = 2;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const MONTH_ABBR = MONTH_NAMES.map(m => m.slice(0, 3).toLowerCase());
+
+const MONEY = String.raw`\(?-?\$?-?\d{1,3}(?:,\d{3})*\.\d{2}\)?(?:\s?(?:CR|DR)\b|-)?`;
+const DATE = String.raw`\d{1,2}\/\d{1,2}(?:\/\d{2,4})?|\d{4}-\d{2}-\d{2}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.? \d{1,2}(?:, \d{4})?`;
+
+const ROW_PATTERN = new RegExp(`^(${DATE})\\s+(.+?)\\s+((?:${MONEY})(?:\\s+${MONEY})*)\\s*$`, 'i');
+const MONEY_PATTERN = new RegExp(MONEY, 'gi');
+const DATE_ANYWHERE = new RegExp(`(?:^|\\s)(?:${DATE})(?:\\s|$)`, 'i');
+const FULL_DATE_PATTERN = /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b|\b(January|February|March|April|May|June|July|August|September|October|November|December) (\d{1,2}),? (\d{4})\b/gi;
+const ACCOUNT_PATTERN = /account\s*(?:number|no\.?|#)\s*:?\s*([\dXx*\- ]{4,24})/i;
+const LONG_DATE = String.raw`(?:January|February|March|April|May|June|July|August|September|October|November|December) \d{1,2},? \d{4}|\d{1,2}\/\d{1,2}\/\d{4}`;
+const PERIOD_PATTERN = new RegExp(`(${LONG_DATE})\\s*(?:through|thru|to|-)\\s*(${LONG_DATE})`, 'i');
+const TRAILING_MONEY = new RegExp(`(${MONEY})\\s*$`, 'i');
+
+const SUMMARY_FIELDS = [
+  { pattern: /^(beginning|opening|previous|starting) balance\b/i, field: 'beginningBalance' },
+  { pattern: /^(ending|closing|new) balance\b/i, field: 'endingBalance' },
+  { pattern: /^(total )?(deposits( and (other )?(additions|credits))?|credits|additions)\b/i, field: 'totalDeposits' },
+];
+
+const SECTION_HEADERS = [
+  { pattern: /^(daily (ledger )?balances?|balance summary)/i, section: 'balances' },
+  { pattern: /^(transaction history|transaction details|account activity|all transactions)/i, section: 'ledger' },
+  { pattern: /^(deposits|credits|deposits and (other )?(additions|credits)|other credits|electronic deposits|additions)\b/i, section: 'credits' },
+  { pattern: /^(withdrawals|debits|checks( paid)?|other debits|electronic (withdrawals|payments)|atm and debit card|card account|service fees|fees|subtractions|other subtractions)\b/i, section: 'debits' },
+];
+
+/**
+ * Read the raw text runs of every page of a PDF.
+ * Returns [{ pageNumber, items: [{ str, x, y, width, height, fontName }] }].
+ */
+export async function readTextItems(bytes) {
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  const doc = await getDocument({
+    data: new Uint8Array(bytes),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  const pages = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const content = await page.getTextContent();
+
+      pages.push({
+        pageNumber,
+        items: content.items
+          .filter(item => item.str && item.str.trim())
+          .map(item => ({
+            str: item.str,
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width,
+            height: item.height || Math.abs(item.transform[3]),
+            fontName: item.fontName
+          }))
+      });
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  return pages;
+}
+
+/**
+ * Group text runs into visual lines by their baseline, then left to right.
+ */
+export function groupLines(items) {
+  const rows = [];
+  items.forEach(item => {
+    let row = rows.find(r => Math.abs(r.y - item.y) <= LINE_TOLERANCE);
+    if (!row) {
+      row = { y: item.y, items: [] };
+      rows.push(row);
+    }
+    row.items.push(item);
+  });
+
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map(row => row.items.sort((a, b) => a.x - b.x).map(i => i.str.trim()).join(' ').replace(/\s+/g, ' ').trim());
+}
+
+// Enough text to be a real text layer rather than a scan with a stray label
+export const hasTextLayer = (page) => page.charCount >= MIN_TEXT_CHARS;
+
+/**
+ * Read the text layer of a PDF into lines per page.
+ * Returns [{ pageNumber, lines: string[], charCount }].
+ */
+export async function extractTextPages(bytes) {
+  return (await readTextItems(bytes)).map(({ pageNumber, items }) => {
+    const lines = groupLines(items);
+    return {
+      pageNumber,
+      lines,
+      charCount: lines.reduce((sum, line) => sum + line.length, 0)
+    };
+  });
+}
+
+// ─── PARSING HELPERS ──────────────────────────────────────────────────────────
+
+export function parseMoney(token) {
+  const negative = /^\(|-/.test(token) || /\bDR\b/i.test(token);
+  const value = Number(token.replace(/[^\d.]/g, ''));
+  return { value, negative, credit: /\bCR\b/i.test(token) };
+}
+
+/**
+ * Split a ledger line into its date token, description and money columns.
+ * Returns null for anything that is not a transaction row.
+ */
+export function parseLedgerLine(line) {
+  const match = line.match(ROW_PATTERN);
+  if (!match) return null;
+  return { date: match[1], description: match[2].trim(), amounts: match[3].match(MONEY_PATTERN).map(parseMoney) };
+}
+
+// Latest full date printed on the statement - taken as the period end, used
+// to give year-less dates like "01/09" their year
+function findStatementEnd(pages) {
+  let latest = null;
+
+  pages.forEach(page => page.lines.forEach(line => {
+    for (const match of line.matchAll(FULL_DATE_PATTERN)) {
+      const date = match[3]
+        ? new Date(Date.UTC(Number(match[3]), Number(match[1]) - 1, Number(match[2])))
+        : new Date(Date.UTC(Number(match[6]), MONTH_NAMES.findIndex(m => m.toLowerCase() === match[4].toLowerCase()), Number(match[5])));
+
+      if (!Number.isNaN(date.getTime()) && (!latest || date > latest)) latest = date;
+    }
+  }));
+
+  return latest;
+}
+
+function toIsoDate(token, statementEnd) {
+  let year;
+  let month;
+  let day;
+
+  const iso = token.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const numeric = token.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  const named = token.match(/^([A-Za-z]{3})[a-z]*\.? (\d{1,2})(?:, (\d{4}))?$/);
+
+  if (iso) {
+    [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+  } else if (numeric) {
+    month = Number(numeric[1]);
+    day = Number(numeric[2]);
+    if (numeric[3]) year = Number(numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3]);
+  } else if (named) {
+    month = MONTH_ABBR.indexOf(named[1].toLowerCase()) + 1;
+    day = Number(named[2]);
+    if (named[3]) year = Number(named[3]);
+  }
+
+  if (!month || !day) return null;
+
+  if (!year) {
+    if (!statementEnd) return null;
+    year = statementEnd.getUTCFullYear();
+    if (month > statementEnd.getUTCMonth() + 1) year -= 1;
+  }
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function findAccountNumber(pages) {
+  for (const page of pages) {
+    for (const line of page.lines) {
+      const match = line.match(ACCOUNT_PATTERN);
+      if (match) {
+        const digits = match[1].replace(/\D/g, '');
+        if (digits.length >= 4) return digits.slice(-4);
+      }
+    }
+  }
+  return 'N/A';
+}
+
+// Printed statement summaries: each "<date> through <date>" line opens a
+// period, and the balance / deposit-total lines after it fill it in
+function findStatementPeriods(pages) {
+  const periods = [];
+  let current = null;
+
+  pages.forEach(page => page.lines.forEach(line => {
+    const period = line.match(PERIOD_PATTERN);
+    if (period) {
+      const periodStart = toIsoDate(period[1].replace(/,? (\d{4})$/, ', $1'), null);
+      const periodEnd = toIsoDate(period[2].replace(/,? (\d{4})$/, ', $1'), null);
+      if (periodStart && periodEnd && !periods.some(p => p.periodStart === periodStart && p.periodEnd === periodEnd)) {
+        current = { periodStart, periodEnd, beginningBalance: null, endingBalance: null, totalDeposits: null };
+        periods.push(current);
+      }
+      return;
+    }
+
+    if (!current) return;
+    const summary = SUMMARY_FIELDS.find(f => f.pattern.test(line));
+    const amount = line.match(TRAILING_MONEY);
+    if (summary && amount && current[summary.field] === null) {
+      const { value, negative } = parseMoney(amount[1]);
+      current[summary.field] = negative ? -value : value;
+    }
+  }));
+
+  return periods;
+}
+
+// ─── PAGE ANALYSIS ────────────────────────────────────────────────────────────
+
+/**
+ * Pull deposits out of extracted text pages.
+ *
+ * Returns:
+ *   result    - analysis in the model's `months` / `transactions` shape, built
+ *               from the confident pages only (null if there are none)
+ *   textPages - page numbers covered by `result`
+ *   llmPages  - page numbers that still need the model
+ *   pages     - per-page verdict: { pageNumber, confident, reason, rows }
+ */
+export function analyzeTextPages(pages, rules) {
+  const statementEnd = findStatementEnd(pages);
+  const accountNumber = findAccountNumber(pages);
+  const statementPeriods = findStatementPeriods(pages);
+
+  let section = null;
+  let sawStructure = false;
+  const parsedPages = pages.map(page => {
+    const rows = [];
+    const problems = [];
+
+    if (!hasTextLayer(page)) {
+      return { pageNumber: page.pageNumber, rows, problems: ['No text layer (scanned page)'], scanned: true };
+    }
+
+    page.lines.forEach(line => {
+      const header = SECTION_HEADERS.find(h => h.pattern.test(line));
+      if (header && !ROW_PATTERN.test(line)) {
+        section = header.section;
+        sawStructure = true;
+        return;
+      }
+
+      const match = line.match(ROW_PATTERN);
+      if (!match) {
+        // A continuation line wraps the previous row's description
+        const previous = rows[rows.length - 1];
+        if (previous && !line.match(MONEY_PATTERN) && !DATE_ANYWHERE.test(line) && line.length < 80) {
+          previous.description += ` ${line}`;
+        } else if (
+          line.match(MONEY_PATTERN) && DATE_ANYWHERE.test(line) && section !== 'balances'
+          && !/^total\b/i.test(line) && !SUMMARY_FIELDS.some(f => f.pattern.test(line))
+        ) {
+          problems.push(`Unparsed line: ${line.slice(0, 80)}`);
+        }
+        return;
+      }
+
+      sawStructure = true;
+      if (section === 'balances') return;
+
+      const date = toIsoDate(match[1], statementEnd);
+      const amounts = match[3].match(MONEY_PATTERN).map(parseMoney);
+      // Ledger rows end with a running balance; the transaction amount comes first
+      const amount = amounts[0];
+
+      if (!date) {
+        problems.push(`No year for date ${match[1]}`);
+        return;
+      }
+
+      let direction = null;
+      if (section === 'credits') direction = 'credit';
+      else if (section === 'debits') direction = 'debit';
+      else if (amount.negative) direction = 'debit';
+      else if (amount.credit) direction = 'credit';
+
+      rows.push({ date, description: match[2].trim(), amount: amount.value, direction, section });
+    });
+
+    return { pageNumber: page.pageNumber, rows, problems };
+  });
+
+  // TurboPass / BRAVO: with a Deposits section present, the full ledger is ignored
+  const hasCreditsSection = parsedPages.some(p => p.rows.some(r => r.section === 'credits'));
+
+  const verdicts = parsedPages.map(page => {
+    const problems = [...page.problems];
+    const included = [];
+    const outgoing = [];
+
+    page.rows.forEach(row => {
+      if (hasCreditsSection && row.section === 'ledger') return;
+      if (row.direction === 'debit') {
+        // Transfers out are kept so they can be matched against deposits
+        // in the applicant's other accounts
+        const transfer = matchOutgoingTransfer(row.description, rules);
+        if (transfer && row.amount > 0) {
+          outgoing.push({ date: row.date, amount: row.amount, description: row.description, toAccount: transfer.toAccount });
+        }
+        return;
+      }
+
+      if (row.direction === null) {
+        problems.push(`Cannot tell credit from debit: ${row.description.slice(0, 60)}`);
+        return;
+      }
+
+      const classification = classifyTransaction(row.description, rules);
+      if (classification.unknown) {
+        problems.push(`Unclassified credit: ${row.description.slice(0, 60)}`);
+      } else if (classification.include && row.amount > 0) {
+        included.push({
+          date: row.date,
+          type: classification.type,
+          source: classification.source,
+          amount: row.amount,
+          description: row.description
+        });
+      }
+    });
+
+    return {
+      pageNumber: page.pageNumber,
+      confident: sawStructure && problems.length === 0,
+      reason: !sawStructure ? 'Statement layout not recognized' : problems[0] || null,
+      rows: page.rows.length,
+      transactions: included,
+      outgoingTransfers: outgoing
+    };
+  });
+
+  const textPages = verdicts.filter(v => v.confident).map(v => v.pageNumber);
+  const llmPages = verdicts.filter(v => !v.confident).map(v => v.pageNumber);
+
+  return {
+    result: textPages.length > 0
+      ? buildResult(
+          accountNumber,
+          statementPeriods,
+          verdicts.filter(v => v.confident).flatMap(v => v.transactions),
+          verdicts.filter(v => v.confident).flatMap(v => v.outgoingTransfers)
+        )
+      : null,
+    textPages,
+    llmPages,
+    pages: verdicts.map(({ transactions, outgoingTransfers, ...verdict }) => ({ ...verdict, transactions: transactions.length }))
+  };
+}
+
+function buildResult(accountNumber, statementPeriods, transactions, outgoingTransfers) {
+  const monthMap = new Map();
+
+  transactions
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(tx => {
+      const [year, month] = tx.date.split('-');
+      const monthKey = `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+
+      if (!monthMap.has(monthKey)) {
+        monthMap.set(monthKey, { month: monthKey, total: 0, categories: {}, transactions: [] });
+      }
+
+      const bucket = monthMap.get(monthKey);
+      bucket.transactions.push(tx);
+      bucket.total += tx.amount;
+      if (!bucket.categories[tx.type]) {
+        bucket.categories[tx.type] = { amount: 0, count: 0 };
+      }
+      bucket.categories[tx.type].amount += tx.amount;
+      bucket.categories[tx.type].count += 1;
+    });
+
+  const months = Array.from(monthMap.values()).reverse();
+
+  return {
+    accountNumber,
+    totalIncome: months.reduce((sum, m) => sum + m.total, 0),
+    totalTransactions: transactions.length,
+    statementPeriods,
+    months,
+    outgoingTransfers
+  };
+}
+
+/**
+ * Text-layer pass over a whole PDF. Never throws: a PDF pdf.js cannot read
+ * simply sends every page to the model.
+ */
+export async function analyzeTextLayer(bytes, totalPages, rules) {
+  const allPages = Array.from({ length: totalPages }, (_, i) => i + 1);
+
+  try {
+    const analysis = analyzeTextPages(await extractTextPages(bytes), rules);
+
+    if (analysis.result) {
+      const repaired = repairAnalysis(analysis.result, rules);
+      const { valid, errors } = validateAnalysis(repaired);
+      if (!valid) {
+        log.warn('Text-layer result failed validation, falling back to model', { errors: errors.slice(0, 3) });
+        return { result: null, textPages: [], llmPages: allPages, pages: analysis.pages };
+      }
+      analysis.result = repaired;
+    }
+
+    return analysis;
+  } catch (error) {
+    log.warn('Text-layer extraction failed, falling back to model', { error });
+    return { result: null, textPages: [], llmPages: allPages, pages: [] };
+  }
+}
@@ -0,0 +1,161 @@
+import { monthCoverage, statementPeriodsOf } from './qualifying.js';
+
+// ─── ACCOUNTS & INTERNAL TRANSFERS ────────────────────────────────────────────
+//
+// When an applicant uploads more than one account, money moved between them
+// appears twice: as an outgoing transfer in one statement and as a deposit in
+// the other. Deposits that match an outflow from another uploaded account are
+// excluded, so the same dollars are not counted as income. A reviewer can
+// include one again like any other row.
+
+export const TRANSFER_WINDOW_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const daysBetween = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+const monthLabel = (key) => `${MONTH_NAMES[Number(key.slice(5, 7)) - 1]} ${key.slice(0, 4)}`;
+
+/**
+ * Accounts are keyed by their last four digits; a file whose account number
+ * could not be read stands for an account of its own.
+ */
+export function accountKey(accountNumber, fileName) {
+  return accountNumber && accountNumber !== 'N/A' ? accountNumber : `file:${fileName}`;
+}
+
+function outgoingTransfers(results) {
+  return results.flatMap(result => (result.data?.outgoingTransfers || []).map(transfer => ({
+    ...transfer,
+    amount: Number(transfer.amount),
+    fileName: result.fileName,
+    account: accountKey(result.data.accountNumber, result.fileName)
+  })));
+}
+
+/**
+ * Exclude deposits that are the other side of an outgoing transfer from a
+ * different uploaded account: same amount, dates within `windowDays`. When the
+ * outflow names its destination, only that account's deposits can match, and
+ * a destination that was not uploaded matches nothing.
+ *
+ * @param {import('./consolidate.js').ReviewTransaction[]} transactions
+ * @param {Array<{ fileName: string, data: any }>} results
+ * @returns {import('./consolidate.js').ReviewTransaction[]} matched rows carry
+ *   `included: false` and `internalTransfer: { fromAccount, date, description }`
+ */
+export function markInternalTransfers(transactions, results, { windowDays = TRANSFER_WINDOW_DAYS } = {}) {
+  const rows = transactions.map(tx => ({ ...tx }));
+  const uploaded = new Set(results.map(result => result.data?.accountNumber).filter(Boolean));
+
+  // Outflows that name their destination claim their deposit first
+  const outflows = outgoingTransfers(results).sort((a, b) => Number(!a.toAccount) - Number(!b.toAccount));
+
+  outflows.forEach(outflow => {
+    if (outflow.toAccount && !uploaded.has(outflow.toAccount)) return;
+
+    const candidates = rows.filter(tx =>
+      tx.included
+      && !tx.replacedBy
+      && accountKey(tx.accountNumber, tx.fileName) !== outflow.account
+      && (!outflow.toAccount || tx.accountNumber === outflow.toAccount)
+      && Math.abs(tx.amount - outflow.amount) < 0.005
+      && daysBetween(tx.date, outflow.date) <= windowDays
+    );
+    if (candidates.length === 0) return;
+
+    const deposit = candidates.reduce((best, tx) =>
+      (daysBetween(tx.date, outflow.date) < daysBetween(best.date, outflow.date) ? tx : best));
+    deposit.included = false;
+    deposit.internalTransfer = {
+      fromAccount: outflow.account.startsWith('file:') ? outflow.fileName : outflow.account,
+      date: outflow.date,
+      description: outflow.description || ''
+    };
+  });
+
+  return rows;
+}
+
+/**
+ * @typedef {Object} AccountSummary
+ * @property {string} key
+ * @property {string} accountNumber
+ * @property {string[]} fileNames
+ * @property {number} total                 included deposits
+ * @property {number} transactionCount      included deposits
+ * @property {{ count: number, amount: number }} internalTransfers  deposits excluded as transfers
+ * @property {Array<{ key: string, label: string, covered: number, total: number }>} months
+ *   every month from the earliest to the latest across all accounts, oldest
+ *   first; `covered` is the fraction of the month this account's statements cover
+ * @property {string[]} missingMonths       gaps inside this account's own statement range
+ */
+
+/**
+ * Per-account totals and statement coverage.
+ *
+ * @param {import('./consolidate.js').ReviewTransaction[]} transactions
+ * @param {Array<{ fileName: string, data: any }>} results
+ * @returns {AccountSummary[]} in upload order
+ */
+export function summarizeAccounts(transactions, results) {
+  const accounts = new Map();
+  const ensure = (key, accountNumber) => {
+    if (!accounts.has(key)) {
+      accounts.set(key, { key, accountNumber, fileNames: [], statementPeriods: [], rows: [] });
+    }
+    return accounts.get(key);
+  };
+
+  results.forEach(result => {
+    if (!result.data) return;
+    const accountNumber = result.data.accountNumber || 'N/A';
+    const account = ensure(accountKey(accountNumber, result.fileName), accountNumber);
+    account.fileNames.push(result.fileName);
+    account.statementPeriods.push(...statementPeriodsOf([result]));
+  });
+
+  transactions
+    .filter(tx => !tx.replacedBy && tx.date)
+    .forEach(tx => ensure(accountKey(tx.accountNumber, tx.fileName), tx.accountNumber).rows.push(tx));
+
+  const coverageByAccount = new Map(Array.from(accounts.values())
+    .map(account => [account.key, monthCoverage(account.statementPeriods, account.rows)]));
+
+  const allMonths = Array.from(new Set(Array.from(coverageByAccount.values()).flatMap(coverage => Array.from(coverage.keys()))))
+    .sort();
+
+  return Array.from(accounts.values()).map(account => {
+    const coverage = coverageByAccount.get(account.key);
+    const included = account.rows.filter(tx => tx.included);
+    const transfers = account.rows.filter(tx => !tx.included && tx.internalTransfer);
+
+    return {
+      key: account.key,
+      accountNumber: account.accountNumber,
+      fileNames: account.fileNames,
+      total: included.reduce((sum, tx) => sum + tx.amount, 0),
+      transactionCount: included.length,
+      internalTransfers: {
+        count: transfers.length,
+        amount: transfers.reduce((sum, tx) => sum + tx.amount, 0)
+      },
+      months: allMonths.map(key => {
+        const month = coverage.get(key);
+        return {
+          key,
+          label: monthLabel(key),
+          covered: month ? month.covered / month.days : 0,
+          total: included.filter(tx => tx.date.startsWith(key)).reduce((sum, tx) => sum + tx.amount, 0)
+        };
+      }),
+      missingMonths: Array.from(coverage.entries())
+        .filter(([, month]) => month.covered === 0)
+        .map(([key]) => monthLabel(key))
+    };
+  });
+}
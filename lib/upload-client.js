@@ -0,0 +1,107 @@
+// ─── BROWSER SIDE OF /api/uploads ─────────────────────────────────────────────
+//
+// Sends a File to the server in raw chunks and resolves to its upload id,
+// which the analysis endpoints take in place of base64 `fileData`. A chunk
+// that fails is retried from wherever the server says the upload got to, and
+// unfinished uploads are remembered in localStorage so picking the same file
+// again after a reload carries on instead of starting over.
+
+const RESUME_STORAGE_KEY = 'income-verification-uploads';
+const MAX_RETRIES = 5;
+const RETRY_DELAY_MS = 2000;
+
+const fileKey = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+function resumableUploads() {
+  try {
+    return JSON.parse(localStorage.getItem(RESUME_STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function rememberUpload(file, uploadId) {
+  const uploads = resumableUploads();
+  if (uploadId) uploads[fileKey(file)] = uploadId;
+  else delete uploads[fileKey(file)];
+  localStorage.setItem(RESUME_STORAGE_KEY, JSON.stringify(uploads));
+}
+
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    const error = new Error(data.details || data.error || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+// An unfinished upload of this same file from an earlier attempt, if the
+// server still has it
+async function findResumableUpload(file) {
+  const uploadId = resumableUploads()[fileKey(file)];
+  if (!uploadId) return null;
+
+  try {
+    const { upload } = await requestJson(`/api/uploads/${uploadId}`);
+    return upload.size === file.size ? upload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Upload one file and resolve to its upload id.
+ *
+ * @param {File} file
+ * @param {(sent: number, total: number) => void} [onProgress]
+ * @returns {Promise<string>}
+ */
+export async function uploadFile(file, onProgress) {
+  let upload = await findResumableUpload(file);
+  // The server's chunk size is only reported when an upload is started
+  let chunkSize = 4 * 1024 * 1024;
+
+  if (!upload) {
+    const data = await requestJson('/api/uploads', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fileName: file.name, size: file.size }),
+    });
+    upload = data.upload;
+    chunkSize = data.chunkSize;
+    rememberUpload(file, upload.id);
+  }
+
+  let retries = 0;
+  while (upload.status !== 'complete') {
+    onProgress?.(upload.received, file.size);
+
+    try {
+      const data = await requestJson(`/api/uploads/${upload.id}?offset=${upload.received}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file.slice(upload.received, upload.received + chunkSize),
+      });
+      upload = data.upload;
+      retries = 0;
+    } catch (error) {
+      // Size and type refusals will not get better by trying again
+      if (error.status && error.status < 500 && error.status !== 409) {
+        rememberUpload(file, null);
+        throw error;
+      }
+      if (++retries > MAX_RETRIES) throw error;
+
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * retries));
+      // Still offline: keep the last known position and try again
+      upload = (await requestJson(`/api/uploads/${upload.id}`).catch(() => ({ upload }))).upload;
+    }
+  }
+
+  onProgress?.(file.size, file.size);
+  rememberUpload(file, null);
+  return upload.id;
+}
@@ -0,0 +1,181 @@
+import { randomUUID } from 'crypto';
+import { detectMimeType } from './analyze.js';
+import { deleteRecord, listRecords, readBlob, readRecord, writeBlob, writeBlobAt, writeRecord } from './store.js';
+
+const UPLOADS = 'uploads';
+const MB = 1024 * 1024;
+
+export const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_MB || 50) * MB;
+// Each PUT carries at most this much, well under any proxy body limit
+export const UPLOAD_CHUNK_BYTES = 4 * MB;
+// Uploads that were never finished, or never analyzed, are removed after this
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// ─── UPLOADS ──────────────────────────────────────────────────────────────────
+//
+// Files go to the server as raw bytes in chunks rather than base64 inside a
+// JSON body, and are kept in temporary storage until an analysis endpoint
+// takes them by id. An upload's record lives in the store next to the blob
+// its chunks are written into:
+//
+// {
+//   id, fileName, size,         size declared when the upload was started
+//   received,                   bytes stored so far; the next chunk starts here
+//   status: 'uploading' | 'complete',
+//   mimeType,                   detected from the bytes once the last chunk lands
+//   createdAt, updatedAt
+// }
+//
+// A client that loses its connection asks for the record and carries on from
+// `received`, so a large statement bundle never has to start over.
+
+export class UploadError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+async function removeExpiredUploads() {
+  const cutoff = Date.now() - UPLOAD_TTL_MS;
+  const uploads = await listRecords(UPLOADS);
+  await Promise.all(
+    uploads
+      .filter(upload => Date.parse(upload.updatedAt) < cutoff)
+      .map(upload => deleteRecord(UPLOADS, upload.id))
+  );
+}
+
+export async function createUpload({ fileName, size }) {
+  if (!fileName || typeof fileName !== 'string') {
+    throw new UploadError('fileName is required', 400);
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new UploadError('size must be a positive number of bytes', 400);
+  }
+  if (size > MAX_UPLOAD_BYTES) {
+    throw new UploadError(`${fileName} is ${(size / MB).toFixed(1)} MB; files can be at most ${MAX_UPLOAD_BYTES / MB} MB`, 413);
+  }
+
+  await removeExpiredUploads();
+
+  const now = new Date().toISOString();
+  const upload = {
+    id: randomUUID(),
+    fileName,
+    size,
+    received: 0,
+    status: 'uploading',
+    mimeType: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await writeBlob(UPLOADS, upload.id, Buffer.alloc(0));
+  await writeRecord(UPLOADS, upload.id, upload);
+  return upload;
+}
+
+// Upload ids come straight from URLs; anything malformed is simply not found
+const isUploadId = (id) => typeof id === 'string' && /^[\w-]+$/.test(id);
+
+export async function getUpload(id) {
+  return isUploadId(id) ? readRecord(UPLOADS, id) : null;
+}
+
+async function requireUpload(id) {
+  const upload = await getUpload(id);
+  if (!upload) throw new UploadError('Upload not found', 404);
+  return upload;
+}
+
+// Pass chunks through until the upload would grow past its declared size
+async function* limited(chunks, remaining) {
+  for await (const chunk of chunks) {
+    if (chunk.length > remaining) {
+      throw new UploadError('Chunk runs past the declared file size', 413);
+    }
+    remaining -= chunk.length;
+    yield chunk;
+  }
+}
+
+// Chunks of one upload are stored one at a time: a retried PUT that arrives
+// while the first is still writing then finds the offset already moved on
+const pendingAppends = new Map();
+
+/**
+ * Store one chunk of an upload. `offset` must be where the previous chunk
+ * ended (`received`); anything else is refused with the offset the client
+ * should continue from. The file type is checked when the last byte arrives
+ * and the upload is discarded if it is not one we can analyze.
+ *
+ * @param {AsyncIterable<Uint8Array>} chunks  the request body
+ */
+export function appendUpload(id, offset, chunks) {
+  const previous = pendingAppends.get(id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() => storeChunk(id, offset, chunks));
+  const settle = () => {
+    if (pendingAppends.get(id) === next) pendingAppends.delete(id);
+  };
+
+  pendingAppends.set(id, next);
+  next.then(settle, settle);
+  return next;
+}
+
+async function storeChunk(id, offset, chunks) {
+  const upload = await requireUpload(id);
+
+  if (upload.status === 'complete') {
+    throw new UploadError('Upload is already complete', 409, { received: upload.received });
+  }
+  if (offset !== upload.received) {
+    throw new UploadError(`Expected the chunk at offset ${upload.received}`, 409, { received: upload.received });
+  }
+
+  let written;
+  try {
+    written = await writeBlobAt(UPLOADS, id, offset, limited(chunks, upload.size - offset));
+  } catch (error) {
+    // Keep what made it to disk so the client can resume after it
+    if (error.bytesWritten) {
+      await writeRecord(UPLOADS, id, { ...upload, received: offset + error.bytesWritten, updatedAt: new Date().toISOString() });
+    }
+    throw error;
+  }
+
+  const updated = { ...upload, received: offset + written, updatedAt: new Date().toISOString() };
+
+  if (updated.received === updated.size) {
+    const mimeType = detectMimeType(await readBlob(UPLOADS, id));
+    if (!mimeType) {
+      await deleteRecord(UPLOADS, id);
+      throw new UploadError(`Unsupported file type for ${upload.fileName}: upload a PDF, Word document, JPG or PNG`, 415);
+    }
+    updated.status = 'complete';
+    updated.mimeType = mimeType;
+  }
+
+  return writeRecord(UPLOADS, id, updated);
+}
+
+/**
+ * Bytes of a finished upload, for an analysis endpoint to take over. The
+ * upload stays in temporary storage until deleteUpload.
+ *
+ * @returns {Promise<{ upload: object, bytes: Buffer }>}
+ */
+export async function readUpload(id) {
+  const upload = await requireUpload(id);
+  if (upload.status !== 'complete') {
+    throw new UploadError(`Upload of ${upload.fileName} is not finished (${upload.received} of ${upload.size} bytes)`, 409, { received: upload.received });
+  }
+  return { upload, bytes: await readBlob(UPLOADS, id) };
+}
+
+export async function deleteUpload(id) {
+  if (isUploadId(id)) await deleteRecord(UPLOADS, id);
+}
@@ -0,0 +1,214 @@
+import { createHmac, randomUUID } from 'crypto';
+import http from 'http';
+import https from 'https';
+import { getApiClient } from './api-clients.js';
+import { analysisResource, analysisStatus } from './api-v1.js';
+import { getCase } from './cases.js';
+import { log } from './log.js';
+import { BlockedAddressError, isPublicHost, publicLookup } from './network.js';
+import { deleteRecord, listRecords, writeRecord } from './store.js';
+
+const WATCHES = 'webhook-watches';
+const DELIVERIES = 'webhook-deliveries';
+
+const POLL_INTERVAL_MS = 2000;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// ─── COMPLETION WEBHOOKS ──────────────────────────────────────────────────────
+//
+// When every document of an API client's analysis has finished, the client
+// gets a POST with `analysis.completed` or `analysis.failed` and the analysis
+// as GET /api/v1/analyses/:id would return it. Uploading another document
+// later sends the event again once that one finishes.
+//
+// Analyses waiting for their documents are kept in `webhook-watches`; each
+// event to send is a delivery:
+//
+// {
+//   id,             also sent as X-Webhook-Id, so receivers can drop repeats
+//   clientId, analysisId, url, event, payload,
+//   status: 'pending' | 'delivered' | 'failed',
+//   attempts: [{ at, status, error }],
+//   nextAttemptAt, createdAt, deliveredAt
+// }
+//
+// Anything other than a 2xx answer is retried with exponential backoff, from
+// 30 seconds up to an hour apart, MAX_ATTEMPTS times in all. URLs that lead
+// to a private, loopback or link-local address are refused (lib/network.js).
+//
+// The body is signed with the client's webhook secret:
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Receivers should recompute it and reject old timestamps.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+const backoffMs = (attempt) => Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+
+// POST without following redirects, connecting only to public addresses;
+// resolves with the response status
+function post(url, headers, body) {
+  if (!isPublicHost(url)) return Promise.reject(new BlockedAddressError(new URL(url).hostname));
+
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Send the completion webhook once the analysis's documents have finished.
+ */
+export async function watchAnalysis(analysisId) {
+  await writeRecord(WATCHES, analysisId, { id: analysisId, since: new Date().toISOString() });
+  startWebhookWorker();
+}
+
+// Queue the event for an analysis whose documents have all finished
+async function checkAnalysis(watch) {
+  const record = await getCase(watch.id);
+  if (!record) {
+    await deleteRecord(WATCHES, watch.id);
+    return;
+  }
+
+  const status = analysisStatus(record);
+  if (status !== 'completed' && status !== 'failed') return;
+  await deleteRecord(WATCHES, watch.id);
+
+  const client = await getApiClient(record.clientId);
+  const url = record.webhookUrl || client?.webhookUrl;
+  if (!client || client.revokedAt || !url) return;
+
+  const now = new Date().toISOString();
+  const delivery = {
+    id: randomUUID(),
+    clientId: client.id,
+    analysisId: record.id,
+    url,
+    event: `analysis.${status}`,
+    payload: null,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now,
+    deliveredAt: null
+  };
+  delivery.payload = { id: delivery.id, event: delivery.event, createdAt: now, data: { analysis: analysisResource(record) } };
+  await writeRecord(DELIVERIES, delivery.id, delivery);
+}
+
+async function attemptDelivery(delivery) {
+  const client = await getApiClient(delivery.clientId);
+  const at = new Date().toISOString();
+
+  if (!client || client.revokedAt) {
+    await writeRecord(DELIVERIES, delivery.id, {
+      ...delivery,
+      status: 'failed',
+      attempts: [...delivery.attempts, { at, status: null, error: 'API client was revoked' }]
+    });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let outcome;
+  let blocked = false;
+  try {
+    const status = await post(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'income-verification-webhooks/1',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(client.webhookSecret, timestamp, body)}`
+    }, body);
+    outcome = { at, status, error: status >= 200 && status < 300 ? null : `HTTP ${status}` };
+  } catch (error) {
+    outcome = { at, status: null, error: error.message };
+    blocked = error instanceof BlockedAddressError;
+  }
+
+  const attempts = [...delivery.attempts, outcome];
+  if (!outcome.error) {
+    await writeRecord(DELIVERIES, delivery.id, { ...delivery, status: 'delivered', attempts, deliveredAt: at });
+    log.info('Webhook delivered', { deliveryId: delivery.id, event: delivery.event, attempts: attempts.length });
+    return;
+  }
+
+  // A URL that leads into the server's own network is never tried again
+  const exhausted = blocked || attempts.length >= MAX_ATTEMPTS;
+  await writeRecord(DELIVERIES, delivery.id, {
+    ...delivery,
+    status: exhausted ? 'failed' : 'pending',
+    attempts,
+    nextAttemptAt: exhausted ? null : new Date(Date.now() + backoffMs(attempts.length)).toISOString()
+  });
+  log.warn(exhausted ? 'Webhook delivery gave up' : 'Webhook delivery failed, retrying', {
+    deliveryId: delivery.id,
+    status: outcome.status,
+    reason: outcome.error,
+    attempt: attempts.length,
+    maxAttempts: MAX_ATTEMPTS
+  });
+}
+
+/**
+ * Make sure watched analyses are checked and pending deliveries are sent.
+ * Safe to call from any route; work left by a restarted server is picked up
+ * on the next call.
+ */
+export function startWebhookWorker() {
+  const worker = (globalThis.__incomeWebhookWorker ??= { running: false, rerun: false });
+
+  if (worker.running) {
+    worker.rerun = true;
+    return;
+  }
+
+  worker.running = true;
+  worker.rerun = false;
+
+  drainWebhooks()
+    .catch(error => log.error('Webhook worker crashed', { error }))
+    .finally(() => {
+      worker.running = false;
+      if (worker.rerun) startWebhookWorker();
+    });
+}
+
+async function drainWebhooks() {
+  for (;;) {
+    const watches = await listRecords(WATCHES);
+    for (const watch of watches) await checkAnalysis(watch);
+
+    const pending = (await listRecords(DELIVERIES)).filter(delivery => delivery.status === 'pending');
+    const remaining = await listRecords(WATCHES);
+    if (remaining.length === 0 && pending.length === 0) return;
+
+    const due = pending
+      .filter(delivery => Date.parse(delivery.nextAttemptAt) <= Date.now())
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+    for (const delivery of due) await attemptDelivery(delivery);
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
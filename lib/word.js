@@ -0,0 +1,502 @@
+import JSZip from 'jszip';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { winAnsiText } from './pdf-text.js';
+
+// ─── WORD DOCUMENTS ───────────────────────────────────────────────────────────
+//
+// Statements uploaded as .docx or legacy .doc are laid out as a plain text PDF
+// and from then on take the same path as any other upload: text-layer
+// parsing, chunking, model extraction and merge. Every table row becomes one
+// line with its cells in column order. Page breaks stored in the document
+// start a new PDF page: explicit breaks, and for .docx also the breaks Word
+// recorded when it last laid the document out. A Word page too long for one
+// PDF page continues on the next.
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+export const DOC_MIME_TYPE = 'application/msword';
+
+export const isWordMimeType = (mimeType) => mimeType === DOCX_MIME_TYPE || mimeType === DOC_MIME_TYPE;
+
+const PAGE_WIDTH = 612; // US Letter
+const PAGE_HEIGHT = 792;
+const MARGIN = 36;
+const FONT_SIZE = 9;
+const MIN_FONT_SIZE = 6;
+const LINE_HEIGHT = 11;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - MARGIN * 2) / LINE_HEIGHT);
+// Courier glyphs are 0.6 em wide
+const CHAR_WIDTH = 0.6;
+const TAB = '    ';
+const CELL_SEPARATOR = '  ';
+
+/**
+ * Collects the document as lines per page. Table cells are buffered until
+ * their row ends so a row always lands on one line; a page break met inside a
+ * table is applied before the next row.
+ */
+class PageLayout {
+  constructor() {
+    this.pages = [[]];
+    this.line = '';
+    this.cell = [];
+    this.row = [];
+    this.pendingBreak = false;
+  }
+
+  text(value) {
+    this.line += value;
+  }
+
+  // Paragraph mark or line break. Inside a table cell the lines are joined
+  // with spaces when the cell ends.
+  endLine(inTable) {
+    const line = this.line.replace(/\t/g, TAB).trimEnd();
+    this.line = '';
+    if (!inTable) {
+      this.push(line);
+    } else if (line.trim()) {
+      this.cell.push(line.trim().replace(/\s+/g, ' '));
+    }
+  }
+
+  endCell() {
+    this.endLine(true);
+    this.row.push(this.cell.join(' '));
+    this.cell = [];
+  }
+
+  endRow() {
+    if (this.line.trim() || this.cell.length > 0) this.endCell();
+    const line = this.row.join(CELL_SEPARATOR).trimEnd();
+    this.row = [];
+    this.push(line);
+  }
+
+  pageBreak(inTable) {
+    if (inTable) {
+      this.pendingBreak = true;
+      return;
+    }
+    if (this.line.trim()) this.endLine(false);
+    this.newPage();
+  }
+
+  newPage() {
+    this.pendingBreak = false;
+    if (this.pages[this.pages.length - 1].some(line => line.trim())) this.pages.push([]);
+  }
+
+  push(line) {
+    if (this.pendingBreak) this.newPage();
+    this.pages[this.pages.length - 1].push(line);
+  }
+
+  finish() {
+    if (this.line.trim()) this.endLine(false);
+    const pages = this.pages
+      .map(lines => {
+        const end = lines.length - [...lines].reverse().findIndex(line => line.trim());
+        const start = lines.findIndex(line => line.trim());
+        return start === -1 ? [] : lines.slice(start, end);
+      })
+      .filter(lines => lines.length > 0);
+    return pages.length > 0 ? pages : [[]];
+  }
+}
+
+// ─── DOCX ─────────────────────────────────────────────────────────────────────
+
+const XML_TOKEN = /<(\/?)([\w:]+)([^>]*?)(\/?)>|([^<]+)/g;
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeXml = (text) =>
+  text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    return XML_ENTITIES[name] ?? entity;
+  });
+
+const attribute = (attrs, name) => attrs.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+/**
+ * Lay out one WordprocessingML part (the body or a header). Nested tables are
+ * flattened into the cell that holds them.
+ */
+function layoutDocxPart(xml, layout) {
+  let depth = 0;
+  let inText = false;
+  let inTabStops = false;
+
+  for (const [, closing, tag, attrs, selfClosing, text] of xml.matchAll(XML_TOKEN)) {
+    if (text !== undefined) {
+      if (inText) layout.text(decodeXml(text));
+      continue;
+    }
+
+    if (closing) {
+      if (tag === 'w:t') inText = false;
+      else if (tag === 'w:tabs') inTabStops = false;
+      else if (tag === 'w:p') layout.endLine(depth > 0);
+      else if (tag === 'w:tc' && depth === 1) layout.endCell();
+      else if (tag === 'w:tr' && depth === 1) layout.endRow();
+      else if (tag === 'w:tbl') depth--;
+      continue;
+    }
+
+    switch (tag) {
+      case 'w:t':
+        inText = !selfClosing;
+        break;
+      case 'w:tabs':
+        // Tab stop definitions, not tab characters
+        inTabStops = !selfClosing;
+        break;
+      case 'w:tab':
+        if (!inTabStops) layout.text('\t');
+        break;
+      case 'w:br':
+        if (attribute(attrs, 'w:type') === 'page') layout.pageBreak(depth > 0);
+        else layout.endLine(depth > 0);
+        break;
+      case 'w:cr':
+        layout.endLine(depth > 0);
+        break;
+      case 'w:lastRenderedPageBreak':
+        layout.pageBreak(depth > 0);
+        break;
+      case 'w:pageBreakBefore':
+        if (!/^(0|false|off)$/.test(attribute(attrs, 'w:val') ?? '')) layout.pageBreak(depth > 0);
+        break;
+      case 'w:noBreakHyphen':
+        layout.text('-');
+        break;
+      case 'w:tbl':
+        depth++;
+        break;
+    }
+  }
+}
+
+// Lines of the default page header, repeated at the top of every page the
+// way Word prints it - statements often carry the account number there
+async function readDocxHeader(zip, documentXml) {
+  const references = [...documentXml.matchAll(/<w:headerReference\b([^>]*)\/>/g)]
+    .map(([, attrs]) => attrs)
+    .filter(attrs => attribute(attrs, 'w:type') === 'default');
+  const relationshipId = references.length > 0 ? attribute(references[references.length - 1], 'r:id') : null;
+  const rels = await zip.file('word/_rels/document.xml.rels')?.async('string');
+  if (!relationshipId || !rels) return [];
+
+  const relationship = [...rels.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+    .map(([, attrs]) => attrs)
+    .find(attrs => attribute(attrs, 'Id') === relationshipId);
+  const target = relationship && attribute(relationship, 'Target');
+  const headerXml = target && await zip.file(`word/${target.replace(/^\/?word\//, '')}`)?.async('string');
+  if (!headerXml) return [];
+
+  const layout = new PageLayout();
+  layoutDocxPart(headerXml, layout);
+  return layout.finish().flat();
+}
+
+async function readDocxPages(bytes) {
+  const zip = await JSZip.loadAsync(bytes);
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  if (!documentXml) throw new Error('Not a Word document: word/document.xml is missing');
+
+  const layout = new PageLayout();
+  layoutDocxPart(documentXml, layout);
+  const header = await readDocxHeader(zip, documentXml);
+  return layout.finish().map(lines => (header.length > 0 ? [...header, '', ...lines] : lines));
+}
+
+// ─── DOC ──────────────────────────────────────────────────────────────────────
+//
+// A .doc is an OLE compound file: a small FAT file system whose WordDocument
+// stream holds the text and formatting, and whose table stream holds the
+// piece table saying where each run of text is stored. Offsets follow
+// [MS-CFB] and [MS-DOC] (Word 97 and later).
+
+const END_OF_CHAIN = 0xFFFFFFFA; // every id from here up is a marker, not a sector
+const WORD_IDENT = 0xA5EC;
+const MIN_WORD97_NFIB = 0xC0;
+const FKP_SIZE = 512;
+
+// FIB offsets
+const FIB_FLAGS = 0x0A;
+const FIB_CCP_TEXT = 0x4C;
+const FIB_PLCF_BTE_CHPX = 0xFA;
+const FIB_PLCF_BTE_PAPX = 0x102;
+const FIB_CLX = 0x1A2;
+const F_ENCRYPTED = 0x0100;
+const F_WHICH_TBL_STM = 0x0200;
+
+// Property modifiers read from the formatting runs
+const SPRM_C_F_R_MARK_DEL = 0x0800;
+const SPRM_C_F_VANISH = 0x083C;
+const SPRM_P_F_IN_TABLE = 0x2416;
+const SPRM_P_F_TTP = 0x2417;
+const SPRM_T_DEF_TABLE = 0xD608;
+const SPRM_OPERAND_SIZES = [1, 1, 2, 4, 2, 2, null, 3];
+
+// Windows-1252 where it differs from Latin-1 (0x80-0x9F)
+const WINDOWS_1252 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+const windows1252 = (byte) => (byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252[byte - 0x80] : String.fromCharCode(byte));
+
+function readCompoundFile(data) {
+  const sectorSize = 1 << data.readUInt16LE(0x1E);
+  const miniSectorSize = 1 << data.readUInt16LE(0x20);
+  const miniStreamCutoff = data.readUInt32LE(0x38);
+  const sector = (id) => data.subarray(sectorSize * (id + 1), sectorSize * (id + 2));
+  const uint32s = (buffer) => Array.from({ length: Math.floor(buffer.length / 4) }, (_, i) => buffer.readUInt32LE(i * 4));
+
+  // The first 109 FAT sector ids are in the header, the rest in a DIFAT chain
+  const fatSectors = uint32s(data.subarray(0x4C, 0x200));
+  let difat = data.readUInt32LE(0x44);
+  for (let remaining = data.readUInt32LE(0x48); remaining > 0 && difat < END_OF_CHAIN; remaining--) {
+    const ids = uint32s(sector(difat));
+    fatSectors.push(...ids.slice(0, -1));
+    difat = ids[ids.length - 1];
+  }
+  const fat = fatSectors.filter(id => id < END_OF_CHAIN).flatMap(id => uint32s(sector(id)));
+
+  const chain = (start, table) => {
+    const ids = [];
+    for (let id = start; id < END_OF_CHAIN && ids.length < table.length; id = table[id]) ids.push(id);
+    return ids;
+  };
+  const readChain = (start) => Buffer.concat(chain(start, fat).map(sector));
+
+  const directory = readChain(data.readUInt32LE(0x30));
+  const entries = [];
+  for (let at = 0; at + 128 <= directory.length; at += 128) {
+    const nameLength = directory.readUInt16LE(at + 0x40);
+    entries.push({
+      name: directory.toString('utf16le', at, at + Math.max(0, nameLength - 2)),
+      type: directory[at + 0x42],
+      start: directory.readUInt32LE(at + 0x74),
+      size: directory.readUInt32LE(at + 0x78)
+    });
+  }
+
+  const miniStream = entries[0] ? readChain(entries[0].start) : Buffer.alloc(0);
+  const miniFat = uint32s(readChain(data.readUInt32LE(0x3C)));
+
+  return (name) => {
+    const entry = entries.find(e => e.type === 2 && e.name === name);
+    if (!entry) return null;
+    const stream = entry.size < miniStreamCutoff
+      ? Buffer.concat(chain(entry.start, miniFat).map(id => miniStream.subarray(id * miniSectorSize, (id + 1) * miniSectorSize)))
+      : readChain(entry.start);
+    return stream.subarray(0, entry.size);
+  };
+}
+
+function forEachSprm(grpprl, handler) {
+  for (let at = 0; at + 2 <= grpprl.length;) {
+    const sprm = grpprl.readUInt16LE(at);
+    at += 2;
+    const size = sprm === SPRM_T_DEF_TABLE
+      ? grpprl.readUInt16LE(at) + 1
+      : SPRM_OPERAND_SIZES[sprm >> 13] ?? grpprl[at] + 1;
+    handler(sprm, grpprl.subarray(at, at + size));
+    at += size;
+  }
+}
+
+/**
+ * Formatting runs from the character (CHPX) or paragraph (PAPX) bin table:
+ * [{ start, end, grpprl }] in file offsets of the WordDocument stream.
+ */
+function readFormattingRuns(word, table, fibOffset, kind) {
+  const fc = word.readUInt32LE(fibOffset);
+  const lcb = word.readUInt32LE(fibOffset + 4);
+  const plc = table.subarray(fc, fc + lcb);
+  const count = Math.floor((lcb - 4) / 8);
+  const runs = [];
+
+  for (let i = 0; i < count; i++) {
+    const page = (plc.readUInt32LE((count + 1) * 4 + i * 4) & 0x3FFFFF) * FKP_SIZE;
+    const fkp = word.subarray(page, page + FKP_SIZE);
+    if (fkp.length < FKP_SIZE) continue;
+    const crun = fkp[FKP_SIZE - 1];
+
+    for (let j = 0; j < crun; j++) {
+      const start = fkp.readUInt32LE(j * 4);
+      const end = fkp.readUInt32LE((j + 1) * 4);
+      let grpprl = Buffer.alloc(0);
+
+      if (kind === 'chpx') {
+        const offset = fkp[(crun + 1) * 4 + j] * 2;
+        if (offset) grpprl = fkp.subarray(offset + 1, offset + 1 + fkp[offset]);
+      } else {
+        const offset = fkp[(crun + 1) * 4 + j * 13] * 2;
+        if (offset) {
+          // PapxInFkp: a size byte (or a zero then the size), the style index, then the sprms
+          const size = fkp[offset] ? fkp[offset] * 2 - 1 : fkp[offset + 1] * 2;
+          const at = offset + (fkp[offset] ? 1 : 2);
+          grpprl = fkp.subarray(at + 2, at + size);
+        }
+      }
+
+      runs.push({ start, end, grpprl });
+    }
+  }
+
+  return runs.sort((a, b) => a.start - b.start);
+}
+
+// Runs whose sprms switch on any of `flags`, as sorted [start, end) ranges
+// with the flags that are set
+function flaggedRanges(runs, flags) {
+  return runs
+    .map(({ start, end, grpprl }) => {
+      const set = new Set();
+      forEachSprm(grpprl, (sprm, operand) => {
+        if (flags.includes(sprm) && operand[0]) set.add(sprm);
+      });
+      return { start, end, set };
+    })
+    .filter(range => range.set.size > 0);
+}
+
+function lookupFlags(ranges, fc) {
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (fc < ranges[mid].start) high = mid - 1;
+    else if (fc >= ranges[mid].end) low = mid + 1;
+    else return ranges[mid].set;
+  }
+  return new Set();
+}
+
+// Piece table: [{ cpStart, cpEnd, fc, compressed }]. Compressed pieces store
+// one Windows-1252 byte per character, the rest UTF-16LE.
+function readPieces(clx) {
+  let at = 0;
+  while (at < clx.length && clx[at] === 0x01) at += 3 + clx.readUInt16LE(at + 1);
+  if (clx[at] !== 0x02) throw new Error('Word document has no piece table');
+
+  const lcb = clx.readUInt32LE(at + 1);
+  const plc = clx.subarray(at + 5, at + 5 + lcb);
+  const count = (lcb - 4) / 12;
+  return Array.from({ length: count }, (_, i) => {
+    const fc = plc.readUInt32LE((count + 1) * 4 + i * 8 + 2);
+    const compressed = (fc & 0x40000000) !== 0;
+    return {
+      cpStart: plc.readUInt32LE(i * 4),
+      cpEnd: plc.readUInt32LE((i + 1) * 4),
+      fc: compressed ? (fc & 0x3FFFFFFF) / 2 : fc,
+      compressed
+    };
+  });
+}
+
+async function readDocPages(bytes) {
+  const stream = readCompoundFile(Buffer.from(bytes));
+  const word = stream('WordDocument');
+  if (!word || word.readUInt16LE(0) !== WORD_IDENT) throw new Error('Not a Word document: WordDocument stream is missing');
+  if (word.readUInt16LE(2) < MIN_WORD97_NFIB) throw new Error('Word 95 and older .doc files are not supported; save it as .docx');
+
+  const flags = word.readUInt16LE(FIB_FLAGS);
+  if (flags & F_ENCRYPTED) throw new Error('Word document is password protected');
+  const table = stream(flags & F_WHICH_TBL_STM ? '1Table' : '0Table');
+  if (!table) throw new Error('Word document table stream is missing');
+
+  const ccpText = word.readUInt32LE(FIB_CCP_TEXT);
+  const clxOffset = word.readUInt32LE(FIB_CLX);
+  const pieces = readPieces(table.subarray(clxOffset, clxOffset + word.readUInt32LE(FIB_CLX + 4)));
+  const hidden = flaggedRanges(readFormattingRuns(word, table, FIB_PLCF_BTE_CHPX, 'chpx'), [SPRM_C_F_R_MARK_DEL, SPRM_C_F_VANISH]);
+  const paragraphs = flaggedRanges(readFormattingRuns(word, table, FIB_PLCF_BTE_PAPX, 'papx'), [SPRM_P_F_IN_TABLE, SPRM_P_F_TTP]);
+
+  const layout = new PageLayout();
+  // Fields are \x13 code \x14 result \x15; only the result is document text
+  const fields = [];
+
+  for (const piece of pieces) {
+    const length = Math.min(piece.cpEnd, ccpText) - piece.cpStart;
+    for (let i = 0; i < length; i++) {
+      const fc = piece.fc + (piece.compressed ? i : i * 2);
+      const char = piece.compressed
+        ? windows1252(word[fc])
+        : word.toString('utf16le', fc, fc + 2);
+      const code = char.charCodeAt(0);
+
+      if (code === 0x13) fields.push('code');
+      else if (code === 0x14 && fields.length > 0) fields[fields.length - 1] = 'result';
+      else if (code === 0x15) fields.pop();
+      if (code >= 0x13 && code <= 0x15) continue;
+      if (fields.includes('code') || lookupFlags(hidden, fc).size > 0) continue;
+
+      const paragraph = () => lookupFlags(paragraphs, fc);
+      if (code === 0x0D || code === 0x0B || code === 0x0E) {
+        layout.endLine(paragraph().has(SPRM_P_F_IN_TABLE));
+      } else if (code === 0x07) {
+        if (paragraph().has(SPRM_P_F_TTP)) layout.endRow();
+        else layout.endCell();
+      } else if (code === 0x0C) {
+        layout.pageBreak(paragraph().has(SPRM_P_F_IN_TABLE));
+      } else if (code === 0x09) {
+        layout.text('\t');
+      } else if (code === 0x1E) {
+        layout.text('-');
+      } else if (code === 0xA0) {
+        layout.text(' ');
+      } else if (code >= 0x20) {
+        layout.text(char);
+      }
+    }
+  }
+
+  return layout.finish();
+}
+
+// ─── PDF OUTPUT ───────────────────────────────────────────────────────────────
+
+const maxChars = (size) => Math.floor((PAGE_WIDTH - MARGIN * 2) / (size * CHAR_WIDTH));
+
+// Long lines are set smaller so a transaction row stays on one line; only
+// lines too long even at MIN_FONT_SIZE are wrapped
+function fitLine(line) {
+  const size = Math.max(MIN_FONT_SIZE, Math.min(FONT_SIZE, (PAGE_WIDTH - MARGIN * 2) / (line.length * CHAR_WIDTH)));
+  const width = maxChars(size);
+  const parts = [];
+  for (let rest = line; rest.length > 0 || parts.length === 0; rest = rest.slice(width)) parts.push(rest.slice(0, width));
+  return parts.map(text => ({ text, size }));
+}
+
+/**
+ * Lines per page of a Word document.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} mimeType  DOCX_MIME_TYPE or DOC_MIME_TYPE
+ * @returns {Promise<string[][]>}
+ */
+export async function readWordPages(bytes, mimeType) {
+  return mimeType === DOCX_MIME_TYPE ? readDocxPages(bytes) : readDocPages(bytes);
+}
+
+/**
+ * Lay a Word document out as a text PDF, one or more PDF pages per Word page.
+ *
+ * @returns {Promise<Uint8Array>} the PDF bytes
+ */
+export async function wordToPdf(bytes, mimeType) {
+  const pages = await readWordPages(bytes, mimeType);
+  // Undated, so the same document always lays out to the same bytes
+  const doc = await PDFDocument.create({ updateMetadata: false });
+  const font = await doc.embedFont(StandardFonts.Courier);
+
+  pages.forEach(lines => {
+    const rows = lines.flatMap(line => fitLine(winAnsiText(line)));
+    for (let i = 0; i < rows.length || i === 0; i += LINES_PER_PAGE) {
+      const page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      rows.slice(i, i + LINES_PER_PAGE).forEach(({ text, size }, n) => {
+        if (text.trim()) page.drawText(text, { x: MARGIN, y: PAGE_HEIGHT - MARGIN - (n + 1) * LINE_HEIGHT, size, font });
+      });
+    }
+  });
+
+  return doc.save();
+}
@@ -1,4 +1,12 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  experimental: {
+    // instrumentation.js starts the background workers at boot
+    instrumentationHook: true,
+    // pdf.js loads its worker from disk at runtime, and exceljs pulls in
+    // Node-only archive code, so neither should be bundled
+    serverComponentsExternalPackages: ['pdfjs-dist', 'exceljs'],
+  },
+};
 
 module.exports = nextConfig;
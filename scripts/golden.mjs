@@ -0,0 +1,68 @@
+// Golden-file regression runs for extraction accuracy (tests/golden/harness.js).
+//
+//   npm run golden -- run [--label baseline] [--only a,b] [--out run.json]
+//       replay the recorded model responses offline and score every fixture
+//
+//   LLM_PROVIDER=gemini npm run golden -- run --record --label <name> [--out run.json]
+//       call the live model instead and save its responses under that label
+//
+//   npm run golden -- compare base.json head.json
+//       what changed between two saved runs, e.g. two prompt or model versions
+//
+// `run` exits with 1 when a fixture misses its minimum scores, `compare` when
+// any fixture regressed, so either can gate a change.
+
+import { readFile, writeFile } from 'fs/promises';
+import { compareRuns, formatComparison, formatRun, passes, runGolden } from '../tests/golden/harness.js';
+
+function parseArgs(args) {
+  const options = { positional: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--record') options.record = true;
+    else if (arg === '--label' || arg === '--only' || arg === '--out') options[arg.slice(2)] = args[++i];
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.positional.push(arg);
+  }
+  return options;
+}
+
+async function run(options) {
+  const result = await runGolden({
+    label: options.label,
+    record: options.record,
+    only: options.only ? options.only.split(',') : []
+  });
+
+  console.log(formatRun(result));
+  if (options.out) {
+    await writeFile(options.out, `${JSON.stringify(result, null, 2)}\n`);
+    console.log(`\nSaved to ${options.out}`);
+  }
+  return result.fixtures.every(passes) ? 0 : 1;
+}
+
+async function compare([basePath, headPath]) {
+  if (!basePath || !headPath) throw new Error('compare needs two saved runs: compare base.json head.json');
+
+  const [base, head] = await Promise.all([basePath, headPath].map(async file => JSON.parse(await readFile(file, 'utf8'))));
+  const comparison = compareRuns(base, head);
+  console.log(formatComparison(comparison));
+  return comparison.regressions > 0 ? 1 : 0;
+}
+
+const [command, ...rest] = process.argv.slice(2);
+const options = parseArgs(rest);
+
+const commands = { run: () => run(options), compare: () => compare(options.positional) };
+if (!commands[command]) {
+  console.error('Usage: golden run [--label name] [--record] [--only a,b] [--out file] | golden compare base.json head.json');
+  process.exit(2);
+}
+
+try {
+  process.exitCode = await commands[command]();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 2;
+}
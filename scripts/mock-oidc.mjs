@@ -0,0 +1,144 @@
+// Stand-in OpenID Connect provider for local development and tests.
+//
+//   npm run mock-oidc
+//
+// then start the app with
+//
+//   OIDC_ISSUER=http://localhost:4011 OIDC_CLIENT_ID=income-verification npm run dev
+//
+// The sign-in page lists one user per role (and one without a role); picking
+// one signs in as them. Codes, PKCE and ID tokens work as with a real
+// provider, signed with a key generated at start-up. Nothing is persisted.
+
+import { createHash, createSign, generateKeyPairSync, randomBytes } from 'crypto';
+import { createServer } from 'http';
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4011;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'income-verification';
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+const USERS = [
+  { sub: 'mock-uploader', name: 'Uma Uploader', email: 'uploader@example.test', roles: ['uploader'] },
+  { sub: 'mock-underwriter', name: 'Uri Underwriter', email: 'underwriter@example.test', roles: ['underwriter'] },
+  { sub: 'mock-admin', name: 'Ada Admin', email: 'admin@example.test', roles: ['admin'] },
+  { sub: 'mock-norole', name: 'Nora Norole', email: 'norole@example.test', roles: [] }
+];
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' };
+
+// code -> { user, clientId, redirectUri, nonce, challenge, expiresAt }
+const codes = new Map();
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function signIdToken(claims) {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KID }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = createSign('RSA-SHA256').update(`${header}.${payload}`).sign(privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+function send(res, status, body, headers = {}) {
+  const json = typeof body !== 'string';
+  res.writeHead(status, { 'Content-Type': json ? 'application/json' : 'text/html; charset=utf-8', ...headers });
+  res.end(json ? JSON.stringify(body) : body);
+}
+
+async function readForm(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return new URLSearchParams(Buffer.concat(chunks).toString('utf8'));
+}
+
+function authorizePage(params) {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name) || '')}">`)
+    .join('');
+  const buttons = USERS
+    .map(user => `<button name="sub" value="${user.sub}">${escapeHtml(user.name)} (${user.roles.join(', ') || 'no role'})</button>`)
+    .join('<br><br>');
+  return `<!doctype html><title>Mock identity provider</title>
+<body style="font-family: sans-serif; max-width: 30em; margin: 4em auto">
+<h1>Mock identity provider</h1><p>Sign in as:</p>
+<form method="post" action="/authorize">${hidden}${buttons}</form></body>`;
+}
+
+async function authorize(req, res, url) {
+  if (req.method === 'GET') {
+    if (url.searchParams.get('client_id') !== CLIENT_ID) return send(res, 400, 'Unknown client_id');
+    return send(res, 200, authorizePage(url.searchParams));
+  }
+
+  const form = await readForm(req);
+  const user = USERS.find(candidate => candidate.sub === form.get('sub'));
+  if (!user) return send(res, 400, 'Unknown user');
+
+  const code = randomBytes(16).toString('base64url');
+  codes.set(code, {
+    user,
+    clientId: form.get('client_id'),
+    redirectUri: form.get('redirect_uri'),
+    nonce: form.get('nonce'),
+    challenge: form.get('code_challenge'),
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const redirect = new URL(form.get('redirect_uri'));
+  redirect.searchParams.set('code', code);
+  redirect.searchParams.set('state', form.get('state'));
+  send(res, 302, '', { Location: redirect.toString() });
+}
+
+async function token(req, res) {
+  const form = await readForm(req);
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+
+  const problem = !grant || grant.expiresAt < Date.now() ? 'code is unknown or expired'
+    : form.get('client_id') !== grant.clientId ? 'client_id does not match'
+      : form.get('redirect_uri') !== grant.redirectUri ? 'redirect_uri does not match'
+        : createHash('sha256').update(form.get('code_verifier') || '').digest('base64url') !== grant.challenge ? 'PKCE verification failed'
+          : null;
+  if (problem) return send(res, 400, { error: 'invalid_grant', error_description: problem });
+
+  const now = Math.floor(Date.now() / 1000);
+  const { sub, name, email, roles } = grant.user;
+  send(res, 200, {
+    token_type: 'Bearer',
+    access_token: randomBytes(16).toString('base64url'),
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: signIdToken({ iss: ISSUER, aud: grant.clientId, sub, name, email, roles, nonce: grant.nonce, iat: now, exp: now + TOKEN_TTL_SECONDS })
+  });
+}
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  try {
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+    if (url.pathname === '/jwks') return send(res, 200, { keys: [jwk] });
+    if (url.pathname === '/authorize') return await authorize(req, res, url);
+    if (url.pathname === '/token' && req.method === 'POST') return await token(req, res);
+    send(res, 404, { error: 'not_found' });
+  } catch (error) {
+    send(res, 500, { error: 'server_error', error_description: error.message });
+  }
+}).listen(PORT, () => {
+  console.log(`Mock OIDC provider at ${ISSUER} (client_id ${CLIENT_ID})`);
+});
@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+import { collectTransactions, consolidateMonths, summarizeMonths } from '../lib/consolidate.js';
+
+const row = (id, date, amount, type, extra = {}) => ({
+  id,
+  fileName: 'statement.pdf',
+  accountNumber: '4821',
+  date,
+  type,
+  source: 'ACME',
+  amount,
+  included: true,
+  ...extra
+});
+
+describe('consolidateMonths', () => {
+  it('groups rows by month, newest month first and oldest row first', () => {
+    const months = consolidateMonths([
+      row('a', '2026-01-23', 1250, 'ACH Deposit'),
+      row('b', '2026-02-06', 1104.32, 'ACH Deposit'),
+      row('c', '2026-01-09', 1250, 'ACH Deposit')
+    ]);
+
+    expect(months.map(m => m.month)).toEqual(['February 2026', 'January 2026']);
+    expect(months[1].transactions.map(tx => tx.id)).toEqual(['c', 'a']);
+  });
+
+  it('counts included rows only in totals and categories', () => {
+    const [month] = consolidateMonths([
+      row('a', '2026-01-02', 5, 'Zelle Transfer'),
+      row('b', '2026-01-09', 1250, 'ACH Deposit'),
+      row('c', '2026-01-20', 40, 'Other', { included: false })
+    ]);
+
+    expect(month.total).toBe(1255);
+    expect(month.categories).toEqual({
+      'Zelle Transfer': { amount: 5, count: 1 },
+      'ACH Deposit': { amount: 1250, count: 1 }
+    });
+    expect(month.transactions).toHaveLength(3);
+  });
+
+  it('drops rows replaced by a split or merge', () => {
+    const [month] = consolidateMonths([
+      row('a', '2026-01-09', 1250, 'ACH Deposit', { replacedBy: ['split-1', 'split-2'] }),
+      row('split-1', '2026-01-09', 1000, 'ACH Deposit'),
+      row('split-2', '2026-01-09', 250, 'Business Deposit')
+    ]);
+
+    expect(month.transactions.map(tx => tx.id)).toEqual(['split-1', 'split-2']);
+    expect(month.total).toBe(1250);
+  });
+
+  it('falls back to the date for rows without a month bucket', () => {
+    const months = consolidateMonths([row('m', '2026-03-11', 200, 'Bank Deposit', { manual: true })]);
+
+    expect(months[0].month).toBe('March 2026');
+  });
+
+  it('regroups collected results into the figures the summary cards show', () => {
+    const transactions = collectTransactions([
+      {
+        fileName: 'jan.pdf',
+        data: {
+          accountNumber: '4821',
+          months: [{ month: 'January 2026', transactions: [{ date: '2026-01-09', type: 'ACH Deposit', source: 'ACME', amount: '1250.00' }] }]
+        }
+      },
+      {
+        fileName: 'feb.pdf',
+        data: {
+          accountNumber: '4821',
+          months: [{ month: 'February 2026', transactions: [{ date: '2026-02-06', type: 'ACH Deposit', source: 'ACME', amount: 750 }] }]
+        }
+      },
+      { fileName: 'failed.pdf', data: null }
+    ]);
+
+    expect(transactions.map(tx => tx.fileName)).toEqual(['jan.pdf', 'feb.pdf']);
+    expect(summarizeMonths(consolidateMonths(transactions))).toEqual({
+      totalIncome: 2000,
+      monthCount: 2,
+      averageMonthlyIncome: 1000,
+      totalTransactions: 2
+    });
+  });
+});
+
+describe('collectTransactions', () => {
+  const deposit = (date, amount, description) => ({ date, type: 'Zelle Transfer', source: 'MARIA LOPEZ', amount, description });
+  const result = (jobId, transactions) => ({
+    jobId,
+    fileName: 'statement.pdf',
+    data: { accountNumber: '4821', months: [{ month: 'January 2026', transactions }] }
+  });
+
+  it('keeps ids when the rows come back in another order', () => {
+    const a = deposit('2026-01-02', 5, 'Zelle from MARIA LOPEZ');
+    const b = deposit('2026-01-14', 10, 'Zelle from MARIA LOPEZ');
+    const ids = (rows) => Object.fromEntries(collectTransactions([result('job-1', rows)]).map(tx => [tx.date, tx.id]));
+
+    expect(ids([a, b])).toEqual(ids([b, a]));
+  });
+
+  it('tells apart files with the same name and identical rows of one file', () => {
+    const row = deposit('2026-01-02', 5, 'Zelle from MARIA LOPEZ');
+    const ids = collectTransactions([result('job-1', [row, row]), result('job-2', [row])]).map(tx => tx.id);
+
+    expect(new Set(ids).size).toBe(3);
+    expect(ids[0].startsWith('job-1#')).toBe(true);
+    expect(ids[2].startsWith('job-2#')).toBe(true);
+  });
+});
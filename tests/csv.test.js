@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { toCsv } from '../lib/csv.js';
+
+describe('toCsv', () => {
+  it('quotes cells with commas, quotes and line breaks', () => {
+    expect(toCsv([['a,b', 'say "hi"', 'one\ntwo', 'one\rtwo']])).toBe('"a,b","say ""hi""","one\ntwo","one\rtwo"');
+  });
+
+  it('keeps text that starts like a formula from running in a spreadsheet', () => {
+    expect(toCsv([['=HYPERLINK("http://x")', '+1', '-SUM(A1)', '@cmd', 'ACME']]))
+      .toBe(`"'=HYPERLINK(""http://x"")",'+1,'-SUM(A1),'@cmd,ACME`);
+  });
+
+  it('leaves numbers alone, negative ones included', () => {
+    expect(toCsv([[-45.12, 0, null]])).toBe('-45.12,0,');
+  });
+});
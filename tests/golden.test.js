@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { compareRuns, formatComparison, passes, runGolden, scoreFixture } from './golden/harness.js';
+
+const deposit = (date, amount, type = 'ACH Deposit') => ({ date, amount, type, source: 'ACME' });
+const report = (rows) => ({
+  transactions: rows,
+  summary: { totalIncome: rows.filter(tx => tx.included).reduce((sum, tx) => sum + tx.amount, 0) }
+});
+
+describe('scoreFixture', () => {
+  const expected = { deposits: [deposit('2026-01-02', 5, 'Zelle Transfer'), deposit('2026-01-09', 1250), deposit('2026-01-23', 1250)] };
+
+  it('scores a perfect extraction', () => {
+    const score = scoreFixture(expected, report(expected.deposits.map(tx => ({ ...tx, included: true }))));
+
+    expect(score).toMatchObject({ precision: 1, recall: 1, incomeError: 0, missed: [], extra: [], wrongCategory: [] });
+  });
+
+  it('reports missed and wrongly counted deposits and the income error', () => {
+    const score = scoreFixture(expected, report([
+      { ...deposit('2026-01-09', 1250), included: true },
+      { ...deposit('2026-01-23', 1250), included: true },
+      { ...deposit('2026-01-20', 40, 'Other'), included: true },
+      { ...deposit('2026-01-02', 5, 'Zelle Transfer'), included: false }
+    ]));
+
+    expect(score.precision).toBeCloseTo(2 / 3);
+    expect(score.recall).toBeCloseTo(2 / 3);
+    expect(score.incomeError).toBe(35);
+    expect(score.missed.map(tx => tx.amount)).toEqual([5]);
+    expect(score.extra.map(tx => tx.amount)).toEqual([40]);
+  });
+
+  it('matches on date and amount and flags the category separately', () => {
+    const score = scoreFixture(expected, report([
+      { ...deposit('2026-01-02', 5, 'Other'), included: true },
+      { ...deposit('2026-01-09', 1250), included: true },
+      { ...deposit('2026-01-23', 1250), included: true }
+    ]));
+
+    expect(score.recall).toBe(1);
+    expect(score.wrongCategory).toEqual([{ date: '2026-01-02', amount: 5, expected: 'Zelle Transfer', found: 'Other' }]);
+  });
+});
+
+describe('compareRuns', () => {
+  const fixture = (name, extra = {}) => ({
+    name,
+    precision: 1,
+    recall: 1,
+    incomeError: 0,
+    failures: [],
+    missed: [],
+    extra: [],
+    matchedCount: 3,
+    foundCount: 3,
+    expectedCount: 3,
+    ...extra
+  });
+  const run = (label, fixtures) => ({ label, promptVersion: label, provider: 'mock', model: null, fixtures });
+
+  it('flags a fixture that lost a deposit as a regression', () => {
+    const comparison = compareRuns(
+      run('base', [fixture('p2p-small-credits'), fixture('hycite-checkcard')]),
+      run('head', [
+        fixture('p2p-small-credits', { recall: 2 / 3, incomeError: -5, missed: [deposit('2026-01-02', 5, 'Zelle Transfer')], matchedCount: 2, foundCount: 2 }),
+        fixture('hycite-checkcard')
+      ])
+    );
+
+    expect(comparison.regressions).toBe(1);
+    expect(comparison.fixtures.map(f => f.verdict)).toEqual(['regressed', 'unchanged']);
+    expect(comparison.fixtures[0].lost.map(tx => tx.amount)).toEqual([5]);
+    expect(formatComparison(comparison)).toContain('now missed: 2026-01-02 $5.00 Zelle Transfer');
+  });
+
+  it('reports improvements and added or removed fixtures', () => {
+    const wrong = { ...deposit('2026-02-14', 15.49, 'Other'), description: 'CHECKCARD NETFLIX' };
+    const comparison = compareRuns(
+      run('base', [fixture('hycite-checkcard', { precision: 0.75, incomeError: 15.49, extra: [wrong], foundCount: 4 }), fixture('old')]),
+      run('head', [fixture('hycite-checkcard'), fixture('new')])
+    );
+
+    expect(comparison.regressions).toBe(0);
+    expect(comparison.fixtures.map(f => [f.name, f.verdict])).toEqual([
+      ['hycite-checkcard', 'improved'],
+      ['old', 'removed'],
+      ['new', 'added']
+    ]);
+    expect(comparison.fixtures[0].droppedExtra).toEqual([wrong]);
+  });
+});
+
+describe('golden fixtures', () => {
+  it('still extract every expected deposit from the recorded responses', async () => {
+    const result = await runGolden();
+
+    expect(result.fixtures.length).toBeGreaterThan(0);
+    result.fixtures.forEach(fixture => {
+      expect({ name: fixture.name, missed: fixture.missed, extra: fixture.extra, failures: fixture.failures, passes: passes(fixture) })
+        .toEqual({ name: fixture.name, missed: [], extra: [], failures: [], passes: true });
+    });
+  }, 180 * 1000);
+});
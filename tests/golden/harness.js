@@ -0,0 +1,326 @@
+import { createHash } from 'crypto';
+import { mkdtempSync } from 'fs';
+import { readdir, readFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// ─── GOLDEN-FILE HARNESS ──────────────────────────────────────────────────────
+//
+// Runs every statement under fixtures/statements through the real job
+// pipeline (text layer, prompts, model, merge) and scores the included
+// deposits against the fixture's expected.json:
+//
+// {
+//   description,   what the fixture guards against
+//   deposits: [{ date, amount, type, source }],
+//                  every deposit that must be counted as income, nothing else
+//   minimum: { precision, recall }   optional, both default to 1
+// }
+//
+// A deposit is found when a counted one has the same date and amount; its
+// category is checked separately. Expected income is the sum of `deposits`.
+//
+// Model calls are replayed from recordings (lib/llm/mock.js) under
+// fixtures/llm-responses/<label>, so runs are offline and repeatable. With
+// `record`, the configured live provider is called and its responses are
+// saved there instead.
+
+export const FIXTURES_DIR = path.resolve('fixtures/statements');
+export const RECORDINGS_DIR = path.resolve('fixtures/llm-responses');
+
+const STATEMENT_FILE = /\.(pdf|jpe?g|png|docx?)$/i;
+const POLL_MS = 100;
+const FIXTURE_TIMEOUT_MS = 120 * 1000;
+const INCOME_TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const depositKey = (tx) => `${tx.date}|${Number(tx.amount).toFixed(2)}`;
+
+/**
+ * The fixtures under `dir`, by folder name: [{ name, dir, files, expected }].
+ */
+export async function loadFixtures(dir = FIXTURES_DIR, only = []) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const fixtures = [];
+
+  for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (only.length > 0 && !only.includes(entry.name)) continue;
+    const fixtureDir = path.join(dir, entry.name);
+    const files = (await readdir(fixtureDir)).filter(file => STATEMENT_FILE.test(file)).sort();
+    const expected = JSON.parse(await readFile(path.join(fixtureDir, 'expected.json'), 'utf8'));
+    fixtures.push({ name: entry.name, dir: fixtureDir, files, expected });
+  }
+
+  return fixtures;
+}
+
+/**
+ * Precision and recall of the counted deposits in `report` against the
+ * fixture's expected deposits, and how far the total income is off.
+ */
+export function scoreFixture(expected, report) {
+  const found = report.transactions.filter(tx => tx.included);
+  const unmatched = [...found];
+  const matched = [];
+  const missed = [];
+
+  expected.deposits.forEach(deposit => {
+    const i = unmatched.findIndex(tx => depositKey(tx) === depositKey(deposit));
+    if (i === -1) {
+      missed.push(deposit);
+    } else {
+      matched.push({ expected: deposit, found: unmatched[i] });
+      unmatched.splice(i, 1);
+    }
+  });
+
+  const expectedIncome = round2(expected.deposits.reduce((sum, deposit) => sum + deposit.amount, 0));
+  const foundIncome = round2(report.summary.totalIncome);
+  const ratio = (part, whole) => (whole > 0 ? part / whole : part === whole ? 1 : 0);
+
+  return {
+    expectedCount: expected.deposits.length,
+    foundCount: found.length,
+    matchedCount: matched.length,
+    precision: ratio(matched.length, found.length),
+    recall: ratio(matched.length, expected.deposits.length),
+    expectedIncome,
+    foundIncome,
+    incomeError: round2(foundIncome - expectedIncome),
+    relativeIncomeError: expectedIncome > 0 ? (foundIncome - expectedIncome) / expectedIncome : null,
+    missed: missed.map(({ date, amount, type, source }) => ({ date, amount, type, source })),
+    extra: unmatched.map(({ date, amount, type, source, description }) => ({ date, amount, type, source, description })),
+    wrongCategory: matched
+      .filter(pair => pair.expected.type && pair.expected.type !== pair.found.type)
+      .map(pair => ({ date: pair.expected.date, amount: pair.expected.amount, expected: pair.expected.type, found: pair.found.type }))
+  };
+}
+
+/**
+ * True when the fixture meets its minimum scores, had no failed chunks and
+ * its income is within a cent.
+ */
+export function passes(fixture) {
+  const minimum = { precision: 1, recall: 1, ...fixture.minimum };
+  return fixture.failures.length === 0
+    && fixture.precision >= minimum.precision
+    && fixture.recall >= minimum.recall
+    && Math.abs(fixture.incomeError) <= INCOME_TOLERANCE;
+}
+
+let dataDir = null;
+
+// The pipeline keeps its jobs in a throwaway store, never the app's .data/
+function useScratchStore() {
+  dataDir ??= mkdtempSync(path.join(os.tmpdir(), 'golden-'));
+  process.env.DATA_DIR = dataDir;
+}
+
+async function waitForJobs(getJob, isDone, ids) {
+  const deadline = Date.now() + FIXTURE_TIMEOUT_MS;
+  for (;;) {
+    const jobs = await Promise.all(ids.map(id => getJob(id)));
+    if (jobs.every(job => isDone(job.status))) return jobs;
+    if (Date.now() > deadline) throw new Error(`Timed out after ${FIXTURE_TIMEOUT_MS / 1000}s waiting for the analysis`);
+    await new Promise(resolve => setTimeout(resolve, POLL_MS));
+  }
+}
+
+/**
+ * Run the fixtures and score them.
+ *
+ * @param {{ label?: string, record?: boolean, only?: string[], fixturesDir?: string }} options
+ *   `label` names the recordings to replay or write (default `baseline`)
+ * @returns {Promise<object>} the run: its settings and one score per fixture
+ */
+export async function runGolden({ label = 'baseline', record = false, only = [], fixturesDir = FIXTURES_DIR } = {}) {
+  const recordingsDir = path.join(RECORDINGS_DIR, label);
+
+  useScratchStore();
+  process.env.LOG_LEVEL ??= 'error';
+  if (record) {
+    if ((process.env.LLM_PROVIDER || 'gemini') === 'mock') throw new Error('Recording needs a live provider; set LLM_PROVIDER');
+    process.env.LLM_RECORD_DIR = recordingsDir;
+  } else {
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.MOCK_LLM_DIR = recordingsDir;
+    process.env.MOCK_LLM_STRICT = '1';
+  }
+
+  // Imported only now: the store reads DATA_DIR when it is loaded
+  const { chunkPrompt } = await import('../../lib/analyze.js');
+  const { createJob, getJob, resultsForJobs, TERMINAL_STATUSES } = await import('../../lib/jobs.js');
+  const { getProvider } = await import('../../lib/llm/index.js');
+  const { buildReport } = await import('../../lib/report.js');
+  const { getActiveRules } = await import('../../lib/rules-store.js');
+
+  const rules = await getActiveRules();
+  const provider = getProvider();
+  const promptVersion = createHash('sha256')
+    .update([chunkPrompt(false, 1, 1, rules), chunkPrompt(true, 1, 2, rules), chunkPrompt(false, 1, 1, rules, true)].join('\0'))
+    .digest('hex')
+    .slice(0, 12);
+
+  const fixtures = [];
+  for (const fixture of await loadFixtures(fixturesDir, only)) {
+    const jobs = [];
+    for (const file of fixture.files) {
+      const bytes = await readFile(path.join(fixture.dir, file));
+      jobs.push(await createJob({ fileName: file, bytes, force: true }));
+    }
+    await waitForJobs(getJob, status => TERMINAL_STATUSES.includes(status), jobs.map(job => job.id));
+
+    const results = await resultsForJobs(jobs.map(job => job.id));
+    const failures = results.flatMap(result => [
+      ...(result.error ? [{ fileName: result.fileName, pages: null, error: result.error }] : []),
+      ...(result.failedChunks || []).map(chunk => ({
+        fileName: result.fileName,
+        pages: `${chunk.startPage}-${chunk.endPage}`,
+        error: chunk.error
+      }))
+    ]);
+
+    fixtures.push({
+      name: fixture.name,
+      description: fixture.expected.description || '',
+      minimum: fixture.expected.minimum || {},
+      failures,
+      ...scoreFixture(fixture.expected, buildReport({ results }))
+    });
+  }
+
+  return {
+    label,
+    mode: record ? 'record' : 'replay',
+    provider: record ? provider.name : 'mock',
+    model: record ? provider.model : null,
+    promptVersion,
+    rulesVersion: rules.version,
+    createdAt: new Date().toISOString(),
+    fixtures
+  };
+}
+
+// ─── REPORTS ──────────────────────────────────────────────────────────────────
+
+const percent = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const signed = (value, format) => (value > 0 ? `+${format(value)}` : format(value));
+const depositLine = (tx) => `${tx.date} ${money(tx.amount)} ${tx.type || ''}${tx.source ? ` (${tx.source})` : ''}`.trim();
+
+// Micro-averaged over every deposit of every fixture
+function overall(fixtures) {
+  const sum = (key) => fixtures.reduce((total, fixture) => total + fixture[key], 0);
+  const matched = sum('matchedCount');
+  return {
+    precision: sum('foundCount') > 0 ? matched / sum('foundCount') : 1,
+    recall: sum('expectedCount') > 0 ? matched / sum('expectedCount') : 1,
+    absoluteIncomeError: round2(fixtures.reduce((total, fixture) => total + Math.abs(fixture.incomeError), 0))
+  };
+}
+
+/**
+ * A run as a Markdown report: one row per fixture, then what went wrong.
+ */
+export function formatRun(run) {
+  const lines = [
+    `# Golden run: ${run.label} (${run.mode}, ${run.provider}${run.model ? `/${run.model}` : ''})`,
+    '',
+    `Prompt ${run.promptVersion}, rules v${run.rulesVersion}, ${run.createdAt}`,
+    '',
+    '| Fixture | Precision | Recall | Expected income | Found income | Error | |',
+    '| --- | ---: | ---: | ---: | ---: | ---: | --- |',
+    ...run.fixtures.map(f => `| ${f.name} | ${percent(f.precision)} | ${percent(f.recall)} | ${money(f.expectedIncome)} | ${money(f.foundIncome)} | ${signed(f.incomeError, money)} | ${passes(f) ? 'pass' : '**FAIL**'} |`)
+  ];
+
+  const totals = overall(run.fixtures);
+  lines.push(`| **All** | ${percent(totals.precision)} | ${percent(totals.recall)} | | | ${money(totals.absoluteIncomeError)} abs | |`);
+
+  run.fixtures.forEach(f => {
+    const notes = [
+      ...f.failures.map(failure => `- failed ${failure.fileName}${failure.pages ? ` pages ${failure.pages}` : ''}: ${failure.error}`),
+      ...f.missed.map(tx => `- missed ${depositLine(tx)}`),
+      ...f.extra.map(tx => `- extra ${depositLine(tx)}${tx.description ? ` — ${tx.description}` : ''}`),
+      ...f.wrongCategory.map(tx => `- ${tx.date} ${money(tx.amount)} is ${tx.found}, expected ${tx.expected}`)
+    ];
+    if (notes.length > 0) lines.push('', `## ${f.name}`, '', ...notes);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * How `head` differs from `base`, fixture by fixture. A fixture regressed
+ * when it found fewer of the expected deposits, counted more wrong ones or
+ * drifted further from the expected income.
+ */
+export function compareRuns(base, head) {
+  const names = [...new Set([...base.fixtures, ...head.fixtures].map(f => f.name))];
+
+  const fixtures = names.map(name => {
+    const before = base.fixtures.find(f => f.name === name) || null;
+    const after = head.fixtures.find(f => f.name === name) || null;
+    if (!before || !after) return { name, before, after, verdict: before ? 'removed' : 'added', found: [], lost: [], newExtra: [], droppedExtra: [] };
+
+    const keys = (list) => new Set(list.map(depositKey));
+    const missedBefore = keys(before.missed);
+    const missedAfter = keys(after.missed);
+    const extraBefore = keys(before.extra);
+    const extraAfter = keys(after.extra);
+
+    const worse = after.recall < before.recall || after.precision < before.precision
+      || Math.abs(after.incomeError) > Math.abs(before.incomeError) + INCOME_TOLERANCE
+      || after.failures.length > before.failures.length;
+    const better = after.recall > before.recall || after.precision > before.precision
+      || Math.abs(after.incomeError) < Math.abs(before.incomeError) - INCOME_TOLERANCE
+      || after.failures.length < before.failures.length;
+
+    return {
+      name,
+      before,
+      after,
+      verdict: worse ? 'regressed' : better ? 'improved' : 'unchanged',
+      found: before.missed.filter(tx => !missedAfter.has(depositKey(tx))),
+      lost: after.missed.filter(tx => !missedBefore.has(depositKey(tx))),
+      newExtra: after.extra.filter(tx => !extraBefore.has(depositKey(tx))),
+      droppedExtra: before.extra.filter(tx => !extraAfter.has(depositKey(tx)))
+    };
+  });
+
+  return { base, head, fixtures, regressions: fixtures.filter(f => f.verdict === 'regressed').length };
+}
+
+const runName = (run) => `${run.label} (prompt ${run.promptVersion}, ${run.provider}${run.model ? `/${run.model}` : ''})`;
+
+export function formatComparison({ base, head, fixtures, regressions }) {
+  const change = (before, after, format) => (before === after ? format(after) : `${format(before)} → ${format(after)}`);
+  const lines = [
+    '# Golden comparison',
+    '',
+    `Base: ${runName(base)}`,
+    `Head: ${runName(head)}`,
+    '',
+    '| Fixture | Precision | Recall | Income error | Verdict |',
+    '| --- | ---: | ---: | ---: | --- |',
+    ...fixtures.map(f => (f.before && f.after
+      ? `| ${f.name} | ${change(f.before.precision, f.after.precision, percent)} | ${change(f.before.recall, f.after.recall, percent)} | ${change(f.before.incomeError, f.after.incomeError, value => signed(value, money))} | ${f.verdict === 'regressed' ? '**regressed**' : f.verdict} |`
+      : `| ${f.name} | | | | ${f.verdict} |`))
+  ];
+
+  const before = overall(base.fixtures);
+  const after = overall(head.fixtures);
+  lines.push(`| **All** | ${change(before.precision, after.precision, percent)} | ${change(before.recall, after.recall, percent)} | ${change(before.absoluteIncomeError, after.absoluteIncomeError, money)} abs | |`);
+
+  fixtures.forEach(f => {
+    const notes = [
+      ...f.lost.map(tx => `- now missed: ${depositLine(tx)}`),
+      ...f.newExtra.map(tx => `- now counted wrongly: ${depositLine(tx)}${tx.description ? ` — ${tx.description}` : ''}`),
+      ...f.found.map(tx => `- now found: ${depositLine(tx)}`),
+      ...f.droppedExtra.map(tx => `- no longer counted: ${depositLine(tx)}`)
+    ];
+    if (notes.length > 0) lines.push('', `## ${f.name}`, '', ...notes);
+  });
+
+  lines.push('', regressions > 0 ? `${regressions} fixture${regressions !== 1 ? 's' : ''} regressed.` : 'No regressions.');
+  return lines.join('\n');
+}
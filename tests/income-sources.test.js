@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { detectCadence, findMissedDeposits } from '../lib/income-sources.js';
+
+describe('detectCadence', () => {
+  it.each([
+    ['weekly', ['2026-01-02', '2026-01-09', '2026-01-16', '2026-01-23', '2026-01-30'], 'weekly'],
+    ['weekly, paid a day early for a holiday', ['2026-01-02', '2026-01-09', '2026-01-15', '2026-01-23', '2026-01-30'], 'weekly'],
+    ['weekly with a missed week', ['2026-01-02', '2026-01-09', '2026-01-23', '2026-01-30', '2026-02-06'], 'weekly'],
+    // Three paydays in January: every other Friday, not the 1st and 15th
+    ['biweekly', ['2026-01-02', '2026-01-16', '2026-01-30', '2026-02-13', '2026-02-27'], 'biweekly'],
+    ['semi-monthly on the 1st and 15th', ['2026-01-01', '2026-01-15', '2026-02-01', '2026-02-15', '2026-03-01', '2026-03-15'], 'semi-monthly'],
+    ['semi-monthly on the 15th and last, moved before weekends', ['2026-01-15', '2026-01-30', '2026-02-13', '2026-02-27', '2026-03-13', '2026-03-31'], 'semi-monthly'],
+    ['semi-monthly with a month end moved into the next month', ['2026-01-15', '2026-01-30', '2026-02-13', '2026-03-02', '2026-03-13', '2026-03-31'], 'semi-monthly'],
+    ['monthly', ['2026-01-05', '2026-02-05', '2026-03-05', '2026-04-06'], 'monthly'],
+    ['irregular', ['2026-01-03', '2026-01-11', '2026-02-20', '2026-02-24', '2026-04-01'], 'irregular']
+  ])('reads %s deposits', (_, dates, cadence) => {
+    expect(detectCadence(dates).cadence).toBe(cadence);
+    expect(detectCadence([...dates].reverse()).cadence).toBe(cadence);
+  });
+
+  it('needs three separate deposit days before trusting a cadence', () => {
+    expect(detectCadence(['2026-01-02'])).toEqual({ cadence: 'irregular', medianGapDays: null, regularity: 0 });
+    expect(detectCadence(['2026-01-02', '2026-01-02', '2026-01-09'])).toEqual({ cadence: 'irregular', medianGapDays: 7, regularity: 0 });
+  });
+});
+
+describe('findMissedDeposits', () => {
+  it('lists skipped weeks and weeks after the deposits stopped', () => {
+    const dates = ['2026-01-02', '2026-01-09', '2026-01-23', '2026-01-30', '2026-02-06'];
+
+    expect(findMissedDeposits(dates, 'weekly', '2026-02-28')).toEqual(['2026-01-16', '2026-02-13', '2026-02-20']);
+  });
+
+  it('leaves out a payday too close to the end of the statements to have posted', () => {
+    const dates = ['2026-01-02', '2026-01-16', '2026-01-30', '2026-02-13', '2026-02-27'];
+
+    expect(findMissedDeposits(dates, 'biweekly', '2026-03-31')).toEqual(['2026-03-13', '2026-03-27']);
+    expect(findMissedDeposits(dates, 'biweekly', '2026-03-14')).toEqual([]);
+  });
+
+  it('does not mistake semi-monthly paydays drifting through the month for gaps', () => {
+    const dates = ['2026-01-01', '2026-01-15', '2026-02-01', '2026-02-15', '2026-03-01', '2026-03-15'];
+
+    expect(findMissedDeposits(dates, 'semi-monthly', '2026-03-31')).toEqual([]);
+  });
+
+  it('has nothing to expect from irregular deposits', () => {
+    expect(findMissedDeposits(['2026-01-03', '2026-02-20'], 'irregular', '2026-04-30')).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import sharp from 'sharp';
+import { afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+
+let jobs;
+let cache;
+
+// A scanned statement long enough to go to the model in two chunks
+async function scannedPdf(pages) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) doc.addPage([612, 792]);
+  return Buffer.from(await doc.save());
+}
+
+// A photographed page: a plain light rectangle is enough for preprocessing
+const photo = (shade) => sharp({
+  create: { width: 600, height: 800, channels: 3, background: { r: shade, g: shade, b: shade } }
+}).jpeg().toBuffer();
+
+const tomorrow = () => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(Date.now() + 24 * 60 * 60 * 1000);
+};
+
+async function finished(id) {
+  for (;;) {
+    const job = await jobs.getJob(id);
+    if (jobs.TERMINAL_STATUSES.includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+beforeAll(async () => {
+  // The store reads DATA_DIR when it is loaded
+  process.env.DATA_DIR = mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.MOCK_LLM_DIR = mkdtempSync(path.join(os.tmpdir(), 'jobs-test-recordings-'));
+  process.env.LOG_LEVEL = 'error';
+  jobs = await import('../lib/jobs.js');
+  cache = await import('../lib/cache.js');
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('chunk cache', () => {
+  it('is hit when a multi-chunk PDF is analyzed again', async () => {
+    const { CHUNK_SIZE } = await import('../lib/analyze.js');
+    const bytes = await scannedPdf(CHUNK_SIZE + 2);
+
+    const first = await finished((await jobs.createJob({ fileName: 'scan.pdf', bytes })).id);
+    expect(first.status).toBe('completed');
+    expect(first.chunks.filter(chunk => chunk.method === 'llm')).toHaveLength(2);
+    expect(first.chunks.every(chunk => !chunk.cached)).toBe(true);
+
+    // A day later, without the whole-file entry, so it is planned chunk by chunk
+    await cache.invalidateCache([first.cacheKey]);
+    tomorrow();
+    const second = await finished((await jobs.createJob({ fileName: 'scan.pdf', bytes })).id);
+
+    expect(second.cached).toBe(false);
+    expect(second.chunks.map(chunk => chunk.cacheKey)).toEqual(first.chunks.map(chunk => chunk.cacheKey));
+    expect(second.chunks.every(chunk => chunk.cached)).toBe(true);
+  }, 60 * 1000);
+});
+
+describe('file cache', () => {
+  it('is hit when the same photos are uploaded again', async () => {
+    const { assembleImages } = await import('../lib/images.js');
+    const photos = [await photo(240), await photo(230)];
+
+    const first = await finished((await jobs.createJob({ fileName: 'photos.pdf', bytes: Buffer.from(await assembleImages(photos)) })).id);
+    expect(first.status).toBe('completed');
+    expect(first.cacheKey).toBeTruthy();
+
+    tomorrow();
+    const second = await jobs.createJob({ fileName: 'photos.pdf', bytes: Buffer.from(await assembleImages(photos)) });
+
+    expect(second.cached).toBe(true);
+    expect(second.cacheKey).toBe(first.cacheKey);
+  }, 60 * 1000);
+
+  it('is missed once the prompt changes', async () => {
+    const bytes = await scannedPdf(1);
+    const first = await finished((await jobs.createJob({ fileName: 'short.pdf', bytes })).id);
+    expect(first.cacheKey).toBeTruthy();
+
+    vi.resetModules();
+    vi.doMock('../lib/prompts.js', async (importOriginal) => {
+      const prompts = await importOriginal();
+      return { ...prompts, getShortPrompt: (rules) => `${prompts.getShortPrompt(rules)}\nList every deposit.` };
+    });
+    const changed = await import('../lib/jobs.js');
+    const second = await changed.createJob({ fileName: 'short.pdf', bytes });
+    vi.doUnmock('../lib/prompts.js');
+
+    expect(second.cached).toBe(false);
+    await finished(second.id);
+  }, 60 * 1000);
+});
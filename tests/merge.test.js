@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { mergeResults } from '../lib/merge.js';
+
+const tx = (date, amount, description, type = 'ACH Deposit') => ({ date, type, source: description, amount, description });
+const chunk = (months, extra = {}) => ({ accountNumber: '4821', months, ...extra });
+
+describe('mergeResults', () => {
+  it('returns null for no results and a single result unchanged', () => {
+    const only = chunk([{ month: 'January 2026', total: 5, transactions: [tx('2026-01-02', 5, 'Zelle from MARIA')] }]);
+
+    expect(mergeResults([])).toBeNull();
+    expect(mergeResults([only])).toBe(only);
+  });
+
+  it('drops a row two chunks both read, ignoring case, spacing and punctuation', () => {
+    const merged = mergeResults([
+      chunk([{ month: 'January 2026', transactions: [tx('2026-01-09', 1250, 'ACME LOGISTICS DES:PAYROLL')] }]),
+      chunk([{
+        month: 'January 2026',
+        transactions: [
+          tx('2026-01-09', '1250.00', ' Acme  Logistics DES:Payroll.'),
+          tx('2026-01-23', 1250, 'ACME LOGISTICS DES:PAYROLL')
+        ]
+      }])
+    ]);
+
+    expect(merged.months).toHaveLength(1);
+    expect(merged.months[0].transactions.map(t => t.date)).toEqual(['2026-01-09', '2026-01-23']);
+    expect(merged.months[0].total).toBe(2500);
+    expect(merged.totalIncome).toBe(2500);
+    expect(merged.totalTransactions).toBe(2);
+  });
+
+  it('keeps same-day deposits of the same amount from different payers', () => {
+    const merged = mergeResults([
+      chunk([{ month: 'January 2026', transactions: [tx('2026-01-06', 7, 'Zelle from JAMES CARTER', 'Zelle Transfer')] }]),
+      chunk([{ month: 'January 2026', transactions: [tx('2026-01-06', 7, 'Zelle from MARIA LOPEZ', 'Zelle Transfer')] }])
+    ]);
+
+    expect(merged.months[0].transactions).toHaveLength(2);
+    expect(merged.months[0].categories).toEqual({ 'Zelle Transfer': { amount: 14, count: 2 } });
+  });
+
+  it('normalizes model categories and orders months newest first', () => {
+    const merged = mergeResults([
+      chunk([{ month: 'January 2026', transactions: [tx('2026-01-02', 5, 'Zelle from MARIA', 'zelle payment')] }]),
+      chunk([{ month: 'February 2026', transactions: [tx('2026-02-06', 1104.32, 'HYCITE DIR DEP', 'ACH credit')] }])
+    ]);
+
+    expect(merged.months.map(m => m.month)).toEqual(['February 2026', 'January 2026']);
+    expect(merged.months[0].transactions[0].type).toBe('ACH Deposit');
+    expect(merged.months[1].transactions[0].type).toBe('Zelle Transfer');
+  });
+
+  it('keeps each statement period and outgoing transfer once', () => {
+    const period = { periodStart: '2026-01-01', periodEnd: '2026-01-31', beginningBalance: 312.4, endingBalance: 2064.8, totalDeposits: 2737 };
+    const transfer = { date: '2026-01-15', amount: 900, description: 'Online transfer to SAV 8812', toAccount: '8812' };
+
+    const merged = mergeResults([
+      chunk([], { statementPeriods: [period], outgoingTransfers: [transfer] }),
+      chunk([], { statementPeriods: [period], outgoingTransfers: [{ ...transfer, amount: '900.00', description: 'ONLINE TRANSFER TO SAV 8812' }] })
+    ]);
+
+    expect(merged.statementPeriods).toEqual([period]);
+    expect(merged.outgoingTransfers).toEqual([transfer]);
+  });
+});
@@ -0,0 +1,38 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { isPrivateAddress, isPublicHost, publicLookup } from '../lib/network.js';
+
+afterEach(() => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS;
+});
+
+describe('isPrivateAddress', () => {
+  it.each(['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'])(
+    'blocks %s',
+    (address) => expect(isPrivateAddress(address)).toBe(true)
+  );
+
+  it.each(['8.8.8.8', '172.32.0.1', '2606:4700::1111'])('allows %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('isPublicHost', () => {
+  it('refuses localhost and private IP literals', () => {
+    expect(isPublicHost('http://169.254.169.254/latest/meta-data')).toBe(false);
+    expect(isPublicHost('http://localhost:3000/hook')).toBe(false);
+    expect(isPublicHost('http://[::1]/hook')).toBe(false);
+    expect(isPublicHost('https://los.example.com/hooks/income')).toBe(true);
+  });
+
+  it('allows private targets when configured for local development', () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = '1';
+    expect(isPublicHost('http://localhost:3000/hook')).toBe(true);
+  });
+});
+
+describe('publicLookup', () => {
+  it('fails for a name that resolves to a private address', async () => {
+    const error = await new Promise(resolve => publicLookup('localhost', { all: true }, resolve));
+    expect(error?.name).toBe('BlockedAddressError');
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { winAnsiText } from '../lib/pdf-text.js';
+
+describe('winAnsiText', () => {
+  it('turns typographic dashes and quotes into ASCII', () => {
+    expect(winAnsiText('“Acme” — O’Neil – payroll')).toBe('"Acme" - O\'Neil - payroll');
+  });
+
+  it('keeps Latin-1 letters and marks anything else with ?', () => {
+    expect(winAnsiText('Café 💰 付款')).toBe('Café ?? ??');
+  });
+
+  it('reads null and numbers as text', () => {
+    expect(winAnsiText(null)).toBe('');
+    expect(winAnsiText(12.5)).toBe('12.5');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { calculateQualifyingIncome, monthCoverage, statementPeriodsOf } from '../lib/qualifying.js';
+
+const deposit = (jobId, date, amount) => ({ jobId, fileName: `${jobId}.pdf`, date, amount, type: 'ACH Deposit', included: true });
+const result = (jobId, statementPeriods) => ({ jobId, fileName: `${jobId}.pdf`, data: { statementPeriods } });
+
+describe('monthCoverage', () => {
+  it('counts the days the statement periods cover', () => {
+    const coverage = monthCoverage(statementPeriodsOf([result('jan', [{ periodStart: '2026-01-15', periodEnd: '2026-02-28' }])]), []);
+
+    expect(Object.fromEntries(coverage)).toEqual({
+      '2026-01': { covered: 17, days: 31 },
+      '2026-02': { covered: 28, days: 28 }
+    });
+  });
+
+  it('falls back to deposit months for files without periods, file by file', () => {
+    const periods = statementPeriodsOf([
+      result('jan', [{ periodStart: '2026-01-01', periodEnd: '2026-01-31' }]),
+      result('apr', [])
+    ]);
+    const coverage = monthCoverage(periods, [
+      deposit('jan', '2026-01-09', 1250),
+      deposit('apr', '2026-03-06', 1104.32),
+      deposit('apr', '2026-04-20', 1104.32)
+    ]);
+
+    expect(Object.fromEntries(coverage)).toEqual({
+      '2026-01': { covered: 31, days: 31 },
+      '2026-02': { covered: 0, days: 28 },
+      '2026-03': { covered: 31, days: 31 },
+      '2026-04': { covered: 30, days: 30 }
+    });
+  });
+
+  it('spans every deposit month when no file has periods', () => {
+    const coverage = monthCoverage([], [deposit('a', '2026-01-09', 1), deposit('b', '2026-03-09', 1)]);
+
+    expect(Array.from(coverage.keys())).toEqual(['2026-01', '2026-02', '2026-03']);
+  });
+});
+
+describe('calculateQualifyingIncome', () => {
+  it('keeps the months of a file without statement periods and says so', () => {
+    const qualification = calculateQualifyingIncome({
+      transactions: [deposit('jan', '2026-01-09', 1200), deposit('feb', '2026-02-06', 1200)],
+      statementPeriods: statementPeriodsOf([result('jan', [{ periodStart: '2026-01-01', periodEnd: '2026-01-31' }]), result('feb', [])]),
+      ruleSet: 'conventional',
+      windowMonths: 12
+    });
+
+    expect(qualification.monthsUsed).toEqual(['January 2026', 'February 2026']);
+    expect(qualification.warnings).toContain('Statement periods were not captured for feb.pdf, so partial months of that file could not be detected.');
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { redactText } from '../lib/redact.js';
+
+describe('redactText', () => {
+  it('masks account numbers down to their last 4 digits', () => {
+    expect(redactText('Account Number 000123456789')).toBe('Account Number ••••6789');
+    expect(redactText('Card 4111 1111 1111 1234')).toBe('Card ••••1234');
+  });
+
+  it('keeps compact YYYYMMDD dates', () => {
+    expect(redactText('AMAZON 20240120 45.12')).toBe('AMAZON 20240120 45.12');
+    expect(redactText('REF 20241340 45.12')).toBe('REF ••••1340 45.12');
+  });
+
+  it('never takes a transaction date for a street number', () => {
+    expect(redactText('03/02 ATM DEPOSIT 100 MAIN ST BRANCH 400.00')).toBe('03/02 ATM DEPOSIT [address] BRANCH 400.00');
+    expect(redactText('2026-03-02 ATM DEPOSIT 100 MAIN ST BRANCH 400.00')).toBe('2026-03-02 ATM DEPOSIT [address] BRANCH 400.00');
+  });
+
+  it('masks addresses, phone numbers and email addresses', () => {
+    expect(redactText('JANE DOE 1420 Oak Ave Apt 3B Springfield, IL 62704')).toBe('JANE DOE [address] [city, state zip]');
+    expect(redactText('Call (555) 010-0199 or jane@example.com')).toBe('Call [phone] or [email]');
+  });
+
+  it('only masks the kinds it is given', () => {
+    expect(redactText('Account 000123456789, 100 Main St', ['address'])).toBe('Account 000123456789, [address]');
+  });
+});
@@ -0,0 +1,36 @@
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { beforeAll, describe, expect, it } from 'vitest';
+
+let store;
+
+beforeAll(async () => {
+  // The store reads DATA_DIR when it is loaded
+  process.env.DATA_DIR = mkdtempSync(path.join(os.tmpdir(), 'rules-test-'));
+  store = await import('../lib/rules-store.js');
+});
+
+describe('saveRules', () => {
+  it('gives concurrent saves their own versions', async () => {
+    const { DEFAULT_RULES } = await import('../lib/classification-rules.js');
+
+    const saved = await Promise.all(['first', 'second', 'third'].map(note => store.saveRules(DEFAULT_RULES, { user: 'admin', note })));
+    const versions = await store.listRuleVersions();
+
+    expect(saved.map(rules => rules.version).sort()).toEqual([2, 3, 4]);
+    expect(versions.map(version => version.note).sort()).toEqual(['Built-in rule set', 'first', 'second', 'third']);
+    expect((await store.getActiveRules()).version).toBe(4);
+  });
+});
+
+describe('getRules', () => {
+  it('finds nothing for versions that are not whole numbers', async () => {
+    expect((await store.getRules('1')).version).toBe(1);
+    expect((await store.getRules(1)).version).toBe(1);
+
+    for (const version of ['1.5', 'abc', '-1', '0', '', '../v1', '1e3']) {
+      expect(await store.getRules(version)).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_RULES } from '../lib/classification-rules.js';
+import { normalizeCategory } from '../lib/rules.js';
+
+describe('normalizeCategory', () => {
+  it.each([
+    ['Zelle Transfer', 'Zelle Transfer'],
+    ['zelle payment received', 'Zelle Transfer'],
+    ['ACH Credit', 'ACH Deposit'],
+    ['  Incoming Wire  ', 'Wire Transfer'],
+    ['Government benefit (SSA)', 'Government Benefit'],
+    ['ATM deposit', 'Bank Deposit'],
+    ['Mobile check deposit', 'Mobile Deposit'],
+    ['Transfer In from savings', 'Transfer In']
+  ])('maps %j to %s', (type, expected) => {
+    expect(normalizeCategory(type)).toBe(expected);
+  });
+
+  it('returns unknown types unchanged for validation to reject', () => {
+    expect(normalizeCategory('Lottery Winnings')).toBe('Lottery Winnings');
+  });
+
+  it('uses the aliases of the rule set it is given', () => {
+    const rules = {
+      ...DEFAULT_RULES,
+      categoryAliases: [{ contains: ['gig'], type: 'Business Deposit' }, ...DEFAULT_RULES.categoryAliases]
+    };
+
+    expect(normalizeCategory('Gig payout', rules)).toBe('Business Deposit');
+    expect(normalizeCategory('Gig payout')).toBe('Gig payout');
+  });
+});
@@ -0,0 +1,158 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { backoffMs, withScheduler } from '../lib/llm/scheduler.js';
+
+// Each test gets its own model, so its own queue
+let models = 0;
+
+function fakeProvider(limits, respond = () => 'ok') {
+  const model = `test-model-${++models}`;
+  process.env.LLM_RATE_LIMITS = JSON.stringify({ [model]: limits });
+  const starts = [];
+  const provider = {
+    name: 'test',
+    model,
+    async generate() {
+      starts.push(Date.now());
+      return respond(starts.length);
+    }
+  };
+  return { scheduled: withScheduler(provider), starts };
+}
+
+const failure = (status, retryAfterMs) => Object.assign(new Error(`HTTP ${status}`), { status, retryAfterMs });
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: 0 });
+  process.env.LOG_LEVEL = 'error';
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  delete process.env.LLM_RATE_LIMITS;
+});
+
+describe('token bucket', () => {
+  it('lets a burst of `concurrency` calls through, then spaces them by the rate', async () => {
+    const { scheduled, starts } = fakeProvider({ requestsPerMinute: 60, concurrency: 2 });
+    const onWait = vi.fn();
+
+    const calls = Promise.all([1, 2, 3, 4].map(() => scheduled.generate({}, { onWait })));
+    await vi.advanceTimersByTimeAsync(0);
+    expect(starts).toEqual([0, 0]);
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(starts).toHaveLength(2);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(starts).toEqual([0, 0, 1000]);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(starts).toEqual([0, 0, 1000, 2000]);
+    await expect(calls).resolves.toEqual(['ok', 'ok', 'ok', 'ok']);
+    expect(onWait).toHaveBeenCalledWith(expect.objectContaining({ ms: 1000, reason: 'rate_limit' }));
+  });
+
+  it('refills while the queue is idle, up to the burst size', async () => {
+    const { scheduled, starts } = fakeProvider({ requestsPerMinute: 60, concurrency: 2 });
+
+    await Promise.all([scheduled.generate({}), scheduled.generate({})]);
+    await vi.advanceTimersByTimeAsync(10000);
+
+    const calls = Promise.all([1, 2, 3].map(() => scheduled.generate({})));
+    await vi.advanceTimersByTimeAsync(0);
+    expect(starts).toEqual([0, 0, 10000, 10000]);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(starts).toEqual([0, 0, 10000, 10000, 11000]);
+    await calls;
+  });
+});
+
+describe('retries', () => {
+  it('pauses every caller of the model for the Retry-After time of a 429', async () => {
+    const { scheduled, starts } = fakeProvider(
+      { requestsPerMinute: 600, concurrency: 2 },
+      (n) => {
+        if (n === 1) throw failure(429, 5000);
+        return 'ok';
+      }
+    );
+
+    const throttled = scheduled.generate({});
+    await vi.advanceTimersByTimeAsync(0);
+    const other = scheduled.generate({});
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(starts).toEqual([0]);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(starts).toEqual([0, 5000, 5000]);
+    await expect(Promise.all([throttled, other])).resolves.toEqual(['ok', 'ok']);
+  });
+
+  it('backs off exponentially on server errors and gives up after six attempts', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const { scheduled, starts } = fakeProvider({ requestsPerMinute: Infinity, concurrency: 1 }, () => {
+      throw failure(503);
+    });
+    const onWait = vi.fn();
+
+    const call = expect(scheduled.generate({}, { onWait })).rejects.toMatchObject({ status: 503 });
+    await vi.advanceTimersByTimeAsync(60000);
+    await call;
+
+    // Half of 2s, 4s, 8s, 16s, 32s with no jitter
+    expect(starts).toEqual([0, 1000, 3000, 7000, 15000, 31000]);
+    expect(onWait.mock.calls.map(([wait]) => wait.reason)).toEqual(['retry', 'retry', 'retry', 'retry', 'retry']);
+  });
+
+  it('does not repeat calls the API rejected', async () => {
+    const { scheduled, starts } = fakeProvider({ requestsPerMinute: Infinity, concurrency: 1 }, () => {
+      throw failure(400);
+    });
+
+    await expect(scheduled.generate({})).rejects.toMatchObject({ status: 400 });
+    expect(starts).toHaveLength(1);
+  });
+
+  it('halves the request rate after a 429 and earns it back one call at a time', async () => {
+    const { scheduled, starts } = fakeProvider({ requestsPerMinute: 60, concurrency: 1 }, (n) => {
+      if (n === 1) throw failure(429, 0);
+      return 'ok';
+    });
+
+    // 30 a minute after the 429, 31 after the retry succeeds
+    const calls = Promise.all([scheduled.generate({}), scheduled.generate({})]);
+    await vi.advanceTimersByTimeAsync(60000);
+    await calls;
+
+    expect(starts[1] - starts[0]).toBe(2000);
+    expect(starts[2] - starts[1]).toBe(Math.ceil(60000 / 31));
+  });
+
+  it('stops waiting when the signal is aborted', async () => {
+    const { scheduled, starts } = fakeProvider({ requestsPerMinute: 60, concurrency: 1 }, (n) => {
+      if (n === 1) throw failure(429, 30000);
+      return 'ok';
+    });
+    const controller = new AbortController();
+
+    const call = expect(scheduled.generate({}, { signal: controller.signal })).rejects.toThrow('cancelled');
+    await vi.advanceTimersByTimeAsync(1000);
+    controller.abort(new Error('cancelled'));
+    await call;
+    expect(starts).toHaveLength(1);
+  });
+});
+
+describe('backoffMs', () => {
+  it('doubles per attempt with up to half of it random, capped at two minutes', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect([1, 2, 3].map(backoffMs)).toEqual([1000, 2000, 4000]);
+    expect(backoffMs(20)).toBe(60000);
+
+    vi.spyOn(Math, 'random').mockReturnValue(0.999999);
+    expect(backoffMs(1)).toBeLessThan(2000);
+    expect(backoffMs(20)).toBeLessThan(120000);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_RULES } from '../lib/classification-rules.js';
+import { parseModelJson, repairAnalysis, validateAnalysis } from '../lib/schema.js';
+
+const analysis = JSON.stringify({
+  accountNumber: '4821',
+  months: [{
+    month: 'January 2026',
+    transactions: [
+      { date: '2026-01-09', type: 'ACH Deposit', source: 'ACME', amount: 1250 },
+      { date: '2026-01-23', type: 'ACH Deposit', source: 'ACME', amount: 1250 }
+    ]
+  }]
+});
+
+describe('parseModelJson', () => {
+  it('reads JSON inside a code fence', () => {
+    expect(parseModelJson(`\`\`\`json\n${analysis}\n\`\`\``)).toEqual({ data: JSON.parse(analysis), truncated: false });
+  });
+
+  it('keeps the complete rows of output cut off mid-row', () => {
+    const { data, truncated } = parseModelJson(analysis.slice(0, analysis.lastIndexOf('"amount"')));
+
+    expect(truncated).toBe(true);
+    expect(data.months[0].transactions).toEqual([{ date: '2026-01-09', type: 'ACH Deposit', source: 'ACME', amount: 1250 }]);
+  });
+
+  it('keeps closed strings that contain brackets and quotes', () => {
+    const text = '{"accountNumber":"N/A","months":[{"month":"May 2026","transactions":[{"source":"A [B] \\"C\\" {D}","amount":5},{"source":"E';
+    const { data } = parseModelJson(text);
+
+    expect(data.months[0].transactions).toEqual([{ source: 'A [B] "C" {D}', amount: 5 }]);
+  });
+
+  it('reports output with nothing to recover', () => {
+    expect(parseModelJson('I could not read this statement.').error).toMatch(/not valid JSON/);
+    expect(parseModelJson('').error).toMatch(/not valid JSON/);
+    expect(parseModelJson('{"accountNumber": "4821", "months": [').error).toMatch(/not valid JSON/);
+  });
+});
+
+describe('repairAnalysis', () => {
+  it('fixes amounts, dates, account numbers, categories and month names', () => {
+    const repaired = repairAnalysis({
+      accountNumber: '****-****-4821',
+      statementPeriods: [{ periodStart: '01/01/2026', periodEnd: '2026-01-31T00:00:00Z', beginningBalance: '$1,020.00', endingBalance: null, totalDeposits: '2,500' }],
+      outgoingTransfers: [{ date: '1/15/26', amount: '-$300.00', toAccount: 'x9913' }],
+      months: [{
+        transactions: [
+          { date: '01/09/2026', type: 'ACH Credit', source: 'ACME', amount: '$1,250.00' },
+          { date: '2026-01-23', type: 'zelle payment received', amount: ' 75.5 ' }
+        ]
+      }]
+    }, DEFAULT_RULES);
+
+    expect(repaired.accountNumber).toBe('4821');
+    expect(repaired.statementPeriods[0]).toMatchObject({ periodStart: '2026-01-01', periodEnd: '2026-01-31', beginningBalance: 1020, totalDeposits: 2500 });
+    expect(repaired.outgoingTransfers[0]).toEqual({ date: '2026-01-15', amount: 300, description: '', toAccount: '9913' });
+    expect(repaired.months[0].month).toBe('January 2026');
+    expect(repaired.months[0].transactions).toMatchObject([
+      { date: '2026-01-09', type: 'ACH Deposit', amount: 1250 },
+      { date: '2026-01-23', type: 'Zelle Transfer', source: '', amount: 75.5 }
+    ]);
+    expect(validateAnalysis(repaired)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('leaves what it cannot fix for validation to report', () => {
+    const repaired = repairAnalysis({
+      accountNumber: '12',
+      months: [{ month: 'January 2026', transactions: [{ date: 'Jan 9th', type: 'Lottery', source: 'X', amount: 'twelve' }] }]
+    }, DEFAULT_RULES);
+
+    expect(repaired.accountNumber).toBe('12');
+    expect(validateAnalysis(repaired).errors).toEqual([
+      'accountNumber must be exactly 4 digits or "N/A" (got "12")',
+      'months[0].transactions[0].date must be YYYY-MM-DD (got "Jan 9th")',
+      'months[0].transactions[0].amount must be a positive number (got "twelve")',
+      expect.stringMatching(/^months\[0\]\.transactions\[0\]\.type must be one of .* \(got "Lottery"\)$/)
+    ]);
+  });
+
+  it('passes through output that is not an analysis', () => {
+    expect(repairAnalysis(null, DEFAULT_RULES)).toBeNull();
+    expect(repairAnalysis({ accountNumber: '4821' }, DEFAULT_RULES)).toEqual({ accountNumber: '4821' });
+  });
+});
@@ -0,0 +1,22 @@
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { beforeAll, describe, expect, it } from 'vitest';
+
+let store;
+
+beforeAll(async () => {
+  // The store reads DATA_DIR when it is loaded
+  process.env.DATA_DIR = mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+  store = await import('../lib/store.js');
+});
+
+describe('writeRecord', () => {
+  it('survives writes to one record in the same millisecond', async () => {
+    const writes = Array.from({ length: 20 }, (_, n) => store.writeRecord('jobs', 'job-1', { n, padding: 'x'.repeat(50000) }));
+
+    await expect(Promise.all(writes)).resolves.toHaveLength(20);
+    expect((await store.readRecord('jobs', 'job-1')).padding).toHaveLength(50000);
+    expect((await store.listRecords('jobs')).map(record => record.n)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,40 @@
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { beforeAll, describe, expect, it } from 'vitest';
+
+let uploads;
+let store;
+
+// A request body that arrives in two parts, with a pause between them
+async function* slowBody(bytes) {
+  yield bytes.subarray(0, 2);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  yield bytes.subarray(2);
+}
+
+beforeAll(async () => {
+  // The store reads DATA_DIR when it is loaded
+  process.env.DATA_DIR = mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+  uploads = await import('../lib/uploads.js');
+  store = await import('../lib/store.js');
+});
+
+describe('appendUpload', () => {
+  it('stores only one of two chunks sent at the same offset', async () => {
+    const upload = await uploads.createUpload({ fileName: 'statement.pdf', size: 16 });
+
+    const [first, retry] = await Promise.allSettled([
+      uploads.appendUpload(upload.id, 0, slowBody(Buffer.from('%PDF-1.7'))),
+      uploads.appendUpload(upload.id, 0, slowBody(Buffer.from('%PDF-')))
+    ]);
+
+    expect(first.status).toBe('fulfilled');
+    expect(retry.status).toBe('rejected');
+    expect(retry.reason).toMatchObject({ status: 409, received: 8 });
+
+    const record = await uploads.getUpload(upload.id);
+    expect(record.received).toBe(8);
+    expect(await store.readBlob('uploads', upload.id)).toHaveLength(8);
+  });
+});